@@ -0,0 +1,37 @@
+/**
+ * Recalcula desde la tabla `messages` los campos derivados de los chats:
+ * último mensaje de cada conversación, `last_message_at` de los grupos y los contadores de no leídos.
+ * Solo escribe las filas que no coinciden; se puede volver a ejecutar sin problema.
+ *
+ * Uso: npm run db:reconcile
+ */
+
+require('dotenv').config();
+
+const { sequelize } = require('../src/infrastructure/database/models');
+const {
+  ConversationRepository,
+  GroupRepository,
+  GroupMemberRepository
+} = require('../src/infrastructure/repositories');
+
+const reconcile = async () => {
+  console.log('🔄 Recalculando último mensaje y no leídos...');
+
+  const conversations = await new ConversationRepository().reconcileSummaries();
+  console.log(`✅ Conversaciones corregidas: ${conversations}`);
+
+  const groups = await new GroupRepository().reconcileLastMessage();
+  console.log(`✅ Grupos corregidos: ${groups}`);
+
+  const members = await new GroupMemberRepository().reconcileUnread();
+  console.log(`✅ Miembros de grupo corregidos: ${members}`);
+};
+
+reconcile()
+  .then(() => sequelize.close())
+  .catch(async (error) => {
+    console.error('❌ Error al recalcular los chats:', error.message);
+    await sequelize.close();
+    process.exit(1);
+  });
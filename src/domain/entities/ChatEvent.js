@@ -0,0 +1,65 @@
+/**
+ * Entidad de Dominio: ChatEvent
+ * Evento registrado de una conversación o grupo, para reenviarlo en GET /sync y el evento `sync`
+ */
+
+class ChatEvent {
+  constructor({
+    id,
+    conversationId = null,
+    groupId = null,
+    seq,
+    type,
+    messageId = null,
+    actorProfileId = null,
+    targetProfileId = null,
+    payload = {},
+    createdAt = new Date()
+  }) {
+    this.id = id;
+    this.conversationId = conversationId;
+    this.groupId = groupId;
+    this.seq = seq;
+    this.type = type;
+    this.messageId = messageId;
+    this.actorProfileId = actorProfileId;
+    this.targetProfileId = targetProfileId;
+    this.payload = payload;
+    this.createdAt = createdAt;
+  }
+
+  // El ID es BIGINT: se expone como string (cursor opaco)
+  get cursor() {
+    return String(this.id);
+  }
+
+  toJSON() {
+    return {
+      cursor: this.cursor,
+      seq: this.seq,
+      type: this.type,
+      conversationId: this.conversationId,
+      groupId: this.groupId,
+      messageId: this.messageId,
+      payload: this.payload,
+      createdAt: this.createdAt
+    };
+  }
+
+  static fromDatabase(data) {
+    return new ChatEvent({
+      id: data.id,
+      conversationId: data.conversation_id,
+      groupId: data.group_id,
+      seq: data.seq,
+      type: data.event_type,
+      messageId: data.message_id,
+      actorProfileId: data.actor_profile_id,
+      targetProfileId: data.target_profile_id,
+      payload: typeof data.payload === 'string' ? JSON.parse(data.payload) : (data.payload || {}),
+      createdAt: data.created_at
+    });
+  }
+}
+
+module.exports = ChatEvent;
@@ -2,12 +2,24 @@
  * Entidad de Dominio: Conversation
  */
 
+const { isMutedUntil } = require('./Mute');
+
 const CONVERSATION_STATUS = {
   ACTIVE: 'active',
   ARCHIVED: 'archived',
   BLOCKED: 'blocked'
 };
 
+// Conversaciones que cada usuario puede fijar arriba de su lista
+const MAX_PINNED_CONVERSATIONS = parseInt(process.env.MAX_PINNED_CONVERSATIONS) || 5;
+
+// Solicitud de mensaje: primer contacto, pendiente hasta que el destinatario acepta
+const REQUEST_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined'
+};
+
 class Conversation {
   constructor({
     id,
@@ -17,8 +29,17 @@ class Conversation {
     lastMessageAt = null,
     participant1Status = CONVERSATION_STATUS.ACTIVE,
     participant2Status = CONVERSATION_STATUS.ACTIVE,
+    participant1StatusBeforeBlock = null,
+    participant2StatusBeforeBlock = null,
     unreadCount1 = 0,
     unreadCount2 = 0,
+    messageTtlSeconds = null,
+    participant1MutedUntil = null,
+    participant2MutedUntil = null,
+    participant1PinnedAt = null,
+    participant2PinnedAt = null,
+    requestStatus = REQUEST_STATUS.ACCEPTED,
+    requestedByProfileId = null,
     createdAt = new Date(),
     updatedAt = new Date()
   }) {
@@ -29,8 +50,17 @@ class Conversation {
     this.lastMessageAt = lastMessageAt;
     this.participant1Status = participant1Status;
     this.participant2Status = participant2Status;
+    this.participant1StatusBeforeBlock = participant1StatusBeforeBlock; // Activa o archivada, para restaurar al desbloquear
+    this.participant2StatusBeforeBlock = participant2StatusBeforeBlock;
     this.unreadCount1 = unreadCount1;
     this.unreadCount2 = unreadCount2;
+    this.messageTtlSeconds = messageTtlSeconds;
+    this.participant1MutedUntil = participant1MutedUntil;
+    this.participant2MutedUntil = participant2MutedUntil;
+    this.participant1PinnedAt = participant1PinnedAt;
+    this.participant2PinnedAt = participant2PinnedAt;
+    this.requestStatus = requestStatus;
+    this.requestedByProfileId = requestedByProfileId;
     this.createdAt = createdAt;
     this.updatedAt = updatedAt;
   }
@@ -46,6 +76,61 @@ class Conversation {
            this.participant2ProfileId === profileId;
   }
 
+  // Estado de la conversación para uno de los participantes
+  getStatusFor(profileId) {
+    return profileId === this.participant1ProfileId ? this.participant1Status : this.participant2Status;
+  }
+
+  // Estado al que vuelve el participante cuando desbloquea (las conversaciones archivadas siguen archivadas)
+  getStatusBeforeBlockFor(profileId) {
+    const status = profileId === this.participant1ProfileId
+      ? this.participant1StatusBeforeBlock
+      : this.participant2StatusBeforeBlock;
+    return status || CONVERSATION_STATUS.ACTIVE;
+  }
+
+  // El participante bloqueó al otro
+  isBlockedBy(profileId) {
+    return this.getStatusFor(profileId) === CONVERSATION_STATUS.BLOCKED;
+  }
+
+  // Alguno de los dos bloqueó al otro
+  isBlocked() {
+    return this.participant1Status === CONVERSATION_STATUS.BLOCKED ||
+           this.participant2Status === CONVERSATION_STATUS.BLOCKED;
+  }
+
+  getMutedUntilFor(profileId) {
+    return profileId === this.participant1ProfileId ? this.participant1MutedUntil : this.participant2MutedUntil;
+  }
+
+  // El participante silenció la conversación y el silencio no venció
+  isMutedBy(profileId) {
+    return isMutedUntil(this.getMutedUntilFor(profileId));
+  }
+
+  isArchivedBy(profileId) {
+    return this.getStatusFor(profileId) === CONVERSATION_STATUS.ARCHIVED;
+  }
+
+  getPinnedAtFor(profileId) {
+    return profileId === this.participant1ProfileId ? this.participant1PinnedAt : this.participant2PinnedAt;
+  }
+
+  getUnreadCountFor(profileId) {
+    return profileId === this.participant1ProfileId ? this.unreadCount1 : this.unreadCount2;
+  }
+
+  // Solicitud sin aceptar (pendiente o rechazada)
+  isRequest() {
+    return this.requestStatus !== REQUEST_STATUS.ACCEPTED;
+  }
+
+  // El participante recibió la solicitud y todavía no la aceptó
+  isRequestFor(profileId) {
+    return this.isRequest() && this.isParticipant(profileId) && this.requestedByProfileId !== profileId;
+  }
+
   toJSON() {
     return {
       id: this.id,
@@ -57,6 +142,13 @@ class Conversation {
       participant2Status: this.participant2Status,
       unreadCount1: this.unreadCount1,
       unreadCount2: this.unreadCount2,
+      messageTtlSeconds: this.messageTtlSeconds,
+      participant1MutedUntil: this.participant1MutedUntil,
+      participant2MutedUntil: this.participant2MutedUntil,
+      participant1PinnedAt: this.participant1PinnedAt,
+      participant2PinnedAt: this.participant2PinnedAt,
+      requestStatus: this.requestStatus,
+      requestedByProfileId: this.requestedByProfileId,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -71,12 +163,21 @@ class Conversation {
       lastMessageAt: data.last_message_at,
       participant1Status: data.participant1_status,
       participant2Status: data.participant2_status,
+      participant1StatusBeforeBlock: data.participant1_status_before_block,
+      participant2StatusBeforeBlock: data.participant2_status_before_block,
       unreadCount1: data.unread_count_1,
       unreadCount2: data.unread_count_2,
+      messageTtlSeconds: data.message_ttl_seconds,
+      participant1MutedUntil: data.participant1_muted_until,
+      participant2MutedUntil: data.participant2_muted_until,
+      participant1PinnedAt: data.participant1_pinned_at,
+      participant2PinnedAt: data.participant2_pinned_at,
+      requestStatus: data.request_status,
+      requestedByProfileId: data.requested_by_profile_id,
       createdAt: data.created_at,
       updatedAt: data.updated_at
     });
   }
 }
 
-module.exports = { Conversation, CONVERSATION_STATUS };
\ No newline at end of file
+module.exports = { Conversation, CONVERSATION_STATUS, REQUEST_STATUS, MAX_PINNED_CONVERSATIONS };
\ No newline at end of file
@@ -14,6 +14,23 @@ const GROUP_STATUS = {
   ARCHIVED: 'archived'
 };
 
+// Ventana de edición de mensajes por defecto (configurable en settings.messageEditWindowHours)
+const DEFAULT_MESSAGE_EDIT_WINDOW_HOURS = 24;
+
+// Límite de mensajes fijados (MAX_PINNED_MESSAGES, o settings.maxPinnedMessages por grupo)
+const DEFAULT_MAX_PINNED_MESSAGES = parseInt(process.env.MAX_PINNED_MESSAGES) || 10;
+
+// settings/location se guardan como JSON; registros antiguos pueden venir serializados como string
+const parseJSON = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
 class Group {
   constructor({
     id,
@@ -31,6 +48,7 @@ class Group {
     lastMessageAt = null,
     location = null,
     scheduledAt = null,
+    messageTtlSeconds = null,
     createdAt = new Date(),
     updatedAt = new Date()
   }) {
@@ -49,6 +67,7 @@ class Group {
     this.lastMessageAt = lastMessageAt;
     this.location = location;
     this.scheduledAt = scheduledAt;
+    this.messageTtlSeconds = messageTtlSeconds;
     this.createdAt = createdAt;
     this.updatedAt = updatedAt;
   }
@@ -66,6 +85,17 @@ class Group {
     return this.memberCount < this.maxMembers;
   }
 
+  // Horas durante las que un mensaje puede editarse (0 deshabilita la edición)
+  getMessageEditWindowHours() {
+    const hours = this.settings?.messageEditWindowHours;
+    return typeof hours === 'number' && hours >= 0 ? hours : DEFAULT_MESSAGE_EDIT_WINDOW_HOURS;
+  }
+
+  getMaxPinnedMessages() {
+    const max = this.settings?.maxPinnedMessages;
+    return Number.isInteger(max) && max > 0 ? max : DEFAULT_MAX_PINNED_MESSAGES;
+  }
+
   toJSON() {
     return {
       id: this.id,
@@ -83,6 +113,7 @@ class Group {
       lastMessageAt: this.lastMessageAt,
       location: this.location,
       scheduledAt: this.scheduledAt,
+      messageTtlSeconds: this.messageTtlSeconds,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -100,15 +131,22 @@ class Group {
       maxMembers: data.max_members,
       isPublic: data.is_public,
       status: data.status,
-      settings: data.settings ? JSON.parse(data.settings) : {},
+      settings: parseJSON(data.settings, {}) || {},
       memberCount: data.member_count,
       lastMessageAt: data.last_message_at,
-      location: data.location ? JSON.parse(data.location) : null,
+      location: parseJSON(data.location, null),
       scheduledAt: data.scheduled_at,
+      messageTtlSeconds: data.message_ttl_seconds,
       createdAt: data.created_at,
       updatedAt: data.updated_at
     });
   }
 }
 
-module.exports = { Group, GROUP_TYPES, GROUP_STATUS };
\ No newline at end of file
+module.exports = {
+  Group,
+  GROUP_TYPES,
+  GROUP_STATUS,
+  DEFAULT_MESSAGE_EDIT_WINDOW_HOURS,
+  DEFAULT_MAX_PINNED_MESSAGES
+};
\ No newline at end of file
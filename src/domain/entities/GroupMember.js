@@ -2,6 +2,8 @@
  * Entidad de Dominio: GroupMember
  */
 
+const { isMutedUntil } = require('./Mute');
+
 const MEMBER_ROLES = {
   OWNER: 'owner',
   ADMIN: 'admin',
@@ -56,6 +58,11 @@ class GroupMember {
     return this.role === MEMBER_ROLES.MODERATOR || this.isAdmin();
   }
 
+  // Sin notificaciones push del grupo: silenciado por el propio miembro (hasta mutedUntil) o con estado 'muted'
+  isMuted() {
+    return this.status === MEMBER_STATUS.MUTED || isMutedUntil(this.mutedUntil);
+  }
+
   canSendMessages() {
     return this.status === MEMBER_STATUS.ACTIVE;
   }
@@ -83,6 +90,7 @@ class GroupMember {
       lastReadMessageId: this.lastReadMessageId,
       unreadCount: this.unreadCount,
       mutedUntil: this.mutedUntil,
+      isMuted: this.isMuted(),
       joinedAt: this.joinedAt,
       updatedAt: this.updatedAt
     };
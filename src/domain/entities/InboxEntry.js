@@ -0,0 +1,136 @@
+/**
+ * Entidad de Dominio: InboxEntry
+ * Una conversación o grupo en la bandeja unificada (GET /inbox), tal como la ve un usuario
+ */
+
+const { Message } = require('./Message');
+
+const INBOX_ENTRY_TYPES = {
+  CONVERSATION: 'conversation',
+  GROUP: 'group'
+};
+
+// Formatos del cursor: fecha con microsegundos en UTC (como la devuelve la base de datos) e ID del chat
+const SORT_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{6}Z$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class InboxEntry {
+  constructor({
+    type,
+    chatId,
+    profileId,
+    publicGroupId = null,
+    title = null,
+    avatarUrl = null,
+    groupType = null,
+    otherProfileId = null,
+    lastMessage = null,
+    unreadCount = 0,
+    isMuted = false,
+    mutedUntil = null,
+    pinnedAt = null,
+    activityAt,
+    sortKey
+  }) {
+    this.type = type;
+    this.chatId = chatId; // ID interno (conversación o grupo)
+    this.profileId = profileId; // Dueño de la bandeja
+    this.publicGroupId = publicGroupId;
+    this.title = title;
+    this.avatarUrl = avatarUrl;
+    this.groupType = groupType;
+    this.otherProfileId = otherProfileId;
+    this.lastMessage = lastMessage;
+    this.unreadCount = unreadCount;
+    this.isMuted = isMuted;
+    this.mutedUntil = mutedUntil;
+    this.pinnedAt = pinnedAt;
+    this.activityAt = activityAt;
+    this.sortKey = sortKey; // pinnedAt o activityAt con precisión de la base de datos, para el cursor
+  }
+
+  // ID que usa el cliente: el de la conversación o el ID público del grupo
+  get id() {
+    return this.type === INBOX_ENTRY_TYPES.GROUP ? this.publicGroupId : this.chatId;
+  }
+
+  get isPinned() {
+    return Boolean(this.pinnedAt);
+  }
+
+  // Posición en la bandeja (opaca para el cliente): fijada o no, fecha de orden e ID
+  get cursor() {
+    return Buffer.from(JSON.stringify([this.isPinned, this.sortKey, this.chatId])).toString('base64url');
+  }
+
+  static parseCursor(cursor) {
+    try {
+      const [isPinned, sortKey, chatId] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+      if (typeof isPinned !== 'boolean' || typeof sortKey !== 'string' || typeof chatId !== 'string') return null;
+      if (!SORT_KEY_PATTERN.test(sortKey) || !UUID_PATTERN.test(chatId)) return null;
+
+      // Fecha real: Date desborda días inexistentes (31 de febrero → marzo) que la base de datos rechazaría
+      const date = new Date(sortKey);
+      if (isNaN(date) || date.toISOString().slice(0, 23) !== sortKey.slice(0, 23)) return null;
+      return { isPinned, sortKey, chatId };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  toJSON() {
+    return {
+      type: this.type,
+      id: this.id,
+      conversationId: this.type === INBOX_ENTRY_TYPES.CONVERSATION ? this.chatId : null,
+      groupId: this.type === INBOX_ENTRY_TYPES.GROUP ? this.publicGroupId : null,
+      title: this.title,
+      avatarUrl: this.avatarUrl,
+      groupType: this.groupType,
+      otherProfileId: this.otherProfileId,
+      lastMessage: this.lastMessage,
+      unreadCount: this.unreadCount,
+      isMuted: this.isMuted,
+      mutedUntil: this.mutedUntil,
+      isPinned: this.isPinned,
+      pinnedAt: this.pinnedAt,
+      activityAt: this.activityAt,
+      cursor: this.cursor
+    };
+  }
+
+  static fromDatabase(data) {
+    // Vencido aunque el barrido todavía no lo haya marcado
+    const isLastMessageExpired = Message.isExpiredData({
+      is_expired: data.last_message_is_expired,
+      expires_at: data.last_message_expires_at
+    });
+
+    return new InboxEntry({
+      type: data.type,
+      chatId: data.chat_id,
+      profileId: data.profile_id,
+      publicGroupId: data.type === INBOX_ENTRY_TYPES.GROUP ? (data.external_id || data.chat_id) : null,
+      title: data.title,
+      avatarUrl: data.avatar_url,
+      groupType: data.group_type,
+      otherProfileId: data.other_profile_id,
+      lastMessage: data.last_message_id ? {
+        id: data.last_message_id,
+        content: isLastMessageExpired ? '' : data.last_message_content,
+        messageType: data.last_message_type,
+        senderProfileId: data.last_message_sender_profile_id,
+        isExpired: isLastMessageExpired,
+        createdAt: data.last_message_created_at
+      } : null,
+      unreadCount: data.unread_count || 0,
+      isMuted: Boolean(data.is_muted),
+      mutedUntil: data.muted_until,
+      pinnedAt: data.pinned_at,
+      activityAt: data.activity_at,
+      sortKey: data.sort_key
+    });
+  }
+}
+
+module.exports = { InboxEntry, INBOX_ENTRY_TYPES };
@@ -32,6 +32,15 @@ class Message {
     isEdited = false,
     isDeleted = false,
     metadata = {},
+    reactions = [],
+    replyTo = null,
+    replyCount = 0,
+    lastReplyAt = null,
+    receipts = null,
+    expiresAt = null,
+    isExpired = false,
+    clientMessageId = null,
+    seq = null,
     createdAt = new Date(),
     updatedAt = new Date()
   }) {
@@ -47,6 +56,15 @@ class Message {
     this.isEdited = isEdited;
     this.isDeleted = isDeleted;
     this.metadata = metadata;
+    this.reactions = reactions;
+    this.replyTo = replyTo;
+    this.replyCount = replyCount;
+    this.lastReplyAt = lastReplyAt;
+    this.receipts = receipts;
+    this.expiresAt = expiresAt;
+    this.isExpired = isExpired;
+    this.clientMessageId = clientMessageId;
+    this.seq = seq;
     this.createdAt = createdAt;
     this.updatedAt = updatedAt;
   }
@@ -82,25 +100,45 @@ class Message {
       isEdited: this.isEdited,
       isDeleted: this.isDeleted,
       metadata: this.metadata,
+      reactions: this.reactions,
+      replyTo: this.replyTo,
+      replyCount: this.replyCount,
+      lastReplyAt: this.lastReplyAt,
+      receipts: this.receipts,
+      expiresAt: this.expiresAt,
+      isExpired: this.isExpired,
+      clientMessageId: this.clientMessageId,
+      seq: this.seq,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
   }
 
+  // Vencido aunque el barrido todavía no haya borrado su contenido
+  static isExpiredData(data) {
+    return !!data.is_expired || (!!data.expires_at && new Date(data.expires_at) <= new Date());
+  }
+
   static fromDatabase(data) {
+    const isExpired = Message.isExpiredData(data);
+
     return new Message({
       id: data.id,
       conversationId: data.conversation_id,
       groupId: data.group_id,
       senderProfileId: data.sender_profile_id,
-      content: data.content,
+      content: isExpired ? '' : data.content,
       messageType: data.message_type,
       status: data.status,
-      mediaUrl: data.media_url,
+      mediaUrl: isExpired ? null : data.media_url,
       replyToId: data.reply_to_id,
       isEdited: data.is_edited,
       isDeleted: data.is_deleted,
 metadata: data.metadata ? (typeof data.metadata === 'string' ? JSON.parse(data.metadata) : data.metadata) : {},
+      expiresAt: data.expires_at || null,
+      isExpired,
+      clientMessageId: data.client_message_id || null,
+      seq: data.seq ?? null,
       createdAt: data.created_at,
       updatedAt: data.updated_at
     });
@@ -0,0 +1,42 @@
+/**
+ * Entidad de Dominio: MessageReaction
+ */
+
+class MessageReaction {
+  constructor({
+    id,
+    messageId,
+    profileId,
+    reaction,
+    createdAt = new Date()
+  }) {
+    this.id = id;
+    this.messageId = messageId;
+    this.profileId = profileId;
+    this.reaction = reaction;
+    this.createdAt = createdAt;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      messageId: this.messageId,
+      profileId: this.profileId,
+      reaction: this.reaction,
+      user: this.user || null,
+      createdAt: this.createdAt
+    };
+  }
+
+  static fromDatabase(data) {
+    return new MessageReaction({
+      id: data.id,
+      messageId: data.message_id,
+      profileId: data.profile_id,
+      reaction: data.reaction,
+      createdAt: data.created_at
+    });
+  }
+}
+
+module.exports = MessageReaction;
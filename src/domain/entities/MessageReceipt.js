@@ -0,0 +1,56 @@
+/**
+ * Entidad de Dominio: MessageReceipt
+ */
+
+class MessageReceipt {
+  constructor({
+    id,
+    messageId,
+    profileId,
+    deliveredAt = null,
+    readAt = null,
+    createdAt = new Date(),
+    updatedAt = new Date()
+  }) {
+    this.id = id;
+    this.messageId = messageId;
+    this.profileId = profileId;
+    this.deliveredAt = deliveredAt;
+    this.readAt = readAt;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  isDelivered() {
+    return this.deliveredAt !== null;
+  }
+
+  isRead() {
+    return this.readAt !== null;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      messageId: this.messageId,
+      profileId: this.profileId,
+      user: this.user || null,
+      deliveredAt: this.deliveredAt,
+      readAt: this.readAt
+    };
+  }
+
+  static fromDatabase(data) {
+    return new MessageReceipt({
+      id: data.id,
+      messageId: data.message_id,
+      profileId: data.profile_id,
+      deliveredAt: data.delivered_at,
+      readAt: data.read_at,
+      createdAt: data.created_at,
+      updatedAt: data.updated_at
+    });
+  }
+}
+
+module.exports = MessageReceipt;
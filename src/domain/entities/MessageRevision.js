@@ -0,0 +1,41 @@
+/**
+ * Entidad de Dominio: MessageRevision
+ */
+
+class MessageRevision {
+  constructor({
+    id,
+    messageId,
+    content,
+    editedByProfileId,
+    editedAt = new Date()
+  }) {
+    this.id = id;
+    this.messageId = messageId;
+    this.content = content;
+    this.editedByProfileId = editedByProfileId;
+    this.editedAt = editedAt;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      messageId: this.messageId,
+      content: this.content,
+      editedByProfileId: this.editedByProfileId,
+      editedAt: this.editedAt
+    };
+  }
+
+  static fromDatabase(data) {
+    return new MessageRevision({
+      id: data.id,
+      messageId: data.message_id,
+      content: data.content,
+      editedByProfileId: data.edited_by_profile_id,
+      editedAt: data.edited_at
+    });
+  }
+}
+
+module.exports = MessageRevision;
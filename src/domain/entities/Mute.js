@@ -0,0 +1,25 @@
+/**
+ * Silenciar conversaciones y grupos: solo se dejan de enviar las notificaciones push.
+ * El silencio vence solo al pasar `mutedUntil`; "para siempre" se guarda como una fecha lejana.
+ */
+
+const MUTE_FOREVER_UNTIL = new Date('9999-12-31T23:59:59.999Z');
+
+// Duraciones permitidas (ms); null = hasta que se reactive
+const MUTE_DURATIONS = {
+  '1h': 60 * 60 * 1000,
+  '8h': 8 * 60 * 60 * 1000,
+  '1w': 7 * 24 * 60 * 60 * 1000,
+  forever: null
+};
+
+function getMutedUntil(duration, from = new Date()) {
+  const ms = MUTE_DURATIONS[duration];
+  return ms === null ? MUTE_FOREVER_UNTIL : new Date(from.getTime() + ms);
+}
+
+function isMutedUntil(mutedUntil, now = new Date()) {
+  return Boolean(mutedUntil) && new Date(mutedUntil) > now;
+}
+
+module.exports = { MUTE_DURATIONS, MUTE_FOREVER_UNTIL, getMutedUntil, isMutedUntil };
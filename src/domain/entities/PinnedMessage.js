@@ -0,0 +1,46 @@
+/**
+ * Entidad de Dominio: PinnedMessage
+ */
+
+class PinnedMessage {
+  constructor({
+    id,
+    messageId,
+    conversationId = null,
+    groupId = null,
+    pinnedByProfileId,
+    pinnedAt = new Date()
+  }) {
+    this.id = id;
+    this.messageId = messageId;
+    this.conversationId = conversationId;
+    this.groupId = groupId;
+    this.pinnedByProfileId = pinnedByProfileId;
+    this.pinnedAt = pinnedAt;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      messageId: this.messageId,
+      conversationId: this.conversationId,
+      groupId: this.groupId,
+      pinnedByProfileId: this.pinnedByProfileId,
+      pinnedAt: this.pinnedAt,
+      message: this.message ? this.message.toJSON() : null
+    };
+  }
+
+  static fromDatabase(data) {
+    return new PinnedMessage({
+      id: data.id,
+      messageId: data.message_id,
+      conversationId: data.conversation_id,
+      groupId: data.group_id,
+      pinnedByProfileId: data.pinned_by_profile_id,
+      pinnedAt: data.created_at
+    });
+  }
+}
+
+module.exports = PinnedMessage;
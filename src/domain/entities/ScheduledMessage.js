@@ -0,0 +1,97 @@
+/**
+ * Entidad de Dominio: ScheduledMessage
+ */
+
+const SCHEDULED_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  SENT: 'sent',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+class ScheduledMessage {
+  constructor({
+    id,
+    senderProfileId,
+    conversationId = null,
+    groupId = null,
+    content,
+    messageType = 'text',
+    mediaUrl = null,
+    replyToId = null,
+    sendAt,
+    status = SCHEDULED_STATUS.PENDING,
+    attempts = 0,
+    lastError = null,
+    sentMessageId = null,
+    sentAt = null,
+    createdAt = new Date(),
+    updatedAt = new Date()
+  }) {
+    this.id = id;
+    this.senderProfileId = senderProfileId;
+    this.conversationId = conversationId;
+    this.groupId = groupId;
+    this.content = content;
+    this.messageType = messageType;
+    this.mediaUrl = mediaUrl;
+    this.replyToId = replyToId;
+    this.sendAt = sendAt;
+    this.status = status;
+    this.attempts = attempts;
+    this.lastError = lastError;
+    this.sentMessageId = sentMessageId;
+    this.sentAt = sentAt;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  isPending() {
+    return this.status === SCHEDULED_STATUS.PENDING;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      senderProfileId: this.senderProfileId,
+      conversationId: this.conversationId,
+      groupId: this.groupId,
+      content: this.content,
+      messageType: this.messageType,
+      mediaUrl: this.mediaUrl,
+      replyToId: this.replyToId,
+      sendAt: this.sendAt,
+      status: this.status,
+      lastError: this.lastError,
+      sentMessageId: this.sentMessageId,
+      sentAt: this.sentAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  static fromDatabase(data) {
+    return new ScheduledMessage({
+      id: data.id,
+      senderProfileId: data.sender_profile_id,
+      conversationId: data.conversation_id,
+      // groupId se expone como external ID, igual que en el resto de la API de mensajes
+      groupId: data.group ? (data.group.external_id || data.group_id) : data.group_id,
+      content: data.content,
+      messageType: data.message_type,
+      mediaUrl: data.media_url,
+      replyToId: data.reply_to_id,
+      sendAt: data.send_at,
+      status: data.status,
+      attempts: data.attempts,
+      lastError: data.last_error,
+      sentMessageId: data.sent_message_id,
+      sentAt: data.sent_at,
+      createdAt: data.created_at,
+      updatedAt: data.updated_at
+    });
+  }
+}
+
+module.exports = { ScheduledMessage, SCHEDULED_STATUS };
@@ -2,6 +2,13 @@
  * Entidad de Dominio: User
  */
 
+// Quién ve el estado en línea y la última conexión
+const PRESENCE_VISIBILITY = {
+  EVERYONE: 'everyone',
+  CONTACTS: 'contacts',
+  NOBODY: 'nobody'
+};
+
 class User {
   constructor({
     id,
@@ -11,6 +18,8 @@ class User {
     avatarUrl,
     isOnline = false,
     lastSeenAt = null,
+    onlineStatusVisibility = PRESENCE_VISIBILITY.EVERYONE,
+    lastSeenVisibility = PRESENCE_VISIBILITY.EVERYONE,
     isActive = true,
     createdAt = new Date(),
     updatedAt = new Date()
@@ -22,6 +31,8 @@ class User {
     this.avatarUrl = avatarUrl;
     this.isOnline = isOnline;
     this.lastSeenAt = lastSeenAt;
+    this.onlineStatusVisibility = onlineStatusVisibility;
+    this.lastSeenVisibility = lastSeenVisibility;
     this.isActive = isActive;
     this.createdAt = createdAt;
     this.updatedAt = updatedAt;
@@ -37,6 +48,42 @@ class User {
     this.lastSeenAt = new Date();
   }
 
+  /**
+   * ¿La configuración permite mostrar el dato a quien consulta? El propio usuario siempre lo ve.
+   * @param {string} visibility - PRESENCE_VISIBILITY
+   * @param {object} relation - { isSelf, isContact, isBlocked (uno bloqueó al otro) } respecto de quien consulta
+   */
+  static isVisibleTo(visibility, { isSelf = false, isContact = false, isBlocked = false } = {}) {
+    if (isSelf) return true;
+    if (isBlocked || visibility === PRESENCE_VISIBILITY.NOBODY) return false;
+    if (visibility === PRESENCE_VISIBILITY.CONTACTS) return isContact;
+    return true;
+  }
+
+  canShowOnlineStatusTo(relation) {
+    return User.isVisibleTo(this.onlineStatusVisibility, relation);
+  }
+
+  canShowLastSeenTo(relation) {
+    return User.isVisibleTo(this.lastSeenVisibility, relation);
+  }
+
+  // Presencia vista por otro usuario: lo oculto se muestra como desconectado y sin última conexión
+  getPresenceFor(relation) {
+    return {
+      isOnline: this.canShowOnlineStatusTo(relation) ? this.isOnline : false,
+      lastSeenAt: this.canShowLastSeenTo(relation) ? this.lastSeenAt : null
+    };
+  }
+
+  // Datos para otro usuario: presencia filtrada y sin la configuración de privacidad
+  toJSONFor(relation) {
+    if (relation.isSelf) return this.toJSON();
+
+    const { privacy, ...data } = this.toJSON();
+    return { ...data, ...this.getPresenceFor(relation) };
+  }
+
   toJSON() {
     return {
       id: this.id,
@@ -46,6 +93,10 @@ class User {
       avatarUrl: this.avatarUrl,
       isOnline: this.isOnline,
       lastSeenAt: this.lastSeenAt,
+      privacy: {
+        onlineStatusVisibility: this.onlineStatusVisibility,
+        lastSeenVisibility: this.lastSeenVisibility
+      },
       isActive: this.isActive,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
@@ -61,6 +112,8 @@ class User {
       avatarUrl: data.avatar_url,
       isOnline: data.is_online,
       lastSeenAt: data.last_seen_at,
+      onlineStatusVisibility: data.online_status_visibility,
+      lastSeenVisibility: data.last_seen_visibility,
       isActive: data.is_active,
       createdAt: data.created_at,
       updatedAt: data.updated_at
@@ -68,4 +121,4 @@ class User {
   }
 }
 
-module.exports = User;
\ No newline at end of file
+module.exports = { User, PRESENCE_VISIBILITY };
\ No newline at end of file
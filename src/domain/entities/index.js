@@ -2,11 +2,19 @@
  * Domain Entities Index
  */
 
-const User = require('./User');
+const { User, PRESENCE_VISIBILITY } = require('./User');
 const { Message, MESSAGE_TYPES, MESSAGE_STATUS } = require('./Message');
-const { Conversation, CONVERSATION_STATUS } = require('./Conversation');
-const { Group, GROUP_TYPES, GROUP_STATUS } = require('./Group');
+const { Conversation, CONVERSATION_STATUS, REQUEST_STATUS, MAX_PINNED_CONVERSATIONS } = require('./Conversation');
+const { Group, GROUP_TYPES, GROUP_STATUS, DEFAULT_MESSAGE_EDIT_WINDOW_HOURS, DEFAULT_MAX_PINNED_MESSAGES } = require('./Group');
 const { GroupMember, MEMBER_ROLES, MEMBER_STATUS } = require('./GroupMember');
+const MessageReaction = require('./MessageReaction');
+const MessageReceipt = require('./MessageReceipt');
+const MessageRevision = require('./MessageRevision');
+const PinnedMessage = require('./PinnedMessage');
+const { ScheduledMessage, SCHEDULED_STATUS } = require('./ScheduledMessage');
+const { MUTE_DURATIONS, getMutedUntil, isMutedUntil } = require('./Mute');
+const ChatEvent = require('./ChatEvent');
+const { InboxEntry, INBOX_ENTRY_TYPES } = require('./InboxEntry');
 
 module.exports = {
   User,
@@ -14,11 +22,28 @@ module.exports = {
   Conversation,
   Group,
   GroupMember,
+  MessageReaction,
+  MessageReceipt,
+  MessageRevision,
+  PinnedMessage,
+  ScheduledMessage,
+  ChatEvent,
+  InboxEntry,
+  PRESENCE_VISIBILITY,
   MESSAGE_TYPES,
   MESSAGE_STATUS,
   CONVERSATION_STATUS,
+  REQUEST_STATUS,
+  MAX_PINNED_CONVERSATIONS,
   GROUP_TYPES,
   GROUP_STATUS,
+  DEFAULT_MESSAGE_EDIT_WINDOW_HOURS,
+  DEFAULT_MAX_PINNED_MESSAGES,
   MEMBER_ROLES,
-  MEMBER_STATUS
+  MEMBER_STATUS,
+  SCHEDULED_STATUS,
+  INBOX_ENTRY_TYPES,
+  MUTE_DURATIONS,
+  getMutedUntil,
+  isMutedUntil
 };
\ No newline at end of file
@@ -5,9 +5,11 @@
 class IUserRepository {
   async findById(id) { throw new Error('Method not implemented'); }
   async findByProfileId(profileId) { throw new Error('Method not implemented'); }
+  async findByProfileIds(profileIds) { throw new Error('Method not implemented'); }
   async findAll(filters = {}) { throw new Error('Method not implemented'); }
   async create(userData) { throw new Error('Method not implemented'); }
   async update(id, userData) { throw new Error('Method not implemented'); }
+  async updatePrivacy(profileId, settings) { throw new Error('Method not implemented'); }
   async delete(id) { throw new Error('Method not implemented'); }
 }
 
@@ -24,25 +26,98 @@ class IConversationRepository {
   async findById(id) { throw new Error('Method not implemented'); }
   async findByParticipants(profileId1, profileId2) { throw new Error('Method not implemented'); }
   async findByProfileId(profileId, options = {}) { throw new Error('Method not implemented'); }
+  async findRequestsForProfileId(profileId, options = {}) { throw new Error('Method not implemented'); }
+  async countPinnedByProfileId(profileId) { throw new Error('Method not implemented'); }
+  async findPartnerProfileIds(profileId) { throw new Error('Method not implemented'); }
+  async findBlockRelations(profileId) { throw new Error('Method not implemented'); }
+  async findBlockedByProfileId(profileId) { throw new Error('Method not implemented'); }
   async create(conversationData) { throw new Error('Method not implemented'); }
   async update(id, conversationData) { throw new Error('Method not implemented'); }
+  async recordMessage(conversationId, message, options = {}) { throw new Error('Method not implemented'); }
+  async reconcileSummaries(options = {}) { throw new Error('Method not implemented'); }
 }
 
 class IGroupRepository {
   async findById(id) { throw new Error('Method not implemented'); }
+  async findByExternalId(externalId) { throw new Error('Method not implemented'); }
+  async findIdentities(ids) { throw new Error('Method not implemented'); }
   async findByType(groupType, options = {}) { throw new Error('Method not implemented'); }
   async create(groupData) { throw new Error('Method not implemented'); }
   async update(id, groupData) { throw new Error('Method not implemented'); }
   async delete(id) { throw new Error('Method not implemented'); }
+  async recordMessage(id, createdAt, options = {}) { throw new Error('Method not implemented'); }
+  async reconcileLastMessage(options = {}) { throw new Error('Method not implemented'); }
 }
 
 class IGroupMemberRepository {
   async findById(id) { throw new Error('Method not implemented'); }
   async findByGroupId(groupId, options = {}) { throw new Error('Method not implemented'); }
   async findMembership(groupId, profileId) { throw new Error('Method not implemented'); }
+  async findPushRecipientProfileIds(groupId, exceptProfileId = null) { throw new Error('Method not implemented'); }
+  async findPeerProfileIds(profileId) { throw new Error('Method not implemented'); }
   async create(memberData) { throw new Error('Method not implemented'); }
   async update(id, memberData) { throw new Error('Method not implemented'); }
   async delete(id) { throw new Error('Method not implemented'); }
+  async markAsRead(groupId, profileId) { throw new Error('Method not implemented'); }
+  async reconcileUnread(options = {}) { throw new Error('Method not implemented'); }
+}
+
+class IMessageReactionRepository {
+  async findByMessage(messageId) { throw new Error('Method not implemented'); }
+  async add(messageId, profileId, reaction) { throw new Error('Method not implemented'); }
+  async remove(messageId, profileId, reaction) { throw new Error('Method not implemented'); }
+  async toggle(messageId, profileId, reaction) { throw new Error('Method not implemented'); }
+  async getSummaries(messageIds, viewerProfileId = null) { throw new Error('Method not implemented'); }
+}
+
+class IMessageReceiptRepository {
+  async findByMessage(messageId) { throw new Error('Method not implemented'); }
+  async createForRecipients(messageId, profileIds) { throw new Error('Method not implemented'); }
+  async markDelivered(messageIds, profileId) { throw new Error('Method not implemented'); }
+  async markGroupAsRead(groupId, profileId) { throw new Error('Method not implemented'); }
+  async getSummaries(messageIds) { throw new Error('Method not implemented'); }
+}
+
+class IMessageRevisionRepository {
+  async findByMessage(messageId) { throw new Error('Method not implemented'); }
+  async create(revisionData, options) { throw new Error('Method not implemented'); }
+  async deleteByMessages(messageIds) { throw new Error('Method not implemented'); }
+}
+
+class IPinnedMessageRepository {
+  async findByMessage(messageId) { throw new Error('Method not implemented'); }
+  async findByConversation(conversationId) { throw new Error('Method not implemented'); }
+  async findByGroup(groupId) { throw new Error('Method not implemented'); }
+  async count(scope) { throw new Error('Method not implemented'); }
+  async create(pinData) { throw new Error('Method not implemented'); }
+  async removeByMessage(messageId) { throw new Error('Method not implemented'); }
+  async removeByMessages(messageIds) { throw new Error('Method not implemented'); }
+}
+
+class IScheduledMessageRepository {
+  async findById(id) { throw new Error('Method not implemented'); }
+  async findBySender(senderProfileId, options) { throw new Error('Method not implemented'); }
+  async create(scheduledData) { throw new Error('Method not implemented'); }
+  async updatePending(id, scheduledData) { throw new Error('Method not implemented'); }
+  async cancel(id) { throw new Error('Method not implemented'); }
+  async claimDue(limit) { throw new Error('Method not implemented'); }
+  async markSent(id, messageId) { throw new Error('Method not implemented'); }
+  async markFailed(id, error, retry) { throw new Error('Method not implemented'); }
+  async releaseStale(olderThanMinutes, maxAttempts) { throw new Error('Method not implemented'); }
+}
+
+class IChatEventRepository {
+  async record(eventData) { throw new Error('Method not implemented'); }
+  async findSince(profileId, since, limit) { throw new Error('Method not implemented'); }
+  async getLatestCursor() { throw new Error('Method not implemented'); }
+  async getOldestCursor() { throw new Error('Method not implemented'); }
+  async redactMessages(messageIds) { throw new Error('Method not implemented'); }
+  async purgeOlderThan(date) { throw new Error('Method not implemented'); }
+}
+
+class IInboxRepository {
+  async findByProfileId(profileId, options) { throw new Error('Method not implemented'); }
+  async findGroupEntries(groupId, profileIds) { throw new Error('Method not implemented'); }
 }
 
 module.exports = {
@@ -50,5 +125,12 @@ module.exports = {
   IMessageRepository,
   IConversationRepository,
   IGroupRepository,
-  IGroupMemberRepository
+  IGroupMemberRepository,
+  IMessageReactionRepository,
+  IMessageReceiptRepository,
+  IMessageRevisionRepository,
+  IPinnedMessageRepository,
+  IScheduledMessageRepository,
+  IChatEventRepository,
+  IInboxRepository
 };
\ No newline at end of file
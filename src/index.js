@@ -10,6 +10,8 @@ const createServer = require('./infrastructure/http/server');
 const { testConnection, syncDatabase } = require('./infrastructure/database/connection');
 const { initializeWebSocket } = require('./infrastructure/websocket/socketServer');
 const rabbitMQPublisher = require('./infrastructure/messaging/RabbitMQPublisher');
+const scheduledMessageDispatcher = require('./infrastructure/scheduling/ScheduledMessageDispatcher');
+const expiredMessageSweeper = require('./infrastructure/scheduling/ExpiredMessageSweeper');
 
 // Cargar modelos con asociaciones
 require('./infrastructure/database/models');
@@ -50,7 +52,11 @@ const startServer = async () => {
 
   // Inicializar WebSocket
   console.log('🔌 Inicializando servidor WebSocket...');
-  initializeWebSocket(httpServer);
+  const wsServer = initializeWebSocket(httpServer);
+
+  // Tareas en segundo plano: mensajes programados y mensajes temporales
+  scheduledMessageDispatcher.start();
+  expiredMessageSweeper.start();
 
   // Iniciar servidor
   httpServer.listen(PORT, () => {
@@ -62,8 +68,18 @@ const startServer = async () => {
   });
 
   // Graceful shutdown
-  process.on('SIGTERM', () => {
+  process.on('SIGTERM', async () => {
     console.log('🛑 Cerrando servidor...');
+    scheduledMessageDispatcher.stop();
+    expiredMessageSweeper.stop();
+
+    // Aunque falle la baja en el clúster WebSocket, el servidor se cierra igual
+    try {
+      await wsServer.shutdown();
+    } catch (error) {
+      console.error('❌ Error al cerrar el servidor WebSocket:', error.message);
+    }
+
     httpServer.close(() => {
       console.log('✅ Servidor cerrado');
       process.exit(0);
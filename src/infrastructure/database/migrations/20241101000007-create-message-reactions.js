@@ -0,0 +1,56 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('message_reactions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      message_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'messages',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      profile_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'profile_id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'ID del perfil que reacciona'
+      },
+      reaction: {
+        type: Sequelize.STRING(32),
+        allowNull: false,
+        comment: 'Emoji o código corto de la reacción'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Índices
+    await queryInterface.addIndex('message_reactions', ['message_id'], { name: 'idx_reactions_message_id' });
+    await queryInterface.addIndex('message_reactions', ['profile_id'], { name: 'idx_reactions_profile_id' });
+    await queryInterface.addIndex('message_reactions', ['message_id', 'profile_id', 'reaction'], {
+      unique: true,
+      name: 'idx_reactions_unique'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('message_reactions');
+  }
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Índices para paginación por cursor sobre (created_at, id)
+    await queryInterface.addIndex('messages', ['conversation_id', 'created_at', 'id'], {
+      name: 'idx_msg_conversation_cursor'
+    });
+    await queryInterface.addIndex('messages', ['group_id', 'created_at', 'id'], {
+      name: 'idx_msg_group_cursor'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('messages', 'idx_msg_group_cursor');
+    await queryInterface.removeIndex('messages', 'idx_msg_conversation_cursor');
+  }
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Columna generada con el contenido normalizado en español (PostgreSQL 12+)
+    await queryInterface.sequelize.query(`
+      ALTER TABLE messages
+      ADD COLUMN search_vector tsvector
+      GENERATED ALWAYS AS (to_tsvector('spanish', coalesce(content, ''))) STORED
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE INDEX idx_msg_search_vector ON messages USING GIN (search_vector)
+    `);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query('DROP INDEX IF EXISTS idx_msg_search_vector');
+    await queryInterface.removeColumn('messages', 'search_vector');
+  }
+};
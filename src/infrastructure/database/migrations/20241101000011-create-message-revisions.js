@@ -0,0 +1,46 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('message_revisions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      message_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'messages',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      content: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        comment: 'Contenido anterior a la edición'
+      },
+      edited_by_profile_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        comment: 'Perfil que realizó la edición'
+      },
+      edited_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: 'Momento en que este contenido fue reemplazado'
+      }
+    });
+
+    // Índices
+    await queryInterface.addIndex('message_revisions', ['message_id', 'edited_at'], { name: 'idx_revisions_message' });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('message_revisions');
+  }
+};
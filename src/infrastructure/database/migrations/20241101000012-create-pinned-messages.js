@@ -0,0 +1,65 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('pinned_messages', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      message_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'messages',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      conversation_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'conversations',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      group_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'chat_groups',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      pinned_by_profile_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        comment: 'Perfil que fijó el mensaje'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Índices
+    await queryInterface.addIndex('pinned_messages', ['message_id'], {
+      unique: true,
+      name: 'idx_pins_message'
+    });
+    await queryInterface.addIndex('pinned_messages', ['conversation_id', 'created_at'], { name: 'idx_pins_conversation' });
+    await queryInterface.addIndex('pinned_messages', ['group_id', 'created_at'], { name: 'idx_pins_group' });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('pinned_messages');
+  }
+};
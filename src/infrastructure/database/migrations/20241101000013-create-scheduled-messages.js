@@ -0,0 +1,112 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('scheduled_messages', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      sender_profile_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'profile_id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      conversation_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'conversations',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      group_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'chat_groups',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'ID interno del grupo'
+      },
+      content: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      message_type: {
+        type: Sequelize.ENUM('text', 'image', 'video', 'audio', 'file', 'system'),
+        defaultValue: 'text'
+      },
+      media_url: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      reply_to_id: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      send_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'processing', 'sent', 'failed', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      last_error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      sent_message_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'messages',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      sent_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Índices
+    await queryInterface.addIndex('scheduled_messages', ['status', 'send_at'], { name: 'idx_scheduled_due' });
+    await queryInterface.addIndex('scheduled_messages', ['sender_profile_id', 'status'], { name: 'idx_scheduled_sender' });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('scheduled_messages');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_scheduled_messages_message_type";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_scheduled_messages_status";');
+  }
+};
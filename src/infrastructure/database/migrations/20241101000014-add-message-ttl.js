@@ -0,0 +1,42 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Mensajes temporales: TTL por conversación o grupo (null = desactivado)
+    await queryInterface.addColumn('conversations', 'message_ttl_seconds', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('chat_groups', 'message_ttl_seconds', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('messages', 'expires_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('messages', 'is_expired', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    // Solo los mensajes pendientes de expirar, para el barrido periódico
+    await queryInterface.addIndex('messages', ['expires_at'], {
+      name: 'idx_msg_expires_at',
+      where: {
+        is_expired: false,
+        expires_at: { [Sequelize.Op.ne]: null }
+      }
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('messages', 'idx_msg_expires_at');
+    await queryInterface.removeColumn('messages', 'is_expired');
+    await queryInterface.removeColumn('messages', 'expires_at');
+    await queryInterface.removeColumn('chat_groups', 'message_ttl_seconds');
+    await queryInterface.removeColumn('conversations', 'message_ttl_seconds');
+  }
+};
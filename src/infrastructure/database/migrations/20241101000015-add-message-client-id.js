@@ -0,0 +1,24 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // ID generado por el cliente para reconciliar mensajes optimistas (y reintentos)
+    await queryInterface.addColumn('messages', 'client_message_id', {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('messages', ['sender_profile_id', 'client_message_id'], {
+      name: 'idx_msg_client_message_id',
+      unique: true,
+      where: {
+        client_message_id: { [Sequelize.Op.ne]: null }
+      }
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('messages', 'idx_msg_client_message_id');
+    await queryInterface.removeColumn('messages', 'client_message_id');
+  }
+};
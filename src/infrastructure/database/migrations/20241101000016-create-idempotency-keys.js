@@ -0,0 +1,67 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Respuestas guardadas por Idempotency-Key, para que los reintentos no dupliquen mensajes
+    await queryInterface.createTable('idempotency_keys', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      profile_id: {
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      idempotency_key: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      request_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        comment: 'SHA-256 de método, ruta y body; la misma clave con otro body se rechaza'
+      },
+      status: {
+        type: Sequelize.ENUM('processing', 'completed'),
+        allowNull: false,
+        defaultValue: 'processing'
+      },
+      status_code: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      response_body: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('idempotency_keys', ['profile_id', 'idempotency_key'], {
+      name: 'idx_idempotency_unique',
+      unique: true
+    });
+    await queryInterface.addIndex('idempotency_keys', ['expires_at'], {
+      name: 'idx_idempotency_expires'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('idempotency_keys');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_idempotency_keys_status";');
+  }
+};
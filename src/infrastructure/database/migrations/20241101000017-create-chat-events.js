@@ -0,0 +1,106 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Registro de eventos por chat, para que los sockets que se reconectan recuperen lo que se perdieron
+    await queryInterface.createTable('chat_events', {
+      id: {
+        type: Sequelize.BIGINT,
+        autoIncrement: true,
+        primaryKey: true,
+        comment: 'Cursor global de sincronización (GET /sync?since=)'
+      },
+      conversation_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'conversations', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      group_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'chat_groups', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      seq: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Secuencia creciente dentro de la conversación o grupo'
+      },
+      event_type: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      message_id: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      actor_profile_id: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      target_profile_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        comment: 'Miembro afectado en eventos de membresía (lo recibe aunque ya no sea miembro)'
+      },
+      payload: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('chat_events', ['conversation_id', 'seq'], {
+      name: 'idx_chat_events_conversation_seq',
+      unique: true,
+      where: { conversation_id: { [Sequelize.Op.ne]: null } }
+    });
+    await queryInterface.addIndex('chat_events', ['group_id', 'seq'], {
+      name: 'idx_chat_events_group_seq',
+      unique: true,
+      where: { group_id: { [Sequelize.Op.ne]: null } }
+    });
+    await queryInterface.addIndex('chat_events', ['target_profile_id'], {
+      name: 'idx_chat_events_target',
+      where: { target_profile_id: { [Sequelize.Op.ne]: null } }
+    });
+    await queryInterface.addIndex('chat_events', ['message_id'], {
+      name: 'idx_chat_events_message',
+      where: { message_id: { [Sequelize.Op.ne]: null } }
+    });
+    await queryInterface.addIndex('chat_events', ['created_at'], {
+      name: 'idx_chat_events_created_at'
+    });
+
+    // Último número de secuencia asignado en cada chat
+    await queryInterface.addColumn('conversations', 'last_event_seq', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addColumn('chat_groups', 'last_event_seq', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    // Secuencia del evento que creó el mensaje
+    await queryInterface.addColumn('messages', 'seq', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('messages', 'seq');
+    await queryInterface.removeColumn('chat_groups', 'last_event_seq');
+    await queryInterface.removeColumn('conversations', 'last_event_seq');
+    await queryInterface.dropTable('chat_events');
+  }
+};
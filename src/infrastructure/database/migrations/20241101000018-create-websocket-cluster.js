@@ -0,0 +1,68 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Instancias del servidor WebSocket (adaptador Postgres); una instancia sin latido se da por caída
+    await queryInterface.createTable('ws_nodes', {
+      node_id: {
+        type: Sequelize.STRING(100),
+        primaryKey: true
+      },
+      last_heartbeat_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Sockets conectados en todo el clúster: presencia compartida entre instancias
+    await queryInterface.createTable('ws_connections', {
+      socket_id: {
+        type: Sequelize.STRING(100),
+        primaryKey: true
+      },
+      node_id: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      profile_id: {
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      connected_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('ws_connections', ['profile_id'], { name: 'idx_ws_connections_profile' });
+    await queryInterface.addIndex('ws_connections', ['node_id'], { name: 'idx_ws_connections_node' });
+
+    // Eventos que no caben en un NOTIFY (8000 bytes); se envía solo su ID
+    await queryInterface.createTable('ws_broadcasts', {
+      id: {
+        type: Sequelize.BIGINT,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      payload: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('ws_broadcasts', ['created_at'], { name: 'idx_ws_broadcasts_created_at' });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('ws_broadcasts');
+    await queryInterface.dropTable('ws_connections');
+    await queryInterface.dropTable('ws_nodes');
+  }
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Privacidad de presencia: quién ve el estado en línea y la última conexión
+    await queryInterface.addColumn('users', 'online_status_visibility', {
+      type: Sequelize.ENUM('everyone', 'contacts', 'nobody'),
+      allowNull: false,
+      defaultValue: 'everyone'
+    });
+    await queryInterface.addColumn('users', 'last_seen_visibility', {
+      type: Sequelize.ENUM('everyone', 'contacts', 'nobody'),
+      allowNull: false,
+      defaultValue: 'everyone'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('users', 'last_seen_visibility');
+    await queryInterface.removeColumn('users', 'online_status_visibility');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_users_last_seen_visibility";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_users_online_status_visibility";');
+  }
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Solicitudes de mensaje: una conversación nueva queda pendiente hasta que el destinatario la acepta.
+    // Las conversaciones existentes quedan aceptadas
+    await queryInterface.addColumn('conversations', 'request_status', {
+      type: Sequelize.ENUM('pending', 'accepted', 'declined'),
+      allowNull: false,
+      defaultValue: 'accepted'
+    });
+    await queryInterface.addColumn('conversations', 'requested_by_profile_id', {
+      type: Sequelize.UUID,
+      allowNull: true
+    });
+
+    // Bandeja de solicitudes recibidas
+    await queryInterface.addIndex('conversations', ['request_status'], {
+      name: 'idx_conv_request_status',
+      where: { request_status: { [Sequelize.Op.ne]: 'accepted' } }
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('conversations', 'idx_conv_request_status');
+    await queryInterface.removeColumn('conversations', 'requested_by_profile_id');
+    await queryInterface.removeColumn('conversations', 'request_status');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_conversations_request_status";');
+  }
+};
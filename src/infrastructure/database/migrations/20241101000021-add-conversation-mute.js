@@ -0,0 +1,20 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Silenciar la conversación (solo notificaciones push) por participante, hasta la fecha indicada
+    await queryInterface.addColumn('conversations', 'participant1_muted_until', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('conversations', 'participant2_muted_until', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('conversations', 'participant2_muted_until');
+    await queryInterface.removeColumn('conversations', 'participant1_muted_until');
+  }
+};
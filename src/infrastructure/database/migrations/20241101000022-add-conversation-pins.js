@@ -0,0 +1,20 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Conversaciones fijadas arriba de la lista, por participante; el orden entre fijadas es por fecha de fijado
+    await queryInterface.addColumn('conversations', 'participant1_pinned_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('conversations', 'participant2_pinned_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('conversations', 'participant2_pinned_at');
+    await queryInterface.removeColumn('conversations', 'participant1_pinned_at');
+  }
+};
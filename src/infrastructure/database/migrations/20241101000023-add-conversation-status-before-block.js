@@ -0,0 +1,22 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Estado del participante antes de bloquear (activa o archivada), para restaurarlo al desbloquear
+    await queryInterface.addColumn('conversations', 'participant1_status_before_block', {
+      type: Sequelize.ENUM('active', 'archived'),
+      allowNull: true
+    });
+    await queryInterface.addColumn('conversations', 'participant2_status_before_block', {
+      type: Sequelize.ENUM('active', 'archived'),
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('conversations', 'participant2_status_before_block');
+    await queryInterface.removeColumn('conversations', 'participant1_status_before_block');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_conversations_participant1_status_before_block";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_conversations_participant2_status_before_block";');
+  }
+};
@@ -0,0 +1,54 @@
+/**
+ * Sequelize Model: ChatEvent
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../connection');
+
+const ChatEventModel = sequelize.define('ChatEvent', {
+  id: {
+    type: DataTypes.BIGINT,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  conversation_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  group_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  seq: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  event_type: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  message_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  actor_profile_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  target_profile_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  }
+}, {
+  tableName: 'chat_events',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false
+});
+
+module.exports = ChatEventModel;
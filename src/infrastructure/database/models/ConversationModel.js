@@ -35,6 +35,16 @@ const ConversationModel = sequelize.define('Conversation', {
     type: DataTypes.ENUM('active', 'archived', 'blocked'),
     defaultValue: 'active'
   },
+  participant1_status_before_block: {
+    type: DataTypes.ENUM('active', 'archived'),
+    allowNull: true,
+    comment: 'Estado del participante 1 antes de bloquear, se restaura al desbloquear'
+  },
+  participant2_status_before_block: {
+    type: DataTypes.ENUM('active', 'archived'),
+    allowNull: true,
+    comment: 'Estado del participante 2 antes de bloquear, se restaura al desbloquear'
+  },
   unread_count_1: {
     type: DataTypes.INTEGER,
     defaultValue: 0
@@ -42,6 +52,44 @@ const ConversationModel = sequelize.define('Conversation', {
   unread_count_2: {
     type: DataTypes.INTEGER,
     defaultValue: 0
+  },
+  message_ttl_seconds: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  participant1_muted_until: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Notificaciones silenciadas para el participante 1 hasta esta fecha'
+  },
+  participant2_muted_until: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Notificaciones silenciadas para el participante 2 hasta esta fecha'
+  },
+  participant1_pinned_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fijada arriba de la lista del participante 1 desde esta fecha'
+  },
+  participant2_pinned_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fijada arriba de la lista del participante 2 desde esta fecha'
+  },
+  request_status: {
+    type: DataTypes.ENUM('pending', 'accepted', 'declined'),
+    defaultValue: 'accepted',
+    comment: 'Solicitud de mensaje: pendiente hasta que el destinatario la acepta'
+  },
+  requested_by_profile_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Quién inició la conversación como solicitud'
+  },
+  last_event_seq: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
   }
 }, {
   tableName: 'conversations',
@@ -66,6 +66,14 @@ const GroupModel = sequelize.define('Group', {
   scheduled_at: {
     type: DataTypes.DATE,
     allowNull: true
+  },
+  message_ttl_seconds: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  last_event_seq: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
   }
 }, {
   tableName: 'chat_groups',
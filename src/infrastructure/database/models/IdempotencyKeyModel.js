@@ -0,0 +1,50 @@
+/**
+ * Sequelize Model: IdempotencyKey
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../connection');
+
+const IdempotencyKeyModel = sequelize.define('IdempotencyKey', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  profile_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  idempotency_key: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  request_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('processing', 'completed'),
+    allowNull: false,
+    defaultValue: 'processing'
+  },
+  status_code: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  response_body: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'idempotency_keys',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = IdempotencyKeyModel;
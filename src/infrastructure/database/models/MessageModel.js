@@ -54,6 +54,22 @@ const MessageModel = sequelize.define('Message', {
   metadata: {
     type: DataTypes.JSON,
     defaultValue: {}
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  is_expired: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  client_message_id: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  seq: {
+    type: DataTypes.INTEGER,
+    allowNull: true
   }
 }, {
   tableName: 'messages',
@@ -0,0 +1,33 @@
+/**
+ * Sequelize Model: MessageReaction
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../connection');
+
+const MessageReactionModel = sequelize.define('MessageReaction', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  message_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  profile_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  reaction: {
+    type: DataTypes.STRING(32),
+    allowNull: false
+  }
+}, {
+  tableName: 'message_reactions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false
+});
+
+module.exports = MessageReactionModel;
@@ -0,0 +1,37 @@
+/**
+ * Sequelize Model: MessageReceipt
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../connection');
+
+const MessageReceiptModel = sequelize.define('MessageReceipt', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  message_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  profile_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  delivered_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  read_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'message_receipts',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = MessageReceiptModel;
@@ -0,0 +1,36 @@
+/**
+ * Sequelize Model: MessageRevision
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../connection');
+
+const MessageRevisionModel = sequelize.define('MessageRevision', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  message_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  edited_by_profile_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  edited_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'message_revisions',
+  timestamps: false
+});
+
+module.exports = MessageRevisionModel;
@@ -0,0 +1,38 @@
+/**
+ * Sequelize Model: PinnedMessage
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../connection');
+
+const PinnedMessageModel = sequelize.define('PinnedMessage', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  message_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true
+  },
+  conversation_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  group_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  pinned_by_profile_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  }
+}, {
+  tableName: 'pinned_messages',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false
+});
+
+module.exports = PinnedMessageModel;
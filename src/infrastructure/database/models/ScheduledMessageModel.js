@@ -0,0 +1,75 @@
+/**
+ * Sequelize Model: ScheduledMessage
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../connection');
+
+const ScheduledMessageModel = sequelize.define('ScheduledMessage', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  sender_profile_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  conversation_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  group_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  message_type: {
+    type: DataTypes.ENUM('text', 'image', 'video', 'audio', 'file', 'system'),
+    defaultValue: 'text'
+  },
+  media_url: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  reply_to_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  send_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'processing', 'sent', 'failed', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  last_error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  sent_message_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  sent_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'scheduled_messages',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = ScheduledMessageModel;
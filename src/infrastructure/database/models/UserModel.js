@@ -38,6 +38,16 @@ const UserModel = sequelize.define('User', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  online_status_visibility: {
+    type: DataTypes.ENUM('everyone', 'contacts', 'nobody'),
+    defaultValue: 'everyone',
+    comment: 'Quién ve si el usuario está en línea'
+  },
+  last_seen_visibility: {
+    type: DataTypes.ENUM('everyone', 'contacts', 'nobody'),
+    defaultValue: 'everyone',
+    comment: 'Quién ve la última conexión del usuario'
+  },
   is_active: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
@@ -8,6 +8,13 @@ const MessageModel = require('./MessageModel');
 const ConversationModel = require('./ConversationModel');
 const GroupModel = require('./GroupModel');
 const GroupMemberModel = require('./GroupMemberModel');
+const MessageReactionModel = require('./MessageReactionModel');
+const MessageReceiptModel = require('./MessageReceiptModel');
+const MessageRevisionModel = require('./MessageRevisionModel');
+const PinnedMessageModel = require('./PinnedMessageModel');
+const ScheduledMessageModel = require('./ScheduledMessageModel');
+const IdempotencyKeyModel = require('./IdempotencyKeyModel');
+const ChatEventModel = require('./ChatEventModel');
 
 // ==========================================
 // ASOCIACIONES CORREGIDAS - Con targetKey/sourceKey
@@ -98,11 +105,76 @@ MessageModel.belongsTo(MessageModel, {
   as: 'replyTo'
 });
 
+// Message -> Reactions
+MessageModel.hasMany(MessageReactionModel, {
+  foreignKey: 'message_id',
+  as: 'reactions'
+});
+MessageReactionModel.belongsTo(MessageModel, {
+  foreignKey: 'message_id',
+  as: 'message'
+});
+
+// User -> Reactions
+MessageReactionModel.belongsTo(UserModel, {
+  foreignKey: 'profile_id',
+  targetKey: 'profile_id',
+  as: 'user'
+});
+
+// Message -> Receipts (entrega/lectura por destinatario)
+MessageModel.hasMany(MessageReceiptModel, {
+  foreignKey: 'message_id',
+  as: 'receipts'
+});
+MessageReceiptModel.belongsTo(MessageModel, {
+  foreignKey: 'message_id',
+  as: 'message'
+});
+MessageReceiptModel.belongsTo(UserModel, {
+  foreignKey: 'profile_id',
+  targetKey: 'profile_id',
+  as: 'user'
+});
+
+// Message -> Revisions (historial de ediciones)
+MessageModel.hasMany(MessageRevisionModel, {
+  foreignKey: 'message_id',
+  as: 'revisions'
+});
+MessageRevisionModel.belongsTo(MessageModel, {
+  foreignKey: 'message_id',
+  as: 'message'
+});
+
+// Message -> Pin (mensajes fijados)
+MessageModel.hasOne(PinnedMessageModel, {
+  foreignKey: 'message_id',
+  as: 'pin'
+});
+PinnedMessageModel.belongsTo(MessageModel, {
+  foreignKey: 'message_id',
+  as: 'message'
+});
+
+// ScheduledMessage -> Group (para resolver el external ID al enviar)
+ScheduledMessageModel.belongsTo(GroupModel, {
+  foreignKey: 'group_id',
+  as: 'group'
+});
+
 module.exports = {
   sequelize,
   UserModel,
   MessageModel,
   ConversationModel,
   GroupModel,
-  GroupMemberModel
+  GroupMemberModel,
+  MessageReactionModel,
+  MessageReceiptModel,
+  MessageRevisionModel,
+  PinnedMessageModel,
+  ScheduledMessageModel,
+  IdempotencyKeyModel,
+  ChatEventModel
 };
\ No newline at end of file
@@ -2,7 +2,19 @@
  * Controller: ConversationController
  */
 
-const { ConversationRepository, UserRepository } = require('../../repositories');
+const { ConversationRepository, UserRepository, PinnedMessageRepository, MessageRepository } = require('../../repositories');
+const {
+  DEFAULT_MAX_PINNED_MESSAGES,
+  MAX_PINNED_CONVERSATIONS,
+  CONVERSATION_STATUS,
+  REQUEST_STATUS,
+  getMutedUntil
+} = require('../../../domain/entities');
+const messageService = require('../../services/MessageService');
+const chatEventService = require('../../services/ChatEventService');
+const inboxService = require('../../services/InboxService');
+const accessPolicy = require('../../services/AccessPolicy');
+const { getWebSocketServer } = require('../../websocket/socketServer');
 const { AppError } = require('../middlewares');
 const { validationResult } = require('express-validator');
 
@@ -10,26 +22,49 @@ class ConversationController {
   constructor() {
     this.conversationRepository = new ConversationRepository();
     this.userRepository = new UserRepository();
+    this.pinnedMessageRepository = new PinnedMessageRepository();
+    this.messageRepository = new MessageRepository();
   }
 
   getAll = async (req, res, next) => {
     try {
-      const { page = 1, limit = 20 } = req.query;
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { page = 1, limit = 20, archived, pinned, unread } = req.query;
       const profileId = req.user.profileId;
 
       const result = await this.conversationRepository.findByProfileId(profileId, {
         page: parseInt(page),
-        limit: parseInt(limit)
+        limit: parseInt(limit),
+        archived,
+        pinned,
+        unread
       });
 
-      const enrichedData = result.data.map(conv => {
-        const data = conv.toJSON();
-        const isParticipant1 = conv.participant1ProfileId === profileId;
-        data.otherParticipant = isParticipant1 ? conv.participant2 : conv.participant1;
-        data.unreadCount = isParticipant1 ? conv.unreadCount1 : conv.unreadCount2;
-        return data;
+      const enrichedData = result.data.map(conv => this._toResponse(conv, profileId));
+
+      res.json({ success: true, data: enrichedData, total: result.total, page: result.page, totalPages: result.totalPages });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // 📨 Solicitudes de mensaje recibidas (primer contacto de alguien que no es contacto)
+  getRequests = async (req, res, next) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const profileId = req.user.profileId;
+
+      const result = await this.conversationRepository.findRequestsForProfileId(profileId, {
+        page: parseInt(page),
+        limit: parseInt(limit)
       });
 
+      const enrichedData = result.data.map(conv => this._toResponse(conv, profileId));
+
       res.json({ success: true, data: enrichedData, total: result.total, page: result.page, totalPages: result.totalPages });
     } catch (error) {
       next(error);
@@ -51,13 +86,7 @@ class ConversationController {
         throw new AppError('Sin acceso', 403, 'ACCESS_DENIED');
       }
 
-      // Enriquecer con otherParticipant
-      const data = conversation.toJSON();
-      const isParticipant1 = conversation.participant1ProfileId === profileId;
-      data.otherParticipant = isParticipant1 ? conversation.participant2 : conversation.participant1;
-      data.unreadCount = isParticipant1 ? conversation.unreadCount1 : conversation.unreadCount2;
-
-      res.json({ success: true, data });
+      res.json({ success: true, data: this._toResponse(conversation, profileId) });
     } catch (error) {
       next(error);
     }
@@ -85,29 +114,86 @@ class ConversationController {
       let conversation = await this.conversationRepository.findByParticipants(myProfileId, participantProfileId);
       let isExisting = !!conversation;
 
+      // Si el otro lo bloqueó, la conversación no se reabre (quien bloqueó sí la recibe, para poder desbloquear)
+      if (conversation && conversation.isBlockedBy(participantProfileId)) {
+        throw new AppError('No se puede iniciar una conversación con este usuario', 403, 'USER_BLOCKED');
+      }
+
       if (!conversation) {
+        // Primer contacto: queda como solicitud hasta que el otro la acepte
         conversation = await this.conversationRepository.create({
           participant1ProfileId: myProfileId,
-          participant2ProfileId: participantProfileId
+          participant2ProfileId: participantProfileId,
+          requestStatus: REQUEST_STATUS.PENDING,
+          requestedByProfileId: myProfileId
         });
+      } else if (conversation.isRequestFor(myProfileId)) {
+        // Escribirle a quien nos envió la solicitud equivale a aceptarla
+        conversation = await this._acceptRequest(conversation, myProfileId);
       }
 
-      // Enriquecer con otherParticipant
-      const data = conversation.toJSON();
-      const isParticipant1 = conversation.participant1ProfileId === myProfileId;
-      data.otherParticipant = isParticipant1 ? conversation.participant2 : conversation.participant1;
-      data.unreadCount = isParticipant1 ? conversation.unreadCount1 : conversation.unreadCount2;
+      const data = this._toResponse(conversation, myProfileId);
 
       if (isExisting) {
         return res.json({ success: true, data, isExisting: true });
       }
 
+      inboxService.notifyConversation(conversation.id, [myProfileId]);
+
       res.status(201).json({ success: true, message: 'Conversación creada', data, isExisting: false });
     } catch (error) {
       next(error);
     }
   };
 
+  // ✅ Aceptar la solicitud: pasa a ser una conversación normal para los dos
+  accept = async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const profileId = req.user.profileId;
+
+      const conversation = await accessPolicy.assertConversationParticipant(id, profileId);
+      if (!conversation.isRequestFor(profileId)) {
+        throw new AppError('No hay una solicitud de mensaje pendiente', 409, 'NO_PENDING_REQUEST');
+      }
+
+      const updated = await this._acceptRequest(conversation, profileId);
+      res.json({ success: true, message: 'Solicitud aceptada', data: updated.toJSON() });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // ❌ Rechazar la solicitud: desaparece de las solicitudes y quien la envió ya no puede escribir
+  decline = async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const profileId = req.user.profileId;
+
+      const conversation = await accessPolicy.assertConversationParticipant(id, profileId);
+      if (!conversation.isRequestFor(profileId) || conversation.requestStatus !== REQUEST_STATUS.PENDING) {
+        throw new AppError('No hay una solicitud de mensaje pendiente', 409, 'NO_PENDING_REQUEST');
+      }
+
+      const updated = await this.conversationRepository.update(id, { requestStatus: REQUEST_STATUS.DECLINED });
+
+      const wsServer = getWebSocketServer();
+      if (wsServer) {
+        // Solo a los dispositivos de quien rechaza; quien envió la solicitud no recibe aviso
+        wsServer.emitToUser(profileId, 'message_request_updated', {
+          conversationId: id,
+          requestStatus: REQUEST_STATUS.DECLINED
+        });
+        wsServer.removeFromRoom(profileId, `conversation:${id}`);
+      }
+
+      console.log(`📨 ${profileId} rechazó la solicitud de ${conversation.requestedByProfileId}`);
+      res.json({ success: true, message: 'Solicitud rechazada', data: updated.toJSON() });
+    } catch (error) {
+      next(error);
+    }
+  };
+
   archive = async (req, res, next) => {
     try {
       const { id } = req.params;
@@ -118,18 +204,119 @@ class ConversationController {
         throw new AppError('Sin acceso', 403, 'ACCESS_DENIED');
       }
 
+      // Archivar no debe quitar el bloqueo
+      if (conversation.isBlockedBy(profileId)) {
+        throw new AppError('Desbloquea la conversación antes de archivarla', 409, 'CONVERSATION_BLOCKED');
+      }
+
+      // Archivar la desfija
       const isParticipant1 = conversation.participant1ProfileId === profileId;
       const updateData = isParticipant1
-        ? { participant1Status: 'archived' }
-        : { participant2Status: 'archived' };
+        ? { participant1Status: 'archived', participant1PinnedAt: null }
+        : { participant2Status: 'archived', participant2PinnedAt: null };
 
       const updated = await this.conversationRepository.update(id, updateData);
+      inboxService.notifyConversation(id, [profileId]);
+
       res.json({ success: true, message: 'Archivada', data: updated.toJSON() });
     } catch (error) {
       next(error);
     }
   };
 
+  unarchive = async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const profileId = req.user.profileId;
+
+      const conversation = await accessPolicy.assertConversationParticipant(id, profileId);
+      if (!conversation.isArchivedBy(profileId)) {
+        return res.json({ success: true, message: 'Sin cambios', data: this._toResponse(conversation, profileId) });
+      }
+
+      const isParticipant1 = conversation.participant1ProfileId === profileId;
+      const updated = await this.conversationRepository.update(id, isParticipant1
+        ? { participant1Status: CONVERSATION_STATUS.ACTIVE }
+        : { participant2Status: CONVERSATION_STATUS.ACTIVE });
+      inboxService.notifyConversation(id, [profileId]);
+
+      res.json({ success: true, message: 'Desarchivada', data: this._toResponse(updated, profileId) });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // 📍 Fijar arriba de la lista (solo para quien la fija; la última fijada queda primera)
+  pin = (req, res, next) => this._setPinned(req, res, next, true);
+
+  unpin = (req, res, next) => this._setPinned(req, res, next, false);
+
+  // 🚫 Bloquear al otro participante: ninguno de los dos puede escribir y dejan de verse la presencia
+  block = (req, res, next) => this._setBlocked(req, res, next, true);
+
+  // Desbloquear (si el otro también bloqueó, la conversación sigue bloqueada por su parte)
+  unblock = (req, res, next) => this._setBlocked(req, res, next, false);
+
+  // 🔕 Silenciar las notificaciones push por un tiempo (1h, 8h, 1w) o hasta reactivarlas (forever)
+  mute = (req, res, next) => this._setMuted(req, res, next, req.body.duration);
+
+  unmute = (req, res, next) => this._setMuted(req, res, next, null);
+
+  // ⏳ Mensajes temporales: TTL en segundos (null o 0 lo desactiva)
+  setMessageTtl = async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const ttlSeconds = req.body.ttlSeconds || null;
+      const profileId = req.user.profileId;
+
+      const conversation = await this.conversationRepository.findById(id);
+      if (!conversation || !conversation.isParticipant(profileId)) {
+        throw new AppError('Sin acceso', 403, 'ACCESS_DENIED');
+      }
+
+      if (conversation.messageTtlSeconds === ttlSeconds) {
+        return res.json({ success: true, message: 'Sin cambios', data: conversation.toJSON() });
+      }
+
+      const updated = await this.conversationRepository.update(id, { messageTtlSeconds: ttlSeconds });
+
+      await messageService.announceMessageTtl({ conversationId: id, groupId: null }, {
+        conversationId: id,
+        senderProfileId: profileId,
+        username: req.user.username,
+        ttlSeconds
+      });
+
+      res.json({ success: true, message: 'Mensajes temporales actualizados', data: updated.toJSON() });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // 📌 Mensajes fijados de la conversación
+  getPins = async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const profileId = req.user.profileId;
+
+      await accessPolicy.assertConversationParticipant(id, profileId);
+
+      const pins = await this.pinnedMessageRepository.findByConversation(id, { viewerProfileId: profileId });
+      res.json({
+        success: true,
+        data: pins.map(pin => pin.toJSON()),
+        limit: DEFAULT_MAX_PINNED_MESSAGES
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
   markAsRead = async (req, res, next) => {
     try {
       const { id } = req.params;
@@ -140,12 +327,169 @@ class ConversationController {
         throw new AppError('Sin acceso', 403, 'ACCESS_DENIED');
       }
 
-      const updated = await this.conversationRepository.resetUnread(id, profileId);
+      // Mismo efecto que POST /messages/mark-as-read: mensajes leídos y no leídos en 0
+      const messageIds = await this.messageRepository.markConversationAsRead(id, profileId);
+
+      if (messageIds.length > 0) {
+        await chatEventService.publish({ conversationId: id }, 'message_read', {
+          conversationId: id,
+          groupId: null,
+          profileId,
+          messageIds,
+          readAt: new Date()
+        }, { actorProfileId: profileId });
+      }
+
+      inboxService.notifyConversation(id, [profileId]);
+
+      const updated = await this.conversationRepository.findById(id);
       res.json({ success: true, message: 'Marcada como leída', data: updated.toJSON() });
     } catch (error) {
       next(error);
     }
   };
+
+  // Datos de la conversación desde el punto de vista del participante
+  _toResponse(conversation, profileId) {
+    const data = conversation.toJSON();
+    const isParticipant1 = conversation.participant1ProfileId === profileId;
+    data.otherParticipant = isParticipant1 ? conversation.participant2 : conversation.participant1;
+    data.unreadCount = conversation.getUnreadCountFor(profileId);
+    data.isMuted = conversation.isMutedBy(profileId);
+    data.pinnedAt = conversation.getPinnedAtFor(profileId);
+    return data;
+  }
+
+  async _setPinned(req, res, next, isPinned) {
+    try {
+      const { id } = req.params;
+      const profileId = req.user.profileId;
+
+      const conversation = await accessPolicy.assertConversationParticipant(id, profileId);
+      if (Boolean(conversation.getPinnedAtFor(profileId)) === isPinned) {
+        return res.json({ success: true, message: 'Sin cambios', data: this._toResponse(conversation, profileId) });
+      }
+
+      if (isPinned) {
+        if (conversation.isArchivedBy(profileId)) {
+          throw new AppError('Desarchiva la conversación antes de fijarla', 409, 'CONVERSATION_ARCHIVED');
+        }
+
+        const pinnedCount = await this.conversationRepository.countPinnedByProfileId(profileId);
+        if (pinnedCount >= MAX_PINNED_CONVERSATIONS) {
+          throw new AppError(`Solo se pueden fijar ${MAX_PINNED_CONVERSATIONS} conversaciones`, 409, 'PIN_LIMIT_REACHED');
+        }
+      }
+
+      const pinnedAt = isPinned ? new Date() : null;
+      const isParticipant1 = conversation.participant1ProfileId === profileId;
+      const updated = await this.conversationRepository.update(id, isParticipant1
+        ? { participant1PinnedAt: pinnedAt }
+        : { participant2PinnedAt: pinnedAt });
+      inboxService.notifyConversation(id, [profileId]);
+
+      res.json({ success: true, message: isPinned ? 'Conversación fijada' : 'Conversación desfijada', data: this._toResponse(updated, profileId) });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async _acceptRequest(conversation, profileId) {
+    const updated = await this.conversationRepository.update(conversation.id, { requestStatus: REQUEST_STATUS.ACCEPTED });
+
+    await chatEventService.publish({ conversationId: conversation.id }, 'message_request_updated', {
+      conversationId: conversation.id,
+      requestStatus: REQUEST_STATUS.ACCEPTED
+    }, { actorProfileId: profileId });
+
+    // Entra en la bandeja de quien acepta
+    inboxService.notifyConversation(conversation.id, [profileId]);
+
+    // Ahora son contactos: pueden verse la presencia según su privacidad
+    const wsServer = getWebSocketServer();
+    if (wsServer) wsServer.refreshPresenceBetween(profileId, conversation.requestedByProfileId);
+
+    console.log(`📨 ${profileId} aceptó la solicitud de ${conversation.requestedByProfileId}`);
+    return updated;
+  }
+
+  async _setMuted(req, res, next, duration) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const profileId = req.user.profileId;
+
+      const conversation = await accessPolicy.assertConversationParticipant(id, profileId);
+      const mutedUntil = duration ? getMutedUntil(duration) : null;
+      const isParticipant1 = conversation.participant1ProfileId === profileId;
+      const updated = await this.conversationRepository.update(id, isParticipant1
+        ? { participant1MutedUntil: mutedUntil }
+        : { participant2MutedUntil: mutedUntil });
+
+      const wsServer = getWebSocketServer();
+      if (wsServer) {
+        // Los demás dispositivos del usuario actualizan el ícono de silencio
+        wsServer.emitToUser(profileId, 'mute_updated', { conversationId: id, groupId: null, mutedUntil });
+      }
+      inboxService.notifyConversation(id, [profileId]);
+
+      res.json({
+        success: true,
+        message: mutedUntil ? 'Conversación silenciada' : 'Notificaciones activadas',
+        data: this._toResponse(updated, profileId)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async _setBlocked(req, res, next, isBlocked) {
+    try {
+      const { id } = req.params;
+      const profileId = req.user.profileId;
+
+      const conversation = await accessPolicy.assertConversationParticipant(id, profileId);
+      const otherProfileId = conversation.getOtherParticipant(profileId);
+
+      if (conversation.isBlockedBy(profileId) === isBlocked) {
+        return res.json({ success: true, message: 'Sin cambios', data: conversation.toJSON() });
+      }
+
+      // Al bloquear se guarda el estado anterior (p. ej. archivada) y al desbloquear se restaura
+      const status = isBlocked ? CONVERSATION_STATUS.BLOCKED : conversation.getStatusBeforeBlockFor(profileId);
+      const statusBeforeBlock = isBlocked ? conversation.getStatusFor(profileId) : null;
+      const isParticipant1 = conversation.participant1ProfileId === profileId;
+      const updated = await this.conversationRepository.update(id, isParticipant1
+        ? { participant1Status: status, participant1StatusBeforeBlock: statusBeforeBlock }
+        : { participant2Status: status, participant2StatusBeforeBlock: statusBeforeBlock });
+
+      const wsServer = getWebSocketServer();
+      if (wsServer) {
+        // Solo a los dispositivos de quien bloquea; el otro usuario no recibe aviso
+        wsServer.emitToUser(profileId, 'conversation_block_updated', {
+          conversationId: id,
+          profileId: otherProfileId,
+          isBlocked
+        });
+        wsServer.refreshPresenceBetween(profileId, otherProfileId);
+
+        // En una conversación bloqueada no hay actividad en vivo: ambos salen de la sala
+        if (isBlocked) {
+          wsServer.removeFromRoom(profileId, `conversation:${id}`);
+          wsServer.removeFromRoom(otherProfileId, `conversation:${id}`);
+        }
+      }
+
+      console.log(`🚫 ${profileId} ${isBlocked ? 'bloqueó' : 'desbloqueó'} a ${otherProfileId}`);
+      res.json({ success: true, message: isBlocked ? 'Usuario bloqueado' : 'Usuario desbloqueado', data: updated.toJSON() });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new ConversationController();
\ No newline at end of file
@@ -2,15 +2,22 @@
  * Controller: GroupController
  */
 
-const { GroupRepository, GroupMemberRepository } = require('../../repositories');
+const { GroupRepository, GroupMemberRepository, PinnedMessageRepository } = require('../../repositories');
 const { AppError } = require('../middlewares');
 const { validationResult } = require('express-validator');
-const { GROUP_TYPES, MEMBER_ROLES } = require('../../../domain/entities');
+const { GROUP_TYPES, MEMBER_ROLES, getMutedUntil } = require('../../../domain/entities');
+const messageService = require('../../services/MessageService');
+const accessPolicy = require('../../services/AccessPolicy');
+const groupResolver = require('../../services/GroupResolver');
+const chatEventService = require('../../services/ChatEventService');
+const inboxService = require('../../services/InboxService');
+const { getWebSocketServer } = require('../../websocket/socketServer');
 
 class GroupController {
   constructor() {
     this.groupRepository = new GroupRepository();
     this.groupMemberRepository = new GroupMemberRepository();
+    this.pinnedMessageRepository = new PinnedMessageRepository();
   }
 
   getAll = async (req, res, next) => {
@@ -126,16 +133,7 @@ class GroupController {
       const { id } = req.params;
       const profileId = req.user?.profileId;
 
-      // 🔥 Try findById first (internal ID), then fallback to findByExternalId
-      let group = await this.groupRepository.findById(id);
-      if (!group) {
-        // Try by external ID
-        group = await this.groupRepository.findByExternalId(id);
-      }
-
-      if (!group) {
-        throw new AppError('Grupo no encontrado', 404, 'GROUP_NOT_FOUND');
-      }
+      const group = await this._findGroup(id);
 
       const data = group.toJSON();
 
@@ -191,22 +189,24 @@ class GroupController {
 
   update = async (req, res, next) => {
     try {
-      const { id } = req.params;
       const profileId = req.user.profileId;
-      const { name, description, imageUrl, maxMembers, isPublic, location, scheduledAt } = req.body;
-
-      const group = await this.groupRepository.findById(id);
-      if (!group) {
-        throw new AppError('Grupo no encontrado', 404, 'GROUP_NOT_FOUND');
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
       }
 
+      const { name, description, imageUrl, maxMembers, isPublic, location, scheduledAt, settings } = req.body;
+
+      const group = await this._findGroup(req.params.id);
+      const id = group.id;
+
       const membership = await this.groupMemberRepository.findMembership(id, profileId);
       if (!membership || !membership.canEditGroup()) {
         throw new AppError('Sin permisos', 403, 'NOT_AUTHORIZED');
       }
 
       const updated = await this.groupRepository.update(id, {
-        name, description, imageUrl, maxMembers, isPublic, location, scheduledAt
+        name, description, imageUrl, maxMembers, isPublic, location, scheduledAt, settings
       });
 
       res.json({ success: true, message: 'Grupo actualizado', data: updated.toJSON() });
@@ -217,13 +217,10 @@ class GroupController {
 
   delete = async (req, res, next) => {
     try {
-      const { id } = req.params;
       const profileId = req.user.profileId;
 
-      const group = await this.groupRepository.findById(id);
-      if (!group) {
-        throw new AppError('Grupo no encontrado', 404, 'GROUP_NOT_FOUND');
-      }
+      const group = await this._findGroup(req.params.id);
+      const id = group.id;
 
       const membership = await this.groupMemberRepository.findMembership(id, profileId);
       if (!membership || !membership.isOwner()) {
@@ -231,6 +228,7 @@ class GroupController {
       }
 
       await this.groupRepository.delete(id);
+      groupResolver.forget(id);
       res.json({ success: true, message: 'Grupo eliminado' });
     } catch (error) {
       next(error);
@@ -239,13 +237,10 @@ class GroupController {
 
   join = async (req, res, next) => {
     try {
-      const { id } = req.params;
       const profileId = req.user.profileId;
 
-      const group = await this.groupRepository.findById(id);
-      if (!group) {
-        throw new AppError('Grupo no encontrado', 404, 'GROUP_NOT_FOUND');
-      }
+      const group = await this._findGroup(req.params.id);
+      const id = group.id;
 
       const existingMembership = await this.groupMemberRepository.findMembership(id, profileId);
       if (existingMembership && existingMembership.status !== 'left') {
@@ -262,9 +257,12 @@ class GroupController {
 
       let membership;
       if (existingMembership) {
+        // Al volver, la membresía empieza de nuevo: /sync no devuelve lo ocurrido mientras no era miembro
         membership = await this.groupMemberRepository.update(existingMembership.id, {
           status: 'active',
-          role: MEMBER_ROLES.MEMBER
+          role: MEMBER_ROLES.MEMBER,
+          joinedAt: new Date(),
+          unreadCount: 0
         });
       } else {
         membership = await this.groupMemberRepository.create({
@@ -275,6 +273,9 @@ class GroupController {
       }
 
       await this.groupRepository.incrementMemberCount(id);
+      await chatEventService.publishMemberEvent('member_joined', id, membership, { actorProfileId: profileId });
+      inboxService.notifyGroup(id, [profileId]);
+
       res.json({ success: true, message: 'Te uniste al grupo', data: membership.toJSON() });
     } catch (error) {
       next(error);
@@ -283,9 +284,11 @@ class GroupController {
 
   leave = async (req, res, next) => {
     try {
-      const { id } = req.params;
       const profileId = req.user.profileId;
 
+      const group = await this._findGroup(req.params.id);
+      const id = group.id;
+
       const membership = await this.groupMemberRepository.findMembership(id, profileId);
       if (!membership) {
         throw new AppError('No eres miembro', 400, 'NOT_A_MEMBER');
@@ -297,21 +300,26 @@ class GroupController {
 
       await this.groupMemberRepository.update(membership.id, { status: 'left' });
       await this.groupRepository.decrementMemberCount(id);
+      await chatEventService.publishMemberEvent('member_left', id, membership, { actorProfileId: profileId, reason: 'left' });
+      inboxService.notifyGroup(id, [profileId]);
 
       res.json({ success: true, message: 'Saliste del grupo' });
     } catch (error) {
       next(error);
     }
   };
+
+  // 🔕 Silenciar las notificaciones push del grupo (1h, 8h, 1w o forever); no cambia el estado del miembro
+  mute = (req, res, next) => this._setMuted(req, res, next, req.body.duration);
+
+  unmute = (req, res, next) => this._setMuted(req, res, next, null);
+
   getMembers = async (req, res, next) => {
     try {
-      const { id } = req.params;
       const { page = 1, limit = 50 } = req.query;
 
-      const group = await this.groupRepository.findById(id);
-      if (!group) {
-        throw new AppError('Grupo no encontrado', 404, 'GROUP_NOT_FOUND');
-      }
+      const group = await this._findGroup(req.params.id);
+      const id = group.id;
 
       const result = await this.groupMemberRepository.findByGroupId(id, {
         page: parseInt(page),
@@ -325,6 +333,72 @@ class GroupController {
     }
   };
 
+  // ⏳ Mensajes temporales: TTL en segundos (null o 0 lo desactiva)
+  setMessageTtl = async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const ttlSeconds = req.body.ttlSeconds || null;
+      const profileId = req.user.profileId;
+
+      const group = await this._findGroup(req.params.id);
+      const id = group.id;
+
+      const membership = await this.groupMemberRepository.findMembership(id, profileId);
+      if (!membership || !membership.canEditGroup()) {
+        throw new AppError('Sin permisos', 403, 'NOT_AUTHORIZED');
+      }
+
+      if (group.messageTtlSeconds === ttlSeconds) {
+        return res.json({ success: true, message: 'Sin cambios', data: group.toJSON() });
+      }
+
+      const updated = await this.groupRepository.update(id, { messageTtlSeconds: ttlSeconds });
+
+      await messageService.announceMessageTtl({ conversationId: null, groupId: groupResolver.getPublicId(group) }, {
+        groupId: id,
+        senderProfileId: profileId,
+        username: req.user.username,
+        ttlSeconds
+      });
+
+      res.json({ success: true, message: 'Mensajes temporales actualizados', data: updated.toJSON() });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // 📌 Mensajes fijados del grupo (solo miembros)
+  getPins = async (req, res, next) => {
+    try {
+      const profileId = req.user.profileId;
+
+      const group = await this._findGroup(req.params.id);
+      const id = group.id;
+
+      await accessPolicy.assertGroupMember(id, profileId);
+
+      const pins = await this.pinnedMessageRepository.findByGroup(id, { viewerProfileId: profileId });
+
+      res.json({
+        success: true,
+        data: pins.map(pin => {
+          // groupId como external ID, igual que en los mensajes emitidos por WebSocket
+          const data = pin.toJSON();
+          data.groupId = groupResolver.getPublicId(group);
+          if (data.message) data.message.groupId = data.groupId;
+          return data;
+        }),
+        limit: group.getMaxPinnedMessages()
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
   syncGroup = async (req, res, next) => {
     try {
       console.log('\n🔥🔥🔥 SYNC GROUP ENDPOINT LLAMADO 🔥🔥🔥');
@@ -411,6 +485,49 @@ class GroupController {
       next(error);
     }
   };
+
+  // Guarda hasta cuándo está silenciado el grupo para el usuario (null = notificaciones activas)
+  async _setMuted(req, res, next, duration) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const profileId = req.user.profileId;
+
+      const group = await this._findGroup(req.params.id);
+      await accessPolicy.assertGroupMember(group.id, profileId);
+
+      const membership = await this.groupMemberRepository.findMembership(group.id, profileId);
+      const mutedUntil = duration ? getMutedUntil(duration) : null;
+      const updated = await this.groupMemberRepository.update(membership.id, { mutedUntil });
+
+      const wsServer = getWebSocketServer();
+      if (wsServer) {
+        // Los demás dispositivos del usuario actualizan el ícono de silencio
+        wsServer.emitToUser(profileId, 'mute_updated', {
+          conversationId: null,
+          groupId: groupResolver.getPublicId(group),
+          mutedUntil
+        });
+      }
+      inboxService.notifyGroup(group.id, [profileId]);
+
+      res.json({ success: true, message: mutedUntil ? 'Grupo silenciado' : 'Notificaciones activadas', data: updated.toJSON() });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // 🔥 Acepta el ID interno o el external ID (ver GroupResolver)
+  async _findGroup(groupId) {
+    const group = await groupResolver.findGroup(groupId);
+    if (!group) {
+      throw new AppError('Grupo no encontrado', 404, 'GROUP_NOT_FOUND');
+    }
+    return group;
+  }
 }
 
 module.exports = new GroupController();
@@ -2,6 +2,8 @@ const { GroupMemberRepository, GroupRepository } = require('../../repositories')
 const { AppError } = require('../middlewares');
 const { validationResult } = require('express-validator');
 const { MEMBER_ROLES, MEMBER_STATUS } = require('../../../domain/entities');
+const groupResolver = require('../../services/GroupResolver');
+const chatEventService = require('../../services/ChatEventService');
 
 class GroupMemberController {
   constructor() {
@@ -80,6 +82,8 @@ class GroupMemberController {
       });
 
       await this.groupRepository.incrementMemberCount(groupId);
+      await chatEventService.publishMemberEvent('member_joined', groupId, member, { actorProfileId: adminProfileId });
+
       res.status(201).json({ success: true, message: 'Miembro agregado', data: member.toJSON() });
     } catch (error) {
       next(error);
@@ -105,6 +109,8 @@ class GroupMemberController {
       }
 
       const member = await this.groupMemberRepository.update(id, { role, nickname, status });
+      await chatEventService.publishMemberEvent('member_updated', member.groupId, member, { actorProfileId: adminProfileId });
+
       res.json({ success: true, message: 'Membresía actualizada', data: member.toJSON() });
     } catch (error) {
       next(error);
@@ -134,6 +140,10 @@ class GroupMemberController {
 
       await this.groupMemberRepository.update(id, { status: MEMBER_STATUS.LEFT });
       await this.groupRepository.decrementMemberCount(memberToRemove.groupId);
+      await chatEventService.publishMemberEvent('member_left', memberToRemove.groupId, memberToRemove, {
+        actorProfileId: adminProfileId,
+        reason: isSelf ? 'left' : 'removed'
+      });
 
       res.json({ success: true, message: isSelf ? 'Saliste del grupo' : 'Miembro eliminado' });
     } catch (error) {
@@ -164,6 +174,7 @@ class GroupMemberController {
       const member = await this.groupMemberRepository.update(id, {
         role: role || MEMBER_ROLES.MODERATOR
       });
+      await chatEventService.publishMemberEvent('member_updated', member.groupId, member, { actorProfileId: adminProfileId });
 
       res.json({ success: true, message: 'Miembro promovido', data: member.toJSON() });
     } catch (error) {
@@ -188,6 +199,10 @@ class GroupMemberController {
 
       await this.groupMemberRepository.update(id, { status: MEMBER_STATUS.BANNED });
       await this.groupRepository.decrementMemberCount(memberToBan.groupId);
+      await chatEventService.publishMemberEvent('member_left', memberToBan.groupId, memberToBan, {
+        actorProfileId: adminProfileId,
+        reason: 'banned'
+      });
 
       res.json({ success: true, message: 'Miembro baneado' });
     } catch (error) {
@@ -217,9 +232,9 @@ class GroupMemberController {
       throw new AppError('communityId es requerido', 400, 'MISSING_COMMUNITY_ID');
     }
 
-    // 🔥 BUSCAR EL GRUPO DE CHAT POR external_id
+    // 🔥 BUSCAR EL GRUPO DE CHAT POR external_id (o ID interno)
     console.log(`🔍 Buscando grupo de chat con external_id: ${communityId}`);
-    const group = await this.groupRepository.findByExternalId(communityId);
+    const group = await groupResolver.findGroup(communityId);
     
     if (!group) {
       console.log(`❌ Grupo de chat NO encontrado para comunidad ${communityId}`);
@@ -242,10 +257,13 @@ class GroupMemberController {
       if (existingMembership.status === 'left') {
         console.log(`🔄 Reactivando miembro ${profileId}`);
         const reactivated = await this.groupMemberRepository.update(existingMembership.id, {
-          status: 'active'
+          status: 'active',
+          joinedAt: new Date(),
+          unreadCount: 0
         });
         
         await this.groupRepository.incrementMemberCount(chatGroupId);
+        await chatEventService.publishMemberEvent('member_joined', chatGroupId, reactivated);
         
         return res.status(200).json({
           success: true,
@@ -272,6 +290,7 @@ class GroupMemberController {
     });
 
     await this.groupRepository.incrementMemberCount(chatGroupId);
+    await chatEventService.publishMemberEvent('member_joined', chatGroupId, member);
 
     console.log(`✅✅✅ Usuario ${profileId} agregado exitosamente al grupo ${chatGroupId}`);
     console.log('🔥🔥🔥 SYNC ADD MEMBER COMPLETADO 🔥🔥🔥\n');
@@ -297,8 +316,8 @@ syncRemoveMember = async (req, res, next) => {
 
     console.log(`📥 Removiendo miembro: ${profileId} de comunidad: ${communityId}`);
 
-    // 🔥 BUSCAR GRUPO POR external_id
-    const group = await this.groupRepository.findByExternalId(communityId);
+    // 🔥 BUSCAR GRUPO POR external_id (o ID interno)
+    const group = await groupResolver.findGroup(communityId);
     
     if (!group) {
       console.log(`❌ Grupo no encontrado para comunidad ${communityId}`);
@@ -329,6 +348,7 @@ syncRemoveMember = async (req, res, next) => {
     });
 
     await this.groupRepository.decrementMemberCount(chatGroupId);
+    await chatEventService.publishMemberEvent('member_left', chatGroupId, membership, { reason: 'removed' });
 
     console.log(`✅ Usuario ${profileId} removido del grupo ${chatGroupId}`);
     console.log('🚪🚪🚪 SYNC REMOVE MEMBER COMPLETADO 🚪🚪🚪\n');
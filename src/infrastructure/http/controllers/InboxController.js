@@ -0,0 +1,32 @@
+/**
+ * Controller: InboxController
+ */
+
+const inboxService = require('../../services/InboxService');
+const { validationResult } = require('express-validator');
+
+class InboxController {
+  // 📥 Conversaciones y grupos del usuario en una sola lista, por última actividad
+  getInbox = async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { cursor, limit } = req.query;
+      const result = await inboxService.getInbox(req.user.profileId, { cursor, limit });
+
+      res.json({
+        success: true,
+        data: result.entries.map(entry => entry.toJSON()),
+        nextCursor: result.nextCursor,
+        hasMore: result.hasMore
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = new InboxController();
@@ -2,35 +2,52 @@
  * Controller: MessageController
  */
 
-const { MessageRepository, GroupMemberRepository, GroupRepository, ConversationRepository } = require('../../repositories');
+const { MessageRepository, GroupMemberRepository, GroupRepository, ConversationRepository, MessageReactionRepository, MessageReceiptRepository, MessageRevisionRepository, PinnedMessageRepository, ScheduledMessageRepository } = require('../../repositories');
+const { DEFAULT_MESSAGE_EDIT_WINDOW_HOURS, DEFAULT_MAX_PINNED_MESSAGES } = require('../../../domain/entities');
 const { AppError } = require('../middlewares');
 const { validationResult } = require('express-validator');
 const rabbitMQPublisher = require('../../messaging/RabbitMQPublisher');
-const { getWebSocketServer } = require('../../websocket/socketServer');
-const axios = require('axios');
-
-// 🔥 Helper to get sender profile info (displayName + avatarUrl) from social-service
-async function getSenderProfile(profileId, authHeader, fallbackUsername) {
-  try {
-    const SOCIAL_SERVICE_URL = process.env.SOCIAL_SERVICE_URL || 'http://social-service:3002';
-    const response = await axios.get(`${SOCIAL_SERVICE_URL}/api/v1/profiles/${profileId}`, {
-      headers: { 'Authorization': authHeader },
-      timeout: 3000 // 3 second timeout
-    });
+const chatEventService = require('../../services/ChatEventService');
+const inboxService = require('../../services/InboxService');
+const messageService = require('../../services/MessageService');
+const accessPolicy = require('../../services/AccessPolicy');
+const groupResolver = require('../../services/GroupResolver');
+
+const MAX_PAGE_SIZE = 100;
+
+// `sendAt` debe ser una fecha futura válida
+function parseSendAt(sendAt) {
+  const date = new Date(sendAt);
+  if (isNaN(date.getTime()) || date.getTime() <= Date.now()) {
+    throw new AppError('sendAt debe ser una fecha futura', 400, 'INVALID_SEND_AT');
+  }
+  return date;
+}
 
-    const profile = response.data?.data?.profile || response.data?.data;
-    if (profile) {
-      return {
-        displayName: profile.displayName || fallbackUsername || 'Usuario',
-        avatarUrl: profile.avatarUrl || ''
-      };
-    }
-  } catch (error) {
-    console.log(`⚠️ Could not get profile for ${profileId}, using fallback: ${fallbackUsername}`);
+// Página desde 1 y tamaño entre 1 y MAX_PAGE_SIZE (50 por defecto)
+function parsePage(page) {
+  return Math.max(parseInt(page) || 1, 1);
+}
+
+function parseLimit(limit) {
+  return Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+}
+
+// Opciones de historial: `page` (offset, compatibilidad) o cursores before/after/around
+function parseHistoryQuery(query) {
+  const { page, limit, before, after, around } = query;
+
+  const cursors = [before, after, around].filter(Boolean);
+  if (cursors.length > 1) {
+    throw new AppError('Solo puede especificar uno de before, after o around', 400, 'INVALID_CURSOR');
   }
+
   return {
-    displayName: fallbackUsername || 'Usuario',
-    avatarUrl: ''
+    page: cursors.length === 0 && page ? parsePage(page) : undefined,
+    limit: parseLimit(limit),
+    before,
+    after,
+    around
   };
 }
 
@@ -40,25 +57,39 @@ class MessageController {
     this.groupMemberRepository = new GroupMemberRepository();
     this.groupRepository = new GroupRepository();
     this.conversationRepository = new ConversationRepository();
+    this.messageReactionRepository = new MessageReactionRepository();
+    this.messageReceiptRepository = new MessageReceiptRepository();
+    this.messageRevisionRepository = new MessageRevisionRepository();
+    this.pinnedMessageRepository = new PinnedMessageRepository();
+    this.scheduledMessageRepository = new ScheduledMessageRepository();
   }
 
   // Obtener mensajes de una conversación 1-a-1
   getByConversation = async (req, res, next) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
       const { conversationId } = req.params;
-      const { page = 1, limit = 50 } = req.query;
+      const historyOptions = parseHistoryQuery(req.query);
       const profileId = req.user.profileId;
 
       console.log(`📥 Obteniendo mensajes de conversación: ${conversationId}`);
 
       // Verificar que el usuario sea parte de la conversación
-      // (esto debería hacerse en ConversationRepository)
+      await accessPolicy.assertConversationParticipant(conversationId, profileId);
 
       const result = await this.messageRepository.findByConversation(conversationId, {
-        page: parseInt(page),
-        limit: parseInt(limit)
+        ...historyOptions,
+        viewerProfileId: profileId
       });
 
+      if (!result) {
+        throw new AppError('Cursor inválido', 400, 'INVALID_CURSOR');
+      }
+
       res.json({
         success: true,
         ...result
@@ -74,48 +105,49 @@ class MessageController {
     try {
       console.log('\n📥 GET MESSAGES BY GROUP');
 
-      const { groupId } = req.params; // Este es el externalId (communityId)
-      const { page = 1, limit = 50 } = req.query;
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { groupId } = req.params; // externalId (communityId) o ID interno
+      const historyOptions = parseHistoryQuery(req.query);
       const profileId = req.user.profileId;
 
-      console.log(`📍 Group ID (external): ${groupId}`);
+      console.log(`📍 Group ID: ${groupId}`);
       console.log(`👤 Profile ID: ${profileId}`);
 
-      // 🔥 BUSCAR EL GRUPO POR EXTERNAL_ID
-      console.log('🔍 Buscando grupo por external_id...');
-      const group = await this.groupRepository.findByExternalId(groupId);
-
-      if (!group) {
-        console.log('❌ Grupo no encontrado');
-        throw new AppError('Grupo no encontrado', 404, 'GROUP_NOT_FOUND');
-      }
+      // 🔥 RESOLVER EL GRUPO (external o interno) Y VERIFICAR MEMBRESÍA
+      const group = await accessPolicy.getGroupForMember(groupId, profileId);
 
       const internalGroupId = group.id; // Este es el ID interno
-      console.log(`✅ Grupo encontrado: ${group.name}`);
-      console.log(`📌 ID interno: ${internalGroupId}`);
-
-      // Verificar membresía usando el ID interno
-      console.log('🔍 Verificando membresía...');
-      const isMember = await this.groupMemberRepository.isMember(internalGroupId, profileId);
-
-      if (!isMember) {
-        console.log('❌ Usuario no es miembro del grupo');
-        throw new AppError('No eres miembro', 403, 'NOT_A_MEMBER');
-      }
-
-      console.log('✅ Usuario es miembro, obteniendo mensajes...');
+      console.log(`✅ Grupo encontrado: ${group.name} (ID interno: ${internalGroupId}), obteniendo mensajes...`);
 
       // Obtener mensajes usando el ID interno
       const result = await this.messageRepository.findByGroup(internalGroupId, {
-        page: parseInt(page),
-        limit: parseInt(limit)
+        ...historyOptions,
+        viewerProfileId: profileId
       });
 
+      if (!result) {
+        throw new AppError('Cursor inválido', 400, 'INVALID_CURSOR');
+      }
+
       console.log(`✅ ${result.data.length} mensajes obtenidos`);
 
+      // 📬 Haber obtenido los mensajes implica que fueron entregados a este miembro
+      await this._markDelivered(
+        result.data.filter(message => message.senderProfileId !== profileId).map(message => message.id),
+        profileId
+      );
+
+      // groupId como ID público, igual que en new_group_message
+      const publicGroupId = groupResolver.getPublicId(group);
+
       res.json({
         success: true,
-        ...result
+        ...result,
+        data: result.data.map(message => ({ ...message.toJSON(), groupId: publicGroupId }))
       });
 
     } catch (error) {
@@ -124,24 +156,57 @@ class MessageController {
     }
   };
 
-  // Obtener un mensaje por ID
-  getById = async (req, res, next) => {
+  // 🔍 Buscar mensajes en mis conversaciones y grupos
+  search = async (req, res, next) => {
     try {
-      const { id } = req.params;
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { q, conversationId, groupId, senderProfileId, messageType, from, to, page = 1, limit = 20 } = req.query;
       const profileId = req.user.profileId;
 
-      const message = await this.messageRepository.findById(id);
+      let conversationIds = [];
+      let groupIds = [];
 
-      if (!message) {
-        throw new AppError('Mensaje no encontrado', 404, 'MESSAGE_NOT_FOUND');
+      if (conversationId) {
+        await accessPolicy.assertConversationParticipant(conversationId, profileId);
+        conversationIds = [conversationId];
+      } else if (groupId) {
+        // groupId es el ID público (external), aunque también se acepta el interno
+        const group = await accessPolicy.getGroupForMember(groupId, profileId);
+        groupIds = [group.id];
+      } else {
+        [conversationIds, groupIds] = await Promise.all([
+          this.conversationRepository.findIdsByProfileId(profileId),
+          this.groupMemberRepository.findGroupIdsByProfileId(profileId)
+        ]);
       }
 
-      // Verificar permisos (si es parte de la conversación o grupo)
-      // TODO: Implementar verificación de permisos
+      const result = await this.messageRepository.search({
+        query: q,
+        conversationIds,
+        groupIds,
+        senderProfileId,
+        messageType,
+        from,
+        to,
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit), MAX_PAGE_SIZE)
+      });
+
+      const messages = await messageService.serialize(result.data);
 
       res.json({
         success: true,
-        data: message.toJSON()
+        data: result.data.map((message, index) => ({
+          ...messages[index],
+          sender: message.sender || null,
+          snippet: message.snippet,
+          rank: message.rank
+        })),
+        pagination: result.pagination
       });
 
     } catch (error) {
@@ -149,183 +214,183 @@ class MessageController {
     }
   };
 
-  // Crear un nuevo mensaje
-  create = async (req, res, next) => {
+  // ⏰ Mis mensajes programados
+  getScheduled = async (req, res, next) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         return res.status(400).json({ success: false, errors: errors.array() });
       }
 
-      const { conversationId, groupId, content, messageType, mediaUrl, replyToId } = req.body;
-      const senderProfileId = req.user.profileId;
+      const { status, page = 1, limit = 20 } = req.query;
+      const profileId = req.user.profileId;
+
+      const result = await this.scheduledMessageRepository.findBySender(profileId, {
+        status,
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit), MAX_PAGE_SIZE)
+      });
 
-      console.log(`📤 Creando mensaje de: ${senderProfileId}`);
+      res.json({
+        success: true,
+        data: result.data.map(scheduled => scheduled.toJSON()),
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  };
 
-      // Validar que tenga conversationId O groupId (no ambos)
-      if (conversationId && groupId) {
-        throw new AppError('Solo puede especificar conversationId O groupId', 400, 'INVALID_TARGET');
+  // Editar un mensaje programado (solo mientras esté pendiente)
+  updateScheduled = async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
       }
 
-      if (!conversationId && !groupId) {
-        throw new AppError('Debe especificar conversationId o groupId', 400, 'MISSING_TARGET');
+      const { id } = req.params;
+      const { content, mediaUrl, sendAt } = req.body;
+
+      await this._getOwnScheduled(id, req.user.profileId);
+
+      const updated = await this.scheduledMessageRepository.updatePending(id, {
+        content,
+        mediaUrl,
+        sendAt: sendAt !== undefined ? parseSendAt(sendAt) : undefined
+      });
+
+      if (!updated) {
+        throw new AppError('El mensaje ya no está pendiente', 409, 'SCHEDULED_NOT_PENDING');
       }
 
-      // Si es mensaje de grupo, verificar membresía con external_id
-      if (groupId) {
-        console.log('🔍 Verificando membresía en grupo...');
+      res.json({
+        success: true,
+        message: 'Mensaje programado actualizado',
+        data: updated.toJSON()
+      });
 
-        // 🔥 BUSCAR GRUPO POR EXTERNAL_ID
-        const group = await this.groupRepository.findByExternalId(groupId);
+    } catch (error) {
+      next(error);
+    }
+  };
 
-        if (!group) {
-          throw new AppError('Grupo no encontrado', 404, 'GROUP_NOT_FOUND');
-        }
+  // Cancelar un mensaje programado
+  cancelScheduled = async (req, res, next) => {
+    try {
+      const { id } = req.params;
 
-        const internalGroupId = group.id;
-        console.log(`✅ Grupo encontrado: ${group.name} (ID interno: ${internalGroupId})`);
+      await this._getOwnScheduled(id, req.user.profileId);
 
-        const isMember = await this.groupMemberRepository.isMember(internalGroupId, senderProfileId);
+      const cancelled = await this.scheduledMessageRepository.cancel(id);
+      if (!cancelled) {
+        throw new AppError('El mensaje ya no está pendiente', 409, 'SCHEDULED_NOT_PENDING');
+      }
 
-        if (!isMember) {
-          throw new AppError('No eres miembro del grupo', 403, 'NOT_A_MEMBER');
-        }
+      res.json({
+        success: true,
+        message: 'Mensaje programado cancelado'
+      });
 
-        // Crear mensaje con el ID interno
-        const message = await this.messageRepository.create({
-          groupId: internalGroupId, // 🔥 USAR ID INTERNO
-          senderProfileId,
-          content,
-          messageType: messageType || 'text',
-          mediaUrl,
-          replyToId
-        });
+    } catch (error) {
+      next(error);
+    }
+  };
 
-        // Incrementar contadores de no leídos
-        await this.groupMemberRepository.incrementUnreadForAll(internalGroupId, senderProfileId);
-
-        // 📤 Publicar evento MESSAGE_RECEIVED a RabbitMQ
-        // Obtener todos los miembros del grupo excepto el emisor
-        const groupMembersResult = await this.groupMemberRepository.findByGroupId(internalGroupId);
-        const groupMembers = groupMembersResult?.data || []; // 🔥 Extract data array from paginated result
-
-        console.log(`📋 Miembros del grupo encontrados: ${groupMembers.length}`);
-
-        // 🔥 Get profile info (displayName + avatarUrl) from social-service (before loop)
-        const senderProfile = await getSenderProfile(
-          senderProfileId,
-          req.headers.authorization,
-          req.user.username
-        );
-
-        // Safety check: ensure groupMembers is an array before iterating
-        if (groupMembers && Array.isArray(groupMembers) && groupMembers.length > 0) {
-          console.log(`📤 Enviando notificaciones a ${groupMembers.length} miembros`);
-          groupMembers.forEach(member => {
-            // No notificar al emisor
-            if (member.profileId !== senderProfileId) {
-              console.log(`   → Notificando a: ${member.profileId}`);
-              rabbitMQPublisher.publishEvent(
-                'MESSAGE_RECEIVED',
-                {
-                  messageId: message.id,
-                  senderUserId: senderProfileId,
-                  recipientUserId: member.profileId,
-                  conversationId: null,
-                  groupId: groupId, // External ID para deep links
-                  groupName: group.name, // 🔥 Add group name for notification title
-                  messagePreview: content.substring(0, 50),
-                  senderUsername: senderProfile.displayName,
-                  senderAvatarUrl: senderProfile.avatarUrl
-                },
-                'messaging.message.received'
-              );
-            }
-          });
-        } else {
-          console.log('⚠️ No se pudieron obtener miembros del grupo para notificaciones');
-        }
+  // Obtener un mensaje por ID
+  getById = async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const profileId = req.user.profileId;
 
-        // 🔥 EMIT WebSocket event for real-time delivery to group
-        // Use EXTERNAL groupId because that's what clients join with
-        const wsServer = getWebSocketServer();
-        if (wsServer) {
-          // 🔥 Add external groupId to message payload
-          const messagePayload = {
-            ...message.toJSON(),
-            groupId: groupId // Override with external ID
-          };
-          wsServer.emitNewGroupMessage(groupId, messagePayload);
-          console.log('📡 WebSocket: Mensaje emitido a grupo (external):', groupId);
-        }
+      const message = await this.messageRepository.findById(id, { viewerProfileId: profileId });
 
-        console.log('✅ Mensaje de grupo creado');
+      if (!message) {
+        throw new AppError('Mensaje no encontrado', 404, 'MESSAGE_NOT_FOUND');
+      }
 
-        res.status(201).json({
-          success: true,
-          message: 'Mensaje enviado',
-          data: message.toJSON()
-        });
+      // Verificar permisos (si es parte de la conversación o grupo)
+      await accessPolicy.assertMessageAccess(message, profileId);
 
-      } else {
-        // Mensaje de conversación 1-a-1
-        const message = await this.messageRepository.create({
-          conversationId,
-          senderProfileId,
-          content,
-          messageType: messageType || 'text',
-          mediaUrl,
-          replyToId
-        });
+      const [data] = await messageService.serialize([message]);
+      res.json({
+        success: true,
+        data
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  };
 
-        console.log('✅ Mensaje de conversación creado');
+  // Crear un nuevo mensaje (o programarlo si incluye `sendAt`)
+  create = async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
 
-        // 🔥 EMIT WebSocket event for real-time delivery
-        const wsServer = getWebSocketServer();
-        if (wsServer) {
-          wsServer.emitNewConversationMessage(conversationId, message.toJSON());
-          console.log('📡 WebSocket: Mensaje emitido a conversación:', conversationId);
-        }
+      const { conversationId, groupId, content, messageType, mediaUrl, replyToId, clientMessageId, sendAt } = req.body;
+      const senderProfileId = req.user.profileId;
+      const messageData = { conversationId, groupId, senderProfileId, content, messageType, mediaUrl, replyToId };
 
-        // 🔥 Get other participant for push notification
-        const conversation = await this.conversationRepository.findById(conversationId);
-        if (conversation) {
-          const otherProfileId = conversation.participant1ProfileId === senderProfileId
-            ? conversation.participant2ProfileId
-            : conversation.participant1ProfileId;
-
-          // 🔥 Get profile info (displayName + avatarUrl) from social-service
-          const senderProfile = await getSenderProfile(
-            senderProfileId,
-            req.headers.authorization,
-            req.user.username
-          );
-
-          // Publish push notification event
-          rabbitMQPublisher.publishEvent(
-            'MESSAGE_RECEIVED',
-            {
-              messageId: message.id,
-              senderUserId: senderProfileId,
-              recipientUserId: otherProfileId,
-              conversationId: conversationId,
-              groupId: null,
-              messagePreview: content.substring(0, 50),
-              senderUsername: senderProfile.displayName,
-              senderAvatarUrl: senderProfile.avatarUrl
-            },
-            'messaging.message.received'
-          );
-          console.log('📤 RabbitMQ: Notificación enviada a:', otherProfileId, 'from:', senderProfile.displayName);
-        }
+      if (sendAt) {
+        const scheduled = await this._schedule(messageData, sendAt);
 
-        res.status(201).json({
+        return res.status(201).json({
           success: true,
-          message: 'Mensaje enviado',
-          data: message.toJSON()
+          message: 'Mensaje programado',
+          data: scheduled
         });
       }
 
+      const message = await messageService.send({ ...messageData, clientMessageId }, {
+        authHeader: req.headers.authorization,
+        username: req.user.username
+      });
+
+      const [data] = await messageService.serialize([message]);
+      res.status(201).json({
+        success: true,
+        message: 'Mensaje enviado',
+        data
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // 🧵 Obtener las respuestas de un hilo
+  getThread = async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const profileId = req.user.profileId;
+
+      const { message } = await this._getAccessibleMessage(id, profileId);
+      const root = await this.messageRepository.findById(message.id, { viewerProfileId: profileId });
+
+      const result = await this.messageRepository.findThread(message.id, {
+        page: parsePage(req.query.page),
+        limit: parseLimit(req.query.limit),
+        viewerProfileId: profileId
+      });
+
+      const [rootData, ...replies] = await messageService.serialize([root, ...result.data]);
+      res.json({
+        success: true,
+        root: rootData,
+        ...result,
+        data: replies
+      });
+
     } catch (error) {
       next(error);
     }
@@ -334,13 +399,18 @@ class MessageController {
   // Actualizar un mensaje (editar)
   update = async (req, res, next) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
       const { id } = req.params;
       const { content } = req.body;
       const profileId = req.user.profileId;
 
       const message = await this.messageRepository.findById(id);
 
-      if (!message) {
+      if (!message || message.isExpired || message.isDeleted) {
         throw new AppError('Mensaje no encontrado', 404, 'MESSAGE_NOT_FOUND');
       }
 
@@ -349,21 +419,68 @@ class MessageController {
         throw new AppError('Solo puedes editar tus propios mensajes', 403, 'NOT_AUTHORIZED');
       }
 
-      // No se puede editar mensajes de más de 24 horas
+      // Ventana de edición: 24 horas, o la configurada en settings del grupo
+      let editWindowHours = DEFAULT_MESSAGE_EDIT_WINDOW_HOURS;
+      if (message.groupId) {
+        const group = await this.groupRepository.findById(message.groupId);
+        if (group) editWindowHours = group.getMessageEditWindowHours();
+      }
+
       const hoursSinceCreation = (Date.now() - message.createdAt.getTime()) / (1000 * 60 * 60);
-      if (hoursSinceCreation > 24) {
-        throw new AppError('No puedes editar mensajes de más de 24 horas', 403, 'TOO_OLD');
+      if (hoursSinceCreation > editWindowHours) {
+        throw new AppError(`No puedes editar mensajes de más de ${editWindowHours} horas`, 403, 'TOO_OLD');
       }
 
+      // Mismo contenido: sin revisión ni avisos
+      if (content === message.content) {
+        const [data] = await messageService.serialize([message]);
+        return res.json({ success: true, message: 'Sin cambios', data });
+      }
+
+      // La versión anterior queda guardada en el historial de revisiones
       const updatedMessage = await this.messageRepository.update(id, {
         content,
-        isEdited: true
+        isEdited: true,
+        editedByProfileId: profileId
       });
 
+      // Eliminado mientras tanto
+      if (!updatedMessage) {
+        throw new AppError('Mensaje no encontrado', 404, 'MESSAGE_NOT_FOUND');
+      }
+
+      const room = await this._getRoom(message);
+
+      // 📡 Notificar la edición a la sala de la conversación o grupo
+      await chatEventService.publish(room, 'message_updated', {
+        messageId: updatedMessage.id,
+        conversationId: room.conversationId,
+        groupId: room.groupId,
+        content: updatedMessage.content,
+        isEdited: true,
+        updatedAt: updatedMessage.updatedAt
+      }, { messageId: updatedMessage.id, actorProfileId: profileId });
+      console.log(`📡 WebSocket: Mensaje editado ${updatedMessage.id}`);
+
+      // 📤 Publicar evento MESSAGE_EDITED a RabbitMQ
+      rabbitMQPublisher.publishEvent(
+        'MESSAGE_EDITED',
+        {
+          messageId: updatedMessage.id,
+          senderUserId: updatedMessage.senderProfileId,
+          recipientUserIds: await this._getRecipientProfileIds(updatedMessage),
+          conversationId: room.conversationId,
+          groupId: room.groupId, // External ID para deep links
+          messagePreview: content.substring(0, 50)
+        },
+        'messaging.message.edited'
+      );
+
+      const [data] = await messageService.serialize([updatedMessage]);
       res.json({
         success: true,
         message: 'Mensaje actualizado',
-        data: updatedMessage.toJSON()
+        data
       });
 
     } catch (error) {
@@ -379,7 +496,7 @@ class MessageController {
 
       const message = await this.messageRepository.findById(id);
 
-      if (!message) {
+      if (!message || message.isDeleted) {
         throw new AppError('Mensaje no encontrado', 404, 'MESSAGE_NOT_FOUND');
       }
 
@@ -395,7 +512,40 @@ class MessageController {
         throw new AppError('No tienes permisos para eliminar este mensaje', 403, 'NOT_AUTHORIZED');
       }
 
-      await this.messageRepository.softDelete(id);
+      // false si otra petición lo eliminó primero: los avisos ya se enviaron
+      if (!await this.messageRepository.softDelete(id)) {
+        throw new AppError('Mensaje no encontrado', 404, 'MESSAGE_NOT_FOUND');
+      }
+      await this.pinnedMessageRepository.removeByMessage(id);
+      await chatEventService.redactMessages([id]);
+
+      const room = await this._getRoom(message);
+
+      // 📡 Notificar la eliminación a la sala de la conversación o grupo
+      await chatEventService.publish(room, 'message_deleted', {
+        messageId: message.id,
+        conversationId: room.conversationId,
+        groupId: room.groupId,
+        isDeleted: true,
+        deletedBy: profileId
+      }, { messageId: message.id, actorProfileId: profileId });
+      console.log(`📡 WebSocket: Mensaje eliminado ${message.id}`);
+
+      inboxService.notifyChat(message);
+
+      // 📤 Publicar evento MESSAGE_DELETED para que se retiren las notificaciones push
+      rabbitMQPublisher.publishEvent(
+        'MESSAGE_DELETED',
+        {
+          messageId: message.id,
+          senderUserId: message.senderProfileId,
+          deletedByUserId: profileId,
+          recipientUserIds: await this._getRecipientProfileIds(message),
+          conversationId: room.conversationId,
+          groupId: room.groupId // External ID
+        },
+        'messaging.message.deleted'
+      );
 
       res.json({
         success: true,
@@ -414,30 +564,45 @@ class MessageController {
       const profileId = req.user.profileId;
 
       if (conversationId) {
-        // Marcar como leídos en conversación
-        await this.messageRepository.markConversationAsRead(conversationId, profileId);
-      } else if (groupId) {
-        // 🔥 BUSCAR GRUPO POR EXTERNAL_ID
-        const group = await this.groupRepository.findByExternalId(groupId);
-
-        if (!group) {
-          throw new AppError('Grupo no encontrado', 404, 'GROUP_NOT_FOUND');
+        await accessPolicy.assertConversationParticipant(conversationId, profileId);
+
+        // Marcar como leídos en conversación (también deja en 0 sus no leídos)
+        const messageIds = await this.messageRepository.markConversationAsRead(conversationId, profileId);
+
+        if (messageIds.length > 0) {
+          await chatEventService.publish({ conversationId }, 'message_read', {
+            conversationId,
+            groupId: null,
+            profileId,
+            messageIds,
+            readAt: new Date()
+          }, { actorProfileId: profileId });
         }
 
+        inboxService.notifyConversation(conversationId, [profileId]);
+      } else if (groupId) {
+        // 🔥 RESOLVER GRUPO (external o interno)
+        const group = await accessPolicy.getGroupForMember(groupId, profileId);
         const internalGroupId = group.id;
-
-        const membership = await this.groupMemberRepository.findMembership(internalGroupId, profileId);
-
-        if (!membership) {
-          throw new AppError('No eres miembro del grupo', 403, 'NOT_A_MEMBER');
+        const publicGroupId = groupResolver.getPublicId(group);
+
+        // Leído hasta el último mensaje del grupo
+        await this.groupMemberRepository.markAsRead(internalGroupId, profileId);
+
+        // 📬 Recibos de lectura de este miembro
+        const { messageIds, readAt } = await this.messageReceiptRepository.markGroupAsRead(internalGroupId, profileId);
+
+        if (messageIds.length > 0) {
+          await chatEventService.publish({ groupId: publicGroupId }, 'message_read', {
+            conversationId: null,
+            groupId: publicGroupId,
+            profileId,
+            messageIds,
+            readAt
+          }, { actorProfileId: profileId });
         }
 
-        // Obtener último mensaje del grupo
-        const lastMessage = await this.messageRepository.getLastMessage(internalGroupId);
-
-        if (lastMessage) {
-          await this.groupMemberRepository.updateLastRead(internalGroupId, profileId, lastMessage.id);
-        }
+        inboxService.notifyGroup(internalGroupId, [profileId]);
       } else {
         throw new AppError('Debe especificar conversationId o groupId', 400, 'MISSING_TARGET');
       }
@@ -452,25 +617,365 @@ class MessageController {
     }
   };
 
-  // Reaccionar a un mensaje
+  // Reaccionar a un mensaje (toggle: agrega la reacción o la quita si ya existía)
   react = async (req, res, next) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const { reaction } = req.body;
+      const profileId = req.user.profileId;
+
+      const { message, room } = await this._getAccessibleMessage(id, profileId);
+
+      const { added } = await this.messageReactionRepository.toggle(message.id, profileId, reaction);
+      const data = await this._emitReactionUpdate(message, room, profileId, reaction, added);
+
+      res.json({
+        success: true,
+        message: added ? 'Reacción agregada' : 'Reacción eliminada',
+        data
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Agregar una reacción
+  addReaction = async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
       const { id } = req.params;
       const { reaction } = req.body;
       const profileId = req.user.profileId;
 
-      // TODO: Implementar sistema de reacciones
-      // Esto requeriría una tabla adicional: message_reactions
+      const { message, room } = await this._getAccessibleMessage(id, profileId);
+
+      const added = await this.messageReactionRepository.add(message.id, profileId, reaction);
+      const data = added
+        ? await this._emitReactionUpdate(message, room, profileId, reaction, true)
+        : await this._getReactionData(message.id, profileId);
+
+      res.status(added ? 201 : 200).json({
+        success: true,
+        message: added ? 'Reacción agregada' : 'La reacción ya existía',
+        data
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Quitar una reacción
+  removeReaction = async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { id, reaction } = req.params;
+      const profileId = req.user.profileId;
+
+      const { message, room } = await this._getAccessibleMessage(id, profileId);
+
+      const removed = await this.messageReactionRepository.remove(message.id, profileId, reaction);
+      if (!removed) {
+        throw new AppError('Reacción no encontrada', 404, 'REACTION_NOT_FOUND');
+      }
+
+      const data = await this._emitReactionUpdate(message, room, profileId, reaction, false);
+
+      res.json({
+        success: true,
+        message: 'Reacción eliminada',
+        data
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Listar quién reaccionó a un mensaje
+  getReactions = async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const profileId = req.user.profileId;
+
+      const { message } = await this._getAccessibleMessage(id, profileId);
+      const reactions = await this.messageReactionRepository.findByMessage(message.id);
+
+      res.json({
+        success: true,
+        data: reactions.map(reaction => reaction.toJSON())
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Detalle de entrega/lectura por destinatario (solo el emisor o moderadores del grupo)
+  getReceipts = async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const profileId = req.user.profileId;
+
+      const { message } = await this._getAccessibleMessage(id, profileId);
+
+      if (!message.groupId) {
+        throw new AppError('Los recibos solo aplican a mensajes de grupo', 400, 'NOT_A_GROUP_MESSAGE');
+      }
+
+      if (message.senderProfileId !== profileId) {
+        const membership = await this.groupMemberRepository.findMembership(message.groupId, profileId);
+        if (!membership || !membership.canDeleteMessages()) {
+          throw new AppError('Sin permisos', 403, 'NOT_AUTHORIZED');
+        }
+      }
+
+      const receipts = await this.messageReceiptRepository.findByMessage(message.id);
+      const summaries = await this.messageReceiptRepository.getSummaries([message.id]);
+
+      res.json({
+        success: true,
+        data: receipts.map(receipt => receipt.toJSON()),
+        summary: summaries.get(message.id) || { recipients: 0, delivered: 0, read: 0 }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Historial de ediciones (solo el autor o moderadores del grupo)
+  getRevisions = async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const profileId = req.user.profileId;
+
+      const { message } = await this._getAccessibleMessage(id, profileId);
+
+      if (message.senderProfileId !== profileId) {
+        const membership = message.groupId
+          ? await this.groupMemberRepository.findMembership(message.groupId, profileId)
+          : null;
+        if (!membership || !membership.canDeleteMessages()) {
+          throw new AppError('Sin permisos', 403, 'NOT_AUTHORIZED');
+        }
+      }
+
+      const revisions = await this.messageRevisionRepository.findByMessage(message.id);
+
+      res.json({
+        success: true,
+        current: {
+          content: message.content,
+          isEdited: message.isEdited,
+          updatedAt: message.updatedAt
+        },
+        data: revisions.map(revision => revision.toJSON())
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // 📌 Fijar un mensaje (moderadores en grupos, cualquiera de los participantes en 1-a-1)
+  pin = async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const profileId = req.user.profileId;
+
+      const { message, room } = await this._getAccessibleMessage(id, profileId);
+      await this._assertCanPin(message, profileId);
+
+      const existing = await this.pinnedMessageRepository.findByMessage(message.id);
+      if (existing) {
+        throw new AppError('El mensaje ya está fijado', 409, 'ALREADY_PINNED');
+      }
+
+      const scope = message.groupId
+        ? { groupId: message.groupId }
+        : { conversationId: message.conversationId };
+
+      let maxPins = DEFAULT_MAX_PINNED_MESSAGES;
+      if (message.groupId) {
+        const group = await this.groupRepository.findById(message.groupId);
+        if (group) maxPins = group.getMaxPinnedMessages();
+      }
+
+      const pinnedCount = await this.pinnedMessageRepository.count(scope);
+      if (pinnedCount >= maxPins) {
+        throw new AppError(`Solo se pueden fijar ${maxPins} mensajes`, 409, 'PIN_LIMIT_REACHED');
+      }
+
+      const pin = await this.pinnedMessageRepository.create({
+        messageId: message.id,
+        ...scope,
+        pinnedByProfileId: profileId
+      });
+
+      // Mensaje de sistema para que el historial muestre quién fijó qué
+      await messageService.createSystemMessage(room, {
+        ...scope,
+        senderProfileId: profileId,
+        content: `📌 ${req.user.username || 'Alguien'} fijó un mensaje`,
+        metadata: { action: 'message_pinned', messageId: message.id }
+      });
+
+      await chatEventService.publish(room, 'message_pinned', {
+        messageId: message.id,
+        conversationId: room.conversationId,
+        groupId: room.groupId,
+        pinnedBy: profileId,
+        pinnedAt: pin.pinnedAt,
+        message: { ...message.toJSON(), groupId: room.groupId }
+      }, { messageId: message.id, actorProfileId: profileId });
+
+      pin.message = message;
+      const data = pin.toJSON();
+      if (room.groupId) {
+        data.groupId = room.groupId; // External ID
+        data.message.groupId = room.groupId;
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Mensaje fijado',
+        data
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Quitar un mensaje fijado
+  unpin = async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const profileId = req.user.profileId;
+
+      const { message, room } = await this._getAccessibleMessage(id, profileId);
+      await this._assertCanPin(message, profileId);
+
+      const removed = await this.pinnedMessageRepository.removeByMessage(message.id);
+      if (!removed) {
+        throw new AppError('El mensaje no está fijado', 404, 'PIN_NOT_FOUND');
+      }
+
+      await chatEventService.publish(room, 'message_unpinned', {
+        messageId: message.id,
+        conversationId: room.conversationId,
+        groupId: room.groupId,
+        unpinnedBy: profileId
+      }, { messageId: message.id, actorProfileId: profileId });
 
       res.json({
         success: true,
-        message: 'Funcionalidad en desarrollo'
+        message: 'Mensaje desfijado'
       });
 
     } catch (error) {
       next(error);
     }
   };
+
+  // Obtiene el mensaje verificando que el usuario participe en su conversación o grupo.
+  // Devuelve también la sala WebSocket (groupId como external ID, igual que en create)
+  async _getAccessibleMessage(messageId, profileId) {
+    const message = await accessPolicy.getAccessibleMessage(messageId, profileId);
+    return { message, room: await this._getRoom(message) };
+  }
+
+  // Verifica el destino ahora (misma validación que un envío inmediato) y guarda el mensaje programado
+  async _schedule(messageData, sendAt) {
+    const sendAtDate = parseSendAt(sendAt);
+    const { group } = await messageService.resolveTarget(messageData, messageData.senderProfileId);
+
+    const scheduled = await this.scheduledMessageRepository.create({
+      ...messageData,
+      groupId: group ? group.id : null, // ID interno
+      sendAt: sendAtDate
+    });
+
+    console.log(`⏰ Mensaje programado ${scheduled.id} para ${sendAtDate.toISOString()}`);
+    return scheduled.toJSON();
+  }
+
+  async _getOwnScheduled(id, profileId) {
+    const scheduled = await this.scheduledMessageRepository.findById(id);
+    if (!scheduled || scheduled.senderProfileId !== profileId) {
+      throw new AppError('Mensaje programado no encontrado', 404, 'SCHEDULED_NOT_FOUND');
+    }
+    return scheduled;
+  }
+
+  // En grupos solo moderadores o administradores; en 1-a-1 basta con participar
+  async _assertCanPin(message, profileId) {
+    if (!message.groupId) return;
+
+    const membership = await this.groupMemberRepository.findMembership(message.groupId, profileId);
+    if (!membership || !membership.isModerator()) {
+      throw new AppError('Solo los moderadores pueden fijar mensajes', 403, 'NOT_AUTHORIZED');
+    }
+  }
+
+  // Sala WebSocket del mensaje (groupId como ID público del grupo, igual que en create)
+  async _getRoom(message) {
+    if (message.conversationId) {
+      return { conversationId: message.conversationId, groupId: null };
+    }
+
+    return { conversationId: null, groupId: await groupResolver.getPublicIdFor(message.groupId) };
+  }
+
+  // Destinatarios del mensaje (todos menos el emisor), para el servicio de notificaciones
+  async _getRecipientProfileIds(message) {
+    if (message.groupId) {
+      return this.groupMemberRepository.findRecipientProfileIds(message.groupId, message.senderProfileId);
+    }
+
+    const conversation = await this.conversationRepository.findById(message.conversationId);
+    if (!conversation) return [];
+
+    return [conversation.participant1ProfileId, conversation.participant2ProfileId]
+      .filter(participantId => participantId !== message.senderProfileId);
+  }
+
+  async _getReactionData(messageId, profileId) {
+    const summaries = await this.messageReactionRepository.getSummaries([messageId], profileId);
+    return { messageId, reactions: summaries.get(messageId) || [] };
+  }
+
+  async _emitReactionUpdate(message, room, profileId, reaction, added) {
+    const summaries = await this.messageReactionRepository.getSummaries([message.id]);
+
+    await chatEventService.publish(room, 'message_reaction_updated', {
+      messageId: message.id,
+      conversationId: room.conversationId,
+      groupId: room.groupId,
+      profileId,
+      reaction,
+      action: added ? 'added' : 'removed',
+      reactions: summaries.get(message.id) || []
+    }, { messageId: message.id, actorProfileId: profileId });
+    console.log(`📡 WebSocket: Reacción ${added ? 'agregada' : 'eliminada'} en mensaje ${message.id}`);
+
+    return this._getReactionData(message.id, profileId);
+  }
 }
 
-module.exports = new MessageController();
\ No newline at end of file
+module.exports = new MessageController();
@@ -0,0 +1,27 @@
+/**
+ * Controller: SyncController
+ */
+
+const chatEventService = require('../../services/ChatEventService');
+const { validationResult } = require('express-validator');
+
+class SyncController {
+  // 🔄 Cambios de todas las conversaciones y grupos del usuario desde el cursor `since`
+  sync = async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { since, limit } = req.query;
+      const result = await chatEventService.getChangesSince(req.user.profileId, since, limit);
+
+      res.json({ success: true, data: result.events, cursor: result.cursor, hasMore: result.hasMore });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = new SyncController();
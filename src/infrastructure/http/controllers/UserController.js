@@ -2,13 +2,15 @@
  * Controller: UserController
  */
 
-const { UserRepository } = require('../../repositories');
+const { UserRepository, ConversationRepository } = require('../../repositories');
 const { AppError } = require('../middlewares');
 const { validationResult } = require('express-validator');
+const presencePolicy = require('../../services/PresencePolicy');
 
 class UserController {
   constructor() {
     this.userRepository = new UserRepository();
+    this.conversationRepository = new ConversationRepository();
   }
 
   getAll = async (req, res, next) => {
@@ -24,8 +26,9 @@ class UserController {
       };
 
       const result = await this.userRepository.findAll(filters);
+      const data = await presencePolicy.presentMany(result.data, req.user.profileId);
 
-      res.json({ success: true, message: 'Usuarios obtenidos', ...result });
+      res.json({ success: true, message: 'Usuarios obtenidos', ...result, data });
     } catch (error) {
       next(error);
     }
@@ -40,7 +43,7 @@ class UserController {
         throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
       }
 
-      res.json({ success: true, data: user.toJSON() });
+      res.json({ success: true, data: await presencePolicy.present(user, req.user.profileId) });
     } catch (error) {
       next(error);
     }
@@ -55,7 +58,23 @@ class UserController {
         throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
       }
 
-      res.json({ success: true, data: user.toJSON() });
+      res.json({ success: true, data: await presencePolicy.present(user, req.user.profileId) });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Estado en línea y última conexión de varios usuarios, según su privacidad
+  getPresence = async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const data = await presencePolicy.getPresence(req.user.profileId, req.body.profileIds);
+
+      res.json({ success: true, data });
     } catch (error) {
       next(error);
     }
@@ -94,7 +113,49 @@ class UserController {
         throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
       }
 
-      res.json({ success: true, message: 'Usuario actualizado', data: user.toJSON() });
+      res.json({ success: true, message: 'Usuario actualizado', data: await presencePolicy.present(user, req.user.profileId) });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // 🚫 Usuarios bloqueados por el usuario autenticado (uno por conversación)
+  getBlocks = async (req, res, next) => {
+    try {
+      const profileId = req.user.profileId;
+      const conversations = await this.conversationRepository.findBlockedByProfileId(profileId);
+
+      const data = conversations.map(conv => {
+        const isParticipant1 = conv.participant1ProfileId === profileId;
+        return {
+          conversationId: conv.id,
+          profileId: conv.getOtherParticipant(profileId),
+          user: isParticipant1 ? conv.participant2 : conv.participant1
+        };
+      });
+
+      res.json({ success: true, data });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Privacidad de presencia del usuario autenticado
+  updatePrivacy = async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { onlineStatusVisibility, lastSeenVisibility } = req.body;
+      const user = await this.userRepository.updatePrivacy(req.user.profileId, { onlineStatusVisibility, lastSeenVisibility });
+
+      if (!user) {
+        throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
+      }
+
+      res.json({ success: true, message: 'Privacidad actualizada', data: user.toJSON() });
     } catch (error) {
       next(error);
     }
@@ -7,11 +7,15 @@ const MessageController = require('./MessageController');
 const ConversationController = require('./ConversationController');
 const GroupController = require('./GroupController');
 const GroupMemberController = require('./GroupMemberController');
+const SyncController = require('./SyncController');
+const InboxController = require('./InboxController');
 
 module.exports = {
   UserController,
   MessageController,
   ConversationController,
   GroupController,
-  GroupMemberController
+  GroupMemberController,
+  SyncController,
+  InboxController
 };
\ No newline at end of file
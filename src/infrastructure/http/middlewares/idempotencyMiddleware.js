@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { AppError } = require('./errorMiddleware');
+const { IdempotencyKeyRepository } = require('../../repositories');
+
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+const STALE_AFTER_SECONDS = 120;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+const idempotencyKeyRepository = new IdempotencyKeyRepository();
+let lastPurgeAt = 0;
+
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path} ${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+}
+
+// Limpieza de claves vencidas, como mucho una vez por hora y sin bloquear la petición
+function purgeExpiredKeys() {
+  if (Date.now() - lastPurgeAt < PURGE_INTERVAL_MS) return;
+  lastPurgeAt = Date.now();
+
+  idempotencyKeyRepository.purgeExpired()
+    .then(count => count > 0 && console.log(`🔁 ${count} claves de idempotencia vencidas eliminadas`))
+    .catch(error => console.error('❌ Error al limpiar claves de idempotencia:', error.message));
+}
+
+/**
+ * Idempotencia por usuario: la clave sale del header `Idempotency-Key` o, si no viene,
+ * del campo `clientMessageId` del body. Un reintento con la misma clave dentro de la ventana
+ * de retención (IDEMPOTENCY_KEY_TTL_HOURS) recibe la respuesta original sin volver a ejecutar
+ * el controlador (ni WebSocket ni RabbitMQ). Solo se guardan respuestas 2xx enviadas con res.json;
+ * con cualquier otro final de la petición la clave se libera para poder reintentar.
+ * Requiere authMiddleware antes.
+ */
+const idempotency = () => async (req, res, next) => {
+  try {
+    const key = req.get('Idempotency-Key') || req.body?.clientMessageId;
+    if (!key) return next();
+
+    if (typeof key !== 'string' || key.length > MAX_KEY_LENGTH) {
+      throw new AppError('Idempotency-Key inválida', 400, 'INVALID_IDEMPOTENCY_KEY');
+    }
+
+    purgeExpiredKeys();
+
+    const requestHash = hashRequest(req);
+    const { reserved, record } = await idempotencyKeyRepository.reserve({
+      profileId: req.user.profileId,
+      key,
+      requestHash,
+      ttlHours: TTL_HOURS,
+      staleAfterSeconds: STALE_AFTER_SECONDS
+    });
+
+    if (!reserved) {
+      if (record && record.requestHash !== requestHash) {
+        throw new AppError('Idempotency-Key ya usada con otra petición', 422, 'IDEMPOTENCY_KEY_REUSED');
+      }
+
+      if (!record || record.status !== 'completed') {
+        throw new AppError('Hay una petición en curso con esta Idempotency-Key', 409, 'IDEMPOTENCY_KEY_IN_PROGRESS');
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.statusCode).json(record.responseBody);
+    }
+
+    // Una respuesta 2xx por res.json se guarda antes de enviarla, para que un reintento inmediato la encuentre
+    let completion = null; // Promise<boolean>: si la respuesta quedó guardada
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode < 200 || res.statusCode >= 300) return originalJson(body);
+
+      completion = idempotencyKeyRepository.complete(record.id, res.statusCode, body)
+        .then(() => true)
+        .catch(error => {
+          console.error('❌ Error al guardar Idempotency-Key:', error.message);
+          return false;
+        });
+      completion.finally(() => originalJson(body));
+
+      return res;
+    };
+
+    // Cualquier otro final (error, res.send/end, conexión cerrada sin respuesta) libera la clave para reintentar
+    let isSettled = false;
+    const releaseIfPending = async () => {
+      if (isSettled) return;
+      isSettled = true;
+
+      if (completion && await completion) return;
+      idempotencyKeyRepository.release(record.id)
+        .catch(error => console.error('❌ Error al liberar Idempotency-Key:', error.message));
+    };
+    res.on('finish', releaseIfPending);
+    res.on('close', releaseIfPending);
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { idempotency };
@@ -4,11 +4,13 @@
 
 const { authMiddleware, optionalAuth } = require('./authMiddleware');
 const { AppError, errorHandler, notFoundHandler } = require('./errorMiddleware');
+const { idempotency } = require('./idempotencyMiddleware');
 
 module.exports = {
   authMiddleware,
   optionalAuth,
   AppError,
   errorHandler,
-  notFoundHandler
+  notFoundHandler,
+  idempotency
 };
\ No newline at end of file
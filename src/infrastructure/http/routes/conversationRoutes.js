@@ -4,7 +4,7 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const ConversationController = require('../controllers/ConversationController');
 const { authMiddleware } = require('../middlewares');
 
@@ -14,13 +14,47 @@ const createConversationValidation = [
 
 const idValidation = [param('id').isUUID()];
 
+// Filtros de la lista: archived/pinned en true o false (sin valor no filtran), unread=true solo con no leídos
+const listValidation = [
+  query('archived').optional().isBoolean().toBoolean(),
+  query('pinned').optional().isBoolean().toBoolean(),
+  query('unread').optional().isBoolean().toBoolean()
+];
+
+// TTL de mensajes temporales: entre 1 minuto y 90 días; null o 0 lo desactiva
+const messageTtlValidation = [
+  ...idValidation,
+  body('ttlSeconds').exists().withMessage('ttlSeconds es requerido (null para desactivar)'),
+  body('ttlSeconds').optional({ values: 'null' }).isInt({ min: 0, max: 7776000 }).toInt()
+    .custom(value => value === 0 || value >= 60).withMessage('El TTL mínimo es 60 segundos')
+];
+
+// Silenciar: 1 hora, 8 horas, 1 semana o hasta reactivar
+const muteValidation = [
+  ...idValidation,
+  body('duration').isIn(['1h', '8h', '1w', 'forever'])
+];
+
 router.use(authMiddleware);
 
-router.get('/', ConversationController.getAll);
+router.get('/', listValidation, ConversationController.getAll);
+router.get('/requests', ConversationController.getRequests);
 router.get('/:id', idValidation, ConversationController.getById);
+router.get('/:id/pins', idValidation, ConversationController.getPins);
 router.post('/', createConversationValidation, ConversationController.create);
 
+router.post('/:id/accept', idValidation, ConversationController.accept);
+router.post('/:id/decline', idValidation, ConversationController.decline);
+router.post('/:id/mute', muteValidation, ConversationController.mute);
+router.post('/:id/unmute', idValidation, ConversationController.unmute);
+router.post('/:id/block', idValidation, ConversationController.block);
+router.post('/:id/unblock', idValidation, ConversationController.unblock);
+
 router.patch('/:id/archive', idValidation, ConversationController.archive);
+router.patch('/:id/unarchive', idValidation, ConversationController.unarchive);
+router.post('/:id/pin', idValidation, ConversationController.pin);
+router.post('/:id/unpin', idValidation, ConversationController.unpin);
 router.patch('/:id/read', idValidation, ConversationController.markAsRead);
+router.patch('/:id/message-ttl', messageTtlValidation, ConversationController.setMessageTtl);
 
 module.exports = router;
\ No newline at end of file
@@ -17,6 +17,26 @@ const createGroupValidation = [
 ];
 
 const idValidation = [param('id').isUUID()];
+// TTL de mensajes temporales: entre 1 minuto y 90 días; null o 0 lo desactiva
+const messageTtlValidation = [
+  ...idValidation,
+  body('ttlSeconds').exists().withMessage('ttlSeconds es requerido (null para desactivar)'),
+  body('ttlSeconds').optional({ values: 'null' }).isInt({ min: 0, max: 7776000 }).toInt()
+    .custom(value => value === 0 || value >= 60).withMessage('El TTL mínimo es 60 segundos')
+];
+
+// Silenciar: 1 hora, 8 horas, 1 semana o hasta reactivar
+const muteValidation = [
+  ...idValidation,
+  body('duration').isIn(['1h', '8h', '1w', 'forever'])
+];
+
+const updateGroupValidation = [
+  ...idValidation,
+  body('settings').optional().isObject(),
+  body('settings.messageEditWindowHours').optional().isInt({ min: 0, max: 8760 }).toInt(),
+  body('settings.maxPinnedMessages').optional().isInt({ min: 1, max: 100 }).toInt()
+];
 
 // 🔥 RUTA DE SINCRONIZACIÓN SIN AUTENTICACIÓN (debe ir primero)
 router.post('/sync', createGroupValidation, GroupController.syncGroup);
@@ -35,10 +55,15 @@ router.get('/my/communities', GroupController.getMyCommunities);
 router.get('/my/activities', GroupController.getMyActivities);
 
 router.post('/', createGroupValidation, GroupController.create);
-router.put('/:id', idValidation, GroupController.update);
+router.put('/:id', updateGroupValidation, GroupController.update);
 router.delete('/:id', idValidation, GroupController.delete);
 
 router.post('/:id/join', idValidation, GroupController.join);
 router.post('/:id/leave', idValidation, GroupController.leave);
+router.post('/:id/mute', muteValidation, GroupController.mute);
+router.post('/:id/unmute', idValidation, GroupController.unmute);
+
+router.get('/:id/pins', idValidation, GroupController.getPins);
+router.patch('/:id/message-ttl', messageTtlValidation, GroupController.setMessageTtl);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,21 @@
+/**
+ * Routes: Inbox
+ */
+
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const InboxController = require('../controllers/InboxController');
+const { authMiddleware } = require('../middlewares');
+
+// `cursor` es el de la última entrada recibida (o `nextCursor` de la página anterior)
+const inboxValidation = [
+  query('cursor').optional().isString().isLength({ max: 200 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+];
+
+router.use(authMiddleware);
+
+router.get('/', inboxValidation, InboxController.getInbox);
+
+module.exports = router;
@@ -10,6 +10,8 @@ const messageRoutes = require('./messageRoutes');
 const conversationRoutes = require('./conversationRoutes');
 const groupRoutes = require('./groupRoutes');
 const groupMemberRoutes = require('./groupMemberRoutes');
+const syncRoutes = require('./syncRoutes');
+const inboxRoutes = require('./inboxRoutes');
 
 // Health check
 router.get('/health', (req, res) => {
@@ -31,7 +33,9 @@ router.get('/', (req, res) => {
       messages: '/api/v1/messages',
       conversations: '/api/v1/conversations',
       groups: '/api/v1/groups',
-      groupMembers: '/api/v1/group-members'
+      groupMembers: '/api/v1/group-members',
+      sync: '/api/v1/sync',
+      inbox: '/api/v1/inbox'
     }
   });
 });
@@ -41,5 +45,7 @@ router.use('/messages', messageRoutes);
 router.use('/conversations', conversationRoutes);
 router.use('/groups', groupRoutes);
 router.use('/group-members', groupMemberRoutes);
+router.use('/sync', syncRoutes);
+router.use('/inbox', inboxRoutes);
 
 module.exports = router;
\ No newline at end of file
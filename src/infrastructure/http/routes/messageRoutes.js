@@ -4,9 +4,9 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const MessageController = require('../controllers/MessageController');
-const { authMiddleware } = require('../middlewares');
+const { authMiddleware, idempotency } = require('../middlewares');
 
 const createMessageValidation = [
   body('conversationId').optional().isUUID(),
@@ -14,20 +14,84 @@ const createMessageValidation = [
   body('content').notEmpty().isLength({ max: 5000 }),
   body('messageType').optional().isIn(['text', 'image', 'video', 'audio', 'file', 'system']),
   body('mediaUrl').optional().isURL(),
-  body('replyToId').optional().isUUID()
+  body('replyToId').optional().isUUID(),
+  body('clientMessageId').optional().isString().isLength({ min: 1, max: 64 }),
+  body('sendAt').optional().isISO8601()
+];
+
+const updateMessageValidation = [
+  param('id').isUUID(),
+  body('content').isString().trim().notEmpty().isLength({ max: 5000 })
+];
+
+const scheduledListValidation = [
+  query('status').optional().isIn(['pending', 'processing', 'sent', 'failed', 'cancelled']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+const updateScheduledValidation = [
+  param('id').isUUID(),
+  body('content').optional().notEmpty().isLength({ max: 5000 }),
+  body('mediaUrl').optional({ values: 'null' }).isURL(),
+  body('sendAt').optional().isISO8601()
+];
+
+const reactionValidation = [
+  param('id').isUUID(),
+  body('reaction').isString().trim().notEmpty().isLength({ max: 32 })
+];
+
+const removeReactionValidation = [
+  param('id').isUUID(),
+  param('reaction').trim().notEmpty().isLength({ max: 32 })
+];
+
+const searchValidation = [
+  query('q').isString().trim().isLength({ min: 2, max: 200 }),
+  query('conversationId').optional().isUUID(),
+  query('groupId').optional().isUUID(),
+  query('senderProfileId').optional().isUUID(),
+  query('messageType').optional().isIn(['text', 'image', 'video', 'audio', 'file', 'system']),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
 ];
 
 const idValidation = [param('id').isUUID()];
-const conversationIdValidation = [param('conversationId').isUUID()];
-const groupIdValidation = [param('groupId').isUUID()];
+const historyValidation = [
+  query('before').optional().isUUID(),
+  query('after').optional().isUUID(),
+  query('around').optional().isUUID(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+const threadValidation = [
+  param('id').isUUID(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+const conversationIdValidation = [param('conversationId').isUUID(), ...historyValidation];
+const groupIdValidation = [param('groupId').isUUID(), ...historyValidation];
 
 // 🔒 Aplicar autenticación a todas las rutas
 router.use(authMiddleware);
 
+// 🔍 Búsqueda (antes de /:id)
+router.get('/search', searchValidation, MessageController.search);
+
+// ⏰ Mensajes programados (antes de /:id)
+router.get('/scheduled', scheduledListValidation, MessageController.getScheduled);
+router.put('/scheduled/:id', updateScheduledValidation, MessageController.updateScheduled);
+router.delete('/scheduled/:id', idValidation, MessageController.cancelScheduled);
+
 // 📝 Rutas de mensajes individuales
 router.get('/:id', idValidation, MessageController.getById);
-router.post('/', createMessageValidation, MessageController.create);
-router.put('/:id', idValidation, MessageController.update);
+router.post('/', idempotency(), createMessageValidation, MessageController.create);
+router.put('/:id', updateMessageValidation, MessageController.update);
 router.delete('/:id', idValidation, MessageController.delete);
 
 // 💬 Rutas específicas de conversación y grupo
@@ -37,7 +101,23 @@ router.get('/group/:groupId', groupIdValidation, MessageController.getByGroup);
 // ✅ Marcar como leído
 router.post('/mark-as-read', MessageController.markAsRead);
 
-// 😊 Reaccionar a mensaje
-router.post('/:id/react', idValidation, MessageController.react);
+// 🧵 Hilos de respuestas
+router.get('/:id/thread', threadValidation, MessageController.getThread);
+
+// 😊 Reacciones
+router.get('/:id/reactions', idValidation, MessageController.getReactions);
+router.post('/:id/reactions', reactionValidation, MessageController.addReaction);
+router.delete('/:id/reactions/:reaction', removeReactionValidation, MessageController.removeReaction);
+router.post('/:id/react', reactionValidation, MessageController.react);
+
+// 📌 Mensajes fijados
+router.post('/:id/pin', idValidation, MessageController.pin);
+router.delete('/:id/pin', idValidation, MessageController.unpin);
+
+// 📝 Historial de ediciones
+router.get('/:id/revisions', idValidation, MessageController.getRevisions);
+
+// 📬 Recibos de entrega/lectura (mensajes de grupo)
+router.get('/:id/receipts', idValidation, MessageController.getReceipts);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,21 @@
+/**
+ * Routes: Sync
+ */
+
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const SyncController = require('../controllers/SyncController');
+const { authMiddleware } = require('../middlewares');
+
+// `since` es el cursor recibido en el último evento (o en la última sincronización)
+const syncValidation = [
+  query('since').optional().matches(/^\d+$/).withMessage('Cursor inválido'),
+  query('limit').optional().isInt({ min: 1, max: 500 })
+];
+
+router.use(authMiddleware);
+
+router.get('/', syncValidation, SyncController.sync);
+
+module.exports = router;
@@ -15,6 +15,16 @@ const createUserValidation = [
   body('avatarUrl').optional().isURL()
 ];
 
+const privacyValidation = [
+  body('onlineStatusVisibility').optional().isIn(['everyone', 'contacts', 'nobody']),
+  body('lastSeenVisibility').optional().isIn(['everyone', 'contacts', 'nobody'])
+];
+
+const presenceValidation = [
+  body('profileIds').isArray({ min: 1, max: 100 }),
+  body('profileIds.*').isUUID()
+];
+
 const idValidation = [param('id').isUUID()];
 const profileIdValidation = [param('profileId').isUUID()];
 
@@ -23,6 +33,9 @@ router.post('/', createUserValidation, UserController.create);
 
 // Rutas protegidas
 router.get('/', authMiddleware, UserController.getAll);
+router.post('/presence', authMiddleware, presenceValidation, UserController.getPresence);
+router.get('/me/blocks', authMiddleware, UserController.getBlocks);
+router.patch('/me/privacy', authMiddleware, privacyValidation, UserController.updatePrivacy);
 router.get('/profile/:profileId', authMiddleware, profileIdValidation, UserController.getByProfileId);
 router.get('/:id', authMiddleware, idValidation, UserController.getById);
 router.put('/:id', authMiddleware, idValidation, UserController.update);
@@ -0,0 +1,150 @@
+/**
+ * Infrastructure Repository: ChatEventRepository
+ */
+
+const { ChatEventModel, sequelize } = require('../database/models');
+const ChatEvent = require('../../domain/entities/ChatEvent');
+const { MEMBER_STATUS, CONVERSATION_STATUS, REQUEST_STATUS } = require('../../domain/entities');
+const { Op, QueryTypes } = require('sequelize');
+
+// Campos con contenido de mensajes, que se borran del registro al eliminar o expirar el mensaje
+const MESSAGE_CONTENT_FIELDS = ['content', 'mediaUrl', 'message'];
+
+// Lock de transacción que ordena los registros: cada ID se confirma antes de asignar el siguiente
+const RECORD_LOCK_KEY = 'chat_events';
+
+class ChatEventRepository {
+
+  /**
+   * Registra un evento con el siguiente número de secuencia del chat.
+   * Con `assignMessageSeq`, el mensaje creado guarda la misma secuencia.
+   * Los IDs (cursor de /sync) se confirman en orden: un cliente que ya vio un ID no puede perderse
+   * uno menor que se confirme después.
+   * Devuelve el evento creado (null si el chat no existe).
+   */
+  async record({ conversationId = null, groupId = null, type, messageId = null, actorProfileId = null, targetProfileId = null, payload = {}, assignMessageSeq = false }) {
+    const chatTable = conversationId ? 'conversations' : 'chat_groups';
+
+    const rows = await sequelize.transaction(async (transaction) => {
+      await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:lockKey))', {
+        replacements: { lockKey: RECORD_LOCK_KEY },
+        type: QueryTypes.SELECT,
+        transaction
+      });
+
+      return sequelize.query(
+        `WITH next AS (
+           UPDATE ${chatTable}
+           SET last_event_seq = last_event_seq + 1
+           WHERE id = :chatId
+           RETURNING last_event_seq AS seq
+         ),
+         event AS (
+           INSERT INTO chat_events
+             (conversation_id, group_id, seq, event_type, message_id, actor_profile_id, target_profile_id, payload, created_at)
+           SELECT CAST(:conversationId AS UUID), CAST(:groupId AS UUID), next.seq, :type,
+                  CAST(:messageId AS UUID), CAST(:actorProfileId AS UUID), CAST(:targetProfileId AS UUID),
+                  CAST(:payload AS JSONB), NOW()
+           FROM next
+           RETURNING *
+         ),
+         message AS (
+           UPDATE messages SET seq = event.seq
+           FROM event
+           WHERE messages.id = CAST(:seqMessageId AS UUID)
+           RETURNING messages.id
+         )
+         SELECT * FROM event`,
+        {
+          replacements: {
+            chatId: conversationId || groupId,
+            conversationId,
+            groupId,
+            type,
+            messageId,
+            actorProfileId,
+            targetProfileId,
+            payload: JSON.stringify(payload),
+            seqMessageId: assignMessageSeq ? messageId : null
+          },
+          type: QueryTypes.SELECT,
+          transaction
+        }
+      );
+    });
+
+    return rows.length > 0 ? ChatEvent.fromDatabase(rows[0]) : null;
+  }
+
+  /**
+   * Eventos posteriores al cursor `since` visibles para el perfil: los de sus conversaciones (sin las
+   * solicitudes recibidas sin aceptar ni las bloqueadas, como en la bandeja), los de sus grupos actuales
+   * desde que ingresó y los que lo afectan directamente (p. ej. su salida de un grupo).
+   */
+  async findSince(profileId, since, limit = 100) {
+    const rows = await sequelize.query(
+      `SELECT e.* FROM chat_events e
+       WHERE e.id > :since
+         AND (
+           e.conversation_id IN (
+             SELECT id FROM conversations
+             WHERE (participant1_profile_id = :profileId OR participant2_profile_id = :profileId)
+               AND NOT (request_status <> :acceptedStatus AND requested_by_profile_id <> :profileId)
+               AND participant1_status <> :blockedStatus AND participant2_status <> :blockedStatus
+           )
+           OR EXISTS (
+             SELECT 1 FROM group_members gm
+             WHERE gm.group_id = e.group_id AND gm.profile_id = :profileId
+               AND gm.status IN (:memberStatuses)
+               AND e.created_at >= COALESCE(gm.joined_at, gm.created_at)
+           )
+           OR e.target_profile_id = :profileId
+         )
+       ORDER BY e.id ASC
+       LIMIT :limit`,
+      {
+        replacements: {
+          profileId,
+          since,
+          limit,
+          memberStatuses: [MEMBER_STATUS.ACTIVE, MEMBER_STATUS.MUTED],
+          acceptedStatus: REQUEST_STATUS.ACCEPTED,
+          blockedStatus: CONVERSATION_STATUS.BLOCKED
+        },
+        type: QueryTypes.SELECT
+      }
+    );
+
+    return rows.map(row => ChatEvent.fromDatabase(row));
+  }
+
+  // Cursor del último evento registrado ('0' si no hay ninguno)
+  async getLatestCursor() {
+    const latest = await ChatEventModel.max('id');
+    return latest ? String(latest) : '0';
+  }
+
+  // Cursor del evento más antiguo que se conserva (null si no hay ninguno)
+  async getOldestCursor() {
+    const oldest = await ChatEventModel.min('id');
+    return oldest ? String(oldest) : null;
+  }
+
+  // Quita el contenido de los mensajes eliminados o vencidos de los eventos ya registrados
+  async redactMessages(messageIds) {
+    if (!messageIds || messageIds.length === 0) return;
+
+    await sequelize.query(
+      `UPDATE chat_events
+       SET payload = payload - ARRAY[:fields]::text[]
+       WHERE message_id IN (:messageIds)`,
+      { replacements: { fields: MESSAGE_CONTENT_FIELDS, messageIds }, type: QueryTypes.UPDATE }
+    );
+  }
+
+  async purgeOlderThan(date) {
+    return ChatEventModel.destroy({ where: { created_at: { [Op.lt]: date } } });
+  }
+}
+
+module.exports = ChatEventRepository;
@@ -2,18 +2,26 @@
  * Infrastructure Repository: ConversationRepository
  */
 
-const { ConversationModel, UserModel, MessageModel } = require('../database/models');
-const { Conversation } = require('../../domain/entities/Conversation');
+const { ConversationModel, UserModel, MessageModel, sequelize } = require('../database/models');
+const { Conversation, CONVERSATION_STATUS, REQUEST_STATUS } = require('../../domain/entities/Conversation');
+const { Message } = require('../../domain/entities/Message');
+const { User } = require('../../domain/entities/User');
 const { Op } = require('sequelize');
 
+// Datos de los participantes, con lo necesario para aplicar su privacidad de presencia
+const PARTICIPANT_ATTRIBUTES = [
+  'id', 'profile_id', 'username', 'display_name', 'avatar_url',
+  'is_online', 'last_seen_at', 'online_status_visibility', 'last_seen_visibility'
+];
+
 class ConversationRepository {
 
   async findById(id) {
     const conversation = await ConversationModel.findByPk(id, {
       include: [
-        { model: UserModel, as: 'participant1', attributes: ['id', 'profile_id', 'username', 'display_name', 'avatar_url', 'is_online'] },
-        { model: UserModel, as: 'participant2', attributes: ['id', 'profile_id', 'username', 'display_name', 'avatar_url', 'is_online'] },
-        { model: MessageModel, as: 'lastMessage', attributes: ['id', 'content', 'message_type', 'created_at'] }
+        { model: UserModel, as: 'participant1', attributes: PARTICIPANT_ATTRIBUTES },
+        { model: UserModel, as: 'participant2', attributes: PARTICIPANT_ATTRIBUTES },
+        { model: MessageModel, as: 'lastMessage', attributes: ['id', 'content', 'message_type', 'expires_at', 'is_expired', 'created_at'] }
       ]
     });
     return conversation ? this._toEntity(conversation) : null;
@@ -28,14 +36,78 @@ class ConversationRepository {
         ]
       },
       include: [
-        { model: UserModel, as: 'participant1', attributes: ['id', 'profile_id', 'username', 'display_name', 'avatar_url', 'is_online'] },
-        { model: UserModel, as: 'participant2', attributes: ['id', 'profile_id', 'username', 'display_name', 'avatar_url', 'is_online'] }
+        { model: UserModel, as: 'participant1', attributes: PARTICIPANT_ATTRIBUTES },
+        { model: UserModel, as: 'participant2', attributes: PARTICIPANT_ATTRIBUTES }
       ]
     });
     return conversation ? this._toEntity(conversation) : null;
   }
 
+  /**
+   * Conversaciones del usuario, sin las solicitudes que recibió y no aceptó (ver findRequestsForProfileId).
+   * Primero las fijadas (la última fijada arriba), después por último mensaje.
+   * @param {object} options - { page, limit, archived, pinned (booleanos; sin valor no filtran), unread (solo con no leídos) }
+   */
   async findByProfileId(profileId, options = {}) {
+    const { page = 1, limit = 20, archived, pinned, unread = false } = options;
+    const offset = (page - 1) * limit;
+
+    // Filtros sobre las columnas del lado del usuario (participant1_* o participant2_*)
+    const ownColumns = side => {
+      const where = {};
+      if (archived !== undefined) {
+        where[`participant${side}_status`] = archived
+          ? CONVERSATION_STATUS.ARCHIVED
+          : { [Op.ne]: CONVERSATION_STATUS.ARCHIVED };
+      }
+      if (pinned !== undefined) {
+        where[`participant${side}_pinned_at`] = pinned ? { [Op.ne]: null } : null;
+      }
+      if (unread) {
+        where[`unread_count_${side}`] = { [Op.gt]: 0 };
+      }
+      return where;
+    };
+
+    const viewer = sequelize.escape(profileId);
+    const { rows, count } = await ConversationModel.findAndCountAll({
+      where: {
+        [Op.or]: [
+          { participant1_profile_id: profileId, ...ownColumns(1) },
+          { participant2_profile_id: profileId, ...ownColumns(2) }
+        ],
+        [Op.not]: {
+          request_status: { [Op.ne]: REQUEST_STATUS.ACCEPTED },
+          requested_by_profile_id: { [Op.ne]: profileId }
+        }
+      },
+      include: [
+        { model: UserModel, as: 'participant1', attributes: PARTICIPANT_ATTRIBUTES },
+        { model: UserModel, as: 'participant2', attributes: PARTICIPANT_ATTRIBUTES },
+        { model: MessageModel, as: 'lastMessage', attributes: ['id', 'content', 'message_type', 'expires_at', 'is_expired', 'created_at'] }
+      ],
+      limit,
+      offset,
+      // El orden entre fijadas no cambia con los mensajes nuevos; id desempata para paginar sin saltos
+      order: [
+        [sequelize.literal(`CASE WHEN "Conversation"."participant1_profile_id" = ${viewer} THEN "Conversation"."participant1_pinned_at" ELSE "Conversation"."participant2_pinned_at" END`), 'DESC NULLS LAST'],
+        ['last_message_at', 'DESC NULLS LAST'],
+        ['created_at', 'DESC'],
+        ['id', 'ASC']
+      ]
+    });
+
+    return {
+      data: rows.map(conv => this._toEntity(conv)),
+      total: count,
+      page,
+      limit,
+      totalPages: Math.ceil(count / limit)
+    };
+  }
+
+  // 📨 Solicitudes de mensaje pendientes que recibió el usuario
+  async findRequestsForProfileId(profileId, options = {}) {
     const { page = 1, limit = 20 } = options;
     const offset = (page - 1) * limit;
 
@@ -44,16 +116,18 @@ class ConversationRepository {
         [Op.or]: [
           { participant1_profile_id: profileId },
           { participant2_profile_id: profileId }
-        ]
+        ],
+        request_status: REQUEST_STATUS.PENDING,
+        requested_by_profile_id: { [Op.ne]: profileId }
       },
       include: [
-        { model: UserModel, as: 'participant1', attributes: ['id', 'profile_id', 'username', 'display_name', 'avatar_url', 'is_online'] },
-        { model: UserModel, as: 'participant2', attributes: ['id', 'profile_id', 'username', 'display_name', 'avatar_url', 'is_online'] },
-        { model: MessageModel, as: 'lastMessage', attributes: ['id', 'content', 'message_type', 'created_at'] }
+        { model: UserModel, as: 'participant1', attributes: PARTICIPANT_ATTRIBUTES },
+        { model: UserModel, as: 'participant2', attributes: PARTICIPANT_ATTRIBUTES },
+        { model: MessageModel, as: 'lastMessage', attributes: ['id', 'content', 'message_type', 'expires_at', 'is_expired', 'created_at'] }
       ],
       limit,
       offset,
-      order: [['last_message_at', 'DESC']]
+      order: [['last_message_at', 'DESC'], ['created_at', 'DESC']]
     });
 
     return {
@@ -65,14 +139,114 @@ class ConversationRepository {
     };
   }
 
+  async findIdsByProfileId(profileId) {
+    const conversations = await ConversationModel.findAll({
+      where: {
+        [Op.or]: [
+          { participant1_profile_id: profileId },
+          { participant2_profile_id: profileId }
+        ]
+      },
+      attributes: ['id'],
+      raw: true
+    });
+    return conversations.map(conv => conv.id);
+  }
+
+  async countPinnedByProfileId(profileId) {
+    return ConversationModel.count({
+      where: {
+        [Op.or]: [
+          { participant1_profile_id: profileId, participant1_pinned_at: { [Op.ne]: null } },
+          { participant2_profile_id: profileId, participant2_pinned_at: { [Op.ne]: null } }
+        ]
+      }
+    });
+  }
+
+  // Perfiles con los que el usuario tiene una conversación 1-a-1 aceptada y sin bloqueo (sus contactos)
+  async findPartnerProfileIds(profileId) {
+    const conversations = await ConversationModel.findAll({
+      where: {
+        [Op.or]: [
+          { participant1_profile_id: profileId },
+          { participant2_profile_id: profileId }
+        ],
+        request_status: REQUEST_STATUS.ACCEPTED,
+        participant1_status: { [Op.ne]: CONVERSATION_STATUS.BLOCKED },
+        participant2_status: { [Op.ne]: CONVERSATION_STATUS.BLOCKED }
+      },
+      attributes: ['participant1_profile_id', 'participant2_profile_id'],
+      raw: true
+    });
+    return conversations.map(conv => (
+      conv.participant1_profile_id === profileId ? conv.participant2_profile_id : conv.participant1_profile_id
+    ));
+  }
+
+  /**
+   * Bloqueos en los que participa el usuario, en cualquier sentido
+   * @returns {Promise<Array<{ conversationId, profileId (el otro), blockedByMe, blockedMe }>>}
+   */
+  async findBlockRelations(profileId) {
+    const conversations = await ConversationModel.findAll({
+      where: {
+        [Op.and]: [
+          {
+            [Op.or]: [
+              { participant1_profile_id: profileId },
+              { participant2_profile_id: profileId }
+            ]
+          },
+          {
+            [Op.or]: [
+              { participant1_status: CONVERSATION_STATUS.BLOCKED },
+              { participant2_status: CONVERSATION_STATUS.BLOCKED }
+            ]
+          }
+        ]
+      },
+      raw: true
+    });
+
+    return conversations.map(data => {
+      const conversation = Conversation.fromDatabase(data);
+      const otherProfileId = conversation.getOtherParticipant(profileId);
+      return {
+        conversationId: conversation.id,
+        profileId: otherProfileId,
+        blockedByMe: conversation.isBlockedBy(profileId),
+        blockedMe: conversation.isBlockedBy(otherProfileId)
+      };
+    });
+  }
+
+  // Conversaciones en las que el usuario bloqueó al otro participante
+  async findBlockedByProfileId(profileId) {
+    const conversations = await ConversationModel.findAll({
+      where: {
+        [Op.or]: [
+          { participant1_profile_id: profileId, participant1_status: CONVERSATION_STATUS.BLOCKED },
+          { participant2_profile_id: profileId, participant2_status: CONVERSATION_STATUS.BLOCKED }
+        ]
+      },
+      include: [
+        { model: UserModel, as: 'participant1', attributes: PARTICIPANT_ATTRIBUTES },
+        { model: UserModel, as: 'participant2', attributes: PARTICIPANT_ATTRIBUTES }
+      ],
+      order: [['updated_at', 'DESC']]
+    });
+    return conversations.map(conv => this._toEntity(conv));
+  }
+
   async findAll(filters = {}) {
     const { page = 1, limit = 20 } = filters;
     const offset = (page - 1) * limit;
 
     const { rows, count } = await ConversationModel.findAndCountAll({
       include: [
-        { model: UserModel, as: 'participant1', attributes: ['id', 'profile_id', 'username', 'display_name', 'avatar_url'] },
-        { model: UserModel, as: 'participant2', attributes: ['id', 'profile_id', 'username', 'display_name', 'avatar_url'] }
+        { model: UserModel, as: 'participant1', attributes: PARTICIPANT_ATTRIBUTES },
+        { model: UserModel, as: 'participant2', attributes: PARTICIPANT_ATTRIBUTES }
       ],
       limit,
       offset,
@@ -93,7 +267,9 @@ class ConversationRepository {
     
     const conversation = await ConversationModel.create({
       participant1_profile_id: id1,
-      participant2_profile_id: id2
+      participant2_profile_id: id2,
+      request_status: conversationData.requestStatus || REQUEST_STATUS.ACCEPTED,
+      requested_by_profile_id: conversationData.requestedByProfileId || null
     });
 
     return this.findById(conversation.id);
@@ -108,69 +284,135 @@ class ConversationRepository {
     if (conversationData.lastMessageAt !== undefined) updateData.last_message_at = conversationData.lastMessageAt;
     if (conversationData.participant1Status !== undefined) updateData.participant1_status = conversationData.participant1Status;
     if (conversationData.participant2Status !== undefined) updateData.participant2_status = conversationData.participant2Status;
+    if (conversationData.participant1StatusBeforeBlock !== undefined) updateData.participant1_status_before_block = conversationData.participant1StatusBeforeBlock;
+    if (conversationData.participant2StatusBeforeBlock !== undefined) updateData.participant2_status_before_block = conversationData.participant2StatusBeforeBlock;
     if (conversationData.unreadCount1 !== undefined) updateData.unread_count_1 = conversationData.unreadCount1;
     if (conversationData.unreadCount2 !== undefined) updateData.unread_count_2 = conversationData.unreadCount2;
+    if (conversationData.messageTtlSeconds !== undefined) updateData.message_ttl_seconds = conversationData.messageTtlSeconds;
+    if (conversationData.participant1MutedUntil !== undefined) updateData.participant1_muted_until = conversationData.participant1MutedUntil;
+    if (conversationData.participant2MutedUntil !== undefined) updateData.participant2_muted_until = conversationData.participant2MutedUntil;
+    if (conversationData.participant1PinnedAt !== undefined) updateData.participant1_pinned_at = conversationData.participant1PinnedAt;
+    if (conversationData.participant2PinnedAt !== undefined) updateData.participant2_pinned_at = conversationData.participant2PinnedAt;
+    if (conversationData.requestStatus !== undefined) updateData.request_status = conversationData.requestStatus;
 
     await conversation.update(updateData);
     return this.findById(id);
   }
 
-  async incrementUnread(conversationId, forProfileId) {
-    const conversation = await ConversationModel.findByPk(conversationId);
-    if (!conversation) return null;
+  /**
+   * Mensaje nuevo: pasa a ser el último de la conversación y suma uno a los no leídos del destinatario
+   * (los mensajes de sistema no cuentan). Se llama dentro de la transacción que crea el mensaje.
+   * @param {object} message - { id, senderProfileId, messageType, createdAt }
+   */
+  async recordMessage(conversationId, message, { transaction } = {}) {
+    const isUnread = message.messageType !== 'system';
 
-    if (conversation.participant1_profile_id === forProfileId) {
-      await conversation.increment('unread_count_1');
-    } else {
-      await conversation.increment('unread_count_2');
-    }
-
-    return this.findById(conversationId);
+    await sequelize.query(
+      `UPDATE conversations
+       SET last_message_id = CASE WHEN last_message_at IS NULL OR last_message_at <= :createdAt
+                                  THEN :messageId ELSE last_message_id END,
+           last_message_at = GREATEST(last_message_at, :createdAt),
+           unread_count_1 = unread_count_1 + CASE WHEN :isUnread AND participant1_profile_id <> :senderProfileId THEN 1 ELSE 0 END,
+           unread_count_2 = unread_count_2 + CASE WHEN :isUnread AND participant2_profile_id <> :senderProfileId THEN 1 ELSE 0 END,
+           updated_at = NOW()
+       WHERE id = :conversationId`,
+      {
+        replacements: {
+          conversationId,
+          messageId: message.id,
+          senderProfileId: message.senderProfileId,
+          createdAt: message.createdAt,
+          isUnread
+        },
+        transaction
+      }
+    );
   }
 
-  async resetUnread(conversationId, forProfileId) {
-    const conversation = await ConversationModel.findByPk(conversationId);
-    if (!conversation) return null;
+  // Deja en 0 los no leídos del participante; con transacción, la fila queda bloqueada hasta el final
+  async resetUnread(conversationId, forProfileId, { transaction } = {}) {
+    const conversation = await ConversationModel.findByPk(conversationId, {
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+    if (!conversation) return false;
 
     if (conversation.participant1_profile_id === forProfileId) {
-      await conversation.update({ unread_count_1: 0 });
+      await conversation.update({ unread_count_1: 0 }, { transaction });
     } else {
-      await conversation.update({ unread_count_2: 0 });
+      await conversation.update({ unread_count_2: 0 }, { transaction });
     }
 
-    return this.findById(conversationId);
+    return true;
+  }
+
+  /**
+   * Recalcula desde `messages` el último mensaje y los no leídos (mensajes del otro participante sin leer,
+   * sin contar eliminados ni de sistema). Sin conversationId recorre todas las conversaciones.
+   * @returns {Promise<number>} Conversaciones corregidas
+   */
+  async reconcileSummaries({ conversationId = null, transaction } = {}) {
+    const unreadFor = (column) => `(
+      SELECT COUNT(*) FROM messages m
+      WHERE m.conversation_id = c.id AND m.sender_profile_id <> c.${column}
+        AND m.status <> 'read' AND m.is_deleted = false AND m.message_type <> 'system'
+    )::int`;
+
+    const rows = await sequelize.query(
+      `WITH expected AS (
+         SELECT c.id, lm.id AS last_message_id, lm.created_at AS last_message_at,
+                ${unreadFor('participant1_profile_id')} AS unread_count_1,
+                ${unreadFor('participant2_profile_id')} AS unread_count_2
+         FROM conversations c
+         LEFT JOIN LATERAL (
+           SELECT m.id, m.created_at FROM messages m
+           WHERE m.conversation_id = c.id AND m.is_deleted = false
+           ORDER BY m.created_at DESC, m.id DESC
+           LIMIT 1
+         ) lm ON true
+         ${conversationId ? 'WHERE c.id = :conversationId' : ''}
+       )
+       UPDATE conversations AS c
+       SET last_message_id = e.last_message_id, last_message_at = e.last_message_at,
+           unread_count_1 = e.unread_count_1, unread_count_2 = e.unread_count_2
+       FROM expected e
+       WHERE c.id = e.id
+         AND (c.last_message_id IS DISTINCT FROM e.last_message_id
+           OR c.last_message_at IS DISTINCT FROM e.last_message_at
+           OR c.unread_count_1 <> e.unread_count_1
+           OR c.unread_count_2 <> e.unread_count_2)
+       RETURNING c.id`,
+      {
+        replacements: { conversationId },
+        type: sequelize.QueryTypes.SELECT,
+        transaction
+      }
+    );
+    return rows.length;
   }
 
   _toEntity(model) {
     const data = model.toJSON();
     const conversation = Conversation.fromDatabase(data);
 
+    // Sin aceptar la solicitud no son contactos
+    const relation = {
+      isBlocked: conversation.isBlocked(),
+      isContact: !conversation.isBlocked() && !conversation.isRequest()
+    };
+
     if (data.participant1) {
-      conversation.participant1 = {
-        id: data.participant1.id,
-        profileId: data.participant1.profile_id,
-        username: data.participant1.username,
-        displayName: data.participant1.display_name,
-        avatarUrl: data.participant1.avatar_url,
-        isOnline: data.participant1.is_online
-      };
+      conversation.participant1 = this._toParticipant(data.participant1, relation);
     }
 
     if (data.participant2) {
-      conversation.participant2 = {
-        id: data.participant2.id,
-        profileId: data.participant2.profile_id,
-        username: data.participant2.username,
-        displayName: data.participant2.display_name,
-        avatarUrl: data.participant2.avatar_url,
-        isOnline: data.participant2.is_online
-      };
+      conversation.participant2 = this._toParticipant(data.participant2, relation);
     }
 
     if (data.lastMessage) {
       conversation.lastMessage = {
         id: data.lastMessage.id,
-        content: data.lastMessage.content,
+        content: Message.isExpiredData(data.lastMessage) ? '' : data.lastMessage.content,
         messageType: data.lastMessage.message_type,
         createdAt: data.lastMessage.created_at
       };
@@ -178,6 +420,20 @@ class ConversationRepository {
 
     return conversation;
   }
+
+  // Los participantes de una conversación aceptada son contactos entre sí: solo se oculta lo marcado
+  // como 'nobody', o todo si hay un bloqueo
+  _toParticipant(data, relation) {
+    const user = User.fromDatabase(data);
+    return {
+      id: user.id,
+      profileId: user.profileId,
+      username: user.username,
+      displayName: user.displayName,
+      avatarUrl: user.avatarUrl,
+      ...user.getPresenceFor(relation)
+    };
+  }
 }
 
 module.exports = ConversationRepository;
\ No newline at end of file
@@ -2,16 +2,24 @@
  * Infrastructure Repository: GroupMemberRepository
  */
 
-const { GroupMemberModel, UserModel, GroupModel } = require('../database/models');
+const { GroupMemberModel, UserModel, GroupModel, MessageModel, sequelize } = require('../database/models');
 const { GroupMember, MEMBER_STATUS } = require('../../domain/entities/GroupMember');
+const { GROUP_STATUS } = require('../../domain/entities/Group');
+const { User } = require('../../domain/entities/User');
 const { Op } = require('sequelize');
 
+// Datos del usuario de cada miembro, con lo necesario para aplicar su privacidad de presencia
+const USER_ATTRIBUTES = [
+  'id', 'profile_id', 'username', 'display_name', 'avatar_url',
+  'is_online', 'last_seen_at', 'online_status_visibility', 'last_seen_visibility'
+];
+
 class GroupMemberRepository {
 
   async findById(id) {
     const member = await GroupMemberModel.findByPk(id, {
       include: [
-        { model: UserModel, as: 'user', attributes: ['id', 'profile_id', 'username', 'display_name', 'avatar_url', 'is_online'] },
+        { model: UserModel, as: 'user', attributes: USER_ATTRIBUTES },
         { model: GroupModel, as: 'group', attributes: ['id', 'name', 'group_type', 'image_url'] }
       ]
     });
@@ -28,7 +36,7 @@ class GroupMemberRepository {
     const { rows, count } = await GroupMemberModel.findAndCountAll({
       where,
       include: [
-        { model: UserModel, as: 'user', attributes: ['id', 'profile_id', 'username', 'display_name', 'avatar_url', 'is_online'] }
+        { model: UserModel, as: 'user', attributes: USER_ATTRIBUTES }
       ],
       limit,
       offset,
@@ -140,6 +148,7 @@ class GroupMemberRepository {
     if (memberData.lastReadMessageId !== undefined) updateData.last_read_message_id = memberData.lastReadMessageId;
     if (memberData.unreadCount !== undefined) updateData.unread_count = memberData.unreadCount;
     if (memberData.mutedUntil !== undefined) updateData.muted_until = memberData.mutedUntil;
+    if (memberData.joinedAt !== undefined) updateData.joined_at = memberData.joinedAt;
 
     await member.update(updateData);
     return this.findById(id);
@@ -163,43 +172,167 @@ class GroupMemberRepository {
     return count > 0;
   }
 
-  async updateLastRead(groupId, profileId, messageId) {
-    const member = await GroupMemberModel.findOne({
-      where: { group_id: groupId, profile_id: profileId }
+  // IDs internos de los grupos donde el usuario es miembro (activo o silenciado)
+  async findGroupIdsByProfileId(profileId) {
+    const memberships = await GroupMemberModel.findAll({
+      where: {
+        profile_id: profileId,
+        status: { [Op.in]: [MEMBER_STATUS.ACTIVE, MEMBER_STATUS.MUTED] }
+      },
+      attributes: ['group_id'],
+      raw: true
     });
-    
-    if (!member) return null;
+    return memberships.map(member => member.group_id);
+  }
 
-    await member.update({
-      last_read_message_id: messageId,
-      unread_count: 0
+  // Perfiles que reciben los mensajes del grupo (activos o silenciados)
+  async findRecipientProfileIds(groupId, exceptProfileId = null) {
+    const where = {
+      group_id: groupId,
+      status: { [Op.in]: [MEMBER_STATUS.ACTIVE, MEMBER_STATUS.MUTED] }
+    };
+    if (exceptProfileId) {
+      where.profile_id = { [Op.ne]: exceptProfileId };
+    }
+
+    const memberships = await GroupMemberModel.findAll({
+      where,
+      attributes: ['profile_id'],
+      raw: true
     });
+    return memberships.map(member => member.profile_id);
+  }
 
-    return this.findById(member.id);
+  // Destinatarios de notificaciones push: miembros activos sin silencio vigente (excepto el emisor)
+  async findPushRecipientProfileIds(groupId, exceptProfileId = null) {
+    const where = {
+      group_id: groupId,
+      status: MEMBER_STATUS.ACTIVE,
+      [Op.or]: [
+        { muted_until: null },
+        { muted_until: { [Op.lte]: new Date() } }
+      ]
+    };
+    if (exceptProfileId) {
+      where.profile_id = { [Op.ne]: exceptProfileId };
+    }
+
+    const memberships = await GroupMemberModel.findAll({
+      where,
+      attributes: ['profile_id'],
+      raw: true
+    });
+    return memberships.map(member => member.profile_id);
   }
 
-  async incrementUnreadForAll(groupId, exceptProfileId) {
+  // Perfiles que comparten algún grupo activo con el usuario (miembros activos o silenciados)
+  async findPeerProfileIds(profileId) {
+    const groupIds = await this.findGroupIdsByProfileId(profileId);
+    if (groupIds.length === 0) return [];
+
+    const memberships = await GroupMemberModel.findAll({
+      where: {
+        group_id: { [Op.in]: groupIds },
+        profile_id: { [Op.ne]: profileId },
+        status: { [Op.in]: [MEMBER_STATUS.ACTIVE, MEMBER_STATUS.MUTED] }
+      },
+      include: [{ model: GroupModel, as: 'group', attributes: [], where: { status: GROUP_STATUS.ACTIVE } }],
+      attributes: ['profile_id'],
+      raw: true
+    });
+    return [...new Set(memberships.map(member => member.profile_id))];
+  }
+
+  /**
+   * Marca el grupo como leído hasta su último mensaje y deja los no leídos en 0.
+   * La fila del miembro se bloquea antes de buscar el último mensaje: un envío simultáneo
+   * queda después de la lectura y vuelve a sumar 1.
+   */
+  async markAsRead(groupId, profileId) {
+    const memberId = await sequelize.transaction(async (transaction) => {
+      const member = await GroupMemberModel.findOne({
+        where: { group_id: groupId, profile_id: profileId },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!member) return null;
+
+      const lastMessage = await MessageModel.findOne({
+        where: { group_id: groupId, is_deleted: false },
+        attributes: ['id'],
+        order: [['created_at', 'DESC'], ['id', 'DESC']],
+        transaction
+      });
+
+      await member.update({
+        last_read_message_id: lastMessage ? lastMessage.id : member.last_read_message_id,
+        unread_count: 0
+      }, { transaction });
+      return member.id;
+    });
+
+    return memberId ? this.findById(memberId) : null;
+  }
+
+  // Mensaje nuevo: +1 para los miembros (salvo el emisor), dentro de la transacción que lo crea
+  async incrementUnreadForAll(groupId, exceptProfileId, { transaction } = {}) {
     await GroupMemberModel.increment('unread_count', {
       where: {
         group_id: groupId,
         profile_id: { [Op.ne]: exceptProfileId },
-        status: MEMBER_STATUS.ACTIVE
-      }
+        status: { [Op.in]: [MEMBER_STATUS.ACTIVE, MEMBER_STATUS.MUTED] }
+      },
+      transaction
     });
   }
 
+  /**
+   * Recalcula los no leídos desde `messages`: mensajes de otros posteriores al último leído y al ingreso
+   * (o al último regreso al grupo), sin contar eliminados ni de sistema. Sin groupId recorre todos los grupos.
+   * @returns {Promise<number>} Miembros corregidos
+   */
+  async reconcileUnread({ groupId = null, transaction } = {}) {
+    const rows = await sequelize.query(
+      `WITH expected AS (
+         SELECT gm.id, (
+           SELECT COUNT(*) FROM messages m
+           WHERE m.group_id = gm.group_id AND m.sender_profile_id <> gm.profile_id
+             AND m.is_deleted = false AND m.message_type <> 'system'
+             AND m.created_at > GREATEST(lr.created_at, COALESCE(gm.joined_at, gm.created_at))
+         )::int AS unread_count
+         FROM group_members gm
+         LEFT JOIN messages lr ON lr.id = gm.last_read_message_id
+         WHERE gm.status IN (:statuses)
+           ${groupId ? 'AND gm.group_id = :groupId' : ''}
+       )
+       UPDATE group_members AS gm
+       SET unread_count = e.unread_count
+       FROM expected e
+       WHERE gm.id = e.id AND gm.unread_count <> e.unread_count
+       RETURNING gm.id`,
+      {
+        replacements: { groupId, statuses: [MEMBER_STATUS.ACTIVE, MEMBER_STATUS.MUTED] },
+        type: sequelize.QueryTypes.SELECT,
+        transaction
+      }
+    );
+    return rows.length;
+  }
+
   _toEntity(model) {
     const data = model.toJSON();
     const member = GroupMember.fromDatabase(data);
 
+    // Otros miembros del grupo no son contactos: solo se muestra lo visible para todos
     if (data.user) {
+      const user = User.fromDatabase(data.user);
       member.user = {
-        id: data.user.id,
-        profileId: data.user.profile_id,
-        username: data.user.username,
-        displayName: data.user.display_name,
-        avatarUrl: data.user.avatar_url,
-        isOnline: data.user.is_online
+        id: user.id,
+        profileId: user.profileId,
+        username: user.username,
+        displayName: user.displayName,
+        avatarUrl: user.avatarUrl,
+        ...user.getPresenceFor({ isContact: false })
       };
     }
 
@@ -1,5 +1,5 @@
  
-const { GroupModel, UserModel } = require('../database/models');
+const { GroupModel, UserModel, sequelize } = require('../database/models');
 const { Group, GROUP_TYPES } = require('../../domain/entities/Group');
 const { Op } = require('sequelize');
 
@@ -23,6 +23,18 @@ class GroupRepository {
     return group ? this._toEntity(group) : null;
   }
 
+  // Solo { id, externalId } de cada grupo, para resolver salas WebSocket sin cargar el grupo completo
+  async findIdentities(ids) {
+    if (ids.length === 0) return [];
+
+    const rows = await GroupModel.findAll({
+      where: { id: { [Op.in]: ids } },
+      attributes: ['id', 'external_id'],
+      raw: true
+    });
+    return rows.map(row => ({ id: row.id, externalId: row.external_id }));
+  }
+
   async findByType(groupType, options = {}) {
     const { page = 1, limit = 20 } = options;
     const offset = (page - 1) * limit;
@@ -173,6 +185,12 @@ class GroupRepository {
     if (groupData.lastMessageAt !== undefined) updateData.last_message_at = groupData.lastMessageAt;
     if (groupData.location !== undefined) updateData.location = groupData.location;
     if (groupData.scheduledAt !== undefined) updateData.scheduled_at = groupData.scheduledAt;
+    if (groupData.messageTtlSeconds !== undefined) updateData.message_ttl_seconds = groupData.messageTtlSeconds;
+    if (groupData.settings !== undefined) {
+      // Se combinan con los settings actuales para no perder claves existentes
+      const current = Group.fromDatabase(group.toJSON()).settings;
+      updateData.settings = JSON.stringify({ ...current, ...groupData.settings });
+    }
 
     await group.update(updateData);
     return this.findById(id);
@@ -199,6 +217,44 @@ class GroupRepository {
     return this.findById(id);
   }
 
+  // Mensaje nuevo en el grupo (dentro de la transacción que lo crea); bloquea la fila del grupo,
+  // así los envíos simultáneos al mismo grupo actualizan los contadores de a uno
+  async recordMessage(id, createdAt, { transaction } = {}) {
+    await sequelize.query(
+      `UPDATE groups SET last_message_at = GREATEST(last_message_at, :createdAt), updated_at = NOW()
+       WHERE id = :id`,
+      { replacements: { id, createdAt }, transaction }
+    );
+  }
+
+  /**
+   * Recalcula `last_message_at` desde `messages` (sin contar eliminados). Sin id recorre todos los grupos.
+   * @returns {Promise<number>} Grupos corregidos
+   */
+  async reconcileLastMessage({ id = null, transaction } = {}) {
+    const rows = await sequelize.query(
+      `WITH expected AS (
+         SELECT g.id, (
+           SELECT MAX(m.created_at) FROM messages m
+           WHERE m.group_id = g.id AND m.is_deleted = false
+         ) AS last_message_at
+         FROM groups g
+         ${id ? 'WHERE g.id = :id' : ''}
+       )
+       UPDATE groups AS g
+       SET last_message_at = e.last_message_at
+       FROM expected e
+       WHERE g.id = e.id AND g.last_message_at IS DISTINCT FROM e.last_message_at
+       RETURNING g.id`,
+      {
+        replacements: { id },
+        type: sequelize.QueryTypes.SELECT,
+        transaction
+      }
+    );
+    return rows.length;
+  }
+
   _toEntity(model) {
     const data = model.toJSON();
     const group = Group.fromDatabase(data);
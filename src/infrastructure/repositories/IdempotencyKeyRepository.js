@@ -0,0 +1,78 @@
+/**
+ * Infrastructure Repository: IdempotencyKeyRepository
+ */
+
+const crypto = require('crypto');
+const { IdempotencyKeyModel, sequelize } = require('../database/models');
+const { Op, QueryTypes } = require('sequelize');
+
+class IdempotencyKeyRepository {
+
+  /**
+   * Reserva la clave para esta petición. Si ya existe una vigente devuelve { reserved: false, record };
+   * una clave vencida, o una en 'processing' abandonada hace más de `staleAfterSeconds`, se reutiliza.
+   */
+  async reserve({ profileId, key, requestHash, ttlHours, staleAfterSeconds }) {
+    const rows = await sequelize.query(
+      `INSERT INTO idempotency_keys
+         (id, profile_id, idempotency_key, request_hash, status, expires_at, created_at, updated_at)
+       VALUES
+         (:id, :profileId, :key, :requestHash, 'processing', NOW() + (:ttlHours * INTERVAL '1 hour'), NOW(), NOW())
+       ON CONFLICT (profile_id, idempotency_key) DO UPDATE
+       SET request_hash = EXCLUDED.request_hash,
+           status = 'processing',
+           status_code = NULL,
+           response_body = NULL,
+           expires_at = EXCLUDED.expires_at,
+           created_at = NOW(),
+           updated_at = NOW()
+       WHERE idempotency_keys.expires_at <= NOW()
+          OR (idempotency_keys.status = 'processing'
+              AND idempotency_keys.updated_at < NOW() - (:staleAfterSeconds * INTERVAL '1 second'))
+       RETURNING id`,
+      {
+        replacements: { id: crypto.randomUUID(), profileId, key, requestHash, ttlHours, staleAfterSeconds },
+        type: QueryTypes.SELECT
+      }
+    );
+
+    if (rows.length > 0) {
+      return { reserved: true, record: { id: rows[0].id } };
+    }
+
+    const existing = await IdempotencyKeyModel.findOne({
+      where: { profile_id: profileId, idempotency_key: key }
+    });
+    return { reserved: false, record: existing ? this._toRecord(existing) : null };
+  }
+
+  async complete(id, statusCode, responseBody) {
+    await IdempotencyKeyModel.update(
+      { status: 'completed', status_code: statusCode, response_body: responseBody },
+      { where: { id } }
+    );
+  }
+
+  // La petición falló: se libera la clave para que el cliente pueda reintentar
+  async release(id) {
+    await IdempotencyKeyModel.destroy({ where: { id, status: 'processing' } });
+  }
+
+  async purgeExpired() {
+    return IdempotencyKeyModel.destroy({ where: { expires_at: { [Op.lte]: new Date() } } });
+  }
+
+  _toRecord(model) {
+    const data = model.toJSON();
+    return {
+      id: data.id,
+      requestHash: data.request_hash,
+      status: data.status,
+      statusCode: data.status_code,
+      responseBody: data.response_body,
+      expiresAt: data.expires_at
+    };
+  }
+}
+
+module.exports = IdempotencyKeyRepository;
@@ -0,0 +1,156 @@
+/**
+ * Infrastructure Repository: InboxRepository
+ * Bandeja unificada: conversaciones y grupos del usuario en una sola lista.
+ * Primero las conversaciones fijadas (la última fijada arriba) y después el resto por última actividad
+ */
+
+const { sequelize } = require('../database/models');
+const { InboxEntry } = require('../../domain/entities/InboxEntry');
+const { CONVERSATION_STATUS, REQUEST_STATUS, MEMBER_STATUS, GROUP_STATUS } = require('../../domain/entities');
+const { QueryTypes } = require('sequelize');
+
+// Último mensaje visible de cada entrada (solo una de las dos ramas tiene ID)
+const LAST_MESSAGE_JOIN = `
+  LEFT JOIN LATERAL (
+    (SELECT id, content, message_type, sender_profile_id, is_expired, expires_at, created_at
+     FROM messages
+     WHERE conversation_id = entry.conversation_id AND is_deleted = false
+     ORDER BY created_at DESC, id DESC
+     LIMIT 1)
+    UNION ALL
+    (SELECT id, content, message_type, sender_profile_id, is_expired, expires_at, created_at
+     FROM messages
+     WHERE group_id = entry.group_id AND is_deleted = false
+     ORDER BY created_at DESC, id DESC
+     LIMIT 1)
+  ) lm ON TRUE`;
+
+const LAST_MESSAGE_COLUMNS = `
+  lm.id AS last_message_id,
+  lm.content AS last_message_content,
+  lm.message_type AS last_message_type,
+  lm.sender_profile_id AS last_message_sender_profile_id,
+  lm.is_expired AS last_message_is_expired,
+  lm.expires_at AS last_message_expires_at,
+  lm.created_at AS last_message_created_at`;
+
+// Clave del cursor con la precisión completa de la base de datos (microsegundos)
+const SORT_KEY = `to_char(COALESCE(entry.pinned_at, entry.activity_at) AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') AS sort_key`;
+
+// Grupos en los que el miembro está activo o silenciado
+const GROUP_ENTRY_COLUMNS = `
+  'group' AS type, g.id AS chat_id, gm.profile_id, NULL::uuid AS conversation_id, g.id AS group_id,
+  g.external_id, g.name AS title, g.image_url AS avatar_url, g.group_type::text AS group_type,
+  NULL::uuid AS other_profile_id, gm.unread_count, gm.muted_until,
+  (gm.status = :mutedStatus OR COALESCE(gm.muted_until > NOW(), false)) AS is_muted,
+  NULL::timestamptz AS pinned_at, COALESCE(g.last_message_at, gm.joined_at) AS activity_at`;
+
+class InboxRepository {
+
+  /**
+   * Página de la bandeja del usuario: las fijadas por fecha de fijado y después el resto,
+   * de la actividad más reciente a la más antigua (mismo orden que GET /conversations).
+   * Sin las conversaciones archivadas ni las solicitudes de mensaje recibidas sin aceptar.
+   * @param {object} options - { after: { isPinned, sortKey, chatId } (cursor), limit, chatId (solo esa entrada) }
+   */
+  async findByProfileId(profileId, { after = null, limit = 20, chatId = null } = {}) {
+    const rows = await sequelize.query(
+      `WITH inbox AS (
+         SELECT 'conversation' AS type, c.id AS chat_id, CAST(:profileId AS UUID) AS profile_id,
+                c.id AS conversation_id, NULL::uuid AS group_id, NULL::uuid AS external_id,
+                COALESCE(u.display_name, u.username) AS title, u.avatar_url, NULL::text AS group_type,
+                u.profile_id AS other_profile_id,
+                CASE WHEN c.participant1_profile_id = :profileId THEN c.unread_count_1 ELSE c.unread_count_2 END AS unread_count,
+                CASE WHEN c.participant1_profile_id = :profileId THEN c.participant1_muted_until ELSE c.participant2_muted_until END AS muted_until,
+                COALESCE(CASE WHEN c.participant1_profile_id = :profileId THEN c.participant1_muted_until ELSE c.participant2_muted_until END > NOW(), false) AS is_muted,
+                CASE WHEN c.participant1_profile_id = :profileId THEN c.participant1_pinned_at ELSE c.participant2_pinned_at END AS pinned_at,
+                COALESCE(c.last_message_at, c.created_at) AS activity_at
+         FROM conversations c
+         LEFT JOIN users u ON u.profile_id =
+           CASE WHEN c.participant1_profile_id = :profileId THEN c.participant2_profile_id ELSE c.participant1_profile_id END
+         WHERE ((c.participant1_profile_id = :profileId AND c.participant1_status <> :archivedStatus)
+             OR (c.participant2_profile_id = :profileId AND c.participant2_status <> :archivedStatus))
+           AND NOT (c.request_status <> :acceptedStatus AND c.requested_by_profile_id <> :profileId)
+         UNION ALL
+         SELECT ${GROUP_ENTRY_COLUMNS}
+         FROM group_members gm
+         JOIN chat_groups g ON g.id = gm.group_id
+         WHERE gm.profile_id = :profileId AND gm.status IN (:memberStatuses) AND g.status = :activeGroupStatus
+       ),
+       ranked AS (
+         SELECT *, pinned_at IS NOT NULL AS is_pinned, COALESCE(pinned_at, activity_at) AS sort_at
+         FROM inbox
+       ),
+       entry AS (
+         SELECT * FROM ranked
+         WHERE (CAST(:chatId AS UUID) IS NULL OR chat_id = CAST(:chatId AS UUID))
+           AND (CAST(:afterSortAt AS TIMESTAMPTZ) IS NULL
+             OR (is_pinned, sort_at, chat_id) < (CAST(:afterPinned AS BOOLEAN), CAST(:afterSortAt AS TIMESTAMPTZ), CAST(:afterChatId AS UUID)))
+         ORDER BY is_pinned DESC, sort_at DESC, chat_id DESC
+         LIMIT :limit
+       )
+       SELECT entry.*, ${SORT_KEY}, ${LAST_MESSAGE_COLUMNS}
+       FROM entry
+       ${LAST_MESSAGE_JOIN}
+       ORDER BY entry.is_pinned DESC, entry.sort_at DESC, entry.chat_id DESC`,
+      {
+        replacements: {
+          profileId,
+          chatId,
+          afterPinned: after ? after.isPinned : null,
+          afterSortAt: after ? after.sortKey : null,
+          afterChatId: after ? after.chatId : null,
+          limit,
+          archivedStatus: CONVERSATION_STATUS.ARCHIVED,
+          acceptedStatus: REQUEST_STATUS.ACCEPTED,
+          mutedStatus: MEMBER_STATUS.MUTED,
+          memberStatuses: [MEMBER_STATUS.ACTIVE, MEMBER_STATUS.MUTED],
+          activeGroupStatus: GROUP_STATUS.ACTIVE
+        },
+        type: QueryTypes.SELECT
+      }
+    );
+
+    return rows.map(row => InboxEntry.fromDatabase(row));
+  }
+
+  // Entrada del grupo para cada miembro (opcionalmente solo algunos), en una sola consulta
+  async findGroupEntries(groupId, profileIds = null) {
+    if (profileIds && profileIds.length === 0) return [];
+
+    // El último mensaje es el mismo para todos: se busca una sola vez
+    const rows = await sequelize.query(
+      `WITH entry AS (
+         SELECT ${GROUP_ENTRY_COLUMNS}
+         FROM group_members gm
+         JOIN chat_groups g ON g.id = gm.group_id
+         WHERE gm.group_id = :groupId AND gm.status IN (:memberStatuses) AND g.status = :activeGroupStatus
+           ${profileIds ? 'AND gm.profile_id IN (:profileIds)' : ''}
+       ),
+       lm AS (
+         SELECT id, content, message_type, sender_profile_id, is_expired, expires_at, created_at
+         FROM messages
+         WHERE group_id = :groupId AND is_deleted = false
+         ORDER BY created_at DESC, id DESC
+         LIMIT 1
+       )
+       SELECT entry.*, ${SORT_KEY}, ${LAST_MESSAGE_COLUMNS}
+       FROM entry
+       LEFT JOIN lm ON TRUE`,
+      {
+        replacements: {
+          groupId,
+          profileIds,
+          mutedStatus: MEMBER_STATUS.MUTED,
+          memberStatuses: [MEMBER_STATUS.ACTIVE, MEMBER_STATUS.MUTED],
+          activeGroupStatus: GROUP_STATUS.ACTIVE
+        },
+        type: QueryTypes.SELECT
+      }
+    );
+
+    return rows.map(row => InboxEntry.fromDatabase(row));
+  }
+}
+
+module.exports = InboxRepository;
@@ -0,0 +1,106 @@
+/**
+ * Infrastructure Repository: MessageReactionRepository
+ */
+
+const { MessageReactionModel, UserModel, sequelize } = require('../database/models');
+const MessageReaction = require('../../domain/entities/MessageReaction');
+const { Op } = require('sequelize');
+
+class MessageReactionRepository {
+
+  async findByMessage(messageId) {
+    const reactions = await MessageReactionModel.findAll({
+      where: { message_id: messageId },
+      include: [
+        { model: UserModel, as: 'user', attributes: ['id', 'profile_id', 'username', 'display_name', 'avatar_url'] }
+      ],
+      order: [['created_at', 'ASC']]
+    });
+    return reactions.map(reaction => this._toEntity(reaction));
+  }
+
+  async add(messageId, profileId, reaction) {
+    const [, created] = await MessageReactionModel.findOrCreate({
+      where: { message_id: messageId, profile_id: profileId, reaction }
+    });
+    return created;
+  }
+
+  async remove(messageId, profileId, reaction) {
+    const deleted = await MessageReactionModel.destroy({
+      where: { message_id: messageId, profile_id: profileId, reaction }
+    });
+    return deleted > 0;
+  }
+
+  async toggle(messageId, profileId, reaction) {
+    const removed = await this.remove(messageId, profileId, reaction);
+    if (removed) return { added: false };
+
+    await this.add(messageId, profileId, reaction);
+    return { added: true };
+  }
+
+  // Resumen agregado por mensaje: [{ reaction, count, reactedByMe }]
+  async getSummaries(messageIds, viewerProfileId = null) {
+    const summaries = new Map();
+    if (!messageIds || messageIds.length === 0) return summaries;
+
+    const attributes = [
+      'message_id',
+      'reaction',
+      [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+      [sequelize.fn('MIN', sequelize.col('created_at')), 'first_at']
+    ];
+
+    if (viewerProfileId) {
+      attributes.push([
+        sequelize.literal(`BOOL_OR(profile_id = ${sequelize.escape(viewerProfileId)})`),
+        'reacted_by_me'
+      ]);
+    }
+
+    const rows = await MessageReactionModel.findAll({
+      attributes,
+      where: { message_id: { [Op.in]: messageIds } },
+      group: ['message_id', 'reaction'],
+      order: [[sequelize.literal('first_at'), 'ASC']],
+      raw: true
+    });
+
+    for (const row of rows) {
+      if (!summaries.has(row.message_id)) {
+        summaries.set(row.message_id, []);
+      }
+
+      const summary = {
+        reaction: row.reaction,
+        count: parseInt(row.count)
+      };
+      if (viewerProfileId) summary.reactedByMe = !!row.reacted_by_me;
+
+      summaries.get(row.message_id).push(summary);
+    }
+
+    return summaries;
+  }
+
+  _toEntity(model) {
+    const data = model.toJSON();
+    const reaction = MessageReaction.fromDatabase(data);
+
+    if (data.user) {
+      reaction.user = {
+        id: data.user.id,
+        profileId: data.user.profile_id,
+        username: data.user.username,
+        displayName: data.user.display_name,
+        avatarUrl: data.user.avatar_url
+      };
+    }
+
+    return reaction;
+  }
+}
+
+module.exports = MessageReactionRepository;
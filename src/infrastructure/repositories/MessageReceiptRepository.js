@@ -0,0 +1,136 @@
+/**
+ * Infrastructure Repository: MessageReceiptRepository
+ */
+
+const { MessageReceiptModel, UserModel, sequelize } = require('../database/models');
+const MessageReceipt = require('../../domain/entities/MessageReceipt');
+const { Op, QueryTypes } = require('sequelize');
+
+class MessageReceiptRepository {
+
+  async findByMessage(messageId) {
+    const receipts = await MessageReceiptModel.findAll({
+      where: { message_id: messageId },
+      include: [
+        { model: UserModel, as: 'user', attributes: ['id', 'profile_id', 'username', 'display_name', 'avatar_url'] }
+      ],
+      order: [
+        [sequelize.literal('"MessageReceipt"."read_at" IS NULL'), 'ASC'],
+        ['read_at', 'DESC'],
+        ['delivered_at', 'DESC']
+      ]
+    });
+    return receipts.map(receipt => this._toEntity(receipt));
+  }
+
+  // Un recibo pendiente por cada destinatario del mensaje de grupo
+  async createForRecipients(messageId, profileIds) {
+    if (!profileIds || profileIds.length === 0) return 0;
+
+    const rows = profileIds.map(profileId => ({
+      message_id: messageId,
+      profile_id: profileId
+    }));
+
+    await MessageReceiptModel.bulkCreate(rows, { ignoreDuplicates: true });
+    return rows.length;
+  }
+
+  // Marca como entregados; devuelve [{ messageId, groupId, deliveredAt }] de los que cambiaron
+  async markDelivered(messageIds, profileId) {
+    if (!messageIds || messageIds.length === 0) return [];
+
+    const rows = await sequelize.query(
+      `UPDATE message_receipts AS r
+       SET delivered_at = NOW(), updated_at = NOW()
+       FROM messages AS m
+       WHERE r.message_id = m.id
+         AND r.profile_id = :profileId
+         AND r.delivered_at IS NULL
+         AND r.message_id IN (:messageIds)
+       RETURNING r.message_id, m.group_id, r.delivered_at`,
+      {
+        replacements: { profileId, messageIds },
+        type: QueryTypes.SELECT
+      }
+    );
+
+    return rows.map(row => ({
+      messageId: row.message_id,
+      groupId: row.group_id,
+      deliveredAt: row.delivered_at
+    }));
+  }
+
+  // Marca como leídos (y entregados) todos los mensajes pendientes del grupo
+  async markGroupAsRead(groupId, profileId) {
+    const rows = await sequelize.query(
+      `UPDATE message_receipts AS r
+       SET read_at = NOW(),
+           delivered_at = COALESCE(r.delivered_at, NOW()),
+           updated_at = NOW()
+       FROM messages AS m
+       WHERE r.message_id = m.id
+         AND m.group_id = :groupId
+         AND r.profile_id = :profileId
+         AND r.read_at IS NULL
+       RETURNING r.message_id, r.read_at`,
+      {
+        replacements: { groupId, profileId },
+        type: QueryTypes.SELECT
+      }
+    );
+
+    return {
+      messageIds: rows.map(row => row.message_id),
+      readAt: rows.length > 0 ? rows[0].read_at : null
+    };
+  }
+
+  // Resumen agregado por mensaje: { recipients, delivered, read }
+  async getSummaries(messageIds) {
+    const summaries = new Map();
+    if (!messageIds || messageIds.length === 0) return summaries;
+
+    const rows = await MessageReceiptModel.findAll({
+      attributes: [
+        'message_id',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'recipients'],
+        [sequelize.fn('COUNT', sequelize.col('delivered_at')), 'delivered'],
+        [sequelize.fn('COUNT', sequelize.col('read_at')), 'read']
+      ],
+      where: { message_id: { [Op.in]: messageIds } },
+      group: ['message_id'],
+      raw: true
+    });
+
+    for (const row of rows) {
+      summaries.set(row.message_id, {
+        recipients: parseInt(row.recipients),
+        delivered: parseInt(row.delivered),
+        read: parseInt(row.read)
+      });
+    }
+
+    return summaries;
+  }
+
+  _toEntity(model) {
+    const data = model.toJSON();
+    const receipt = MessageReceipt.fromDatabase(data);
+
+    if (data.user) {
+      receipt.user = {
+        id: data.user.id,
+        profileId: data.user.profile_id,
+        username: data.user.username,
+        displayName: data.user.display_name,
+        avatarUrl: data.user.avatar_url
+      };
+    }
+
+    return receipt;
+  }
+}
+
+module.exports = MessageReceiptRepository;
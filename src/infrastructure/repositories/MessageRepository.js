@@ -2,33 +2,111 @@
  * Repository: MessageRepository
  */
 
-const { MessageModel, UserModel } = require('../database/models');
+const { MessageModel, UserModel, sequelize } = require('../database/models');
 const { Message } = require('../../domain/entities/Message');
+const MessageReactionRepository = require('./MessageReactionRepository');
+const MessageReceiptRepository = require('./MessageReceiptRepository');
+const MessageRevisionRepository = require('./MessageRevisionRepository');
+const ConversationRepository = require('./ConversationRepository');
+const GroupRepository = require('./GroupRepository');
+const GroupMemberRepository = require('./GroupMemberRepository');
 const { Op } = require('sequelize');
 
+const REPLY_EXCERPT_LENGTH = 100;
+
+// Mensaje citado (respuesta) con su emisor
+const replyToInclude = () => ({
+  model: MessageModel,
+  as: 'replyTo',
+  attributes: ['id', 'sender_profile_id', 'content', 'message_type', 'is_deleted', 'expires_at', 'is_expired', 'created_at'],
+  include: [
+    { model: UserModel, as: 'sender', attributes: ['id', 'profile_id', 'username', 'display_name', 'avatar_url'] }
+  ]
+});
+
 class MessageRepository {
+  constructor() {
+    this.reactionRepository = new MessageReactionRepository();
+    this.receiptRepository = new MessageReceiptRepository();
+    this.revisionRepository = new MessageRevisionRepository();
+    this.conversationRepository = new ConversationRepository();
+    this.groupRepository = new GroupRepository();
+    this.groupMemberRepository = new GroupMemberRepository();
+  }
 
-  async findById(id) {
+  async findById(id, options = {}) {
     const message = await MessageModel.findByPk(id, {
       include: [
-        { model: UserModel, as: 'sender', attributes: ['id', 'profile_id', 'username', 'display_name', 'avatar_url'] }
+        { model: UserModel, as: 'sender', attributes: ['id', 'profile_id', 'username', 'display_name', 'avatar_url'] },
+        replyToInclude()
+      ]
+    });
+    if (!message) return null;
+
+    const entity = this._toEntity(message);
+    if (options.viewerProfileId) {
+      await this._decorate([entity], options.viewerProfileId);
+    }
+    return entity;
+  }
+
+  // Conserva el orden de `ids`; omite los que no existen
+  async findByIds(ids, options = {}) {
+    if (!ids || ids.length === 0) return [];
+
+    const messages = await MessageModel.findAll({
+      where: { id: { [Op.in]: ids } },
+      include: [
+        { model: UserModel, as: 'sender', attributes: ['id', 'profile_id', 'username', 'display_name', 'avatar_url'] },
+        replyToInclude()
       ]
     });
-    return message ? this._toEntity(message) : null;
+
+    const byId = new Map(messages.map(message => [message.id, this._toEntity(message)]));
+    const entities = ids.filter(id => byId.has(id)).map(id => byId.get(id));
+
+    await this._decorate(entities, options.viewerProfileId);
+    return entities;
   }
 
   async findByConversation(conversationId, options = {}) {
-    const { page = 1, limit = 50 } = options;
+    return this._findHistory({ conversation_id: conversationId }, options);
+  }
+
+  // 🔥 MÉTODO PRINCIPAL PARA OBTENER MENSAJES DE GRUPO
+  async findByGroup(groupId, options = {}) {
+    return this._findHistory({ group_id: groupId }, options);
+  }
+
+  // Historial de una conversación o grupo.
+  // Con `page` se usa la paginación por offset (compatibilidad); en otro caso,
+  // paginación por cursor sobre (created_at, id) con anclas before/after/around.
+  // Devuelve null si el mensaje ancla no pertenece a la conversación/grupo.
+  async _findHistory(scope, options = {}) {
+    const { page, limit = 50, viewerProfileId = null } = options;
+
+    const result = page
+      ? await this._findOffsetPage(scope, page, limit)
+      : await this._findCursorPage(scope, options);
+
+    if (!result) return null;
+
+    await this._decorate(result.data, viewerProfileId);
+    return result;
+  }
+
+  async _findOffsetPage(scope, page, limit) {
     const offset = (page - 1) * limit;
-    
+
     const { rows, count } = await MessageModel.findAndCountAll({
-      where: { conversation_id: conversationId, is_deleted: false },
+      where: { ...scope, is_deleted: false },
       include: [
-        { model: UserModel, as: 'sender', attributes: ['id', 'profile_id', 'username', 'display_name', 'avatar_url'] }
+        { model: UserModel, as: 'sender', attributes: ['id', 'profile_id', 'username', 'display_name', 'avatar_url'] },
+        replyToInclude()
       ],
       limit,
       offset,
-      order: [['created_at', 'DESC']]
+      order: [['created_at', 'DESC'], ['id', 'DESC']]
     });
 
     return {
@@ -42,23 +120,125 @@ class MessageRepository {
     };
   }
 
-  // 🔥 MÉTODO PRINCIPAL PARA OBTENER MENSAJES DE GRUPO
-  async findByGroup(groupId, options = {}) {
-    const { page = 1, limit = 50 } = options;
+  async _findCursorPage(scope, options) {
+    const { before, after, around, limit = 50 } = options;
+    const anchorId = before || after || around;
+
+    if (anchorId) {
+      const anchor = await MessageModel.findOne({
+        where: { ...scope, id: anchorId },
+        attributes: ['id']
+      });
+      if (!anchor) return null;
+    }
+
+    let messages;
+    let hasOlder;
+    let hasNewer;
+
+    if (around) {
+      const newerLimit = Math.floor((limit - 1) / 2);
+      const olderLimit = limit - 1 - newerLimit;
+
+      const [anchor, older, newer] = await Promise.all([
+        this._findKeyset(scope, null, 'DESC', 1, { id: around }),
+        this._findKeyset(scope, { id: around, direction: 'older' }, 'DESC', olderLimit + 1),
+        this._findKeyset(scope, { id: around, direction: 'newer' }, 'ASC', newerLimit + 1)
+      ]);
+
+      hasOlder = older.length > olderLimit;
+      hasNewer = newer.length > newerLimit;
+      messages = [
+        ...newer.slice(0, newerLimit).reverse(),
+        ...anchor,
+        ...older.slice(0, olderLimit)
+      ];
+    } else if (after) {
+      // Lo anterior a la página empieza en el propio ancla (si sigue visible)
+      const [newer, older] = await Promise.all([
+        this._findKeyset(scope, { id: after, direction: 'newer' }, 'ASC', limit + 1),
+        this._findKeyset(scope, { id: after, direction: 'older', inclusive: true }, 'DESC', 1)
+      ]);
+      hasNewer = newer.length > limit;
+      hasOlder = older.length > 0;
+      messages = newer.slice(0, limit).reverse();
+    } else {
+      const older = await this._findKeyset(
+        scope,
+        before ? { id: before, direction: 'older' } : null,
+        'DESC',
+        limit + 1
+      );
+      hasOlder = older.length > limit;
+      hasNewer = !!before;
+      messages = older.slice(0, limit);
+    }
+
+    const data = messages.map(msg => this._toEntity(msg));
+
+    return {
+      data,
+      pagination: {
+        limit,
+        hasOlder,
+        hasNewer,
+        // Siempre en orden DESC: el primero es el más nuevo
+        newestCursor: data.length > 0 ? data[0].id : null,
+        oldestCursor: data.length > 0 ? data[data.length - 1].id : null
+      }
+    };
+  }
+
+  // Compara (created_at, id) contra el mensaje ancla directamente en SQL para no
+  // perder la precisión de microsegundos de PostgreSQL al pasar por Date de JS.
+  // Con `inclusive` el propio ancla también entra
+  async _findKeyset(scope, cursor, order, limit, extraWhere = {}) {
+    const conditions = [];
+
+    if (cursor) {
+      const operator = (cursor.direction === 'older' ? '<' : '>') + (cursor.inclusive ? '=' : '');
+      conditions.push(sequelize.literal(
+        `("Message"."created_at", "Message"."id") ${operator} ` +
+        `(SELECT created_at, id FROM messages WHERE id = ${sequelize.escape(cursor.id)})`
+      ));
+    }
+
+    return MessageModel.findAll({
+      where: {
+        ...scope,
+        ...extraWhere,
+        is_deleted: false,
+        ...(conditions.length > 0 && { [Op.and]: conditions })
+      },
+      include: [
+        { model: UserModel, as: 'sender', attributes: ['id', 'profile_id', 'username', 'display_name', 'avatar_url'] },
+        replyToInclude()
+      ],
+      limit,
+      order: [['created_at', order], ['id', order]]
+    });
+  }
+
+  // 🧵 Respuestas de un hilo (orden cronológico)
+  async findThread(rootMessageId, options = {}) {
+    const { page = 1, limit = 50, viewerProfileId = null } = options;
     const offset = (page - 1) * limit;
-    
+
     const { rows, count } = await MessageModel.findAndCountAll({
-      where: { group_id: groupId, is_deleted: false },
+      where: { reply_to_id: rootMessageId, is_deleted: false },
       include: [
         { model: UserModel, as: 'sender', attributes: ['id', 'profile_id', 'username', 'display_name', 'avatar_url'] }
       ],
       limit,
       offset,
-      order: [['created_at', 'DESC']]
+      order: [['created_at', 'ASC']]
     });
 
+    const messages = rows.map(msg => this._toEntity(msg));
+    await this._decorate(messages, viewerProfileId);
+
     return {
-      data: rows.map(msg => this._toEntity(msg)),
+      data: messages,
       pagination: {
         page,
         limit,
@@ -68,6 +248,11 @@ class MessageRepository {
     };
   }
 
+  async getThreadSummary(rootMessageId) {
+    const summaries = await this._getThreadSummaries([rootMessageId]);
+    return summaries.get(rootMessageId) || { replyCount: 0, lastReplyAt: null };
+  }
+
   // Alias para compatibilidad
   async findByGroupId(groupId, options = {}) {
     return this.findByGroup(groupId, options);
@@ -109,64 +294,236 @@ class MessageRepository {
     };
   }
 
+  // 🔍 Búsqueda de texto completo (tsvector en español) dentro de las
+  // conversaciones y grupos indicados. Devuelve fragmentos resaltados con <mark>.
+  async search(options = {}) {
+    const {
+      query,
+      conversationIds = [],
+      groupIds = [],
+      senderProfileId,
+      messageType,
+      from,
+      to,
+      page = 1,
+      limit = 20
+    } = options;
+
+    const scopes = [];
+    if (conversationIds.length > 0) scopes.push('m.conversation_id IN (:conversationIds)');
+    if (groupIds.length > 0) scopes.push('m.group_id IN (:groupIds)');
+
+    if (scopes.length === 0) {
+      return { data: [], pagination: { page, limit, hasMore: false } };
+    }
+
+    const filters = [
+      'm.search_vector @@ q.query',
+      'm.is_deleted = false',
+      'm.is_expired = false',
+      '(m.expires_at IS NULL OR m.expires_at > NOW())',
+      `(${scopes.join(' OR ')})`
+    ];
+    if (senderProfileId) filters.push('m.sender_profile_id = :senderProfileId');
+    if (messageType) filters.push('m.message_type = :messageType');
+    if (from) filters.push('m.created_at >= :from');
+    if (to) filters.push('m.created_at <= :to');
+
+    const rows = await sequelize.query(`
+      WITH q AS (SELECT websearch_to_tsquery('spanish', :query) AS query)
+      SELECT
+        m.id, m.conversation_id, m.group_id, m.sender_profile_id, m.content,
+        m.message_type, m.status, m.media_url, m.reply_to_id, m.is_edited,
+        m.is_deleted, m.metadata, m.expires_at, m.is_expired, m.created_at, m.updated_at,
+        u.id AS sender_id, u.username AS sender_username,
+        u.display_name AS sender_display_name, u.avatar_url AS sender_avatar_url,
+        ts_headline('spanish', m.content, q.query,
+          'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2') AS snippet,
+        ts_rank(m.search_vector, q.query) AS rank
+      FROM messages m
+      CROSS JOIN q
+      LEFT JOIN users u ON u.profile_id = m.sender_profile_id
+      WHERE ${filters.join(' AND ')}
+      ORDER BY rank DESC, m.created_at DESC, m.id DESC
+      LIMIT :limit OFFSET :offset
+    `, {
+      replacements: {
+        query,
+        conversationIds,
+        groupIds,
+        senderProfileId: senderProfileId || null,
+        messageType: messageType || null,
+        from: from || null,
+        to: to || null,
+        limit: limit + 1,
+        offset: (page - 1) * limit
+      },
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    const data = rows.slice(0, limit).map(row => {
+      const message = Message.fromDatabase(row);
+      if (row.sender_id) {
+        message.sender = {
+          id: row.sender_id,
+          profileId: row.sender_profile_id,
+          username: row.sender_username,
+          displayName: row.sender_display_name,
+          avatarUrl: row.sender_avatar_url
+        };
+      }
+      message.snippet = row.snippet;
+      message.rank = parseFloat(row.rank);
+      return message;
+    });
+
+    return {
+      data,
+      pagination: {
+        page,
+        limit,
+        hasMore: rows.length > limit
+      }
+    };
+  }
+
+  // En la misma transacción: último mensaje de la conversación o grupo y contadores de no leídos
   async create(messageData) {
-    const message = await MessageModel.create({
-      conversation_id: messageData.conversationId,
-      group_id: messageData.groupId,
-      sender_profile_id: messageData.senderProfileId,
-      content: messageData.content,
-      message_type: messageData.messageType || 'text',
-      media_url: messageData.mediaUrl,
-      reply_to_id: messageData.replyToId,
-      metadata: messageData.metadata || {}
+    const message = await sequelize.transaction(async (transaction) => {
+      const created = await MessageModel.create({
+        conversation_id: messageData.conversationId,
+        group_id: messageData.groupId,
+        sender_profile_id: messageData.senderProfileId,
+        content: messageData.content,
+        message_type: messageData.messageType || 'text',
+        media_url: messageData.mediaUrl,
+        reply_to_id: messageData.replyToId,
+        metadata: messageData.metadata || {},
+        expires_at: messageData.expiresAt || null,
+        client_message_id: messageData.clientMessageId || null
+      }, { transaction });
+
+      await this._recordInChat(created, transaction);
+      return created;
     });
 
     return this.findById(message.id);
   }
 
+  // Mensajes (no de sistema) que el emisor envió a la conversación
+  async countBySender(conversationId, senderProfileId) {
+    return MessageModel.count({
+      where: {
+        conversation_id: conversationId,
+        sender_profile_id: senderProfileId,
+        message_type: { [Op.ne]: 'system' }
+      }
+    });
+  }
+
+  // Mensaje ya creado por este emisor con el mismo clientMessageId (reintentos)
+  async findByClientMessageId(senderProfileId, clientMessageId) {
+    const message = await MessageModel.findOne({
+      where: { sender_profile_id: senderProfileId, client_message_id: clientMessageId },
+      attributes: ['id']
+    });
+    return message ? this.findById(message.id) : null;
+  }
+
+  // Si cambia el contenido, guarda la versión anterior en message_revisions (misma transacción).
+  // Un mensaje eliminado no se edita (devuelve null)
   async update(id, messageData) {
-    const message = await MessageModel.findByPk(id);
-    if (!message) return null;
+    const found = await sequelize.transaction(async (transaction) => {
+      const message = await MessageModel.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!message || message.is_deleted) return false;
 
-    const updateData = {};
-    if (messageData.content !== undefined) {
-      updateData.content = messageData.content;
-      updateData.is_edited = true;
-    }
-    if (messageData.status !== undefined) updateData.status = messageData.status;
-    if (messageData.isDeleted !== undefined) updateData.is_deleted = messageData.isDeleted;
+      const updateData = {};
+      if (messageData.content !== undefined && messageData.content !== message.content) {
+        await this.revisionRepository.create({
+          messageId: id,
+          content: message.content,
+          editedByProfileId: messageData.editedByProfileId || message.sender_profile_id
+        }, { transaction });
 
-    await message.update(updateData);
-    return this.findById(id);
+        updateData.content = messageData.content;
+        updateData.is_edited = true;
+      }
+      if (messageData.status !== undefined) updateData.status = messageData.status;
+      if (messageData.isDeleted !== undefined) updateData.is_deleted = messageData.isDeleted;
+
+      await message.update(updateData, { transaction });
+      return true;
+    });
+
+    return found ? this.findById(id) : null;
   }
 
+  // El último mensaje y los no leídos de la conversación o grupo se recalculan en la misma transacción.
+  // Devuelve false si no existe o ya estaba eliminado
   async softDelete(id) {
-    const message = await MessageModel.findByPk(id);
-    if (!message) return false;
-    
-    await message.update({
-      is_deleted: true,
-      content: 'Mensaje eliminado'
+    return sequelize.transaction(async (transaction) => {
+      const message = await MessageModel.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!message || message.is_deleted) return false;
+
+      await message.update({
+        is_deleted: true,
+        content: 'Mensaje eliminado'
+      }, { transaction });
+
+      if (message.conversation_id) {
+        await this.conversationRepository.reconcileSummaries({ conversationId: message.conversation_id, transaction });
+      } else if (message.group_id) {
+        await this.groupRepository.reconcileLastMessage({ id: message.group_id, transaction });
+        await this.groupMemberRepository.reconcileUnread({ groupId: message.group_id, transaction });
+      }
+      return true;
     });
-    return true;
   }
 
   async delete(id) {
     return this.softDelete(id);
   }
 
+  // Devuelve los IDs de los mensajes que pasaron a 'read'. Los no leídos del lector vuelven a 0 en la
+  // misma transacción; la conversación queda bloqueada antes, así un envío simultáneo cuenta después
   async markConversationAsRead(conversationId, profileId) {
-    await MessageModel.update(
-      { status: 'read' },
+    return sequelize.transaction(async (transaction) => {
+      const found = await this.conversationRepository.resetUnread(conversationId, profileId, { transaction });
+      if (!found) return [];
+
+      const [, rows] = await MessageModel.update(
+        { status: 'read' },
+        {
+          where: {
+            conversation_id: conversationId,
+            sender_profile_id: { [Op.ne]: profileId },
+            status: { [Op.ne]: 'read' }
+          },
+          returning: ['id'],
+          transaction
+        }
+      );
+      return rows.map(row => row.id);
+    });
+  }
+
+  // Solo avanza de 'sent' a 'delivered'; devuelve [{ messageId, conversationId }]
+  async markConversationMessagesDelivered(ids, profileId) {
+    if (!ids || ids.length === 0) return [];
+
+    const [, rows] = await MessageModel.update(
+      { status: 'delivered' },
       {
         where: {
-          conversation_id: conversationId,
+          id: { [Op.in]: ids },
+          conversation_id: { [Op.ne]: null },
           sender_profile_id: { [Op.ne]: profileId },
-          status: { [Op.ne]: 'read' }
-        }
+          status: 'sent'
+        },
+        returning: ['id', 'conversation_id']
       }
     );
-    return true;
+    return rows.map(row => ({ messageId: row.id, conversationId: row.conversation_id }));
   }
 
   async markAsRead(ids, profileId) {
@@ -182,12 +539,132 @@ class MessageRepository {
     return true;
   }
 
-  async getLastMessage(groupId) {
-    const message = await MessageModel.findOne({
-      where: { group_id: groupId, is_deleted: false },
-      order: [['created_at', 'DESC']]
+  // Borra el contenido de los mensajes temporales vencidos.
+  // Devuelve [{ id, conversationId, groupId }] de los que expiraron en este lote
+  async expireDue(limit = 100) {
+    const rows = await sequelize.query(
+      `WITH due AS (
+         SELECT id FROM messages
+         WHERE is_expired = false AND expires_at IS NOT NULL AND expires_at <= NOW()
+         ORDER BY expires_at ASC
+         LIMIT :limit
+         FOR UPDATE SKIP LOCKED
+       )
+       UPDATE messages AS m
+       SET content = '', media_url = NULL, metadata = '{}', is_expired = true, updated_at = NOW()
+       FROM due
+       WHERE m.id = due.id
+       RETURNING m.id, m.conversation_id, m.group_id`,
+      {
+        replacements: { limit },
+        type: sequelize.QueryTypes.SELECT
+      }
+    );
+
+    return rows.map(row => ({
+      id: row.id,
+      conversationId: row.conversation_id,
+      groupId: row.group_id
+    }));
+  }
+
+  // Actualiza los campos derivados del chat con un mensaje recién creado (los de sistema no suman no leídos)
+  async _recordInChat(message, transaction) {
+    if (message.conversation_id) {
+      await this.conversationRepository.recordMessage(message.conversation_id, {
+        id: message.id,
+        senderProfileId: message.sender_profile_id,
+        messageType: message.message_type,
+        createdAt: message.created_at
+      }, { transaction });
+      return;
+    }
+
+    // Primero el grupo: su bloqueo ordena los envíos simultáneos antes de tocar a los miembros
+    await this.groupRepository.recordMessage(message.group_id, message.created_at, { transaction });
+    if (message.message_type !== 'system') {
+      await this.groupMemberRepository.incrementUnreadForAll(message.group_id, message.sender_profile_id, { transaction });
+    }
+  }
+
+  async _decorate(messages, viewerProfileId = null) {
+    await this._attachReactions(messages, viewerProfileId);
+    await this._attachThreadSummaries(messages);
+    await this._attachReceiptSummaries(messages);
+    return messages;
+  }
+
+  async _getThreadSummaries(messageIds) {
+    const summaries = new Map();
+    if (messageIds.length === 0) return summaries;
+
+    const rows = await MessageModel.findAll({
+      attributes: [
+        'reply_to_id',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'reply_count'],
+        [sequelize.fn('MAX', sequelize.col('created_at')), 'last_reply_at']
+      ],
+      where: {
+        reply_to_id: { [Op.in]: messageIds },
+        is_deleted: false
+      },
+      group: ['reply_to_id'],
+      raw: true
     });
-    return message ? this._toEntity(message) : null;
+
+    for (const row of rows) {
+      summaries.set(row.reply_to_id, {
+        replyCount: parseInt(row.reply_count),
+        lastReplyAt: row.last_reply_at
+      });
+    }
+
+    return summaries;
+  }
+
+  // Cantidad de respuestas y fecha de la última para los mensajes raíz
+  async _attachThreadSummaries(messages) {
+    if (messages.length === 0) return messages;
+
+    const summaries = await this._getThreadSummaries(messages.map(msg => msg.id));
+
+    for (const message of messages) {
+      const summary = summaries.get(message.id);
+      message.replyCount = summary ? summary.replyCount : 0;
+      message.lastReplyAt = summary ? summary.lastReplyAt : null;
+    }
+
+    return messages;
+  }
+
+  // Conteo de entregas/lecturas, solo aplica a mensajes de grupo
+  async _attachReceiptSummaries(messages) {
+    const groupMessages = messages.filter(msg => msg.groupId);
+    if (groupMessages.length === 0) return messages;
+
+    const summaries = await this.receiptRepository.getSummaries(groupMessages.map(msg => msg.id));
+
+    for (const message of groupMessages) {
+      message.receipts = summaries.get(message.id) || { recipients: 0, delivered: 0, read: 0 };
+    }
+
+    return messages;
+  }
+
+  // Adjunta el resumen de reacciones (incluyendo las del usuario que consulta)
+  async _attachReactions(messages, viewerProfileId = null) {
+    if (messages.length === 0) return messages;
+
+    const summaries = await this.reactionRepository.getSummaries(
+      messages.map(msg => msg.id),
+      viewerProfileId
+    );
+
+    for (const message of messages) {
+      message.reactions = summaries.get(message.id) || [];
+    }
+
+    return messages;
   }
 
   _toEntity(model) {
@@ -204,6 +681,26 @@ class MessageRepository {
       };
     }
 
+    if (data.replyTo) {
+      const replySender = data.replyTo.sender;
+      message.replyTo = {
+        id: data.replyTo.id,
+        senderProfileId: data.replyTo.sender_profile_id,
+        sender: replySender ? {
+          profileId: replySender.profile_id,
+          username: replySender.username,
+          displayName: replySender.display_name,
+          avatarUrl: replySender.avatar_url
+        } : null,
+        messageType: data.replyTo.message_type,
+        excerpt: data.replyTo.is_deleted || Message.isExpiredData(data.replyTo)
+          ? null
+          : data.replyTo.content.substring(0, REPLY_EXCERPT_LENGTH),
+        isDeleted: data.replyTo.is_deleted,
+        createdAt: data.replyTo.created_at
+      };
+    }
+
     return message;
   }
 }
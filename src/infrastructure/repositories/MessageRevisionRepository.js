@@ -0,0 +1,36 @@
+/**
+ * Infrastructure Repository: MessageRevisionRepository
+ */
+
+const { MessageRevisionModel } = require('../database/models');
+const MessageRevision = require('../../domain/entities/MessageRevision');
+const { Op } = require('sequelize');
+
+class MessageRevisionRepository {
+
+  // Versiones anteriores, de la más reciente a la original
+  async findByMessage(messageId) {
+    const revisions = await MessageRevisionModel.findAll({
+      where: { message_id: messageId },
+      order: [['edited_at', 'DESC']]
+    });
+    return revisions.map(revision => MessageRevision.fromDatabase(revision.toJSON()));
+  }
+
+  async deleteByMessages(messageIds) {
+    if (!messageIds || messageIds.length === 0) return 0;
+    return MessageRevisionModel.destroy({ where: { message_id: { [Op.in]: messageIds } } });
+  }
+
+  async create(revisionData, options = {}) {
+    const revision = await MessageRevisionModel.create({
+      message_id: revisionData.messageId,
+      content: revisionData.content,
+      edited_by_profile_id: revisionData.editedByProfileId
+    }, { transaction: options.transaction });
+
+    return MessageRevision.fromDatabase(revision.toJSON());
+  }
+}
+
+module.exports = MessageRevisionRepository;
@@ -0,0 +1,77 @@
+/**
+ * Infrastructure Repository: PinnedMessageRepository
+ */
+
+const { PinnedMessageModel } = require('../database/models');
+const PinnedMessage = require('../../domain/entities/PinnedMessage');
+const MessageRepository = require('./MessageRepository');
+const { Op } = require('sequelize');
+
+class PinnedMessageRepository {
+  constructor() {
+    this.messageRepository = new MessageRepository();
+  }
+
+  async findByMessage(messageId) {
+    const pin = await PinnedMessageModel.findOne({ where: { message_id: messageId } });
+    return pin ? PinnedMessage.fromDatabase(pin.toJSON()) : null;
+  }
+
+  async findByConversation(conversationId, options = {}) {
+    return this._findPins({ conversation_id: conversationId }, options);
+  }
+
+  async findByGroup(groupId, options = {}) {
+    return this._findPins({ group_id: groupId }, options);
+  }
+
+  // scope: { conversationId } o { groupId }
+  async count({ conversationId = null, groupId = null }) {
+    return PinnedMessageModel.count({
+      where: conversationId ? { conversation_id: conversationId } : { group_id: groupId }
+    });
+  }
+
+  async create(pinData) {
+    const pin = await PinnedMessageModel.create({
+      message_id: pinData.messageId,
+      conversation_id: pinData.conversationId || null,
+      group_id: pinData.groupId || null,
+      pinned_by_profile_id: pinData.pinnedByProfileId
+    });
+    return PinnedMessage.fromDatabase(pin.toJSON());
+  }
+
+  async removeByMessage(messageId) {
+    const deleted = await PinnedMessageModel.destroy({ where: { message_id: messageId } });
+    return deleted > 0;
+  }
+
+  async removeByMessages(messageIds) {
+    if (!messageIds || messageIds.length === 0) return 0;
+    return PinnedMessageModel.destroy({ where: { message_id: { [Op.in]: messageIds } } });
+  }
+
+  // Fijados más recientes primero, con el mensaje completo
+  async _findPins(where, { viewerProfileId = null } = {}) {
+    const rows = await PinnedMessageModel.findAll({
+      where,
+      order: [['created_at', 'DESC']]
+    });
+
+    const pins = rows.map(row => PinnedMessage.fromDatabase(row.toJSON()));
+    const messages = await this.messageRepository.findByIds(
+      pins.map(pin => pin.messageId),
+      { viewerProfileId }
+    );
+    const messagesById = new Map(messages.map(message => [message.id, message]));
+
+    for (const pin of pins) {
+      pin.message = messagesById.get(pin.messageId) || null;
+    }
+
+    return pins;
+  }
+}
+
+module.exports = PinnedMessageRepository;
@@ -0,0 +1,158 @@
+/**
+ * Infrastructure Repository: ScheduledMessageRepository
+ */
+
+const { ScheduledMessageModel, GroupModel, sequelize } = require('../database/models');
+const { ScheduledMessage, SCHEDULED_STATUS } = require('../../domain/entities/ScheduledMessage');
+const { Op, QueryTypes } = require('sequelize');
+
+const groupInclude = () => ({ model: GroupModel, as: 'group', attributes: ['id', 'external_id', 'name'] });
+
+class ScheduledMessageRepository {
+
+  async findById(id) {
+    const scheduled = await ScheduledMessageModel.findByPk(id, { include: [groupInclude()] });
+    return scheduled ? this._toEntity(scheduled) : null;
+  }
+
+  async findBySender(senderProfileId, options = {}) {
+    const { status = null, page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    const where = { sender_profile_id: senderProfileId };
+    if (status) where.status = status;
+
+    const { count, rows } = await ScheduledMessageModel.findAndCountAll({
+      where,
+      include: [groupInclude()],
+      order: [['send_at', 'ASC']],
+      limit,
+      offset
+    });
+
+    return {
+      data: rows.map(row => this._toEntity(row)),
+      pagination: {
+        page,
+        limit,
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  async create(scheduledData) {
+    const scheduled = await ScheduledMessageModel.create({
+      sender_profile_id: scheduledData.senderProfileId,
+      conversation_id: scheduledData.conversationId || null,
+      group_id: scheduledData.groupId || null,
+      content: scheduledData.content,
+      message_type: scheduledData.messageType || 'text',
+      media_url: scheduledData.mediaUrl,
+      reply_to_id: scheduledData.replyToId,
+      send_at: scheduledData.sendAt
+    });
+
+    return this.findById(scheduled.id);
+  }
+
+  // Solo se pueden modificar los que siguen pendientes; devuelve null si ya no lo están
+  async updatePending(id, scheduledData) {
+    const updateData = {};
+    if (scheduledData.content !== undefined) updateData.content = scheduledData.content;
+    if (scheduledData.mediaUrl !== undefined) updateData.media_url = scheduledData.mediaUrl;
+    if (scheduledData.sendAt !== undefined) updateData.send_at = scheduledData.sendAt;
+
+    const [updated] = await ScheduledMessageModel.update(updateData, {
+      where: { id, status: SCHEDULED_STATUS.PENDING }
+    });
+
+    return updated > 0 ? this.findById(id) : null;
+  }
+
+  async cancel(id) {
+    const [updated] = await ScheduledMessageModel.update(
+      { status: SCHEDULED_STATUS.CANCELLED },
+      { where: { id, status: SCHEDULED_STATUS.PENDING } }
+    );
+    return updated > 0;
+  }
+
+  // Reserva los mensajes vencidos (FOR UPDATE SKIP LOCKED) para que varias instancias no los envíen dos veces
+  async claimDue(limit = 20) {
+    const rows = await sequelize.query(
+      `WITH due AS (
+         SELECT id FROM scheduled_messages
+         WHERE status = 'pending' AND send_at <= NOW()
+         ORDER BY send_at ASC
+         LIMIT :limit
+         FOR UPDATE SKIP LOCKED
+       )
+       UPDATE scheduled_messages AS s
+       SET status = 'processing', attempts = s.attempts + 1, updated_at = NOW()
+       FROM due
+       WHERE s.id = due.id
+       RETURNING s.id`,
+      {
+        replacements: { limit },
+        type: QueryTypes.SELECT
+      }
+    );
+
+    if (rows.length === 0) return [];
+
+    const claimed = await ScheduledMessageModel.findAll({
+      where: { id: { [Op.in]: rows.map(row => row.id) } },
+      include: [groupInclude()],
+      order: [['send_at', 'ASC']]
+    });
+    return claimed.map(row => this._toEntity(row));
+  }
+
+  async markSent(id, messageId) {
+    await ScheduledMessageModel.update(
+      {
+        status: SCHEDULED_STATUS.SENT,
+        sent_message_id: messageId,
+        sent_at: new Date(),
+        last_error: null
+      },
+      { where: { id } }
+    );
+  }
+
+  // Con `retry` vuelve a quedar pendiente para el siguiente ciclo
+  async markFailed(id, error, retry = false) {
+    await ScheduledMessageModel.update(
+      {
+        status: retry ? SCHEDULED_STATUS.PENDING : SCHEDULED_STATUS.FAILED,
+        last_error: error
+      },
+      { where: { id } }
+    );
+  }
+
+  // Mensajes que quedaron en 'processing' (p. ej. el proceso se reinició durante el envío)
+  async releaseStale(olderThanMinutes, maxAttempts) {
+    const rows = await sequelize.query(
+      `UPDATE scheduled_messages
+       SET status = CASE WHEN attempts >= :maxAttempts THEN 'failed' ELSE 'pending' END,
+           last_error = COALESCE(last_error, 'Envío interrumpido'),
+           updated_at = NOW()
+       WHERE status = 'processing'
+         AND updated_at < NOW() - (:olderThanMinutes * INTERVAL '1 minute')
+       RETURNING id`,
+      {
+        replacements: { olderThanMinutes, maxAttempts },
+        type: QueryTypes.SELECT
+      }
+    );
+    return rows.length;
+  }
+
+  _toEntity(model) {
+    return ScheduledMessage.fromDatabase(model.toJSON());
+  }
+}
+
+module.exports = ScheduledMessageRepository;
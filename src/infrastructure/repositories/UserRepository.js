@@ -3,7 +3,7 @@
  */
 
 const { UserModel } = require('../database/models');
-const User = require('../../domain/entities/User');
+const { User, PRESENCE_VISIBILITY } = require('../../domain/entities/User');
 const { Op } = require('sequelize');
 
 class UserRepository {
@@ -20,10 +20,22 @@ class UserRepository {
     return user ? User.fromDatabase(user.toJSON()) : null;
   }
 
+  async findByProfileIds(profileIds) {
+    if (profileIds.length === 0) return [];
+    const users = await UserModel.findAll({
+      where: { profile_id: { [Op.in]: profileIds } }
+    });
+    return users.map(user => User.fromDatabase(user.toJSON()));
+  }
+
   async findAll(filters = {}) {
     const where = {};
     
-    if (filters.isOnline !== undefined) where.is_online = filters.isOnline;
+    if (filters.isOnline !== undefined) {
+      // Filtrar por estado solo entre quienes lo muestran a todos; si no, el filtro revelaría el estado oculto
+      where.is_online = filters.isOnline;
+      where.online_status_visibility = PRESENCE_VISIBILITY.EVERYONE;
+    }
     if (filters.isActive !== undefined) where.is_active = filters.isActive;
     if (filters.search) {
       where[Op.or] = [
@@ -85,7 +97,23 @@ class UserRepository {
     return true;
   }
 
-  async setOnlineStatus(profileId, isOnline) {
+  // Privacidad de presencia del propio usuario (solo se cambian los campos recibidos)
+  async updatePrivacy(profileId, { onlineStatusVisibility, lastSeenVisibility }) {
+    const user = await UserModel.findOne({
+      where: { profile_id: profileId }
+    });
+    if (!user) return null;
+
+    const updateData = {};
+    if (onlineStatusVisibility !== undefined) updateData.online_status_visibility = onlineStatusVisibility;
+    if (lastSeenVisibility !== undefined) updateData.last_seen_visibility = lastSeenVisibility;
+
+    await user.update(updateData);
+    return User.fromDatabase(user.toJSON());
+  }
+
+  // lastSeenAt: momento del cambio (al desconectarse, la hora de la desconexión)
+  async setOnlineStatus(profileId, isOnline, lastSeenAt = new Date()) {
     const user = await UserModel.findOne({
       where: { profile_id: profileId }
     });
@@ -93,10 +121,18 @@ class UserRepository {
 
     await user.update({
       is_online: isOnline,
-      last_seen_at: new Date()
+      last_seen_at: lastSeenAt
     });
     return User.fromDatabase(user.toJSON());
   }
+
+  // Actividad del usuario sin cambiar su estado
+  async touchLastSeen(profileId, lastSeenAt = new Date()) {
+    await UserModel.update(
+      { last_seen_at: lastSeenAt },
+      { where: { profile_id: profileId } }
+    );
+  }
 }
 
 module.exports = UserRepository;
\ No newline at end of file
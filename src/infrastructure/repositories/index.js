@@ -7,11 +7,27 @@ const MessageRepository = require('./MessageRepository');
 const ConversationRepository = require('./ConversationRepository');
 const GroupRepository = require('./GroupRepository');
 const GroupMemberRepository = require('./GroupMemberRepository');
+const MessageReactionRepository = require('./MessageReactionRepository');
+const MessageReceiptRepository = require('./MessageReceiptRepository');
+const MessageRevisionRepository = require('./MessageRevisionRepository');
+const PinnedMessageRepository = require('./PinnedMessageRepository');
+const ScheduledMessageRepository = require('./ScheduledMessageRepository');
+const IdempotencyKeyRepository = require('./IdempotencyKeyRepository');
+const ChatEventRepository = require('./ChatEventRepository');
+const InboxRepository = require('./InboxRepository');
 
 module.exports = {
   UserRepository,
   MessageRepository,
   ConversationRepository,
   GroupRepository,
-  GroupMemberRepository
+  GroupMemberRepository,
+  MessageReactionRepository,
+  MessageReceiptRepository,
+  MessageRevisionRepository,
+  PinnedMessageRepository,
+  ScheduledMessageRepository,
+  IdempotencyKeyRepository,
+  ChatEventRepository,
+  InboxRepository
 };
\ No newline at end of file
@@ -0,0 +1,107 @@
+/**
+ * Barrido de mensajes temporales
+ * Borra el contenido de los mensajes cuyo `expires_at` ya pasó y avisa a los clientes.
+ */
+
+const {
+  MessageRepository,
+  MessageRevisionRepository,
+  PinnedMessageRepository
+} = require('../repositories');
+const groupResolver = require('../services/GroupResolver');
+const chatEventService = require('../services/ChatEventService');
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.MESSAGE_EXPIRY_SWEEP_MS) || 60000;
+const BATCH_SIZE = 100;
+
+class ExpiredMessageSweeper {
+  constructor() {
+    this.messageRepository = new MessageRepository();
+    this.messageRevisionRepository = new MessageRevisionRepository();
+    this.pinnedMessageRepository = new PinnedMessageRepository();
+    this.timer = null;
+    this.isRunning = false;
+    this.isSweeping = false;
+  }
+
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    console.log(`⏳ Barrido de mensajes temporales iniciado (cada ${SWEEP_INTERVAL_MS}ms)`);
+    this.scheduleNext(0);
+  }
+
+  stop() {
+    this.isRunning = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    console.log('⏳ Barrido de mensajes temporales detenido');
+  }
+
+  scheduleNext(delay = SWEEP_INTERVAL_MS) {
+    if (!this.isRunning) return;
+    this.timer = setTimeout(() => this.sweep(), delay);
+  }
+
+  async sweep() {
+    if (this.isSweeping) return;
+    this.isSweeping = true;
+
+    try {
+      let expired;
+      do {
+        expired = await this.messageRepository.expireDue(BATCH_SIZE);
+        if (expired.length > 0) {
+          await this.cleanup(expired);
+        }
+      } while (this.isRunning && expired.length === BATCH_SIZE);
+
+    } catch (error) {
+      console.error('❌ Error en barrido de mensajes temporales:', error.message);
+    } finally {
+      this.isSweeping = false;
+      this.scheduleNext();
+    }
+  }
+
+  // Quita el historial de ediciones, los fijados y el contenido registrado para /sync,
+  // y emite `messages_expired` por conversación/grupo
+  async cleanup(expired) {
+    const messageIds = expired.map(message => message.id);
+    await this.messageRevisionRepository.deleteByMessages(messageIds);
+    await this.pinnedMessageRepository.removeByMessages(messageIds);
+    await chatEventService.redactMessages(messageIds);
+
+    console.log(`⏳ ${expired.length} mensajes temporales expirados`);
+
+    const byChat = new Map();
+    for (const message of expired) {
+      const key = message.conversationId ? `conversation:${message.conversationId}` : `group:${message.groupId}`;
+      if (!byChat.has(key)) {
+        byChat.set(key, { conversationId: message.conversationId, groupId: message.groupId, messageIds: [] });
+      }
+      byChat.get(key).messageIds.push(message.id);
+    }
+
+    // Las salas de grupo usan el ID público
+    const chats = [...byChat.values()];
+    const publicGroupIds = await groupResolver.getPublicIdsFor(chats.filter(chat => chat.groupId).map(chat => chat.groupId));
+
+    for (const { conversationId, groupId, messageIds: ids } of chats) {
+      const room = conversationId
+        ? { conversationId, groupId: null }
+        : { conversationId: null, groupId: publicGroupIds.get(groupId) || groupId };
+
+      await chatEventService.publish(room, 'messages_expired', {
+        conversationId: room.conversationId,
+        groupId: room.groupId,
+        messageIds: ids
+      });
+    }
+  }
+}
+
+module.exports = new ExpiredMessageSweeper();
@@ -0,0 +1,109 @@
+/**
+ * Despachador de mensajes programados
+ * Lee de PostgreSQL los mensajes vencidos, por lo que los pendientes sobreviven a reinicios.
+ */
+
+const { ScheduledMessageRepository } = require('../repositories');
+const messageService = require('../services/MessageService');
+const { getWebSocketServer } = require('../websocket/socketServer');
+
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULED_MESSAGES_POLL_MS) || 15000;
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = 3;
+const STALE_PROCESSING_MINUTES = 5;
+
+class ScheduledMessageDispatcher {
+  constructor() {
+    this.scheduledMessageRepository = new ScheduledMessageRepository();
+    this.timer = null;
+    this.isRunning = false;
+    this.isTicking = false;
+  }
+
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    console.log(`⏰ Despachador de mensajes programados iniciado (cada ${POLL_INTERVAL_MS}ms)`);
+    this.scheduleNext(0);
+  }
+
+  stop() {
+    this.isRunning = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    console.log('⏰ Despachador de mensajes programados detenido');
+  }
+
+  scheduleNext(delay = POLL_INTERVAL_MS) {
+    if (!this.isRunning) return;
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    if (this.isTicking) return;
+    this.isTicking = true;
+
+    try {
+      const released = await this.scheduledMessageRepository.releaseStale(STALE_PROCESSING_MINUTES, MAX_ATTEMPTS);
+      if (released > 0) {
+        console.log(`⏰ ${released} mensajes programados interrumpidos vuelven a la cola`);
+      }
+
+      // Procesar en lotes hasta vaciar los vencidos
+      let claimed;
+      do {
+        claimed = await this.scheduledMessageRepository.claimDue(BATCH_SIZE);
+        for (const scheduled of claimed) {
+          await this.dispatch(scheduled);
+        }
+      } while (this.isRunning && claimed.length === BATCH_SIZE);
+
+    } catch (error) {
+      console.error('❌ Error en despachador de mensajes programados:', error.message);
+    } finally {
+      this.isTicking = false;
+      this.scheduleNext();
+    }
+  }
+
+  async dispatch(scheduled) {
+    try {
+      // Mismo flujo que POST /messages: membresía, contadores, WebSocket y RabbitMQ.
+      // El clientMessageId fijo evita duplicados si se vuelve a despachar (caída antes de markSent o reintento)
+      const message = await messageService.send({
+        conversationId: scheduled.conversationId,
+        groupId: scheduled.groupId, // External ID
+        senderProfileId: scheduled.senderProfileId,
+        content: scheduled.content,
+        messageType: scheduled.messageType,
+        mediaUrl: scheduled.mediaUrl,
+        replyToId: scheduled.replyToId,
+        clientMessageId: `scheduled:${scheduled.id}`
+      });
+
+      await this.scheduledMessageRepository.markSent(scheduled.id, message.id);
+      console.log(`⏰ Mensaje programado ${scheduled.id} enviado como ${message.id}`);
+
+    } catch (error) {
+      // Los errores de negocio (p. ej. ya no es miembro) no se reintentan
+      const retry = !error.isOperational && scheduled.attempts < MAX_ATTEMPTS;
+      await this.scheduledMessageRepository.markFailed(scheduled.id, error.message, retry);
+      console.error(`❌ Mensaje programado ${scheduled.id} ${retry ? 'se reintentará' : 'falló'}: ${error.message}`);
+
+      if (!retry) {
+        const wsServer = getWebSocketServer();
+        if (wsServer) {
+          wsServer.emitToUser(scheduled.senderProfileId, 'scheduled_message_failed', {
+            scheduledMessageId: scheduled.id,
+            error: error.message
+          });
+        }
+      }
+    }
+  }
+}
+
+module.exports = new ScheduledMessageDispatcher();
@@ -0,0 +1,105 @@
+/**
+ * Service: AccessPolicy
+ * Reglas de acceso a conversaciones, grupos y mensajes, compartidas por la API y el WebSocket
+ */
+
+const {
+  MessageRepository,
+  GroupMemberRepository,
+  ConversationRepository
+} = require('../repositories');
+const { AppError } = require('../http/middlewares');
+const { REQUEST_STATUS } = require('../../domain/entities');
+const groupResolver = require('./GroupResolver');
+
+// Mensajes que puede enviar quien inició una solicitud de mensaje hasta que la acepten
+const MESSAGE_REQUEST_MAX_MESSAGES = parseInt(process.env.MESSAGE_REQUEST_MAX_MESSAGES) || 3;
+
+class AccessPolicy {
+  constructor() {
+    this.messageRepository = new MessageRepository();
+    this.groupMemberRepository = new GroupMemberRepository();
+    this.conversationRepository = new ConversationRepository();
+  }
+
+  // Solo los dos participantes acceden a una conversación 1-a-1
+  async assertConversationParticipant(conversationId, profileId) {
+    const conversation = await this.conversationRepository.findById(conversationId);
+    if (!conversation || !conversation.isParticipant(profileId)) {
+      throw new AppError('Sin acceso', 403, 'ACCESS_DENIED');
+    }
+    return conversation;
+  }
+
+  // Con un bloqueo vigente (de cualquiera de los dos) nadie escribe en la conversación
+  assertNotBlocked(conversation) {
+    if (conversation.isBlocked()) {
+      throw new AppError('No se pueden enviar mensajes en esta conversación', 403, 'USER_BLOCKED');
+    }
+  }
+
+  // Solicitud de mensaje: quien la recibe responde después de aceptarla; quien la envía tiene un cupo
+  // de mensajes (si la rechazaron, el cupo se da por agotado)
+  async assertRequestAllows(conversation, senderProfileId) {
+    if (!conversation.isRequest()) return;
+
+    if (conversation.isRequestFor(senderProfileId)) {
+      throw new AppError('Acepta la solicitud de mensaje para responder', 403, 'MESSAGE_REQUEST_PENDING');
+    }
+
+    const sent = await this.messageRepository.countBySender(conversation.id, senderProfileId);
+    if (conversation.requestStatus === REQUEST_STATUS.DECLINED || sent >= MESSAGE_REQUEST_MAX_MESSAGES) {
+      throw new AppError('No puedes enviar más mensajes hasta que acepten tu solicitud', 403, 'MESSAGE_REQUEST_LIMIT');
+    }
+  }
+
+  // Miembros activos o silenciados (los baneados, pendientes o que salieron no leen)
+  async assertGroupMember(groupId, profileId) {
+    const isMember = await this.groupMemberRepository.isMember(groupId, profileId);
+    if (!isMember) {
+      throw new AppError('No eres miembro del grupo', 403, 'NOT_A_MEMBER');
+    }
+  }
+
+  // Igual que assertGroupMember, a partir de cualquiera de los IDs del grupo; devuelve el grupo
+  async getGroupForMember(groupId, profileId) {
+    const group = await groupResolver.findGroup(groupId);
+    if (!group) {
+      throw new AppError('Grupo no encontrado', 404, 'GROUP_NOT_FOUND');
+    }
+
+    await this.assertGroupMember(group.id, profileId);
+    return group;
+  }
+
+  // Un mensaje es visible para quien tiene acceso a su conversación o grupo
+  async assertMessageAccess(message, profileId) {
+    if (message.conversationId) {
+      await this.assertConversationParticipant(message.conversationId, profileId);
+    } else {
+      await this.assertGroupMember(message.groupId, profileId);
+    }
+  }
+
+  // Mensaje no eliminado y accesible; base de reacciones, hilos, recibos, etc.
+  // En una conversación con un bloqueo vigente no hay interacción con los mensajes
+  async getAccessibleMessage(messageId, profileId) {
+    const message = await this.messageRepository.findById(messageId);
+
+    if (!message || message.isDeleted) {
+      throw new AppError('Mensaje no encontrado', 404, 'MESSAGE_NOT_FOUND');
+    }
+
+    if (message.conversationId) {
+      const conversation = await this.assertConversationParticipant(message.conversationId, profileId);
+      if (conversation.isBlocked()) {
+        throw new AppError('No se puede interactuar con mensajes de esta conversación', 403, 'USER_BLOCKED');
+      }
+    } else {
+      await this.assertGroupMember(message.groupId, profileId);
+    }
+    return message;
+  }
+}
+
+module.exports = new AccessPolicy();
@@ -0,0 +1,188 @@
+/**
+ * Service: ChatEventService
+ * Emite los eventos de conversaciones y grupos y los deja registrados con un número de secuencia
+ * por chat, para que los clientes que se reconectan recuperen lo que se perdieron (GET /sync, evento `sync`).
+ *
+ * Cada evento emitido lleva `seq` (secuencia dentro del chat) y `cursor` (posición global para sincronizar).
+ */
+
+const { ChatEventRepository, MessageRepository } = require('../repositories');
+const { AppError } = require('../http/middlewares');
+const { MEMBER_STATUS } = require('../../domain/entities');
+const groupResolver = require('./GroupResolver');
+const { getWebSocketServer } = require('../websocket/socketServer');
+
+// Membresías que leen el grupo (una solicitud pendiente todavía no)
+const READING_MEMBER_STATUSES = [MEMBER_STATUS.ACTIVE, MEMBER_STATUS.MUTED];
+
+// Eventos de mensaje nuevo: se guarda solo la referencia y al sincronizar se envía el estado actual del mensaje
+const MESSAGE_CREATED_EVENTS = ['new_message', 'new_group_message'];
+
+const RETENTION_DAYS = parseInt(process.env.CHAT_EVENT_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const DEFAULT_SYNC_LIMIT = 100;
+const MAX_SYNC_LIMIT = 500;
+
+class ChatEventService {
+  constructor() {
+    this.chatEventRepository = new ChatEventRepository();
+    this.messageRepository = new MessageRepository();
+    this.lastPurgeAt = 0;
+  }
+
+  /**
+   * Registra el evento y lo emite a la sala. Si no se puede registrar, se emite igual (sin `seq`/`cursor`).
+   * @param {object} room - Sala { conversationId, groupId (cualquier ID del grupo) }
+   * @param {string} type - Nombre del evento WebSocket
+   * @param {object} payload - Datos del evento
+   * @param {object} options - { messageId, actorProfileId, targetProfileId (miembro afectado) }
+   * @returns {Promise<{ seq, cursor }|null>}
+   */
+  async publish(room, type, payload, { messageId = null, actorProfileId = null, targetProfileId = null } = {}) {
+    const isMessageCreated = MESSAGE_CREATED_EVENTS.includes(type);
+    let target = room;
+    let position = null;
+
+    try {
+      const identity = room.groupId ? await groupResolver.resolve(room.groupId) : null;
+      if (identity) target = { conversationId: null, groupId: groupResolver.getPublicId(identity) };
+
+      const event = await this.chatEventRepository.record({
+        conversationId: room.conversationId || null,
+        groupId: identity ? identity.id : null,
+        type,
+        messageId,
+        actorProfileId,
+        targetProfileId,
+        payload: isMessageCreated ? {} : payload,
+        assignMessageSeq: isMessageCreated
+      });
+
+      if (event) position = { seq: event.seq, cursor: event.cursor };
+    } catch (error) {
+      console.error(`❌ Error al registrar evento ${type}:`, error.message);
+    }
+
+    const wsServer = getWebSocketServer();
+    if (wsServer) {
+      wsServer.emitToRoom(target, type, position ? { ...payload, ...position } : payload);
+    }
+
+    this._purgeExpired();
+    return position;
+  }
+
+  /**
+   * Cambios de membresía (`member_joined`, `member_updated`, `member_left`). El miembro afectado
+   * también los recibe al sincronizar, aunque ya no pertenezca al grupo.
+   * @param {string} groupId - Cualquier ID del grupo
+   * @param {object} member - GroupMember afectado
+   * @param {object} options - { actorProfileId, reason ('left' | 'removed' | 'banned', solo member_left) }
+   */
+  async publishMemberEvent(type, groupId, member, { actorProfileId = null, reason = null } = {}) {
+    const publicGroupId = await groupResolver.getPublicIdFor(groupId);
+    const wsServer = getWebSocketServer();
+
+    // Quien entra al grupo se une a la sala con los sockets que ya tiene abiertos (recibe también member_joined)
+    if (type === 'member_joined' && wsServer && READING_MEMBER_STATUSES.includes(member.status)) {
+      wsServer.addToRoom(member.profileId, `group:${publicGroupId}`);
+    }
+
+    const payload = type === 'member_left'
+      ? { groupId: publicGroupId, profileId: member.profileId, reason }
+      : { groupId: publicGroupId, member: { ...member.toJSON(), groupId: publicGroupId } };
+
+    const position = await this.publish({ groupId: publicGroupId }, type, { ...payload, actorProfileId }, {
+      actorProfileId,
+      targetProfileId: member.profileId
+    });
+
+    // Quien dejó el grupo (o fue expulsado) recibe member_left y sus sockets salen de la sala
+    if (type === 'member_left' && wsServer) {
+      wsServer.removeFromRoom(member.profileId, `group:${publicGroupId}`);
+    }
+
+    return position;
+  }
+
+  /**
+   * Cambios posteriores a `since` para el perfil, en orden. Sin `since` devuelve solo el cursor actual,
+   * para empezar a sincronizar desde ahí.
+   * @returns {Promise<{ events, cursor, hasMore }>}
+   */
+  async getChangesSince(profileId, since, limit = DEFAULT_SYNC_LIMIT) {
+    if (since === undefined || since === null || since === '') {
+      return { events: [], cursor: await this.chatEventRepository.getLatestCursor(), hasMore: false };
+    }
+
+    if (!/^\d+$/.test(String(since))) {
+      throw new AppError('Cursor inválido', 400, 'INVALID_CURSOR');
+    }
+
+    const oldest = await this.chatEventRepository.getOldestCursor();
+    if (oldest && BigInt(since) < BigInt(oldest) - 1n) {
+      throw new AppError('Cursor demasiado antiguo: vuelve a cargar los chats', 410, 'CURSOR_EXPIRED');
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_SYNC_LIMIT, 1), MAX_SYNC_LIMIT);
+    const rows = await this.chatEventRepository.findSince(profileId, String(since), pageSize + 1);
+    const hasMore = rows.length > pageSize;
+    const page = hasMore ? rows.slice(0, pageSize) : rows;
+
+    return {
+      events: await this._serialize(page, profileId),
+      cursor: page.length > 0 ? page[page.length - 1].cursor : String(since),
+      hasMore
+    };
+  }
+
+  // Mismo formato que los eventos en vivo: groupId público y mensajes nuevos con su estado actual
+  async _serialize(events, profileId) {
+    const groupIds = events.filter(event => event.groupId).map(event => event.groupId);
+    const publicIds = await groupResolver.getPublicIdsFor(groupIds);
+
+    const createdIds = events
+      .filter(event => MESSAGE_CREATED_EVENTS.includes(event.type) && event.messageId)
+      .map(event => event.messageId);
+    const messages = await this.messageRepository.findByIds([...new Set(createdIds)], { viewerProfileId: profileId });
+    const messagesById = new Map(messages.map(message => [message.id, message.toJSON()]));
+
+    const result = [];
+    for (const event of events) {
+      const data = event.toJSON();
+      if (data.groupId) data.groupId = publicIds.get(data.groupId) || data.groupId;
+
+      let payload = data.payload;
+      if (MESSAGE_CREATED_EVENTS.includes(event.type)) {
+        const message = messagesById.get(event.messageId);
+        if (!message) continue; // Mensaje borrado definitivamente
+        payload = { ...message, groupId: data.groupId };
+      }
+
+      result.push({ ...data, payload: { ...payload, seq: data.seq, cursor: data.cursor } });
+    }
+    return result;
+  }
+
+  // Quita el contenido de mensajes eliminados o vencidos de los eventos ya registrados
+  async redactMessages(messageIds) {
+    try {
+      await this.chatEventRepository.redactMessages(messageIds);
+    } catch (error) {
+      console.error('❌ Error al limpiar eventos de mensajes:', error.message);
+    }
+  }
+
+  // Limpieza de eventos más antiguos que CHAT_EVENT_RETENTION_DAYS, como mucho una vez por hora
+  _purgeExpired() {
+    if (Date.now() - this.lastPurgeAt < PURGE_INTERVAL_MS) return;
+    this.lastPurgeAt = Date.now();
+
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    this.chatEventRepository.purgeOlderThan(cutoff)
+      .then(count => count > 0 && console.log(`🧹 ${count} eventos de sincronización antiguos eliminados`))
+      .catch(error => console.error('❌ Error al limpiar eventos de sincronización:', error.message));
+  }
+}
+
+module.exports = new ChatEventService();
@@ -0,0 +1,123 @@
+/**
+ * Service: GroupResolver
+ * Punto único para direccionar grupos: acepta el ID interno (chat_groups.id) o el external ID
+ * (ID de la comunidad/actividad) y devuelve siempre la misma sala WebSocket.
+ *
+ * La sala canónica es `group:<externalId>` (o `group:<id>` si el grupo no tiene external ID),
+ * y ese mismo valor es el `groupId` de los payloads REST y WebSocket.
+ */
+
+const { GroupRepository } = require('../repositories');
+
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 5000;
+
+class GroupResolver {
+  constructor() {
+    this.groupRepository = new GroupRepository();
+    // Cualquiera de los dos IDs → { id, externalId, expiresAt }. La relación entre IDs no cambia.
+    this.cache = new Map();
+  }
+
+  // ID público del grupo: external ID si existe, si no el interno
+  getPublicId(group) {
+    return group.externalId || group.id;
+  }
+
+  getRoomName(group) {
+    return `group:${this.getPublicId(group)}`;
+  }
+
+  /**
+   * Grupo completo a partir de cualquiera de sus IDs (primero interno, luego external ID,
+   * igual que GET /groups/:id). No se cachea el grupo, solo la relación de IDs.
+   */
+  async findGroup(groupId) {
+    if (!groupId) return null;
+
+    const cached = this._getCached(groupId);
+    let group = await this.groupRepository.findById(cached ? cached.id : groupId);
+
+    if (!group && !cached) {
+      group = await this.groupRepository.findByExternalId(groupId);
+    }
+
+    if (group) {
+      this.remember(group);
+    } else {
+      this.forget(groupId);
+    }
+    return group;
+  }
+
+  // { id, externalId } a partir de cualquiera de los IDs, usando la caché
+  async resolve(groupId) {
+    if (!groupId) return null;
+
+    const cached = this._getCached(groupId);
+    if (cached) return { id: cached.id, externalId: cached.externalId };
+
+    const group = await this.findGroup(groupId);
+    return group ? { id: group.id, externalId: group.externalId } : null;
+  }
+
+  // ID público (el de las salas y payloads) a partir de cualquiera de los IDs
+  async getPublicIdFor(groupId) {
+    const identity = await this.resolve(groupId);
+    return identity ? this.getPublicId(identity) : groupId;
+  }
+
+  // IDs públicos para varios IDs internos en una sola consulta: Map<id interno, ID público>
+  async getPublicIdsFor(groupIds) {
+    const result = new Map();
+    const missing = [];
+
+    for (const groupId of new Set(groupIds)) {
+      const cached = this._getCached(groupId);
+      if (cached) {
+        result.set(groupId, this.getPublicId(cached));
+      } else {
+        missing.push(groupId);
+      }
+    }
+
+    const identities = await this.groupRepository.findIdentities(missing);
+    for (const identity of identities) {
+      this.remember(identity);
+      result.set(identity.id, this.getPublicId(identity));
+    }
+
+    return result;
+  }
+
+  remember({ id, externalId }) {
+    if (this.cache.size >= CACHE_MAX_ENTRIES) {
+      // Descartar las entradas más antiguas (Map conserva el orden de inserción)
+      const oldest = this.cache.keys().next().value;
+      this.forget(oldest);
+    }
+
+    const entry = { id, externalId: externalId || null, expiresAt: Date.now() + CACHE_TTL_MS };
+    this.cache.set(id, entry);
+    if (externalId) this.cache.set(externalId, entry);
+  }
+
+  forget(groupId) {
+    const entry = this.cache.get(groupId);
+    if (!entry) return;
+    this.cache.delete(entry.id);
+    if (entry.externalId) this.cache.delete(entry.externalId);
+  }
+
+  _getCached(groupId) {
+    const entry = this.cache.get(groupId);
+    if (!entry) return null;
+    if (entry.expiresAt < Date.now()) {
+      this.forget(groupId);
+      return null;
+    }
+    return entry;
+  }
+}
+
+module.exports = new GroupResolver();
@@ -0,0 +1,106 @@
+/**
+ * Service: InboxService
+ * Bandeja unificada (GET /inbox) y su actualización en vivo: cada cambio de una conversación o grupo
+ * envía `inbox_updated` con la entrada tal como la ve cada usuario afectado (null si salió de su bandeja,
+ * p. ej. al archivar).
+ */
+
+const { InboxRepository, ConversationRepository } = require('../repositories');
+const { InboxEntry, INBOX_ENTRY_TYPES } = require('../../domain/entities');
+const { AppError } = require('../http/middlewares');
+const groupResolver = require('./GroupResolver');
+const { getWebSocketServer } = require('../websocket/socketServer');
+
+const DEFAULT_INBOX_LIMIT = 20;
+const MAX_INBOX_LIMIT = 50;
+
+class InboxService {
+  constructor() {
+    this.inboxRepository = new InboxRepository();
+    this.conversationRepository = new ConversationRepository();
+  }
+
+  /**
+   * Página de la bandeja a partir de `cursor` (el de la última entrada recibida).
+   * @returns {Promise<{ entries, nextCursor, hasMore }>}
+   */
+  async getInbox(profileId, { cursor, limit = DEFAULT_INBOX_LIMIT } = {}) {
+    const after = cursor ? InboxEntry.parseCursor(cursor) : null;
+    if (cursor && !after) {
+      throw new AppError('Cursor inválido', 400, 'INVALID_CURSOR');
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_INBOX_LIMIT, 1), MAX_INBOX_LIMIT);
+    const rows = await this.inboxRepository.findByProfileId(profileId, { after, limit: pageSize + 1 });
+    const hasMore = rows.length > pageSize;
+    const entries = hasMore ? rows.slice(0, pageSize) : rows;
+
+    return {
+      entries,
+      nextCursor: hasMore ? entries[entries.length - 1].cursor : null,
+      hasMore
+    };
+  }
+
+  // Cambio en el historial de un chat (mensaje nuevo o eliminado): IDs internos del mensaje
+  notifyChat({ conversationId = null, groupId = null }) {
+    return conversationId ? this.notifyConversation(conversationId) : this.notifyGroup(groupId);
+  }
+
+  /**
+   * Conversación cambiada: a sus dos participantes o solo a algunos (p. ej. quien la silenció).
+   * Nunca falla: un error solo se registra.
+   */
+  async notifyConversation(conversationId, profileIds = null) {
+    const wsServer = getWebSocketServer();
+    if (!wsServer) return;
+
+    try {
+      let targets = profileIds;
+      if (!targets) {
+        const conversation = await this.conversationRepository.findById(conversationId);
+        if (!conversation) return;
+        targets = [conversation.participant1ProfileId, conversation.participant2ProfileId];
+      }
+
+      for (const profileId of targets) {
+        const [entry] = await this.inboxRepository.findByProfileId(profileId, { chatId: conversationId, limit: 1 });
+        wsServer.emitToUser(profileId, 'inbox_updated', {
+          type: INBOX_ENTRY_TYPES.CONVERSATION,
+          id: conversationId,
+          entry: entry ? entry.toJSON() : null
+        });
+      }
+    } catch (error) {
+      console.error('❌ Error al actualizar la bandeja:', error.message);
+    }
+  }
+
+  /**
+   * Grupo cambiado (ID interno): a todos sus miembros o solo a algunos. Quien ya no es miembro
+   * recibe la entrada en null. Nunca falla: un error solo se registra.
+   */
+  async notifyGroup(groupId, profileIds = null) {
+    const wsServer = getWebSocketServer();
+    if (!wsServer) return;
+
+    try {
+      const entries = await this.inboxRepository.findGroupEntries(groupId, profileIds);
+      const publicGroupId = await groupResolver.getPublicIdFor(groupId);
+      const emit = (profileId, entry) => wsServer.emitToUser(profileId, 'inbox_updated', {
+        type: INBOX_ENTRY_TYPES.GROUP,
+        id: publicGroupId,
+        entry
+      });
+
+      entries.forEach(entry => emit(entry.profileId, entry.toJSON()));
+
+      const found = new Set(entries.map(entry => entry.profileId));
+      (profileIds || []).filter(profileId => !found.has(profileId)).forEach(profileId => emit(profileId, null));
+    } catch (error) {
+      console.error('❌ Error al actualizar la bandeja del grupo:', error.message);
+    }
+  }
+}
+
+module.exports = new InboxService();
@@ -0,0 +1,414 @@
+/**
+ * Service: MessageService
+ * Flujo de envío de mensajes compartido por la API y el despachador de mensajes programados
+ */
+
+const {
+  MessageRepository,
+  GroupMemberRepository,
+  MessageReceiptRepository,
+  UserRepository,
+  ConversationRepository
+} = require('../repositories');
+const { AppError } = require('../http/middlewares');
+const { MESSAGE_TYPES } = require('../../domain/entities');
+const rabbitMQPublisher = require('../messaging/RabbitMQPublisher');
+const accessPolicy = require('./AccessPolicy');
+const groupResolver = require('./GroupResolver');
+const chatEventService = require('./ChatEventService');
+const inboxService = require('./InboxService');
+const { getWebSocketServer } = require('../websocket/socketServer');
+const axios = require('axios');
+
+// 🔥 Helper to get sender profile info (displayName + avatarUrl) from social-service
+async function getSenderProfile(profileId, authHeader, fallbackUsername) {
+  try {
+    const SOCIAL_SERVICE_URL = process.env.SOCIAL_SERVICE_URL || 'http://social-service:3002';
+    const response = await axios.get(`${SOCIAL_SERVICE_URL}/api/v1/profiles/${profileId}`, {
+      headers: { 'Authorization': authHeader },
+      timeout: 3000 // 3 second timeout
+    });
+
+    const profile = response.data?.data?.profile || response.data?.data;
+    if (profile) {
+      return {
+        displayName: profile.displayName || fallbackUsername || 'Usuario',
+        avatarUrl: profile.avatarUrl || ''
+      };
+    }
+  } catch (error) {
+    console.log(`⚠️ Could not get profile for ${profileId}, using fallback: ${fallbackUsername}`);
+  }
+  return {
+    displayName: fallbackUsername || 'Usuario',
+    avatarUrl: ''
+  };
+}
+
+// Texto legible para un TTL en segundos (p. ej. "24 horas")
+function describeTtl(seconds) {
+  const units = [
+    [86400, 'día', 'días'],
+    [3600, 'hora', 'horas'],
+    [60, 'minuto', 'minutos']
+  ];
+  for (const [size, singular, plural] of units) {
+    if (seconds % size === 0) {
+      const amount = seconds / size;
+      return `${amount} ${amount === 1 ? singular : plural}`;
+    }
+  }
+  return `${seconds} segundos`;
+}
+
+class MessageService {
+  constructor() {
+    this.messageRepository = new MessageRepository();
+    this.groupMemberRepository = new GroupMemberRepository();
+    this.messageReceiptRepository = new MessageReceiptRepository();
+    this.userRepository = new UserRepository();
+    this.conversationRepository = new ConversationRepository();
+  }
+
+  /**
+   * Verifica el destino (conversationId O groupId, external o interno) y que el emisor pueda escribir en él.
+   * Devuelve { conversation, group } según corresponda.
+   */
+  async resolveTarget({ conversationId, groupId }, senderProfileId) {
+    // Validar que tenga conversationId O groupId (no ambos)
+    if (conversationId && groupId) {
+      throw new AppError('Solo puede especificar conversationId O groupId', 400, 'INVALID_TARGET');
+    }
+
+    if (!conversationId && !groupId) {
+      throw new AppError('Debe especificar conversationId o groupId', 400, 'MISSING_TARGET');
+    }
+
+    if (groupId) {
+      console.log('🔍 Verificando membresía en grupo...');
+
+      // 🔥 RESOLVER GRUPO (external o interno)
+      const group = await accessPolicy.getGroupForMember(groupId, senderProfileId);
+      console.log(`✅ Grupo encontrado: ${group.name} (ID interno: ${group.id})`);
+
+      return { conversation: null, group };
+    }
+
+    const conversation = await accessPolicy.assertConversationParticipant(conversationId, senderProfileId);
+    accessPolicy.assertNotBlocked(conversation);
+    return { conversation, group: null };
+  }
+
+  /**
+   * Envía un mensaje: verificación de acceso, persistencia (con último mensaje y contadores del chat),
+   * emisión WebSocket y notificaciones push vía RabbitMQ.
+   * Con `clientMessageId`, un reintento del mismo emisor al mismo chat devuelve el mensaje ya creado sin duplicarlo
+   * (también si dos reintentos llegan a la vez); el mismo ID en otro chat se rechaza.
+   * @param {object} messageData - { conversationId, groupId (external), senderProfileId, content, messageType, mediaUrl, replyToId, clientMessageId }
+   * @param {object} context - { authHeader, username } del emisor, para obtener su perfil
+   */
+  async send(messageData, context = {}) {
+    const { conversationId, groupId, senderProfileId, content, messageType, mediaUrl, replyToId, clientMessageId } = messageData;
+
+    console.log(`📤 Creando mensaje de: ${senderProfileId}`);
+
+    const { conversation, group } = await this.resolveTarget({ conversationId, groupId }, senderProfileId);
+
+    if (clientMessageId) {
+      const existing = await this._findRetried(senderProfileId, clientMessageId, { conversation, group });
+      if (existing) return existing;
+    }
+
+    if (group) {
+      // Sala y payloads siempre con el ID público, sin importar qué ID envió el cliente
+      return this._sendToGroup(group, groupResolver.getPublicId(group), messageData, context);
+    }
+
+    // Después de buscar el clientMessageId, para que el reintento del último mensaje permitido no falle
+    await accessPolicy.assertRequestAllows(conversation, senderProfileId);
+
+    if (replyToId) {
+      await this._assertReplyTarget(replyToId, { conversationId });
+    }
+
+    const { message, created } = await this._create({
+      conversationId,
+      senderProfileId,
+      content,
+      messageType: messageType || 'text',
+      mediaUrl,
+      replyToId,
+      clientMessageId,
+      expiresAt: this._getExpiresAt(conversation.messageTtlSeconds)
+    }, { conversation });
+    if (!created) return message;
+
+    console.log('✅ Mensaje de conversación creado');
+
+    // 🔥 EMIT WebSocket event for real-time delivery (queda registrado para /sync)
+    await this._publishCreated({ conversationId, groupId: null }, 'new_message', message, message.toJSON());
+    console.log('📡 WebSocket: Mensaje emitido a conversación:', conversationId);
+
+    if (replyToId) {
+      await this._emitThreadReply(replyToId, message.toJSON());
+    }
+
+    // 🔥 Get other participant for push notification
+    const otherProfileId = conversation.participant1ProfileId === senderProfileId
+      ? conversation.participant2ProfileId
+      : conversation.participant1ProfileId;
+
+    // Sin push si el destinatario silenció la conversación
+    if (conversation.isMutedBy(otherProfileId)) {
+      console.log('🔕 RabbitMQ: Conversación silenciada por:', otherProfileId);
+      return message;
+    }
+
+    const senderProfile = await this._getSenderProfile(senderProfileId, context);
+
+    // Publish push notification event
+    rabbitMQPublisher.publishEvent(
+      'MESSAGE_RECEIVED',
+      {
+        messageId: message.id,
+        senderUserId: senderProfileId,
+        recipientUserId: otherProfileId,
+        conversationId: conversationId,
+        groupId: null,
+        messagePreview: content.substring(0, 50),
+        senderUsername: senderProfile.displayName,
+        senderAvatarUrl: senderProfile.avatarUrl,
+        isMessageRequest: conversation.isRequest() // Primer contacto: el destinatario aún no aceptó
+      },
+      'messaging.message.received'
+    );
+    console.log('📤 RabbitMQ: Notificación enviada a:', otherProfileId, 'from:', senderProfile.displayName);
+
+    return message;
+  }
+
+  async _sendToGroup(group, externalGroupId, messageData, context) {
+    const { senderProfileId, content, messageType, mediaUrl, replyToId, clientMessageId } = messageData;
+    const internalGroupId = group.id;
+
+    if (replyToId) {
+      await this._assertReplyTarget(replyToId, { groupId: internalGroupId });
+    }
+
+    // Crear mensaje con el ID interno (también actualiza last_message_at y los no leídos)
+    const { message, created } = await this._create({
+      groupId: internalGroupId, // 🔥 USAR ID INTERNO
+      senderProfileId,
+      content,
+      messageType: messageType || 'text',
+      mediaUrl,
+      replyToId,
+      clientMessageId,
+      expiresAt: this._getExpiresAt(group.messageTtlSeconds)
+    }, { group });
+    if (!created) return message;
+
+    // 📬 Un recibo de entrega/lectura por cada destinatario
+    const recipientProfileIds = await this.groupMemberRepository.findRecipientProfileIds(internalGroupId, senderProfileId);
+    await this.messageReceiptRepository.createForRecipients(message.id, recipientProfileIds);
+    message.receipts = { recipients: recipientProfileIds.length, delivered: 0, read: 0 };
+
+    // 📤 Publicar evento MESSAGE_RECEIVED a RabbitMQ
+    // Miembros activos excepto el emisor y quienes silenciaron el grupo
+    const pushProfileIds = await this.groupMemberRepository.findPushRecipientProfileIds(internalGroupId, senderProfileId);
+
+    console.log(`📋 Miembros a notificar: ${pushProfileIds.length}`);
+
+    // 🔥 Get profile info (displayName + avatarUrl) from social-service (before loop)
+    const senderProfile = await this._getSenderProfile(senderProfileId, context);
+
+    // Sin push entre usuarios con un bloqueo (en cualquier sentido)
+    const blockRelations = await this.conversationRepository.findBlockRelations(senderProfileId);
+    const blockedProfileIds = new Set(blockRelations.map(block => block.profileId));
+
+    const notifiedProfileIds = pushProfileIds.filter(profileId => !blockedProfileIds.has(profileId));
+    if (notifiedProfileIds.length > 0) {
+      console.log(`📤 Enviando notificaciones a ${notifiedProfileIds.length} miembros`);
+      notifiedProfileIds.forEach(recipientProfileId => {
+        console.log(`   → Notificando a: ${recipientProfileId}`);
+        rabbitMQPublisher.publishEvent(
+          'MESSAGE_RECEIVED',
+          {
+            messageId: message.id,
+            senderUserId: senderProfileId,
+            recipientUserId: recipientProfileId,
+            conversationId: null,
+            groupId: externalGroupId, // External ID para deep links
+            groupName: group.name, // 🔥 Add group name for notification title
+            messagePreview: content.substring(0, 50),
+            senderUsername: senderProfile.displayName,
+            senderAvatarUrl: senderProfile.avatarUrl
+          },
+          'messaging.message.received'
+        );
+      });
+    } else {
+      console.log('ℹ️ Ningún miembro del grupo para notificar');
+    }
+
+    // 🔥 EMIT WebSocket event for real-time delivery to group
+    // Use the public groupId (external) because that's the canonical room
+    await this._publishCreated({ conversationId: null, groupId: externalGroupId }, 'new_group_message', message, {
+      ...message.toJSON(),
+      groupId: externalGroupId // Override with external ID
+    });
+    console.log('📡 WebSocket: Mensaje emitido a grupo (external):', externalGroupId);
+
+    if (replyToId) {
+      await this._emitThreadReply(replyToId, { ...message.toJSON(), groupId: externalGroupId });
+    }
+
+    console.log('✅ Mensaje de grupo creado');
+
+    return message;
+  }
+
+  /**
+   * Mensaje ya creado con este clientMessageId (reintento), solo si es del mismo chat.
+   * El índice único es por emisor: el mismo ID en otro chat es un error del cliente.
+   */
+  async _findRetried(senderProfileId, clientMessageId, { conversation = null, group = null }) {
+    const existing = await this.messageRepository.findByClientMessageId(senderProfileId, clientMessageId);
+    if (!existing) return null;
+
+    const isSameChat = conversation
+      ? existing.conversationId === conversation.id
+      : existing.groupId === group.id;
+    if (!isSameChat) {
+      throw new AppError('clientMessageId ya usado en otro chat', 422, 'CLIENT_MESSAGE_ID_REUSED');
+    }
+
+    console.log(`♻️ Mensaje ${clientMessageId} ya enviado como ${existing.id}`);
+    return existing;
+  }
+
+  // Crea el mensaje; si un reintento simultáneo lo creó primero (índice único), devuelve ese con created: false
+  async _create(data, target) {
+    try {
+      return { message: await this.messageRepository.create(data), created: true };
+    } catch (error) {
+      if (error.name !== 'SequelizeUniqueConstraintError' || !data.clientMessageId) throw error;
+
+      const existing = await this._findRetried(data.senderProfileId, data.clientMessageId, target);
+      if (!existing) throw error;
+      return { message: existing, created: false };
+    }
+  }
+
+  // Mensajes para REST y acks: groupId como ID público, igual que en los eventos WebSocket
+  async serialize(messages) {
+    const groupIds = messages.filter(message => message.groupId).map(message => message.groupId);
+    const publicIds = await groupResolver.getPublicIdsFor(groupIds);
+
+    return messages.map(message => {
+      const data = message.toJSON();
+      if (data.groupId) data.groupId = publicIds.get(data.groupId) || data.groupId;
+      return data;
+    });
+  }
+
+  /**
+   * Crea un mensaje de tipo `system` (no expira) y lo emite como un mensaje más del historial.
+   * @param {object} room - Sala WebSocket { conversationId, groupId (external) }
+   * @param {object} messageData - { conversationId, groupId (interno), senderProfileId, content, metadata }
+   */
+  async createSystemMessage(room, { conversationId = null, groupId = null, senderProfileId, content, metadata }) {
+    const systemMessage = await this.messageRepository.create({
+      conversationId,
+      groupId,
+      senderProfileId,
+      content,
+      messageType: MESSAGE_TYPES.SYSTEM,
+      metadata
+    });
+
+    if (room.groupId) {
+      await this._publishCreated(room, 'new_group_message', systemMessage, { ...systemMessage.toJSON(), groupId: room.groupId });
+    } else {
+      await this._publishCreated(room, 'new_message', systemMessage, systemMessage.toJSON());
+    }
+
+    return systemMessage;
+  }
+
+  // Deja constancia en el historial del cambio de mensajes temporales
+  async announceMessageTtl(room, { conversationId = null, groupId = null, senderProfileId, username, ttlSeconds }) {
+    const who = username || 'Alguien';
+    const content = ttlSeconds
+      ? `⏳ ${who} activó los mensajes temporales: desaparecen ${describeTtl(ttlSeconds)} después de enviarse`
+      : `⏳ ${who} desactivó los mensajes temporales`;
+
+    return this.createSystemMessage(room, {
+      conversationId,
+      groupId,
+      senderProfileId,
+      content,
+      metadata: { action: 'message_ttl_changed', ttlSeconds: ttlSeconds || null }
+    });
+  }
+
+  // Emite el mensaje nuevo y le asigna la secuencia del evento registrado; la bandeja se actualiza sin esperar
+  async _publishCreated(room, type, message, payload) {
+    const position = await chatEventService.publish(room, type, payload, {
+      messageId: message.id,
+      actorProfileId: message.senderProfileId
+    });
+    if (position) message.seq = position.seq;
+
+    inboxService.notifyChat(message);
+  }
+
+  // Mensajes temporales: vencen `ttlSeconds` después de enviarse
+  _getExpiresAt(ttlSeconds) {
+    return ttlSeconds ? new Date(Date.now() + ttlSeconds * 1000) : null;
+  }
+
+  // Perfil del emisor: social-service si hay token; si no (p. ej. despachador), la copia local en users
+  async _getSenderProfile(senderProfileId, { authHeader = null, username = null }) {
+    if (authHeader) {
+      return getSenderProfile(senderProfileId, authHeader, username);
+    }
+
+    const user = await this.userRepository.findByProfileId(senderProfileId);
+    return {
+      displayName: user?.displayName || username || user?.username || 'Usuario',
+      avatarUrl: user?.avatarUrl || ''
+    };
+  }
+
+  // El mensaje citado debe existir y pertenecer a la misma conversación o grupo
+  async _assertReplyTarget(replyToId, { conversationId = null, groupId = null }) {
+    const parent = await this.messageRepository.findById(replyToId);
+
+    const sameTarget = parent && (conversationId
+      ? parent.conversationId === conversationId
+      : parent.groupId === groupId);
+
+    if (!sameTarget) {
+      throw new AppError('Mensaje a responder no encontrado', 404, 'REPLY_TARGET_NOT_FOUND');
+    }
+
+    return parent;
+  }
+
+  async _emitThreadReply(rootMessageId, messagePayload) {
+    const wsServer = getWebSocketServer();
+    if (!wsServer) return;
+
+    const summary = await this.messageRepository.getThreadSummary(rootMessageId);
+    wsServer.emitThreadReply(rootMessageId, {
+      rootMessageId,
+      message: messagePayload,
+      replyCount: summary.replyCount,
+      lastReplyAt: summary.lastReplyAt
+    });
+    console.log('📡 WebSocket: Respuesta emitida al hilo:', rootMessageId);
+  }
+}
+
+module.exports = new MessageService();
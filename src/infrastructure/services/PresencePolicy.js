@@ -0,0 +1,112 @@
+/**
+ * Service: PresencePolicy
+ * Privacidad de la presencia (en línea y última conexión): qué ve cada usuario de los demás y a quién
+ * se avisa de los cambios de estado. Contactos = usuarios con una conversación 1-a-1 aceptada y sin bloqueo;
+ * entre dos usuarios con un bloqueo (en cualquier sentido) no se ve nada.
+ */
+
+const { UserRepository, ConversationRepository, GroupMemberRepository } = require('../repositories');
+const { PRESENCE_VISIBILITY } = require('../../domain/entities');
+
+class PresencePolicy {
+  constructor() {
+    this.userRepository = new UserRepository();
+    this.conversationRepository = new ConversationRepository();
+    this.groupMemberRepository = new GroupMemberRepository();
+  }
+
+  // Relación de quien consulta con el usuario: { isSelf, isContact, isBlocked }
+  async getRelation(viewerProfileId, user) {
+    if (viewerProfileId === user.profileId) return { isSelf: true, isContact: true, isBlocked: false };
+
+    const conversation = await this.conversationRepository.findByParticipants(viewerProfileId, user.profileId);
+    const isBlocked = Boolean(conversation?.isBlocked());
+
+    const isContact = Boolean(conversation) && !isBlocked && !conversation.isRequest();
+
+    return { isSelf: false, isContact, isBlocked };
+  }
+
+  // Datos del usuario tal como los ve quien consulta
+  async present(user, viewerProfileId) {
+    return user.toJSONFor(await this.getRelation(viewerProfileId, user));
+  }
+
+  // Igual que present, para listados (contactos y bloqueos se consultan una sola vez)
+  async presentMany(users, viewerProfileId) {
+    const relations = await this._getRelations(viewerProfileId);
+    return users.map(user => user.toJSONFor(relations.of(user)));
+  }
+
+  /**
+   * Estado de varios usuarios tal como los ve quien consulta (POST /users/presence).
+   * Los perfiles sin usuario se omiten.
+   * @returns {Promise<Array<{ profileId, isOnline, lastSeenAt }>>}
+   */
+  async getPresence(viewerProfileId, profileIds) {
+    const users = await this.userRepository.findByProfileIds([...new Set(profileIds)]);
+    const relations = await this._getRelations(viewerProfileId);
+
+    return users.map(user => ({
+      profileId: user.profileId,
+      ...user.getPresenceFor(relations.of(user))
+    }));
+  }
+
+  // Perfiles con un bloqueo con el usuario (en cualquier sentido): no se ven entre sí
+  async getBlockedProfileIds(profileId) {
+    const blocks = await this.conversationRepository.findBlockRelations(profileId);
+    return [...new Set(blocks.map(block => block.profileId))];
+  }
+
+  // Contactos y bloqueos de quien consulta; `of(user)` da la relación con cada usuario
+  async _getRelations(viewerProfileId) {
+    const [partners, blocks] = await Promise.all([
+      this.conversationRepository.findPartnerProfileIds(viewerProfileId),
+      this.conversationRepository.findBlockRelations(viewerProfileId)
+    ]);
+    const contacts = new Set(partners);
+    const blocked = new Set(blocks.map(block => block.profileId));
+
+    return {
+      contacts,
+      of: (user) => ({
+        isSelf: user.profileId === viewerProfileId,
+        isContact: contacts.has(user.profileId),
+        isBlocked: blocked.has(user.profileId)
+      })
+    };
+  }
+
+  /**
+   * Destinatarios de `user_status_changed`: quienes comparten una conversación o un grupo activo
+   * con el usuario y pueden ver su estado, separados según puedan ver también la última conexión.
+   * @returns {Promise<{ withLastSeen: string[], withoutLastSeen: string[] }>}
+   */
+  async getStatusAudience(user) {
+    const audience = { withLastSeen: [], withoutLastSeen: [] };
+    if (user.onlineStatusVisibility === PRESENCE_VISIBILITY.NOBODY) return audience;
+
+    // Contactos y bloqueos son simétricos: la relación vista desde el usuario vale para cada destinatario
+    const relations = await this._getRelations(user.profileId);
+    // Los miembros de grupos solo lo ven si el estado es visible para todos
+    const peers = user.onlineStatusVisibility === PRESENCE_VISIBILITY.EVERYONE
+      ? await this.groupMemberRepository.findPeerProfileIds(user.profileId)
+      : [];
+
+    for (const profileId of new Set([...relations.contacts, ...peers])) {
+      const relation = relations.of({ profileId });
+      if (!user.canShowOnlineStatusTo(relation)) continue;
+
+      if (user.canShowLastSeenTo(relation)) {
+        audience.withLastSeen.push(profileId);
+      } else {
+        audience.withoutLastSeen.push(profileId);
+      }
+    }
+
+    return audience;
+  }
+}
+
+module.exports = new PresencePolicy();
@@ -0,0 +1,175 @@
+/**
+ * WebSocket: TypingManager
+ * Estado de "escribiendo..." por sala. Cada indicador vence solo si el cliente deja de renovarlo
+ * (p. ej. se cae a mitad de escritura) y los grupos reciben un resumen de quiénes escriben.
+ *
+ * Cada instancia arma el mismo estado con los indicadores de sus sockets y los que llegan de las demás
+ * instancias, así el resumen de grupo se calcula localmente y no hace falta reenviarlo.
+ *
+ * En grupos, cada indicador lleva `hiddenFrom`: perfiles con un bloqueo (en cualquier sentido) con quien
+ * escribe. Para ellos ese indicador no existe, igual que su presencia (ver PresencePolicy).
+ */
+
+// El cliente renueva `typing_start` mientras escribe; sin renovación el indicador vence
+const TYPING_TIMEOUT_MS = parseInt(process.env.WS_TYPING_TIMEOUT_MS) || 6000;
+// Margen para los indicadores de otras instancias: normalmente llega antes su propio vencimiento
+const REMOTE_TIMEOUT_SLACK_MS = 2000;
+// Límite de eventos de escritura por socket
+const RATE_LIMIT_WINDOW_MS = 10000;
+const RATE_LIMIT_MAX_EVENTS = 20;
+// Cuántos usuarios se nombran en el resumen del grupo (el resto solo cuenta)
+const SUMMARY_MAX_TYPERS = 3;
+
+class TypingManager {
+  /**
+   * @param {object} handlers
+   * @param {Function} handlers.onChange - (room, typer, isTyping, socketId, hiddenFrom) indicador iniciado o
+   *   terminado. socketId: socket de esta instancia que lo originó (se reenvía a todas las instancias); null si
+   *   es el vencimiento de un indicador de otra instancia (solo para los sockets de esta)
+   * @param {Function} handlers.onSummary - (room) cambió el resumen de un grupo (ver summarize)
+   */
+  constructor({ onChange, onSummary }) {
+    this.onChange = onChange;
+    this.onSummary = onSummary;
+    // room -> Map<profileId, { typer, hiddenFrom, timer, socketId (null si es de otra instancia) }>
+    this.rooms = new Map();
+    // socketId -> { windowStart, count }
+    this.rates = new Map();
+  }
+
+  // true si el socket superó el límite de eventos de escritura (el evento se descarta)
+  isRateLimited(socketId) {
+    const now = Date.now();
+    const rate = this.rates.get(socketId);
+
+    if (!rate || now - rate.windowStart >= RATE_LIMIT_WINDOW_MS) {
+      this.rates.set(socketId, { windowStart: now, count: 1 });
+      return false;
+    }
+
+    rate.count += 1;
+    return rate.count > RATE_LIMIT_MAX_EVENTS;
+  }
+
+  isTyping(room, profileId) {
+    return Boolean(this.rooms.get(room)?.has(profileId));
+  }
+
+  // Inicio o renovación desde un socket de esta instancia; solo el inicio se avisa.
+  // hiddenFrom se indica al iniciar (en una renovación se conserva el anterior)
+  start(room, typer, socketId, hiddenFrom = null) {
+    const isNew = !this.isTyping(room, typer.profileId);
+    const entry = this._set(room, typer, socketId, TYPING_TIMEOUT_MS, hiddenFrom);
+
+    if (isNew) {
+      this.onChange(room, typer, true, socketId, entry.hiddenFrom);
+      this._summarize(room);
+    }
+  }
+
+  // Fin desde un socket de esta instancia (puede ser otro dispositivo del mismo usuario)
+  stop(room, profileId, socketId) {
+    const entry = this._delete(room, profileId);
+    if (!entry) return;
+
+    this.onChange(room, entry.typer, false, socketId, entry.hiddenFrom);
+    this._summarize(room);
+  }
+
+  // Socket desconectado: terminan sus indicadores
+  stopSocket(socketId) {
+    this.rates.delete(socketId);
+
+    for (const [room, typers] of this.rooms) {
+      for (const [profileId, entry] of typers) {
+        if (entry.socketId === socketId) this.stop(room, profileId, socketId);
+      }
+    }
+  }
+
+  // Indicador recibido de otra instancia (ya se entregó a los sockets de esta)
+  applyRemote(room, typer, isTyping, hiddenFrom = []) {
+    const wasTyping = this.isTyping(room, typer.profileId);
+
+    if (isTyping) {
+      this._set(room, typer, null, TYPING_TIMEOUT_MS + REMOTE_TIMEOUT_SLACK_MS, hiddenFrom);
+    } else {
+      this._delete(room, typer.profileId);
+    }
+
+    if (wasTyping !== isTyping) this._summarize(room);
+  }
+
+  clear() {
+    for (const typers of this.rooms.values()) {
+      typers.forEach(entry => clearTimeout(entry.timer));
+    }
+    this.rooms.clear();
+    this.rates.clear();
+  }
+
+  /**
+   * Resumen de un grupo tal como lo ve un perfil (sin quienes tienen un bloqueo con él)
+   * @returns {{ typers: object[], count: number }}
+   */
+  summarize(room, viewerProfileId = null) {
+    const typers = [...(this.rooms.get(room)?.values() || [])]
+      .filter(entry => !entry.hiddenFrom.includes(viewerProfileId))
+      .map(entry => entry.typer);
+
+    return {
+      typers: typers.slice(0, SUMMARY_MAX_TYPERS),
+      count: typers.length
+    };
+  }
+
+  // Perfiles que no ven a alguno de los que escriben en la sala (necesitan su propio resumen)
+  getHiddenViewers(room) {
+    const viewers = new Set();
+    for (const entry of this.rooms.get(room)?.values() || []) {
+      entry.hiddenFrom.forEach(profileId => viewers.add(profileId));
+    }
+    return viewers;
+  }
+
+  _set(room, typer, socketId, timeoutMs, hiddenFrom = null) {
+    if (!this.rooms.has(room)) this.rooms.set(room, new Map());
+    const typers = this.rooms.get(room);
+
+    const previous = typers.get(typer.profileId);
+    if (previous) clearTimeout(previous.timer);
+
+    const timer = setTimeout(() => this._expire(room, typer.profileId), timeoutMs);
+    timer.unref();
+    const entry = { typer, hiddenFrom: hiddenFrom || previous?.hiddenFrom || [], timer, socketId };
+    typers.set(typer.profileId, entry);
+    return entry;
+  }
+
+  _delete(room, profileId) {
+    const typers = this.rooms.get(room);
+    const entry = typers?.get(profileId);
+    if (!entry) return null;
+
+    clearTimeout(entry.timer);
+    typers.delete(profileId);
+    if (typers.size === 0) this.rooms.delete(room);
+    return entry;
+  }
+
+  _expire(room, profileId) {
+    const entry = this._delete(room, profileId);
+    if (!entry) return;
+
+    this.onChange(room, entry.typer, false, entry.socketId, entry.hiddenFrom);
+    this._summarize(room);
+  }
+
+  // Solo los grupos tienen resumen; en una conversación basta con user_typing
+  _summarize(room) {
+    if (!room.startsWith('group:')) return;
+    this.onSummary(room);
+  }
+}
+
+module.exports = TypingManager;
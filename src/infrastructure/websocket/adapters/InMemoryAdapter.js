@@ -0,0 +1,47 @@
+/**
+ * WebSocket Adapter: InMemoryAdapter
+ * Una sola instancia: la presencia vive en memoria y no hay nada que reenviar.
+ */
+
+const WebSocketAdapter = require('./WebSocketAdapter');
+
+class InMemoryAdapter extends WebSocketAdapter {
+  constructor() {
+    super();
+    // profileId → Set<socketId>
+    this.connections = new Map();
+  }
+
+  async start() {}
+
+  async stop() {
+    this.connections.clear();
+  }
+
+  async broadcast() {}
+
+  async addConnection(profileId, socketId) {
+    if (!this.connections.has(profileId)) {
+      this.connections.set(profileId, new Set());
+    }
+    this.connections.get(profileId).add(socketId);
+    return this.connections.get(profileId).size;
+  }
+
+  async removeConnection(profileId, socketId) {
+    const sockets = this.connections.get(profileId);
+    if (!sockets) return 0;
+
+    sockets.delete(socketId);
+    if (sockets.size === 0) {
+      this.connections.delete(profileId);
+    }
+    return sockets.size;
+  }
+
+  async isOnline(profileId) {
+    return this.connections.has(profileId);
+  }
+}
+
+module.exports = InMemoryAdapter;
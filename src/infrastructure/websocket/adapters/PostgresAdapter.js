@@ -0,0 +1,282 @@
+/**
+ * WebSocket Adapter: PostgresAdapter
+ * Varias instancias detrás de un balanceador, coordinadas por la misma base de datos:
+ * - Reenvío de eventos con LISTEN/NOTIFY (los que no caben en un NOTIFY pasan por ws_broadcasts)
+ * - Presencia compartida en ws_connections, con un latido por instancia en ws_nodes. Si una
+ *   instancia deja de latir, otra borra sus sockets y avisa de los perfiles que quedaron offline.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const { Client } = require('pg');
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../../database/connection');
+const config = require('../../database/config/config');
+const WebSocketAdapter = require('./WebSocketAdapter');
+
+const CHANNEL = 'aura_ws_broadcast';
+const HEARTBEAT_MS = parseInt(process.env.WS_NODE_HEARTBEAT_MS) || 10000;
+const NODE_TIMEOUT_SECONDS = Math.ceil((HEARTBEAT_MS * 3) / 1000);
+const MAX_NOTIFY_BYTES = 7900; // El límite de Postgres es 8000
+const BROADCAST_RETENTION_SECONDS = 60;
+const RECONNECT_DELAY_MS = 5000;
+
+class PostgresAdapter extends WebSocketAdapter {
+  constructor() {
+    super();
+    this.nodeId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+    this.handlers = null;
+    this.listener = null;
+    this.heartbeatTimer = null;
+    this.reconnectTimer = null;
+    this.isRunning = false;
+    // Sockets de esta instancia (socketId → profileId), para volver a registrarlos si se perdieron
+    this.localConnections = new Map();
+    // Los eventos recibidos se entregan en orden, aunque alguno haya que leerlo de ws_broadcasts
+    this.queue = Promise.resolve();
+  }
+
+  // Si la base de datos no responde al arrancar, el latido y el LISTEN se reintentan solos
+  async start(handlers) {
+    this.handlers = handlers;
+    this.isRunning = true;
+    this.heartbeatTimer = setInterval(() => this._tick(), HEARTBEAT_MS);
+
+    try {
+      await this._heartbeat();
+    } catch (error) {
+      console.error('❌ Adaptador WebSocket: primer latido fallido, se reintenta:', error.message);
+    }
+
+    try {
+      await this._listen();
+    } catch (error) {
+      console.error('❌ Adaptador WebSocket: no se pudo escuchar en Postgres:', error.message);
+      this._scheduleReconnect();
+    }
+
+    console.log(`🛰️ Adaptador WebSocket Postgres iniciado (nodo ${this.nodeId})`);
+  }
+
+  async stop() {
+    this.isRunning = false;
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.reconnectTimer);
+
+    try {
+      const offline = await this._removeNodes('node_id = :nodeId', { nodeId: this.nodeId });
+      this._notifyOffline(offline);
+    } catch (error) {
+      console.error('❌ Adaptador WebSocket: error al dar de baja el nodo:', error.message);
+    }
+
+    const listener = this.listener;
+    this.listener = null;
+    if (listener) await listener.end().catch(() => {});
+    this.localConnections.clear();
+  }
+
+  async broadcast({ room = null, event, data, except = null }) {
+    let payload = JSON.stringify({ nodeId: this.nodeId, room, event, data, except });
+
+    if (Buffer.byteLength(payload) > MAX_NOTIFY_BYTES) {
+      const [row] = await sequelize.query(
+        'INSERT INTO ws_broadcasts (payload, created_at) VALUES (CAST(:payload AS JSONB), NOW()) RETURNING id',
+        { replacements: { payload }, type: QueryTypes.SELECT }
+      );
+      payload = JSON.stringify({ nodeId: this.nodeId, ref: String(row.id) });
+    }
+
+    await sequelize.query('SELECT pg_notify(:channel, :payload)', {
+      replacements: { channel: CHANNEL, payload },
+      type: QueryTypes.SELECT
+    });
+  }
+
+  async addConnection(profileId, socketId) {
+    this.localConnections.set(socketId, profileId);
+
+    // La consulta principal no ve la fila insertada en el CTE: se suma aparte
+    const [row] = await sequelize.query(
+      `WITH inserted AS (
+         INSERT INTO ws_connections (socket_id, node_id, profile_id, connected_at)
+         VALUES (:socketId, :nodeId, :profileId, NOW())
+         ON CONFLICT (socket_id) DO NOTHING
+         RETURNING socket_id
+       )
+       SELECT (SELECT COUNT(*) FROM ws_connections WHERE profile_id = :profileId)
+            + (SELECT COUNT(*) FROM inserted) AS count`,
+      { replacements: { socketId, nodeId: this.nodeId, profileId }, type: QueryTypes.SELECT }
+    );
+    return parseInt(row.count);
+  }
+
+  async removeConnection(profileId, socketId) {
+    this.localConnections.delete(socketId);
+
+    const [row] = await sequelize.query(
+      `WITH removed AS (
+         DELETE FROM ws_connections WHERE socket_id = :socketId
+       )
+       SELECT COUNT(*) AS count FROM ws_connections
+       WHERE profile_id = :profileId AND socket_id <> :socketId`,
+      { replacements: { socketId, profileId }, type: QueryTypes.SELECT }
+    );
+    return parseInt(row.count);
+  }
+
+  async isOnline(profileId) {
+    const [row] = await sequelize.query(
+      'SELECT EXISTS (SELECT 1 FROM ws_connections WHERE profile_id = :profileId) AS online',
+      { replacements: { profileId }, type: QueryTypes.SELECT }
+    );
+    return row.online;
+  }
+
+  async _tick() {
+    try {
+      await this._heartbeat();
+
+      const offline = await this._removeNodes(
+        `last_heartbeat_at < NOW() - (:timeout * INTERVAL '1 second')`,
+        { timeout: NODE_TIMEOUT_SECONDS }
+      );
+      this._notifyOffline(offline);
+
+      await sequelize.query(
+        `DELETE FROM ws_broadcasts WHERE created_at < NOW() - (:retention * INTERVAL '1 second')`,
+        { replacements: { retention: BROADCAST_RETENTION_SECONDS }, type: QueryTypes.DELETE }
+      );
+    } catch (error) {
+      console.error('❌ Adaptador WebSocket: error en el latido:', error.message);
+    }
+  }
+
+  async _heartbeat() {
+    const [row] = await sequelize.query(
+      `INSERT INTO ws_nodes (node_id, last_heartbeat_at) VALUES (:nodeId, NOW())
+       ON CONFLICT (node_id) DO UPDATE SET last_heartbeat_at = NOW()
+       RETURNING (xmax = 0) AS inserted`,
+      { replacements: { nodeId: this.nodeId }, type: QueryTypes.SELECT }
+    );
+
+    // Otra instancia nos dio por caídos (p. ej. tras un corte con la base de datos): volver a registrar los sockets
+    if (row.inserted && this.localConnections.size > 0) {
+      const entries = [...this.localConnections];
+      await sequelize.query(
+        `INSERT INTO ws_connections (socket_id, node_id, profile_id, connected_at)
+         SELECT socket_id, :nodeId, profile_id, NOW()
+         FROM unnest(ARRAY[:socketIds]::varchar[], ARRAY[:profileIds]::uuid[]) AS t(socket_id, profile_id)
+         ON CONFLICT (socket_id) DO NOTHING`,
+        {
+          replacements: {
+            nodeId: this.nodeId,
+            socketIds: entries.map(([socketId]) => socketId),
+            profileIds: entries.map(([, profileId]) => profileId)
+          },
+          type: QueryTypes.INSERT
+        }
+      );
+      console.warn(`⚠️ Adaptador WebSocket: ${entries.length} sockets registrados de nuevo`);
+    }
+  }
+
+  /**
+   * Da de baja los nodos que cumplen `where` junto con sus sockets.
+   * Devuelve los perfiles que ya no tienen ningún socket en otras instancias.
+   */
+  async _removeNodes(where, replacements) {
+    const rows = await sequelize.query(
+      `WITH removed AS (
+         DELETE FROM ws_nodes WHERE ${where} RETURNING node_id
+       ),
+       gone AS (
+         DELETE FROM ws_connections c USING removed
+         WHERE c.node_id = removed.node_id
+         RETURNING c.profile_id
+       )
+       SELECT DISTINCT gone.profile_id FROM gone
+       WHERE NOT EXISTS (
+         SELECT 1 FROM ws_connections other
+         WHERE other.profile_id = gone.profile_id
+           AND other.node_id NOT IN (SELECT node_id FROM removed)
+       )`,
+      { replacements, type: QueryTypes.SELECT }
+    );
+    return rows.map(row => row.profile_id);
+  }
+
+  _notifyOffline(profileIds) {
+    if (profileIds.length > 0 && this.handlers) {
+      this.handlers.onProfilesOffline(profileIds);
+    }
+  }
+
+  // Conexión dedicada para LISTEN (no puede salir del pool de Sequelize)
+  async _listen() {
+    const dbConfig = config[process.env.NODE_ENV || 'development'];
+    const client = new Client({
+      host: dbConfig.host,
+      port: dbConfig.port,
+      database: dbConfig.database,
+      user: dbConfig.username,
+      password: dbConfig.password,
+      ssl: dbConfig.dialectOptions?.ssl || false
+    });
+
+    const onLost = (error) => {
+      if (this.listener !== client) return;
+      console.error('❌ Adaptador WebSocket: conexión LISTEN perdida:', error ? error.message : 'cerrada');
+      this.listener = null;
+      client.end().catch(() => {});
+      this._scheduleReconnect();
+    };
+
+    client.on('notification', (message) => this._onNotification(message.payload));
+    client.on('error', onLost);
+    client.on('end', () => onLost());
+
+    await client.connect();
+    await client.query(`LISTEN ${CHANNEL}`);
+    this.listener = client;
+  }
+
+  _scheduleReconnect() {
+    if (!this.isRunning || this.reconnectTimer) return;
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      try {
+        await this._listen();
+        console.log('✅ Adaptador WebSocket: LISTEN restablecido');
+      } catch (error) {
+        console.error('❌ Adaptador WebSocket: reintento de LISTEN fallido:', error.message);
+        this._scheduleReconnect();
+      }
+    }, RECONNECT_DELAY_MS);
+  }
+
+  _onNotification(payload) {
+    this.queue = this.queue
+      .then(async () => {
+        const message = JSON.parse(payload);
+        if (message.nodeId === this.nodeId) return;
+
+        const body = message.ref ? await this._loadBroadcast(message.ref) : message;
+        if (body && this.handlers) {
+          this.handlers.onBroadcast({ room: body.room, event: body.event, data: body.data, except: body.except });
+        }
+      })
+      .catch(error => console.error('❌ Adaptador WebSocket: evento recibido inválido:', error.message));
+  }
+
+  async _loadBroadcast(id) {
+    const [row] = await sequelize.query('SELECT payload FROM ws_broadcasts WHERE id = :id', {
+      replacements: { id },
+      type: QueryTypes.SELECT
+    });
+    return row ? row.payload : null;
+  }
+}
+
+module.exports = PostgresAdapter;
@@ -0,0 +1,30 @@
+/**
+ * WebSocket Adapter (Port)
+ * Presencia y reenvío de eventos entre instancias del servidor WebSocket.
+ *
+ * Cada instancia emite a sus propios sockets; el adaptador lleva el mismo evento a las demás
+ * instancias y lleva la cuenta de los sockets de cada perfil en todo el clúster.
+ */
+
+class WebSocketAdapter {
+  /**
+   * @param {object} handlers
+   * @param {Function} handlers.onBroadcast - ({ room, event, data, except }) recibido de otra instancia
+   * @param {Function} handlers.onProfilesOffline - (profileIds) perfiles que se quedaron sin sockets
+   *   porque su instancia cayó
+   */
+  async start(handlers) { throw new Error('Method not implemented'); }
+  async stop() { throw new Error('Method not implemented'); }
+
+  // Reenvía { room, event, data, except } a las demás instancias (room puede ser una lista de salas;
+  // null = todos los sockets; except = socket o salas, uno o una lista, que no deben recibirlo)
+  async broadcast(message) { throw new Error('Method not implemented'); }
+
+  // Devuelven cuántos sockets tiene el perfil en todo el clúster después del cambio
+  async addConnection(profileId, socketId) { throw new Error('Method not implemented'); }
+  async removeConnection(profileId, socketId) { throw new Error('Method not implemented'); }
+
+  async isOnline(profileId) { throw new Error('Method not implemented'); }
+}
+
+module.exports = WebSocketAdapter;
@@ -0,0 +1,26 @@
+/**
+ * WebSocket Adapters Index
+ */
+
+const WebSocketAdapter = require('./WebSocketAdapter');
+const InMemoryAdapter = require('./InMemoryAdapter');
+const PostgresAdapter = require('./PostgresAdapter');
+
+// WS_ADAPTER=memory (una instancia, default) o postgres (varias instancias con la misma base de datos)
+const createAdapter = (type = process.env.WS_ADAPTER || 'memory') => {
+  switch (type) {
+    case 'memory':
+      return new InMemoryAdapter();
+    case 'postgres':
+      return new PostgresAdapter();
+    default:
+      throw new Error(`WS_ADAPTER desconocido: ${type}`);
+  }
+};
+
+module.exports = {
+  WebSocketAdapter,
+  InMemoryAdapter,
+  PostgresAdapter,
+  createAdapter
+};
@@ -4,10 +4,90 @@
 
 const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
-const { UserRepository, GroupMemberRepository } = require('../repositories');
+const {
+  UserRepository,
+  GroupMemberRepository,
+  MessageRepository,
+  MessageReceiptRepository
+} = require('../repositories');
+const { MESSAGE_TYPES } = require('../../domain/entities');
+const { AppError } = require('../http/middlewares');
+const accessPolicy = require('../services/AccessPolicy');
+const groupResolver = require('../services/GroupResolver');
+const presencePolicy = require('../services/PresencePolicy');
+const { createAdapter } = require('./adapters');
+const TypingManager = require('./TypingManager');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Espera antes de dar por desconectado a un usuario, para que una reconexión breve no cambie su estado
+const OFFLINE_GRACE_MS = parseInt(process.env.WS_OFFLINE_GRACE_MS) || 5000;
+// Actividad: como mucho una escritura de last_seen_at por perfil en este intervalo
+const LAST_SEEN_TOUCH_INTERVAL_MS = 60 * 1000;
+// Avisos entre instancias (no se emiten a los clientes): sacar sockets de una sala y cancelar
+// la desconexión pendiente de un perfil que se reconectó en otra instancia
+const JOIN_ROOM_EVENT = 'internal:join_room';
+const LEAVE_ROOM_EVENT = 'internal:leave_room';
+const CANCEL_OFFLINE_EVENT = 'internal:cancel_offline';
+
+// Los eventos de sala aceptan el ID directamente o como objeto ({ conversationId }, { groupId }, ...)
+function getRoomId(data, key) {
+  return data && typeof data === 'object' ? data[key] : data;
+}
+
+// Sala de un indicador de escritura → IDs del payload (el groupId de la sala ya es el público)
+function getTypingTarget(room) {
+  const [type, id] = room.split(':');
+  return {
+    conversationId: type === 'conversation' ? id : null,
+    groupId: type === 'group' ? id : null
+  };
+}
+
+function toTypingPayload(room, typer, isTyping) {
+  return { ...getTypingTarget(room), ...typer, isTyping };
+}
+
+// Los indicadores de grupo excluyen las salas personales de quienes tienen un bloqueo con quien escribe;
+// así viajan también a las demás instancias (en `except`)
+const toUserRooms = (profileIds) => profileIds.map(profileId => `user:${profileId}`);
+const fromUserRooms = (rooms) => rooms.filter(room => room.startsWith('user:')).map(room => room.slice('user:'.length));
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Mismas reglas que createMessageValidation (POST /messages), sin `sendAt`
+function parseSendMessage(data) {
+  const invalid = (field) => new AppError(`Campo inválido: ${field}`, 400, 'VALIDATION_ERROR');
+
+  if (!data || typeof data !== 'object') throw invalid('payload');
+
+  const { conversationId, groupId, content, messageType, mediaUrl, replyToId, clientMessageId } = data;
+
+  if (conversationId !== undefined && !UUID_PATTERN.test(conversationId)) throw invalid('conversationId');
+  if (groupId !== undefined && !UUID_PATTERN.test(groupId)) throw invalid('groupId');
+  if (typeof content !== 'string' || content.length === 0 || content.length > 5000) throw invalid('content');
+  if (messageType !== undefined && !Object.values(MESSAGE_TYPES).includes(messageType)) throw invalid('messageType');
+  if (mediaUrl !== undefined && !isHttpUrl(mediaUrl)) throw invalid('mediaUrl');
+  if (replyToId !== undefined && !UUID_PATTERN.test(replyToId)) throw invalid('replyToId');
+  if (clientMessageId !== undefined && (typeof clientMessageId !== 'string' || clientMessageId.length === 0 || clientMessageId.length > 64)) {
+    throw invalid('clientMessageId');
+  }
+
+  return { conversationId, groupId, content, messageType, mediaUrl, replyToId, clientMessageId };
+}
 
 class WebSocketServer {
-  constructor(httpServer) {
+  /**
+   * @param {object} httpServer
+   * @param {WebSocketAdapter} adapter - Presencia y reenvío entre instancias (por defecto según WS_ADAPTER)
+   */
+  constructor(httpServer, adapter = createAdapter()) {
     this.io = new Server(httpServer, {
       cors: {
         origin: process.env.WS_CORS_ORIGIN || '*',
@@ -21,10 +101,25 @@ class WebSocketServer {
       allowUpgrades: true
     });
 
-
     this.userRepository = new UserRepository();
     this.groupMemberRepository = new GroupMemberRepository();
-    this.connectedUsers = new Map();
+    this.messageRepository = new MessageRepository();
+    this.messageReceiptRepository = new MessageReceiptRepository();
+    this.adapter = adapter;
+    this.pendingOffline = new Map(); // profileId -> { timer, disconnectedAt }
+    this.lastSeenTouches = new Map(); // profileId -> timestamp de la última escritura por actividad
+    this.typingManager = new TypingManager({
+      onChange: (room, typer, isTyping, socketId, hiddenFrom) => {
+        const payload = toTypingPayload(room, typer, isTyping);
+        const hiddenRooms = toUserRooms(hiddenFrom);
+        if (socketId) {
+          this.broadcast(room, 'user_typing', payload, [socketId, ...hiddenRooms]);
+        } else {
+          this.emitLocally({ room, event: 'user_typing', data: payload, except: hiddenRooms });
+        }
+      },
+      onSummary: (room) => this.emitTypingSummary(room)
+    });
 
     this.initialize();
   }
@@ -50,6 +145,8 @@ class WebSocketServer {
           profileId: profileId,
           username: decoded.username || decoded.email
         };
+        // Para consultar el perfil del emisor en social-service, igual que POST /messages
+        socket.authHeader = `Bearer ${token}`;
 
         console.log(`✅ WebSocket Auth - User: ${socket.user.profileId}`);
 
@@ -60,6 +157,18 @@ class WebSocketServer {
       }
     });
 
+    // Los eventos de otras instancias se entregan a los sockets de esta
+    this.adapterReady = this.adapter.start({
+      onBroadcast: (message) => {
+        if (message.event === JOIN_ROOM_EVENT) return this.joinRoomLocally(message.data);
+        if (message.event === LEAVE_ROOM_EVENT) return this.leaveRoomLocally(message.data);
+        if (message.event === CANCEL_OFFLINE_EVENT) return this.cancelPendingOffline(message.data.profileId);
+        this.emitLocally(message);
+        if (message.event === 'user_typing') this.applyRemoteTyping(message.data, message.except);
+      },
+      onProfilesOffline: (profileIds) => profileIds.forEach(profileId => this.markOffline(profileId))
+    }).catch(error => console.error('❌ Error al iniciar el adaptador WebSocket:', error.message));
+
     this.io.on('connection', (socket) => {
       this.handleConnection(socket);
     });
@@ -69,123 +178,582 @@ class WebSocketServer {
     const { profileId } = socket.user;
     console.log(`🔌 Usuario conectado: ${profileId}`);
 
-    this.addConnection(profileId, socket.id);
-    this.userRepository.setOnlineStatus(profileId, true);
+    // Sala personal: llega a todos los sockets del perfil, en cualquier instancia
+    socket.join(`user:${profileId}`);
+    socket.presenceReady = this.addConnection(profileId, socket.id);
     this.joinUserGroups(socket, profileId);
+    this.markOnline(profileId, socket);
+
+    // Cualquier evento del cliente cuenta como actividad
+    socket.use((packet, next) => {
+      this.touchLastSeen(profileId);
+      next();
+    });
 
-    // 🔥 Broadcast online status to all rooms user is part of
-    this.broadcastUserStatus(profileId, true);
+    // 🔒 Las salas solo admiten participantes/miembros; el ack informa si se denegó
+    socket.on('join_conversation', async (data, ack) => {
+      const conversationId = getRoomId(data, 'conversationId');
+      const joined = await this.joinAuthorizedRoom(socket, ack, async () => {
+        const conversation = await accessPolicy.assertConversationParticipant(conversationId, profileId);
+        accessPolicy.assertNotBlocked(conversation);
+        return `conversation:${conversationId}`;
+      });
+      if (joined) {
+        console.log(`📥 Usuario ${profileId} unido a conversación: ${conversationId}`);
+      }
+    });
 
-    socket.on('join_conversation', (conversationId) => {
-      socket.join(`conversation:${conversationId}`);
-      console.log(`📥 Usuario ${profileId} unido a conversación: ${conversationId}`);
+    socket.on('leave_conversation', (data) => {
+      socket.leave(`conversation:${getRoomId(data, 'conversationId')}`);
     });
 
-    socket.on('leave_conversation', (conversationId) => {
-      socket.leave(`conversation:${conversationId}`);
+    // Acepta el external ID o el interno; siempre se une a la sala canónica (ver GroupResolver)
+    socket.on('join_group', async (data, ack) => {
+      const groupId = getRoomId(data, 'groupId');
+      await this.joinAuthorizedRoom(socket, ack, async () => {
+        const group = await accessPolicy.getGroupForMember(groupId, profileId);
+        return groupResolver.getRoomName(group);
+      });
     });
 
-    socket.on('join_group', (groupId) => {
-      socket.join(`group:${groupId}`);
+    socket.on('leave_group', async (data) => {
+      try {
+        socket.leave(await this.getGroupRoom(getRoomId(data, 'groupId')));
+      } catch (error) {
+        console.error('Error al salir del grupo:', error.message);
+      }
     });
 
-    socket.on('leave_group', (groupId) => {
-      socket.leave(`group:${groupId}`);
+    socket.on('join_thread', async (data, ack) => {
+      const messageId = getRoomId(data, 'messageId');
+      await this.joinAuthorizedRoom(socket, ack, async () => {
+        await accessPolicy.getAccessibleMessage(messageId, profileId);
+        return `thread:${messageId}`;
+      });
     });
 
-    socket.on('typing_start', (data) => {
-      const { conversationId, groupId } = data;
-      const room = conversationId ? `conversation:${conversationId}` : `group:${groupId}`;
-      socket.to(room).emit('user_typing', { profileId, isTyping: true });
+    socket.on('leave_thread', (data) => {
+      socket.leave(`thread:${getRoomId(data, 'messageId')}`);
     });
 
-    socket.on('typing_stop', (data) => {
-      const { conversationId, groupId } = data;
-      const room = conversationId ? `conversation:${conversationId}` : `group:${groupId}`;
-      socket.to(room).emit('user_typing', { profileId, isTyping: false });
+    // ✍️ Solo se puede escribir en salas a las que el socket ya se unió
+    socket.on('typing_start', (data) => this.handleTyping(socket, data, true));
+    socket.on('typing_stop', (data) => this.handleTyping(socket, data, false));
+
+    // ✉️ Enviar mensaje por el socket (mismo flujo que POST /messages); el ack devuelve el mensaje guardado
+    socket.on('send_message', (data, ack) => this.handleSendMessage(socket, data, ack));
+
+    // 🔄 Al reconectar: eventos perdidos desde el último cursor recibido (mismo resultado que GET /sync)
+    socket.on('sync', (data, ack) => this.handleSync(socket, data, ack));
+
+    // 📬 El cliente confirma que recibió mensajes (conversaciones o grupos)
+    socket.on('messages_delivered', async (data, ack) => {
+      try {
+        const messageIds = Array.isArray(data?.messageIds) ? data.messageIds.slice(0, 100) : [];
+        await this.handleMessagesDelivered(profileId, messageIds);
+        if (typeof ack === 'function') ack({ success: true });
+      } catch (error) {
+        console.error('Error al marcar mensajes como entregados:', error);
+        if (typeof ack === 'function') ack({ success: false, error: 'No se pudo marcar como entregado' });
+      }
     });
 
-    // 🔥 Allow clients to check if a specific user is online
-    socket.on('check_user_status', (targetProfileId) => {
-      const isOnline = this.isUserOnline(targetProfileId);
-      console.log(`🔍 User ${profileId} checking status of ${targetProfileId}: ${isOnline}`);
-      socket.emit('user_status_response', { profileId: targetProfileId, isOnline });
+    // 🔥 Allow clients to check if a specific user is online (según la privacidad del usuario consultado)
+    socket.on('check_user_status', async (targetProfileId) => {
+      try {
+        const status = await this.getUserStatusFor(profileId, targetProfileId);
+        console.log(`🔍 User ${profileId} checking status of ${targetProfileId}: ${status.isOnline}`);
+        socket.emit('user_status_response', status);
+      } catch (error) {
+        console.error('Error al consultar estado de usuario:', error.message);
+      }
     });
 
-    socket.on('disconnect', () => {
-      this.removeConnection(profileId, socket.id);
+    socket.on('disconnect', async () => {
+      this.typingManager.stopSocket(socket.id);
 
-      if (!this.connectedUsers.has(profileId) || this.connectedUsers.get(profileId).size === 0) {
-        this.userRepository.setOnlineStatus(profileId, false);
-        // 🔥 Broadcast offline status
-        this.broadcastUserStatus(profileId, false);
-        console.log(`❌ Usuario desconectado: ${profileId}`);
+      // Sin otro socket del perfil en ninguna instancia → offline tras el período de gracia
+      const remaining = await this.removeConnection(profileId, socket);
+      if (remaining === 0) {
+        this.scheduleOffline(profileId);
+      } else {
+        this.userRepository.touchLastSeen(profileId)
+          .catch(error => console.error('Error al actualizar última conexión:', error.message));
       }
     });
   }
 
-  addConnection(profileId, socketId) {
-    if (!this.connectedUsers.has(profileId)) {
-      this.connectedUsers.set(profileId, new Set());
+  async addConnection(profileId, socketId) {
+    try {
+      await this.adapterReady;
+      await this.adapter.addConnection(profileId, socketId);
+    } catch (error) {
+      console.error('Error al registrar conexión:', error.message);
+    }
+  }
+
+  // Devuelve los sockets que le quedan al perfil en el clúster (null si no se pudo saber)
+  async removeConnection(profileId, socket) {
+    try {
+      await socket.presenceReady;
+      return await this.adapter.removeConnection(profileId, socket.id);
+    } catch (error) {
+      console.error('Error al eliminar conexión:', error.message);
+      return null;
+    }
+  }
+
+  // En línea al conectarse, salvo que ya lo estuviera: otro socket abierto o una reconexión dentro del
+  // período de gracia, en esta o en otra instancia. La desconexión pendiente se cancela en todas; cualquier
+  // instancia que la tenga ya ve este socket en el adaptador, así que tampoco la completa
+  async markOnline(profileId, socket) {
+    await socket.presenceReady;
+
+    const hadPendingOffline = this.cancelPendingOffline(profileId);
+    this.adapter.broadcast({ room: `user:${profileId}`, event: CANCEL_OFFLINE_EVENT, data: { profileId } })
+      .catch(error => console.error('❌ Error al cancelar la desconexión en otras instancias:', error.message));
+    if (hadPendingOffline) return;
+
+    try {
+      // is_online solo pasa a false al completar una desconexión: si sigue en true, ya se avisó la conexión
+      const user = await this.userRepository.findByProfileId(profileId);
+      if (user?.isOnline) return;
+
+      await this.userRepository.setOnlineStatus(profileId, true);
+    } catch (error) {
+      console.error('Error al marcar usuario en línea:', error.message);
+      return;
+    }
+
+    // 🔥 Aviso de conexión a quienes pueden ver su estado
+    await this.broadcastUserStatus(profileId, true);
+  }
+
+  // last_seen_at queda con la hora de la desconexión, no la del fin del período de gracia
+  scheduleOffline(profileId) {
+    this.cancelPendingOffline(profileId);
+
+    const disconnectedAt = new Date();
+    const timer = setTimeout(() => this.completeOffline(profileId, disconnectedAt), OFFLINE_GRACE_MS);
+    timer.unref();
+    this.pendingOffline.set(profileId, { timer, disconnectedAt });
+  }
+
+  // Devuelve si había una desconexión pendiente
+  cancelPendingOffline(profileId) {
+    const pending = this.pendingOffline.get(profileId);
+    if (!pending) return false;
+
+    clearTimeout(pending.timer);
+    this.pendingOffline.delete(profileId);
+    return true;
+  }
+
+  // Fin del período de gracia: offline solo si no se reconectó en ninguna instancia
+  async completeOffline(profileId, disconnectedAt) {
+    this.pendingOffline.delete(profileId);
+
+    try {
+      if (await this.isUserOnline(profileId)) return;
+    } catch (error) {
+      console.error('Error al consultar conexiones del usuario:', error.message);
     }
-    this.connectedUsers.get(profileId).add(socketId);
+
+    await this.markOffline(profileId, disconnectedAt);
+    console.log(`❌ Usuario desconectado: ${profileId}`);
+  }
+
+  async markOffline(profileId, lastSeenAt = new Date()) {
+    this.lastSeenTouches.delete(profileId);
+
+    try {
+      await this.userRepository.setOnlineStatus(profileId, false, lastSeenAt);
+    } catch (error) {
+      console.error('Error al marcar usuario offline:', error.message);
+    }
+
+    // 🔥 Aviso de desconexión a quienes pueden ver su estado
+    await this.broadcastUserStatus(profileId, false, lastSeenAt);
+  }
+
+  // Actividad del usuario: actualiza last_seen_at como mucho una vez por LAST_SEEN_TOUCH_INTERVAL_MS
+  touchLastSeen(profileId) {
+    const now = Date.now();
+    if (now - (this.lastSeenTouches.get(profileId) || 0) < LAST_SEEN_TOUCH_INTERVAL_MS) return;
+
+    this.lastSeenTouches.set(profileId, now);
+    this.userRepository.touchLastSeen(profileId)
+      .catch(error => console.error('Error al actualizar última conexión:', error.message));
   }
 
-  removeConnection(profileId, socketId) {
-    if (this.connectedUsers.has(profileId)) {
-      this.connectedUsers.get(profileId).delete(socketId);
-      if (this.connectedUsers.get(profileId).size === 0) {
-        this.connectedUsers.delete(profileId);
+  // `authorize` verifica el acceso y devuelve la sala; responde por ack (opcional) y devuelve si se unió
+  async joinAuthorizedRoom(socket, ack, authorize) {
+    try {
+      const room = await authorize();
+      socket.join(room);
+      if (typeof ack === 'function') ack({ success: true, room });
+      return true;
+    } catch (error) {
+      console.log(`🚫 Usuario ${socket.user.profileId} sin acceso a la sala: ${error.message}`);
+      if (typeof ack === 'function') {
+        ack({
+          success: false,
+          error: error.isOperational ? error.message : 'No se pudo unir a la sala',
+          code: error.code || 'JOIN_FAILED'
+        });
       }
+      return false;
     }
   }
 
-  async joinUserGroups(socket, profileId) {
+  async handleSendMessage(socket, data, ack) {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const clientMessageId = data?.clientMessageId ?? null;
+
     try {
-      const result = await this.groupMemberRepository.findByProfileId(profileId, {
-        status: 'active',
-        limit: 100
+      // Requerido aquí para evitar la dependencia circular (MessageService emite a través de este servidor)
+      const messageService = require('../services/MessageService');
+
+      const messageData = parseSendMessage(data);
+      const message = await messageService.send({
+        ...messageData,
+        senderProfileId: socket.user.profileId
+      }, {
+        authHeader: socket.authHeader,
+        username: socket.user.username
       });
 
-      for (const membership of result.data) {
-        socket.join(`group:${membership.groupId}`);
+      const [stored] = await messageService.serialize([message]);
+      reply({ success: true, clientMessageId, data: stored });
+
+      // Enviar el mensaje termina el indicador de escritura en ese chat
+      const room = stored.conversationId ? `conversation:${stored.conversationId}` : `group:${stored.groupId}`;
+      this.typingManager.stop(room, socket.user.profileId, socket.id);
+    } catch (error) {
+      if (!error.isOperational) {
+        console.error('Error al enviar mensaje por WebSocket:', error);
+      }
+      reply({
+        success: false,
+        clientMessageId,
+        error: error.isOperational ? error.message : 'No se pudo enviar el mensaje',
+        code: error.code || 'SEND_FAILED'
+      });
+    }
+  }
+
+  async handleSync(socket, data, ack) {
+    if (typeof ack !== 'function') return;
+
+    try {
+      // Requerido aquí por la misma dependencia circular que MessageService
+      const chatEventService = require('../services/ChatEventService');
+
+      const result = await chatEventService.getChangesSince(socket.user.profileId, data?.since, data?.limit);
+      ack({ success: true, ...result });
+    } catch (error) {
+      if (!error.isOperational) {
+        console.error('Error al sincronizar por WebSocket:', error);
+      }
+      ack({
+        success: false,
+        error: error.isOperational ? error.message : 'No se pudo sincronizar',
+        code: error.code || 'SYNC_FAILED'
+      });
+    }
+  }
+
+  // Sala canónica de un grupo a partir de cualquiera de sus IDs
+  async getGroupRoom(groupId) {
+    return `group:${await groupResolver.getPublicIdFor(groupId)}`;
+  }
+
+  async handleTyping(socket, data, isTyping) {
+    try {
+      if (this.typingManager.isRateLimited(socket.id)) return;
+
+      const { profileId } = socket.user;
+      const { conversationId, groupId } = data || {};
+      const room = conversationId ? `conversation:${conversationId}` : await this.getGroupRoom(groupId);
+      if (!socket.rooms.has(room)) return;
+
+      if (!isTyping) {
+        this.typingManager.stop(room, profileId, socket.id);
+        return;
+      }
+
+      // La membresía se verifica al empezar (no en cada renovación): pudo cambiar desde que se unió a la sala
+      let hiddenFrom = null;
+      if (!this.typingManager.isTyping(room, profileId)) {
+        if (conversationId) {
+          const conversation = await accessPolicy.assertConversationParticipant(conversationId, profileId);
+          accessPolicy.assertNotBlocked(conversation);
+          // Quien recibe una solicitud no puede responder (ni aparecer escribiendo) hasta aceptarla
+          if (conversation.isRequestFor(profileId)) return;
+        } else {
+          await accessPolicy.getGroupForMember(groupId, profileId);
+          // En grupos no se ve escribir a quien tiene un bloqueo con uno (en cualquier sentido)
+          hiddenFrom = await presencePolicy.getBlockedProfileIds(profileId);
+        }
+      }
+
+      this.typingManager.start(room, await this.getTyper(socket), socket.id, hiddenFrom);
+    } catch (error) {
+      if (!error.isOperational) {
+        console.error('Error al procesar typing:', error.message);
+      }
+    }
+  }
+
+  // Indicador de otra instancia: se actualiza el estado local (resumen de grupo y vencimiento)
+  applyRemoteTyping({ conversationId, groupId, isTyping, ...typer }, except) {
+    const room = conversationId ? `conversation:${conversationId}` : `group:${groupId}`;
+    this.typingManager.applyRemote(room, typer, isTyping, fromUserRooms([].concat(except || [])));
+  }
+
+  // Resumen de quiénes escriben en un grupo, para los sockets de esta instancia. Quien tiene un bloqueo
+  // con alguno de los que escriben recibe su propio resumen, sin ellos
+  emitTypingSummary(room) {
+    const { groupId } = getTypingTarget(room);
+    const hiddenViewers = this.typingManager.getHiddenViewers(room);
+
+    this.emitLocally({
+      room,
+      event: 'group_typing',
+      data: { groupId, ...this.typingManager.summarize(room) },
+      except: toUserRooms([...hiddenViewers])
+    });
+    if (hiddenViewers.size === 0) return;
+
+    for (const socketId of this.io.sockets.adapter.rooms.get(room) || []) {
+      const socket = this.io.sockets.sockets.get(socketId);
+      const viewerProfileId = socket?.user?.profileId;
+      if (hiddenViewers.has(viewerProfileId)) {
+        socket.emit('group_typing', { groupId, ...this.typingManager.summarize(room, viewerProfileId) });
+      }
+    }
+  }
+
+  // Datos del usuario para los indicadores de escritura (se consultan una vez por socket)
+  getTyper(socket) {
+    if (!socket.typer) {
+      const { profileId, username = null } = socket.user;
+      socket.typer = this.userRepository.findByProfileId(profileId)
+        .then(user => ({
+          profileId,
+          username: user?.username ?? username,
+          displayName: user?.displayName ?? null,
+          avatarUrl: user?.avatarUrl ?? null
+        }))
+        .catch(() => ({ profileId, username, displayName: null, avatarUrl: null }));
+    }
+    return socket.typer;
+  }
+
+  // Une el socket a las salas canónicas de todos sus grupos (activos o silenciados)
+  async joinUserGroups(socket, profileId) {
+    try {
+      const groupIds = await this.groupMemberRepository.findGroupIdsByProfileId(profileId);
+      const publicIds = await groupResolver.getPublicIdsFor(groupIds);
+
+      for (const publicId of publicIds.values()) {
+        socket.join(`group:${publicId}`);
       }
     } catch (error) {
       console.error('Error al unir grupos:', error);
     }
   }
 
-  emitNewConversationMessage(conversationId, message) {
-    this.io.to(`conversation:${conversationId}`).emit('new_message', message);
+  // Emite a los sockets de esta instancia y reenvía el evento a las demás (room null = todos).
+  // `except` excluye un socket o sala, o una lista (p. ej. el socket que originó el evento)
+  broadcast(room, event, data, except = null) {
+    const message = { room, event, data, except };
+    this.emitLocally(message);
+    this.adapter.broadcast(message)
+      .catch(error => console.error(`❌ Error al reenviar ${event} a otras instancias:`, error.message));
   }
 
-  emitNewGroupMessage(groupId, message) {
-    // 🔥 Use 'new_group_message' event so frontend can distinguish from 1-1 messages
-    this.io.to(`group:${groupId}`).emit('new_group_message', message);
-    console.log(`📡 WebSocket: Emitted new_group_message to group:${groupId}`);
+  // Une a la sala los sockets ya conectados del perfil en todas las instancias (p. ej. al entrar a un grupo
+  // por la API), para que reciban sus eventos sin volver a emitir join_group
+  addToRoom(profileId, room) {
+    const data = { profileId, room };
+    this.joinRoomLocally(data);
+    this.adapter.broadcast({ room: `user:${profileId}`, event: JOIN_ROOM_EVENT, data })
+      .catch(error => console.error(`❌ Error al unir a ${profileId} a ${room} en otras instancias:`, error.message));
   }
 
-  emitToUser(profileId, event, data) {
-    const socketIds = this.connectedUsers.get(profileId);
-    if (socketIds) {
-      socketIds.forEach(socketId => {
-        this.io.to(socketId).emit(event, data);
+  joinRoomLocally({ profileId, room }) {
+    this.io.in(`user:${profileId}`).socketsJoin(room);
+  }
+
+  // Saca de la sala los sockets del perfil en todas las instancias (p. ej. al dejar un grupo o bloquear):
+  // el acceso solo se verifica al unirse, así que sin esto seguirían recibiendo los eventos de la sala
+  removeFromRoom(profileId, room) {
+    const data = { profileId, room };
+    this.leaveRoomLocally(data);
+    this.adapter.broadcast({ room: `user:${profileId}`, event: LEAVE_ROOM_EVENT, data })
+      .catch(error => console.error(`❌ Error al sacar a ${profileId} de ${room} en otras instancias:`, error.message));
+  }
+
+  // Su indicador de escritura en la sala también termina (cada instancia lo quita de su estado)
+  leaveRoomLocally({ profileId, room }) {
+    this.io.in(`user:${profileId}`).socketsLeave(room);
+    this.typingManager.stop(room, profileId, null);
+  }
+
+  emitLocally({ room, event, data, except = null }) {
+    let target = room ? this.io.to(room) : this.io;
+    if (except) target = target.except(except);
+    target.emit(event, data);
+  }
+
+  emitToConversation(conversationId, event, data) {
+    this.broadcast(`conversation:${conversationId}`, event, data);
+  }
+
+  // groupId debe ser el ID público del grupo (GroupResolver.getPublicId)
+  emitToGroup(groupId, event, data) {
+    this.broadcast(`group:${groupId}`, event, data);
+  }
+
+  // 🧵 Nueva respuesta para quienes tienen abierto el hilo
+  emitThreadReply(rootMessageId, payload) {
+    this.broadcast(`thread:${rootMessageId}`, 'new_thread_reply', payload);
+  }
+
+  // Emite a la sala de la conversación o del grupo (groupId debe ser el ID público, igual que new_group_message).
+  // Los eventos que se pueden recuperar con /sync se emiten a través de ChatEventService
+  emitToRoom({ conversationId, groupId }, event, data) {
+    if (conversationId) {
+      this.emitToConversation(conversationId, event, data);
+    } else if (groupId) {
+      this.emitToGroup(groupId, event, data);
+    }
+  }
+
+  async handleMessagesDelivered(profileId, messageIds) {
+    if (messageIds.length === 0) return;
+
+    // Conversaciones 1-a-1: el estado vive en el propio mensaje
+    const conversationDeliveries = await this.messageRepository.markConversationMessagesDelivered(messageIds, profileId);
+    const byConversation = new Map();
+    for (const { messageId, conversationId } of conversationDeliveries) {
+      if (!byConversation.has(conversationId)) byConversation.set(conversationId, []);
+      byConversation.get(conversationId).push(messageId);
+    }
+
+    const deliveredAt = new Date();
+    for (const [conversationId, ids] of byConversation) {
+      this.emitMessagesDelivered({ conversationId }, {
+        conversationId,
+        groupId: null,
+        profileId,
+        messageIds: ids,
+        deliveredAt
       });
     }
+
+    // Grupos: recibo por destinatario
+    const groupDeliveries = await this.messageReceiptRepository.markDelivered(messageIds, profileId);
+    await this.emitGroupDeliveries(profileId, groupDeliveries);
   }
 
-  // 🔥 Broadcast user online status to all connected clients
-  // Note: This broadcasts to everyone - for privacy, clients should filter
-  // to only show status of users they have conversations with
-  broadcastUserStatus(profileId, isOnline) {
-    this.io.emit('user_status_changed', { profileId, isOnline });
-    console.log(`📡 Status broadcast: ${profileId} -> ${isOnline ? 'online' : 'offline'}`);
+  // Agrupa entregas [{ messageId, groupId (interno), deliveredAt }] y emite por grupo con el ID público
+  async emitGroupDeliveries(profileId, deliveries) {
+    const byGroup = new Map();
+    for (const delivery of deliveries) {
+      if (!byGroup.has(delivery.groupId)) byGroup.set(delivery.groupId, []);
+      byGroup.get(delivery.groupId).push(delivery);
+    }
+
+    const publicIds = await groupResolver.getPublicIdsFor([...byGroup.keys()]);
+
+    for (const [internalGroupId, items] of byGroup) {
+      const groupId = publicIds.get(internalGroupId) || internalGroupId;
+
+      this.emitMessagesDelivered({ groupId }, {
+        conversationId: null,
+        groupId,
+        profileId,
+        messageIds: items.map(item => item.messageId),
+        deliveredAt: items[0].deliveredAt
+      });
+    }
+  }
+
+  // 📬 Recibos de entrega (no se registran para /sync; las lecturas sí, ver ChatEventService)
+  emitMessagesDelivered(room, payload) {
+    this.emitToRoom(room, 'message_delivered', payload);
   }
 
+  emitToUser(profileId, event, data) {
+    this.broadcast(`user:${profileId}`, event, data);
+  }
+
+  // 🔥 Cambio de estado solo para quienes comparten una conversación o un grupo activo con el usuario
+  // y pueden verlo según su privacidad (ver PresencePolicy)
+  async broadcastUserStatus(profileId, isOnline, lastSeenAt = new Date()) {
+    try {
+      const user = await this.userRepository.findByProfileId(profileId);
+      if (!user) return;
+
+      const { withLastSeen, withoutLastSeen } = await presencePolicy.getStatusAudience(user);
+      const toRooms = (profileIds) => profileIds.map(id => `user:${id}`);
+
+      // Una lista vacía en io.to() emitiría a todos los sockets
+      if (withLastSeen.length > 0) {
+        this.broadcast(toRooms(withLastSeen), 'user_status_changed', { profileId, isOnline, lastSeenAt });
+      }
+      if (withoutLastSeen.length > 0) {
+        this.broadcast(toRooms(withoutLastSeen), 'user_status_changed', { profileId, isOnline, lastSeenAt: null });
+      }
+
+      const recipients = withLastSeen.length + withoutLastSeen.length;
+      console.log(`📡 Status broadcast: ${profileId} -> ${isOnline ? 'online' : 'offline'} (${recipients} destinatarios)`);
+    } catch (error) {
+      console.error('❌ Error al avisar cambio de estado:', error.message);
+    }
+  }
+
+  // Tras un cambio de relación (bloqueo, solicitud aceptada): cada uno recibe el estado del otro tal como lo ve ahora
+  async refreshPresenceBetween(profileIdA, profileIdB) {
+    try {
+      for (const [viewer, target] of [[profileIdA, profileIdB], [profileIdB, profileIdA]]) {
+        this.emitToUser(viewer, 'user_status_changed', await this.getUserStatusFor(viewer, target));
+      }
+    } catch (error) {
+      console.error('❌ Error al actualizar presencia entre usuarios:', error.message);
+    }
+  }
+
+  // Estado de un usuario tal como lo ve quien consulta
+  async getUserStatusFor(viewerProfileId, profileId) {
+    const user = await this.userRepository.findByProfileId(profileId);
+    if (!user) return { profileId, isOnline: false, lastSeenAt: null };
+
+    const relation = await presencePolicy.getRelation(viewerProfileId, user);
+    return {
+      profileId,
+      isOnline: user.canShowOnlineStatusTo(relation) ? await this.isUserOnline(profileId) : false,
+      lastSeenAt: user.canShowLastSeenTo(relation) ? user.lastSeenAt : null
+    };
+  }
+
+  // Check if user is currently online (en cualquier instancia)
+  async isUserOnline(profileId) {
+    return this.adapter.isOnline(profileId);
+  }
+
+  // Apagado: da de baja esta instancia en el adaptador (los demás nodos dejan de contar sus sockets)
+  async shutdown() {
+    this.typingManager.clear();
+
+    // Las desconexiones pendientes se aplican ahora: esta instancia ya no va a procesarlas
+    const pending = [...this.pendingOffline.entries()];
+    pending.forEach(([, { timer }]) => clearTimeout(timer));
+    await Promise.all(pending.map(([profileId, { disconnectedAt }]) => this.completeOffline(profileId, disconnectedAt)));
 
-  // Check if user is currently online
-  isUserOnline(profileId) {
-    return this.connectedUsers.has(profileId) && this.connectedUsers.get(profileId).size > 0;
+    await this.adapter.stop();
   }
 }
 
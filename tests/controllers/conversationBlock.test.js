@@ -0,0 +1,125 @@
+/**
+ * Bloqueo de conversaciones: estado al bloquear y desbloquear, y mensajes de una conversación bloqueada
+ * (reacciones, fijados, recibos).
+ */
+
+const { startApi, silenceConsole } = require('../helpers/api');
+const ConversationController = require('../../src/infrastructure/http/controllers/ConversationController');
+const accessPolicy = require('../../src/infrastructure/services/AccessPolicy');
+const { Conversation, CONVERSATION_STATUS } = require('../../src/domain/entities/Conversation');
+const { Message } = require('../../src/domain/entities/Message');
+
+const BLOCKER_ID = '00000000-0000-4000-8000-0000000000aa';
+const OTHER_ID = '00000000-0000-4000-8000-0000000000bb';
+const CONVERSATION_ID = '00000000-0000-4000-8000-000000000001';
+const MESSAGE_ID = '00000000-0000-4000-8000-000000000003';
+
+const conversationWith = (data = {}) => new Conversation({
+  id: CONVERSATION_ID,
+  participant1ProfileId: BLOCKER_ID,
+  participant2ProfileId: OTHER_ID,
+  ...data
+});
+
+describe('Bloqueo de conversaciones', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await startApi();
+  });
+
+  afterAll(async () => {
+    await api.close();
+  });
+
+  beforeEach(() => {
+    silenceConsole();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /conversations/:id/block y /unblock', () => {
+    const repository = ConversationController.conversationRepository;
+
+    const mockConversation = (data) => {
+      jest.spyOn(accessPolicy.conversationRepository, 'findById').mockResolvedValue(conversationWith(data));
+      jest.spyOn(repository, 'update').mockImplementation(async () => conversationWith());
+    };
+
+    it('al bloquear guarda el estado anterior del participante', async () => {
+      mockConversation({ participant1Status: CONVERSATION_STATUS.ARCHIVED });
+
+      const response = await api.request('POST', `/conversations/${CONVERSATION_ID}/block`, { profileId: BLOCKER_ID });
+
+      expect(response.status).toBe(200);
+      expect(repository.update).toHaveBeenCalledWith(CONVERSATION_ID, {
+        participant1Status: CONVERSATION_STATUS.BLOCKED,
+        participant1StatusBeforeBlock: CONVERSATION_STATUS.ARCHIVED
+      });
+    });
+
+    it('al desbloquear una conversación archivada sigue archivada', async () => {
+      mockConversation({
+        participant1Status: CONVERSATION_STATUS.BLOCKED,
+        participant1StatusBeforeBlock: CONVERSATION_STATUS.ARCHIVED
+      });
+
+      const response = await api.request('POST', `/conversations/${CONVERSATION_ID}/unblock`, { profileId: BLOCKER_ID });
+
+      expect(response.status).toBe(200);
+      expect(repository.update).toHaveBeenCalledWith(CONVERSATION_ID, {
+        participant1Status: CONVERSATION_STATUS.ARCHIVED,
+        participant1StatusBeforeBlock: null
+      });
+    });
+
+    it('sin estado anterior guardado, al desbloquear queda activa', async () => {
+      mockConversation({ participant2Status: CONVERSATION_STATUS.BLOCKED });
+
+      await api.request('POST', `/conversations/${CONVERSATION_ID}/unblock`, { profileId: OTHER_ID });
+
+      expect(repository.update).toHaveBeenCalledWith(CONVERSATION_ID, {
+        participant2Status: CONVERSATION_STATUS.ACTIVE,
+        participant2StatusBeforeBlock: null
+      });
+    });
+
+    it('bloquear dos veces no cambia nada', async () => {
+      mockConversation({ participant1Status: CONVERSATION_STATUS.BLOCKED });
+
+      const response = await api.request('POST', `/conversations/${CONVERSATION_ID}/block`, { profileId: BLOCKER_ID });
+
+      expect(response.body.message).toBe('Sin cambios');
+      expect(repository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('mensajes de una conversación bloqueada', () => {
+    beforeEach(() => {
+      jest.spyOn(accessPolicy.messageRepository, 'findById').mockResolvedValue(new Message({
+        id: MESSAGE_ID,
+        conversationId: CONVERSATION_ID,
+        senderProfileId: OTHER_ID,
+        content: 'Hola'
+      }));
+      jest.spyOn(accessPolicy.conversationRepository, 'findById').mockResolvedValue(
+        conversationWith({ participant2Status: CONVERSATION_STATUS.BLOCKED })
+      );
+    });
+
+    it.each([
+      ['reaccionar', 'POST', `/messages/${MESSAGE_ID}/reactions`, { reaction: '👍' }],
+      ['fijar', 'POST', `/messages/${MESSAGE_ID}/pin`, undefined],
+      ['ver los recibos', 'GET', `/messages/${MESSAGE_ID}/receipts`, undefined]
+    ])('no se puede %s (403 USER_BLOCKED), tampoco quien fue bloqueado', async (description, method, path, body) => {
+      for (const profileId of [BLOCKER_ID, OTHER_ID]) {
+        const response = await api.request(method, path, { profileId, body });
+
+        expect(response.status).toBe(403);
+        expect(response.body.code).toBe('USER_BLOCKED');
+      }
+    });
+  });
+});
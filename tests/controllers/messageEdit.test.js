@@ -0,0 +1,139 @@
+/**
+ * Edición de mensajes (PUT /messages/:id): validación del contenido, ediciones sin cambios
+ * y avisos por WebSocket y RabbitMQ.
+ */
+
+const { startApi, silenceConsole } = require('../helpers/api');
+const MessageController = require('../../src/infrastructure/http/controllers/MessageController');
+const chatEventService = require('../../src/infrastructure/services/ChatEventService');
+const rabbitMQPublisher = require('../../src/infrastructure/messaging/RabbitMQPublisher');
+const { Message } = require('../../src/domain/entities/Message');
+
+const SENDER_ID = '00000000-0000-4000-8000-0000000000aa';
+const OTHER_ID = '00000000-0000-4000-8000-0000000000bb';
+const CONVERSATION_ID = '00000000-0000-4000-8000-000000000001';
+const MESSAGE_ID = '00000000-0000-4000-8000-000000000003';
+
+const storedMessage = (data = {}) => new Message({
+  id: MESSAGE_ID,
+  conversationId: CONVERSATION_ID,
+  senderProfileId: SENDER_ID,
+  content: 'Hola',
+  createdAt: new Date(),
+  ...data
+});
+
+describe('PUT /messages/:id', () => {
+  const repository = MessageController.messageRepository;
+  let api;
+
+  beforeAll(async () => {
+    api = await startApi();
+  });
+
+  afterAll(async () => {
+    await api.close();
+  });
+
+  beforeEach(() => {
+    silenceConsole();
+    jest.spyOn(repository, 'findById').mockResolvedValue(storedMessage());
+    jest.spyOn(repository, 'update').mockImplementation(async (id, { content }) =>
+      storedMessage({ content, isEdited: true })
+    );
+    jest.spyOn(chatEventService, 'publish').mockResolvedValue({ seq: 2, cursor: '10' });
+    jest.spyOn(rabbitMQPublisher, 'publishEvent').mockImplementation(() => {});
+    jest.spyOn(MessageController, '_getRecipientProfileIds').mockResolvedValue([OTHER_ID]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const edit = (body, profileId = SENDER_ID) =>
+    api.request('PUT', `/messages/${MESSAGE_ID}`, { profileId, body });
+
+  it.each([
+    ['sin content', {}],
+    ['con content vacío', { content: '   ' }],
+    ['con content que no es texto', { content: 42 }],
+    ['con content demasiado largo', { content: 'a'.repeat(5001) }]
+  ])('responde 400 %s sin tocar el mensaje', async (description, body) => {
+    const response = await edit(body);
+
+    expect(response.status).toBe(400);
+    expect(repository.findById).not.toHaveBeenCalled();
+    expect(chatEventService.publish).not.toHaveBeenCalled();
+  });
+
+  it('guarda la edición y la anuncia por WebSocket y RabbitMQ', async () => {
+    const response = await edit({ content: '  Hola editado  ' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ id: MESSAGE_ID, content: 'Hola editado', isEdited: true });
+    expect(repository.update).toHaveBeenCalledWith(MESSAGE_ID, {
+      content: 'Hola editado',
+      isEdited: true,
+      editedByProfileId: SENDER_ID
+    });
+    expect(chatEventService.publish).toHaveBeenCalledWith(
+      { conversationId: CONVERSATION_ID, groupId: null },
+      'message_updated',
+      expect.objectContaining({ messageId: MESSAGE_ID, content: 'Hola editado', isEdited: true }),
+      { messageId: MESSAGE_ID, actorProfileId: SENDER_ID }
+    );
+    expect(rabbitMQPublisher.publishEvent).toHaveBeenCalledWith(
+      'MESSAGE_EDITED',
+      expect.objectContaining({ messageId: MESSAGE_ID, recipientUserIds: [OTHER_ID], messagePreview: 'Hola editado' }),
+      'messaging.message.edited'
+    );
+  });
+
+  it('sin cambios en el contenido no guarda revisión ni envía avisos', async () => {
+    const response = await edit({ content: 'Hola' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Sin cambios');
+    expect(repository.update).not.toHaveBeenCalled();
+    expect(chatEventService.publish).not.toHaveBeenCalled();
+    expect(rabbitMQPublisher.publishEvent).not.toHaveBeenCalled();
+  });
+
+  it('solo el autor puede editar', async () => {
+    const response = await edit({ content: 'Otro texto' }, OTHER_ID);
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('NOT_AUTHORIZED');
+    expect(repository.update).not.toHaveBeenCalled();
+  });
+
+  it('rechaza la edición fuera de la ventana de edición', async () => {
+    repository.findById.mockResolvedValue(storedMessage({ createdAt: new Date(Date.now() - 25 * 60 * 60 * 1000) }));
+
+    const response = await edit({ content: 'Tarde' });
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('TOO_OLD');
+  });
+
+  it.each([
+    ['eliminado', { isDeleted: true }],
+    ['vencido', { isExpired: true }]
+  ])('responde 404 si el mensaje está %s', async (description, data) => {
+    repository.findById.mockResolvedValue(storedMessage(data));
+
+    const response = await edit({ content: 'Nuevo' });
+
+    expect(response.status).toBe(404);
+    expect(repository.update).not.toHaveBeenCalled();
+  });
+
+  it('responde 404 si el mensaje se eliminó mientras se editaba', async () => {
+    repository.update.mockResolvedValue(null);
+
+    const response = await edit({ content: 'Nuevo' });
+
+    expect(response.status).toBe(404);
+    expect(chatEventService.publish).not.toHaveBeenCalled();
+  });
+});
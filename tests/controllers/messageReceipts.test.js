@@ -0,0 +1,147 @@
+/**
+ * Recibos de entrega y lectura en grupos: detalle por destinatario (GET /messages/:id/receipts)
+ * y lectura del grupo (POST /messages/mark-as-read).
+ */
+
+const { startApi, silenceConsole } = require('../helpers/api');
+const MessageController = require('../../src/infrastructure/http/controllers/MessageController');
+const accessPolicy = require('../../src/infrastructure/services/AccessPolicy');
+const chatEventService = require('../../src/infrastructure/services/ChatEventService');
+const inboxService = require('../../src/infrastructure/services/InboxService');
+const { Message } = require('../../src/domain/entities/Message');
+const { Group } = require('../../src/domain/entities/Group');
+const { GroupMember, MEMBER_ROLES } = require('../../src/domain/entities/GroupMember');
+const MessageReceipt = require('../../src/domain/entities/MessageReceipt');
+
+const SENDER_ID = '00000000-0000-4000-8000-0000000000aa';
+const MEMBER_ID = '00000000-0000-4000-8000-0000000000bb';
+const GROUP_ID = '00000000-0000-4000-8000-000000000002';
+const MESSAGE_ID = '00000000-0000-4000-8000-000000000003';
+
+const groupMessage = (data = {}) => new Message({
+  id: MESSAGE_ID,
+  groupId: GROUP_ID,
+  senderProfileId: SENDER_ID,
+  content: 'Hola',
+  ...data
+});
+
+describe('Recibos de mensajes de grupo', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await startApi();
+  });
+
+  afterAll(async () => {
+    await api.close();
+  });
+
+  beforeEach(() => {
+    silenceConsole();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /messages/:id/receipts', () => {
+    const receiptRepository = MessageController.messageReceiptRepository;
+
+    beforeEach(() => {
+      jest.spyOn(accessPolicy.messageRepository, 'findById').mockResolvedValue(groupMessage());
+      jest.spyOn(accessPolicy.groupMemberRepository, 'isMember').mockResolvedValue(true);
+      jest.spyOn(MessageController, '_getRoom').mockResolvedValue({ conversationId: null, groupId: 'external-1' });
+      jest.spyOn(receiptRepository, 'findByMessage').mockResolvedValue([
+        new MessageReceipt({ id: 'r1', messageId: MESSAGE_ID, profileId: MEMBER_ID, deliveredAt: new Date(), readAt: new Date() })
+      ]);
+      jest.spyOn(receiptRepository, 'getSummaries').mockResolvedValue(
+        new Map([[MESSAGE_ID, { recipients: 3, delivered: 2, read: 1 }]])
+      );
+    });
+
+    const getReceipts = (profileId) => api.request('GET', `/messages/${MESSAGE_ID}/receipts`, { profileId });
+
+    it('el emisor ve el detalle por destinatario y el resumen', async () => {
+      const response = await getReceipts(SENDER_ID);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([expect.objectContaining({ profileId: MEMBER_ID })]);
+      expect(response.body.summary).toEqual({ recipients: 3, delivered: 2, read: 1 });
+    });
+
+    it('un moderador también puede verlos', async () => {
+      jest.spyOn(MessageController.groupMemberRepository, 'findMembership').mockResolvedValue(
+        new GroupMember({ id: 'member-1', groupId: GROUP_ID, profileId: MEMBER_ID, role: MEMBER_ROLES.MODERATOR })
+      );
+
+      expect((await getReceipts(MEMBER_ID)).status).toBe(200);
+    });
+
+    it('otro miembro no puede verlos', async () => {
+      jest.spyOn(MessageController.groupMemberRepository, 'findMembership').mockResolvedValue(
+        new GroupMember({ id: 'member-1', groupId: GROUP_ID, profileId: MEMBER_ID })
+      );
+
+      const response = await getReceipts(MEMBER_ID);
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('NOT_AUTHORIZED');
+      expect(receiptRepository.findByMessage).not.toHaveBeenCalled();
+    });
+
+    it('sin recibos el resumen queda en cero', async () => {
+      receiptRepository.getSummaries.mockResolvedValue(new Map());
+
+      const response = await getReceipts(SENDER_ID);
+
+      expect(response.body.summary).toEqual({ recipients: 0, delivered: 0, read: 0 });
+    });
+  });
+
+  describe('POST /messages/mark-as-read en un grupo', () => {
+    beforeEach(() => {
+      jest.spyOn(accessPolicy, 'getGroupForMember').mockResolvedValue(
+        new Group({ id: GROUP_ID, name: 'Grupo', creatorProfileId: SENDER_ID, externalId: 'external-1' })
+      );
+      jest.spyOn(MessageController.groupMemberRepository, 'markAsRead').mockResolvedValue();
+      jest.spyOn(chatEventService, 'publish').mockResolvedValue({ seq: 1, cursor: '1' });
+      jest.spyOn(inboxService, 'notifyGroup').mockResolvedValue();
+    });
+
+    const markAsRead = () => api.request('POST', '/messages/mark-as-read', {
+      profileId: MEMBER_ID,
+      body: { groupId: 'external-1' }
+    });
+
+    it('marca los recibos del lector y emite message_read con el ID público del grupo', async () => {
+      const readAt = new Date();
+      jest.spyOn(MessageController.messageReceiptRepository, 'markGroupAsRead').mockResolvedValue({
+        messageIds: [MESSAGE_ID],
+        readAt
+      });
+
+      const response = await markAsRead();
+
+      expect(response.status).toBe(200);
+      expect(MessageController.messageReceiptRepository.markGroupAsRead).toHaveBeenCalledWith(GROUP_ID, MEMBER_ID);
+      expect(chatEventService.publish).toHaveBeenCalledWith(
+        { groupId: 'external-1' },
+        'message_read',
+        { conversationId: null, groupId: 'external-1', profileId: MEMBER_ID, messageIds: [MESSAGE_ID], readAt },
+        { actorProfileId: MEMBER_ID }
+      );
+    });
+
+    it('sin mensajes pendientes no emite message_read', async () => {
+      jest.spyOn(MessageController.messageReceiptRepository, 'markGroupAsRead').mockResolvedValue({
+        messageIds: [],
+        readAt: null
+      });
+
+      expect((await markAsRead()).status).toBe(200);
+      expect(chatEventService.publish).not.toHaveBeenCalled();
+      expect(inboxService.notifyGroup).toHaveBeenCalledWith(GROUP_ID, [MEMBER_ID]);
+    });
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Solicitudes de mensaje: límite de mensajes antes de que acepten, aceptar y rechazar
+ * (POST /conversations/:id/accept y /decline) y primer contacto por POST /conversations.
+ */
+
+const http = require('http');
+const { startApi, silenceConsole } = require('../helpers/api');
+const ConversationController = require('../../src/infrastructure/http/controllers/ConversationController');
+const accessPolicy = require('../../src/infrastructure/services/AccessPolicy');
+const chatEventService = require('../../src/infrastructure/services/ChatEventService');
+const inboxService = require('../../src/infrastructure/services/InboxService');
+const { WebSocketServer } = require('../../src/infrastructure/websocket/socketServer');
+const { Conversation, REQUEST_STATUS } = require('../../src/domain/entities/Conversation');
+const { User } = require('../../src/domain/entities/User');
+
+const SENDER_ID = '00000000-0000-4000-8000-0000000000aa';
+const RECIPIENT_ID = '00000000-0000-4000-8000-0000000000bb';
+const CONVERSATION_ID = '00000000-0000-4000-8000-000000000001';
+
+const request = (data = {}) => new Conversation({
+  id: CONVERSATION_ID,
+  participant1ProfileId: SENDER_ID,
+  participant2ProfileId: RECIPIENT_ID,
+  requestStatus: REQUEST_STATUS.PENDING,
+  requestedByProfileId: SENDER_ID,
+  ...data
+});
+
+describe('AccessPolicy.assertRequestAllows', () => {
+  beforeEach(() => {
+    jest.spyOn(accessPolicy.messageRepository, 'countBySender').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('una conversación aceptada no tiene límite', async () => {
+    await expect(accessPolicy.assertRequestAllows(request({ requestStatus: REQUEST_STATUS.ACCEPTED }), SENDER_ID)).resolves.toBeUndefined();
+    expect(accessPolicy.messageRepository.countBySender).not.toHaveBeenCalled();
+  });
+
+  it('quien envió la solicitud puede escribir hasta el límite', async () => {
+    accessPolicy.messageRepository.countBySender.mockResolvedValue(2);
+    await expect(accessPolicy.assertRequestAllows(request(), SENDER_ID)).resolves.toBeUndefined();
+
+    accessPolicy.messageRepository.countBySender.mockResolvedValue(3);
+    await expect(accessPolicy.assertRequestAllows(request(), SENDER_ID))
+      .rejects.toMatchObject({ statusCode: 403, code: 'MESSAGE_REQUEST_LIMIT' });
+  });
+
+  it('quien la recibe debe aceptarla antes de responder', async () => {
+    await expect(accessPolicy.assertRequestAllows(request(), RECIPIENT_ID))
+      .rejects.toMatchObject({ statusCode: 403, code: 'MESSAGE_REQUEST_PENDING' });
+  });
+
+  it('una solicitud rechazada no admite más mensajes', async () => {
+    await expect(accessPolicy.assertRequestAllows(request({ requestStatus: REQUEST_STATUS.DECLINED }), SENDER_ID))
+      .rejects.toMatchObject({ code: 'MESSAGE_REQUEST_LIMIT' });
+  });
+});
+
+describe('Solicitudes por la API', () => {
+  const repository = ConversationController.conversationRepository;
+  let api;
+
+  beforeAll(async () => {
+    api = await startApi();
+  });
+
+  afterAll(async () => {
+    await api.close();
+  });
+
+  beforeEach(() => {
+    silenceConsole();
+    jest.spyOn(repository, 'update').mockImplementation(async (id, data) => request(data));
+    jest.spyOn(chatEventService, 'publish').mockResolvedValue({ seq: 1, cursor: '1' });
+    jest.spyOn(inboxService, 'notifyConversation').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const mockConversation = (data) => jest.spyOn(accessPolicy.conversationRepository, 'findById').mockResolvedValue(request(data));
+
+  describe('POST /conversations/:id/accept', () => {
+    it('quien recibe la solicitud la acepta y se avisa a los dos', async () => {
+      mockConversation();
+
+      const response = await api.request('POST', `/conversations/${CONVERSATION_ID}/accept`, { profileId: RECIPIENT_ID });
+
+      expect(response.status).toBe(200);
+      expect(repository.update).toHaveBeenCalledWith(CONVERSATION_ID, { requestStatus: REQUEST_STATUS.ACCEPTED });
+      expect(chatEventService.publish).toHaveBeenCalledWith(
+        { conversationId: CONVERSATION_ID },
+        'message_request_updated',
+        { conversationId: CONVERSATION_ID, requestStatus: REQUEST_STATUS.ACCEPTED },
+        { actorProfileId: RECIPIENT_ID }
+      );
+      expect(inboxService.notifyConversation).toHaveBeenCalledWith(CONVERSATION_ID, [RECIPIENT_ID]);
+    });
+
+    it('quien la envió no puede aceptarla', async () => {
+      mockConversation();
+
+      const response = await api.request('POST', `/conversations/${CONVERSATION_ID}/accept`, { profileId: SENDER_ID });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('NO_PENDING_REQUEST');
+      expect(repository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /conversations/:id/decline', () => {
+    it('la rechaza sin avisar a quien la envió', async () => {
+      mockConversation();
+
+      const response = await api.request('POST', `/conversations/${CONVERSATION_ID}/decline`, { profileId: RECIPIENT_ID });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.requestStatus).toBe(REQUEST_STATUS.DECLINED);
+      expect(repository.update).toHaveBeenCalledWith(CONVERSATION_ID, { requestStatus: REQUEST_STATUS.DECLINED });
+      expect(chatEventService.publish).not.toHaveBeenCalled();
+    });
+
+    it('una solicitud ya rechazada no se vuelve a rechazar', async () => {
+      mockConversation({ requestStatus: REQUEST_STATUS.DECLINED });
+
+      const response = await api.request('POST', `/conversations/${CONVERSATION_ID}/decline`, { profileId: RECIPIENT_ID });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('NO_PENDING_REQUEST');
+    });
+  });
+
+  describe('POST /conversations', () => {
+    beforeEach(() => {
+      jest.spyOn(ConversationController.userRepository, 'findByProfileId').mockImplementation(async (profileId) => new User({
+        id: `user-${profileId}`,
+        profileId,
+        username: 'usuario'
+      }));
+    });
+
+    const create = (profileId, participantProfileId) => api.request('POST', '/conversations', {
+      profileId,
+      body: { participantProfileId }
+    });
+
+    it('el primer contacto queda como solicitud pendiente', async () => {
+      jest.spyOn(repository, 'findByParticipants').mockResolvedValue(null);
+      jest.spyOn(repository, 'create').mockImplementation(async (data) => request(data));
+
+      const response = await create(SENDER_ID, RECIPIENT_ID);
+
+      expect(response.status).toBe(201);
+      expect(repository.create).toHaveBeenCalledWith({
+        participant1ProfileId: SENDER_ID,
+        participant2ProfileId: RECIPIENT_ID,
+        requestStatus: REQUEST_STATUS.PENDING,
+        requestedByProfileId: SENDER_ID
+      });
+    });
+
+    it('escribirle a quien envió la solicitud la acepta', async () => {
+      jest.spyOn(repository, 'findByParticipants').mockResolvedValue(request());
+
+      const response = await create(RECIPIENT_ID, SENDER_ID);
+
+      expect(response.status).toBe(200);
+      expect(response.body.isExisting).toBe(true);
+      expect(repository.update).toHaveBeenCalledWith(CONVERSATION_ID, { requestStatus: REQUEST_STATUS.ACCEPTED });
+    });
+  });
+});
+
+describe('Escribiendo en una solicitud', () => {
+  let server;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    server = new WebSocketServer(http.createServer(), {
+      start: jest.fn().mockResolvedValue(),
+      broadcast: jest.fn().mockResolvedValue(),
+      stop: jest.fn().mockResolvedValue()
+    });
+    jest.spyOn(server.typingManager, 'start');
+    jest.spyOn(accessPolicy, 'assertConversationParticipant').mockResolvedValue(request());
+  });
+
+  afterEach(async () => {
+    await server.shutdown();
+    server.io.close();
+    jest.restoreAllMocks();
+  });
+
+  it('quien recibe la solicitud no aparece escribiendo hasta aceptarla', async () => {
+    const socket = {
+      id: 'socket-1',
+      user: { profileId: RECIPIENT_ID },
+      rooms: new Set([`conversation:${CONVERSATION_ID}`])
+    };
+
+    await server.handleTyping(socket, { conversationId: CONVERSATION_ID }, true);
+
+    expect(server.typingManager.start).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Historial de ediciones: revisión de la versión anterior al editar, ventana de edición por grupo
+ * y GET /messages/:id/revisions.
+ */
+
+const { startApi, silenceConsole } = require('../helpers/api');
+const { sequelize, MessageModel } = require('../../src/infrastructure/database/models');
+const MessageRepository = require('../../src/infrastructure/repositories/MessageRepository');
+const MessageController = require('../../src/infrastructure/http/controllers/MessageController');
+const accessPolicy = require('../../src/infrastructure/services/AccessPolicy');
+const chatEventService = require('../../src/infrastructure/services/ChatEventService');
+const groupResolver = require('../../src/infrastructure/services/GroupResolver');
+const rabbitMQPublisher = require('../../src/infrastructure/messaging/RabbitMQPublisher');
+const { Message } = require('../../src/domain/entities/Message');
+const { Group } = require('../../src/domain/entities/Group');
+const { GroupMember, MEMBER_ROLES } = require('../../src/domain/entities/GroupMember');
+const { Conversation } = require('../../src/domain/entities/Conversation');
+const MessageRevision = require('../../src/domain/entities/MessageRevision');
+
+const SENDER_ID = '00000000-0000-4000-8000-0000000000aa';
+const OTHER_ID = '00000000-0000-4000-8000-0000000000bb';
+const CONVERSATION_ID = '00000000-0000-4000-8000-000000000001';
+const GROUP_ID = '00000000-0000-4000-8000-000000000002';
+const MESSAGE_ID = '00000000-0000-4000-8000-000000000003';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('MessageRepository.update', () => {
+  const repository = new MessageRepository();
+  const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+  const mockStored = (data = {}) => {
+    const stored = {
+      id: MESSAGE_ID,
+      content: 'Hola',
+      sender_profile_id: SENDER_ID,
+      is_deleted: false,
+      ...data,
+      update: jest.fn().mockResolvedValue()
+    };
+    jest.spyOn(MessageModel, 'findByPk').mockResolvedValue(stored);
+    return stored;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback(transaction));
+    jest.spyOn(repository.revisionRepository, 'create').mockResolvedValue();
+    jest.spyOn(repository, 'findById').mockResolvedValue(new Message({ id: MESSAGE_ID, content: 'Hola editado' }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('guarda la versión anterior como revisión en la misma transacción', async () => {
+    const stored = mockStored();
+
+    await repository.update(MESSAGE_ID, { content: 'Hola editado', editedByProfileId: OTHER_ID });
+
+    expect(MessageModel.findByPk).toHaveBeenCalledWith(MESSAGE_ID, { transaction, lock: 'UPDATE' });
+    expect(repository.revisionRepository.create).toHaveBeenCalledWith(
+      { messageId: MESSAGE_ID, content: 'Hola', editedByProfileId: OTHER_ID },
+      { transaction }
+    );
+    expect(stored.update).toHaveBeenCalledWith({ content: 'Hola editado', is_edited: true }, { transaction });
+  });
+
+  it('sin editor indicado, la revisión queda a nombre del autor', async () => {
+    mockStored();
+
+    await repository.update(MESSAGE_ID, { content: 'Hola editado' });
+
+    expect(repository.revisionRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({ editedByProfileId: SENDER_ID }),
+      { transaction }
+    );
+  });
+
+  it('el mismo contenido no genera revisión ni marca el mensaje como editado', async () => {
+    const stored = mockStored();
+
+    await repository.update(MESSAGE_ID, { content: 'Hola' });
+
+    expect(repository.revisionRepository.create).not.toHaveBeenCalled();
+    expect(stored.update).toHaveBeenCalledWith({}, { transaction });
+  });
+
+  it('un mensaje eliminado no se edita', async () => {
+    const stored = mockStored({ is_deleted: true });
+
+    expect(await repository.update(MESSAGE_ID, { content: 'Nuevo' })).toBeNull();
+    expect(stored.update).not.toHaveBeenCalled();
+    expect(repository.revisionRepository.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('Ediciones por la API', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await startApi();
+  });
+
+  afterAll(async () => {
+    await api.close();
+  });
+
+  beforeEach(() => {
+    silenceConsole();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('ventana de edición del grupo', () => {
+    const mockGroupMessage = (ageHours, settings) => {
+      jest.spyOn(MessageController.messageRepository, 'findById').mockResolvedValue(new Message({
+        id: MESSAGE_ID,
+        groupId: GROUP_ID,
+        senderProfileId: SENDER_ID,
+        content: 'Hola',
+        createdAt: new Date(Date.now() - ageHours * HOUR)
+      }));
+      jest.spyOn(MessageController.groupRepository, 'findById').mockResolvedValue(
+        new Group({ id: GROUP_ID, name: 'Grupo', creatorProfileId: SENDER_ID, settings })
+      );
+      jest.spyOn(MessageController.messageRepository, 'update').mockResolvedValue(
+        new Message({ id: MESSAGE_ID, groupId: GROUP_ID, senderProfileId: SENDER_ID, content: 'Editado', isEdited: true })
+      );
+      jest.spyOn(MessageController, '_getRoom').mockResolvedValue({ conversationId: null, groupId: 'external-1' });
+      jest.spyOn(MessageController, '_getRecipientProfileIds').mockResolvedValue([OTHER_ID]);
+      jest.spyOn(chatEventService, 'publish').mockResolvedValue({ seq: 1, cursor: '1' });
+      jest.spyOn(groupResolver, 'getPublicIdsFor').mockResolvedValue(new Map([[GROUP_ID, 'external-1']]));
+      jest.spyOn(rabbitMQPublisher, 'publishEvent').mockImplementation(() => {});
+    };
+
+    const edit = () => api.request('PUT', `/messages/${MESSAGE_ID}`, { profileId: SENDER_ID, body: { content: 'Editado' } });
+
+    it('permite editar dentro de una ventana más larga que la predeterminada', async () => {
+      mockGroupMessage(30, { messageEditWindowHours: 48 });
+
+      const response = await edit();
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ content: 'Editado', groupId: 'external-1' });
+    });
+
+    it('con ventana 0 la edición queda deshabilitada', async () => {
+      mockGroupMessage(0.01, { messageEditWindowHours: 0 });
+
+      const response = await edit();
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('TOO_OLD');
+      expect(MessageController.messageRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('sin configuración usa la ventana de 24 horas', async () => {
+      mockGroupMessage(25, {});
+
+      expect((await edit()).body.code).toBe('TOO_OLD');
+    });
+  });
+
+  describe('GET /messages/:id/revisions', () => {
+    const revision = new MessageRevision({ id: 'rev-1', messageId: MESSAGE_ID, content: 'Hola', editedByProfileId: SENDER_ID });
+
+    const mockMessage = (data) => {
+      jest.spyOn(accessPolicy.messageRepository, 'findById').mockResolvedValue(new Message({
+        id: MESSAGE_ID,
+        senderProfileId: SENDER_ID,
+        content: 'Hola editado',
+        isEdited: true,
+        ...data
+      }));
+      jest.spyOn(MessageController, '_getRoom').mockResolvedValue({});
+      jest.spyOn(MessageController.messageRevisionRepository, 'findByMessage').mockResolvedValue([revision]);
+    };
+
+    const getRevisions = (profileId) => api.request('GET', `/messages/${MESSAGE_ID}/revisions`, { profileId });
+
+    it('el autor ve el contenido actual y las versiones anteriores', async () => {
+      mockMessage({ conversationId: CONVERSATION_ID });
+      jest.spyOn(accessPolicy.conversationRepository, 'findById').mockResolvedValue(
+        new Conversation({ id: CONVERSATION_ID, participant1ProfileId: SENDER_ID, participant2ProfileId: OTHER_ID })
+      );
+
+      const response = await getRevisions(SENDER_ID);
+
+      expect(response.status).toBe(200);
+      expect(response.body.current).toMatchObject({ content: 'Hola editado', isEdited: true });
+      expect(response.body.data).toEqual([expect.objectContaining({ id: 'rev-1', content: 'Hola' })]);
+    });
+
+    it('el otro participante de la conversación no los ve', async () => {
+      mockMessage({ conversationId: CONVERSATION_ID });
+      jest.spyOn(accessPolicy.conversationRepository, 'findById').mockResolvedValue(
+        new Conversation({ id: CONVERSATION_ID, participant1ProfileId: SENDER_ID, participant2ProfileId: OTHER_ID })
+      );
+
+      const response = await getRevisions(OTHER_ID);
+
+      expect(response.status).toBe(403);
+      expect(MessageController.messageRevisionRepository.findByMessage).not.toHaveBeenCalled();
+    });
+
+    it('un moderador del grupo sí los ve', async () => {
+      mockMessage({ groupId: GROUP_ID });
+      jest.spyOn(accessPolicy.groupMemberRepository, 'isMember').mockResolvedValue(true);
+      jest.spyOn(MessageController.groupMemberRepository, 'findMembership').mockResolvedValue(
+        new GroupMember({ id: 'member-1', groupId: GROUP_ID, profileId: OTHER_ID, role: MEMBER_ROLES.MODERATOR })
+      );
+
+      expect((await getRevisions(OTHER_ID)).status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Hilos de respuestas (GET /messages/:id/thread): paginación validada y acotada.
+ */
+
+const { startApi, silenceConsole } = require('../helpers/api');
+const MessageController = require('../../src/infrastructure/http/controllers/MessageController');
+const { Message } = require('../../src/domain/entities/Message');
+
+const PROFILE_ID = '00000000-0000-4000-8000-0000000000aa';
+const CONVERSATION_ID = '00000000-0000-4000-8000-000000000001';
+const ROOT_ID = '00000000-0000-4000-8000-000000000003';
+const REPLY_ID = '00000000-0000-4000-8000-000000000004';
+
+const message = (id, data = {}) => new Message({
+  id,
+  conversationId: CONVERSATION_ID,
+  senderProfileId: PROFILE_ID,
+  content: id,
+  ...data
+});
+
+describe('GET /messages/:id/thread', () => {
+  const repository = MessageController.messageRepository;
+  let api;
+
+  beforeAll(async () => {
+    api = await startApi();
+  });
+
+  afterAll(async () => {
+    await api.close();
+  });
+
+  beforeEach(() => {
+    silenceConsole();
+    jest.spyOn(MessageController, '_getAccessibleMessage').mockResolvedValue({
+      message: message(ROOT_ID),
+      room: { conversationId: CONVERSATION_ID, groupId: null }
+    });
+    jest.spyOn(repository, 'findById').mockResolvedValue(message(ROOT_ID, { replyCount: 1 }));
+    jest.spyOn(repository, 'findThread').mockImplementation(async (rootId, { page, limit }) => ({
+      data: [message(REPLY_ID, { replyToId: ROOT_ID })],
+      pagination: { page, limit, total: 1, totalPages: 1 }
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const getThread = (query = '') =>
+    api.request('GET', `/messages/${ROOT_ID}/thread${query}`, { profileId: PROFILE_ID });
+
+  it('devuelve el mensaje raíz y sus respuestas con la paginación por defecto', async () => {
+    const response = await getThread();
+
+    expect(response.status).toBe(200);
+    expect(response.body.root).toMatchObject({ id: ROOT_ID, replyCount: 1 });
+    expect(response.body.data.map(reply => reply.id)).toEqual([REPLY_ID]);
+    expect(repository.findThread).toHaveBeenCalledWith(ROOT_ID, { page: 1, limit: 50, viewerProfileId: PROFILE_ID });
+  });
+
+  it('usa page y limit numéricos', async () => {
+    const response = await getThread('?page=2&limit=10');
+
+    expect(response.status).toBe(200);
+    expect(response.body.pagination).toMatchObject({ page: 2, limit: 10 });
+  });
+
+  it.each([
+    ['limit no numérico', '?limit=abc'],
+    ['limit mayor al máximo', '?limit=100000'],
+    ['limit cero', '?limit=0'],
+    ['page cero', '?page=0']
+  ])('responde 400 con %s', async (description, query) => {
+    const response = await getThread(query);
+
+    expect(response.status).toBe(400);
+    expect(repository.findThread).not.toHaveBeenCalled();
+  });
+
+  it('responde 400 si el ID no es un UUID', async () => {
+    const response = await api.request('GET', '/messages/no-es-uuid/thread', { profileId: PROFILE_ID });
+
+    expect(response.status).toBe(400);
+  });
+});
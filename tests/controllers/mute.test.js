@@ -0,0 +1,220 @@
+/**
+ * Silenciar conversaciones y grupos: vencimiento del silencio, POST /:id/mute y /unmute
+ * (con `mute_updated` a los demás dispositivos) y push omitido para quien silenció.
+ */
+
+const http = require('http');
+const { startApi, silenceConsole } = require('../helpers/api');
+const { initializeWebSocket } = require('../../src/infrastructure/websocket/socketServer');
+const ConversationController = require('../../src/infrastructure/http/controllers/ConversationController');
+const GroupController = require('../../src/infrastructure/http/controllers/GroupController');
+const accessPolicy = require('../../src/infrastructure/services/AccessPolicy');
+const groupResolver = require('../../src/infrastructure/services/GroupResolver');
+const inboxService = require('../../src/infrastructure/services/InboxService');
+const messageService = require('../../src/infrastructure/services/MessageService');
+const chatEventService = require('../../src/infrastructure/services/ChatEventService');
+const rabbitMQPublisher = require('../../src/infrastructure/messaging/RabbitMQPublisher');
+const { MUTE_FOREVER_UNTIL, getMutedUntil, isMutedUntil } = require('../../src/domain/entities/Mute');
+const { Conversation } = require('../../src/domain/entities/Conversation');
+const { Group } = require('../../src/domain/entities/Group');
+const { GroupMember, MEMBER_STATUS } = require('../../src/domain/entities/GroupMember');
+const { Message } = require('../../src/domain/entities/Message');
+
+const PROFILE_ID = '00000000-0000-4000-8000-0000000000aa';
+const OTHER_ID = '00000000-0000-4000-8000-0000000000bb';
+const CONVERSATION_ID = '00000000-0000-4000-8000-000000000001';
+const GROUP_ID = '00000000-0000-4000-8000-000000000002';
+const EXTERNAL_GROUP_ID = '00000000-0000-4000-8000-000000000005';
+
+const HOUR = 60 * 60 * 1000;
+
+const conversation = (data = {}) => new Conversation({
+  id: CONVERSATION_ID,
+  participant1ProfileId: OTHER_ID,
+  participant2ProfileId: PROFILE_ID,
+  ...data
+});
+
+describe('Mute', () => {
+  it('calcula el vencimiento según la duración', () => {
+    const from = new Date('2024-11-01T10:00:00.000Z');
+
+    expect(getMutedUntil('8h', from)).toEqual(new Date('2024-11-01T18:00:00.000Z'));
+    expect(getMutedUntil('1w', from)).toEqual(new Date('2024-11-08T10:00:00.000Z'));
+    expect(getMutedUntil('forever', from)).toBe(MUTE_FOREVER_UNTIL);
+  });
+
+  it('el silencio vence solo al pasar mutedUntil', () => {
+    expect(isMutedUntil(new Date(Date.now() + HOUR))).toBe(true);
+    expect(isMutedUntil(new Date(Date.now() - HOUR))).toBe(false);
+    expect(isMutedUntil(null)).toBe(false);
+  });
+
+  it('en una conversación cada participante silencia por separado', () => {
+    const muted = conversation({ participant2MutedUntil: new Date(Date.now() + HOUR) });
+
+    expect(muted.isMutedBy(PROFILE_ID)).toBe(true);
+    expect(muted.isMutedBy(OTHER_ID)).toBe(false);
+  });
+
+  it('un miembro con el silencio vencido vuelve a recibir notificaciones', () => {
+    const member = (data) => new GroupMember({ id: 'member-1', groupId: GROUP_ID, profileId: PROFILE_ID, ...data });
+
+    expect(member({ mutedUntil: new Date(Date.now() - HOUR) }).isMuted()).toBe(false);
+    expect(member({ status: MEMBER_STATUS.MUTED }).isMuted()).toBe(true);
+  });
+});
+
+describe('Silenciar por la API', () => {
+  let api;
+  let wsServer;
+
+  beforeAll(async () => {
+    api = await startApi();
+    wsServer = initializeWebSocket(http.createServer());
+  });
+
+  afterAll(async () => {
+    await api.close();
+    await wsServer.shutdown();
+    wsServer.io.close();
+  });
+
+  beforeEach(() => {
+    silenceConsole();
+    jest.spyOn(wsServer, 'emitToUser').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /conversations/:id/mute y /unmute', () => {
+    const repository = ConversationController.conversationRepository;
+
+    beforeEach(() => {
+      jest.spyOn(accessPolicy.conversationRepository, 'findById').mockResolvedValue(conversation());
+      jest.spyOn(repository, 'update').mockImplementation(async (id, data) => conversation(data));
+      jest.spyOn(inboxService, 'notifyConversation').mockResolvedValue();
+    });
+
+    it('guarda el vencimiento del participante y avisa a sus otros dispositivos', async () => {
+      const before = Date.now();
+
+      const response = await api.request('POST', `/conversations/${CONVERSATION_ID}/mute`, {
+        profileId: PROFILE_ID,
+        body: { duration: '1h' }
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.isMuted).toBe(true);
+      const { participant2MutedUntil } = repository.update.mock.calls[0][1];
+      expect(participant2MutedUntil.getTime()).toBeGreaterThanOrEqual(before + HOUR);
+      expect(wsServer.emitToUser).toHaveBeenCalledWith(PROFILE_ID, 'mute_updated', {
+        conversationId: CONVERSATION_ID,
+        groupId: null,
+        mutedUntil: participant2MutedUntil
+      });
+      expect(inboxService.notifyConversation).toHaveBeenCalledWith(CONVERSATION_ID, [PROFILE_ID]);
+    });
+
+    it('rechaza una duración desconocida', async () => {
+      const response = await api.request('POST', `/conversations/${CONVERSATION_ID}/mute`, {
+        profileId: PROFILE_ID,
+        body: { duration: '2d' }
+      });
+
+      expect(response.status).toBe(400);
+      expect(repository.update).not.toHaveBeenCalled();
+    });
+
+    it('unmute reactiva las notificaciones', async () => {
+      const response = await api.request('POST', `/conversations/${CONVERSATION_ID}/unmute`, { profileId: PROFILE_ID });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Notificaciones activadas');
+      expect(repository.update).toHaveBeenCalledWith(CONVERSATION_ID, { participant2MutedUntil: null });
+      expect(wsServer.emitToUser).toHaveBeenCalledWith(PROFILE_ID, 'mute_updated', expect.objectContaining({ mutedUntil: null }));
+    });
+  });
+
+  describe('POST /groups/:id/mute', () => {
+    const memberRepository = GroupController.groupMemberRepository;
+
+    beforeEach(() => {
+      jest.spyOn(groupResolver, 'findGroup').mockResolvedValue(
+        new Group({ id: GROUP_ID, name: 'Grupo', creatorProfileId: OTHER_ID, externalId: EXTERNAL_GROUP_ID })
+      );
+      jest.spyOn(accessPolicy, 'assertGroupMember').mockResolvedValue();
+      jest.spyOn(memberRepository, 'findMembership').mockResolvedValue(
+        new GroupMember({ id: 'member-1', groupId: GROUP_ID, profileId: PROFILE_ID })
+      );
+      jest.spyOn(memberRepository, 'update').mockImplementation(async (id, data) => new GroupMember({
+        id,
+        groupId: GROUP_ID,
+        profileId: PROFILE_ID,
+        ...data
+      }));
+      jest.spyOn(inboxService, 'notifyGroup').mockResolvedValue();
+    });
+
+    it('silencia la membresía y avisa con el ID público del grupo', async () => {
+      const response = await api.request('POST', `/groups/${EXTERNAL_GROUP_ID}/mute`, {
+        profileId: PROFILE_ID,
+        body: { duration: 'forever' }
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Grupo silenciado');
+      expect(memberRepository.update).toHaveBeenCalledWith('member-1', { mutedUntil: MUTE_FOREVER_UNTIL });
+      expect(wsServer.emitToUser).toHaveBeenCalledWith(PROFILE_ID, 'mute_updated', {
+        conversationId: null,
+        groupId: EXTERNAL_GROUP_ID,
+        mutedUntil: MUTE_FOREVER_UNTIL
+      });
+    });
+  });
+});
+
+describe('Push de una conversación silenciada', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(accessPolicy, 'assertRequestAllows').mockResolvedValue();
+    jest.spyOn(messageService.messageRepository, 'create').mockImplementation(async (data) => new Message({ id: 'm1', ...data }));
+    jest.spyOn(chatEventService, 'publish').mockResolvedValue({ seq: 1, cursor: '1' });
+    jest.spyOn(inboxService, 'notifyChat').mockResolvedValue();
+    jest.spyOn(rabbitMQPublisher, 'publishEvent').mockImplementation(() => {});
+    jest.spyOn(messageService, '_getSenderProfile').mockResolvedValue({ displayName: 'Bea', avatarUrl: '' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const send = () => messageService.send({ conversationId: CONVERSATION_ID, senderProfileId: OTHER_ID, content: 'Hola' });
+
+  it('no se envía push a quien silenció la conversación', async () => {
+    jest.spyOn(accessPolicy, 'assertConversationParticipant').mockResolvedValue(
+      conversation({ participant2MutedUntil: new Date(Date.now() + HOUR) })
+    );
+
+    await send();
+
+    expect(chatEventService.publish).toHaveBeenCalled();
+    expect(rabbitMQPublisher.publishEvent).not.toHaveBeenCalled();
+  });
+
+  it('con el silencio vencido el push vuelve a enviarse', async () => {
+    jest.spyOn(accessPolicy, 'assertConversationParticipant').mockResolvedValue(
+      conversation({ participant2MutedUntil: new Date(Date.now() - HOUR) })
+    );
+
+    await send();
+
+    expect(rabbitMQPublisher.publishEvent).toHaveBeenCalledWith(
+      'MESSAGE_RECEIVED',
+      expect.objectContaining({ recipientUserId: PROFILE_ID }),
+      'messaging.message.received'
+    );
+  });
+});
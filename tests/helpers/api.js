@@ -0,0 +1,42 @@
+/**
+ * Servidor HTTP de la app para las pruebas de endpoints: las peticiones van autenticadas con un JWT
+ * firmado para el perfil indicado. Los repositorios y servicios se reemplazan con jest.spyOn en cada prueba.
+ */
+
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const createServer = require('../../src/infrastructure/http/server');
+
+const startApi = async () => {
+  const server = createServer().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+
+  const request = async (method, path, { profileId, body } = {}) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (profileId) {
+      headers.Authorization = `Bearer ${jwt.sign({ profileId, username: 'tester' }, process.env.JWT_SECRET)}`;
+    }
+
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const close = () => new Promise(resolve => server.close(resolve));
+
+  return { request, close };
+};
+
+// El middleware de autenticación y el manejador de errores escriben en consola en cada petición
+const silenceConsole = () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+};
+
+module.exports = { startApi, silenceConsole };
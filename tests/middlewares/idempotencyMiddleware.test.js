@@ -0,0 +1,223 @@
+/**
+ * Idempotencia: reserva de la clave, repetición de la respuesta guardada,
+ * conflictos y liberación de la clave cuando la petición no termina en 2xx.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const mockRepository = {
+  reserve: jest.fn(),
+  complete: jest.fn(),
+  release: jest.fn(),
+  purgeExpired: jest.fn()
+};
+
+jest.mock('../../src/infrastructure/repositories', () => ({
+  IdempotencyKeyRepository: jest.fn(() => mockRepository)
+}));
+
+const { idempotency } = require('../../src/infrastructure/http/middlewares/idempotencyMiddleware');
+
+const PROFILE_ID = '00000000-0000-4000-8000-0000000000aa';
+
+const createRequest = ({ key = 'key-1', body = { content: 'hola' } } = {}) => ({
+  method: 'POST',
+  baseUrl: '/api/v1/messages',
+  path: '/',
+  body,
+  user: { profileId: PROFILE_ID },
+  get: (header) => (header === 'Idempotency-Key' ? key : undefined)
+});
+
+const createResponse = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.sent = [];
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+    return res;
+  });
+  res.json = jest.fn((body) => {
+    res.sent.push(body);
+    return res;
+  });
+  return res;
+};
+
+// Misma huella que calcula el middleware para la petición por defecto
+const hashOf = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path} ${JSON.stringify(req.body || {})}`)
+  .digest('hex');
+
+const run = async (req, res) => {
+  const next = jest.fn();
+  await idempotency()(req, res, next);
+  return next;
+};
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('idempotencyMiddleware', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRepository.complete.mockResolvedValue();
+    mockRepository.release.mockResolvedValue();
+    mockRepository.purgeExpired.mockResolvedValue(0);
+  });
+
+  it('sin clave no reserva nada', async () => {
+    const next = await run(createRequest({ key: null, body: {} }), createResponse());
+
+    expect(next).toHaveBeenCalledWith();
+    expect(mockRepository.reserve).not.toHaveBeenCalled();
+  });
+
+  it('usa clientMessageId del body si no viene el header', async () => {
+    mockRepository.reserve.mockResolvedValue({ reserved: true, record: { id: 'record-1' } });
+
+    await run(createRequest({ key: null, body: { clientMessageId: 'client-1' } }), createResponse());
+
+    expect(mockRepository.reserve).toHaveBeenCalledWith(expect.objectContaining({
+      profileId: PROFILE_ID,
+      key: 'client-1'
+    }));
+  });
+
+  it('rechaza una clave demasiado larga', async () => {
+    const next = await run(createRequest({ key: 'x'.repeat(256) }), createResponse());
+
+    expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 400, code: 'INVALID_IDEMPOTENCY_KEY' });
+  });
+
+  describe('clave ya usada', () => {
+    it('repite la respuesta guardada sin ejecutar el controlador', async () => {
+      const req = createRequest();
+      const responseBody = { success: true, data: { id: 'message-1' } };
+      mockRepository.reserve.mockResolvedValue({
+        reserved: false,
+        record: { id: 'record-1', requestHash: hashOf(req), status: 'completed', statusCode: 201, responseBody }
+      });
+      const res = createResponse();
+
+      const next = await run(req, res);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.headers['Idempotent-Replayed']).toBe('true');
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.sent).toEqual([responseBody]);
+    });
+
+    it('responde 422 si la clave se usó con otra petición', async () => {
+      mockRepository.reserve.mockResolvedValue({
+        reserved: false,
+        record: { id: 'record-1', requestHash: 'otra', status: 'completed', statusCode: 201, responseBody: {} }
+      });
+
+      const next = await run(createRequest(), createResponse());
+
+      expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 422, code: 'IDEMPOTENCY_KEY_REUSED' });
+    });
+
+    it('responde 409 mientras la petición original sigue en curso', async () => {
+      const req = createRequest();
+      mockRepository.reserve.mockResolvedValue({
+        reserved: false,
+        record: { id: 'record-1', requestHash: hashOf(req), status: 'processing' }
+      });
+
+      const next = await run(req, createResponse());
+
+      expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 409, code: 'IDEMPOTENCY_KEY_IN_PROGRESS' });
+    });
+
+    it('responde 409 si la clave desapareció entre la reserva y la lectura', async () => {
+      mockRepository.reserve.mockResolvedValue({ reserved: false, record: null });
+
+      const next = await run(createRequest(), createResponse());
+
+      expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 409, code: 'IDEMPOTENCY_KEY_IN_PROGRESS' });
+    });
+  });
+
+  describe('clave reservada', () => {
+    beforeEach(() => {
+      mockRepository.reserve.mockResolvedValue({ reserved: true, record: { id: 'record-1' } });
+    });
+
+    it('guarda una respuesta 2xx antes de enviarla y no libera la clave', async () => {
+      const res = createResponse();
+      const originalJson = res.json;
+      const next = await run(createRequest(), res);
+      expect(next).toHaveBeenCalledWith();
+
+      res.status(201).json({ success: true });
+      expect(originalJson).not.toHaveBeenCalled();
+      await flushPromises();
+
+      expect(mockRepository.complete).toHaveBeenCalledWith('record-1', 201, { success: true });
+      expect(res.sent).toEqual([{ success: true }]);
+
+      res.emit('finish');
+      res.emit('close');
+      await flushPromises();
+      expect(mockRepository.release).not.toHaveBeenCalled();
+    });
+
+    it('libera la clave si la respuesta no es 2xx', async () => {
+      const res = createResponse();
+      await run(createRequest(), res);
+
+      res.status(400).json({ success: false });
+      res.emit('finish');
+      await flushPromises();
+
+      expect(mockRepository.complete).not.toHaveBeenCalled();
+      expect(mockRepository.release).toHaveBeenCalledTimes(1);
+      expect(mockRepository.release).toHaveBeenCalledWith('record-1');
+    });
+
+    it('libera la clave si la respuesta no pasa por res.json', async () => {
+      const res = createResponse();
+      await run(createRequest(), res);
+
+      res.emit('finish');
+      res.emit('close');
+      await flushPromises();
+
+      expect(mockRepository.release).toHaveBeenCalledTimes(1);
+    });
+
+    it('libera la clave si la conexión se cierra sin respuesta', async () => {
+      const res = createResponse();
+      await run(createRequest(), res);
+
+      res.emit('close');
+      await flushPromises();
+
+      expect(mockRepository.release).toHaveBeenCalledWith('record-1');
+    });
+
+    it('libera la clave si no se pudo guardar la respuesta', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockRepository.complete.mockRejectedValue(new Error('db caída'));
+      const res = createResponse();
+      await run(createRequest(), res);
+
+      res.status(201).json({ success: true });
+      await flushPromises();
+      res.emit('finish');
+      await flushPromises();
+
+      expect(res.sent).toEqual([{ success: true }]);
+      expect(mockRepository.release).toHaveBeenCalledWith('record-1');
+      console.error.mockRestore();
+    });
+  });
+});
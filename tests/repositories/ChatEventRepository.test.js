@@ -0,0 +1,66 @@
+/**
+ * Registro de eventos de sincronización: IDs confirmados en orden y filtros de visibilidad.
+ */
+
+const { sequelize } = require('../../src/infrastructure/database/models');
+const ChatEventRepository = require('../../src/infrastructure/repositories/ChatEventRepository');
+
+const PROFILE_ID = '00000000-0000-4000-8000-0000000000aa';
+const CONVERSATION_ID = '00000000-0000-4000-8000-000000000001';
+const GROUP_ID = '00000000-0000-4000-8000-000000000002';
+
+const normalize = (sql) => sql.replace(/\s+/g, ' ').trim();
+
+describe('ChatEventRepository', () => {
+  const repository = new ChatEventRepository();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('registra el evento con el lock de orden tomado en la misma transacción', async () => {
+    const transaction = {};
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback(transaction));
+    jest.spyOn(sequelize, 'query')
+      .mockResolvedValueOnce([{}])
+      .mockResolvedValueOnce([{ id: '7', conversation_id: CONVERSATION_ID, seq: 3, event_type: 'message_read', payload: {} }]);
+
+    const recorded = await repository.record({ conversationId: CONVERSATION_ID, type: 'message_read' });
+
+    const [[lockSql, lockOptions], [insertSql, insertOptions]] = sequelize.query.mock.calls;
+    expect(lockSql).toBe('SELECT pg_advisory_xact_lock(hashtext(:lockKey))');
+    expect(lockOptions.transaction).toBe(transaction);
+    expect(normalize(insertSql)).toContain('INSERT INTO chat_events');
+    expect(insertOptions.transaction).toBe(transaction);
+    expect(recorded).toMatchObject({ cursor: '7', seq: 3 });
+  });
+
+  it('devuelve null si el chat no existe', async () => {
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback({}));
+    jest.spyOn(sequelize, 'query').mockResolvedValue([]);
+
+    expect(await repository.record({ groupId: GROUP_ID, type: 'member_joined' })).toBeNull();
+  });
+
+  it('no devuelve solicitudes recibidas sin aceptar ni conversaciones bloqueadas', async () => {
+    jest.spyOn(sequelize, 'query').mockResolvedValue([]);
+
+    await repository.findSince(PROFILE_ID, '10', 50);
+
+    const [sql, options] = sequelize.query.mock.calls[0];
+    expect(normalize(sql)).toContain(
+      'AND NOT (request_status <> :acceptedStatus AND requested_by_profile_id <> :profileId) ' +
+      'AND participant1_status <> :blockedStatus AND participant2_status <> :blockedStatus'
+    );
+    expect(normalize(sql)).toContain('AND e.created_at >= COALESCE(gm.joined_at, gm.created_at)');
+    expect(normalize(sql)).toContain('WHERE e.id > :since');
+    expect(normalize(sql)).toContain('ORDER BY e.id ASC LIMIT :limit');
+    expect(options.replacements).toMatchObject({
+      profileId: PROFILE_ID,
+      since: '10',
+      limit: 50,
+      acceptedStatus: 'accepted',
+      blockedStatus: 'blocked'
+    });
+  });
+});
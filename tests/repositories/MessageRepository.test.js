@@ -0,0 +1,173 @@
+/**
+ * Paginación por cursor del historial: comparación de la tupla (created_at, id)
+ * contra el mensaje ancla, con varios mensajes en el mismo instante.
+ */
+
+const { MessageModel } = require('../../src/infrastructure/database/models');
+const MessageRepository = require('../../src/infrastructure/repositories/MessageRepository');
+const { Op } = require('sequelize');
+
+const CONVERSATION_ID = '00000000-0000-4000-8000-000000000001';
+const SENDER_ID = '00000000-0000-4000-8000-0000000000aa';
+
+const at = (second) => new Date(Date.UTC(2025, 0, 1, 0, 0, second));
+
+// m1..m8 en orden cronológico; m3-m5 y m7-m8 comparten created_at y se ordenan por id
+const MESSAGES = [
+  ['m1', at(1)],
+  ['m2', at(2)],
+  ['m3', at(3)],
+  ['m4', at(3)],
+  ['m5', at(3)],
+  ['m6', at(4)],
+  ['m7', at(5)],
+  ['m8', at(5)]
+].map(([id, createdAt]) => ({
+  id,
+  conversation_id: CONVERSATION_ID,
+  group_id: null,
+  sender_profile_id: SENDER_ID,
+  content: id,
+  message_type: 'text',
+  status: 'sent',
+  is_deleted: false,
+  created_at: createdAt,
+  updated_at: createdAt
+}));
+
+const ANCHOR_PATTERN = /^\("Message"\."created_at", "Message"\."id"\) ([<>]=?) \(SELECT created_at, id FROM messages WHERE id = '([^']+)'\)$/;
+
+const compareTuples = (a, b) =>
+  (a.created_at - b.created_at) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+const toModel = (row) => ({ ...row, toJSON: () => ({ ...row }) });
+
+// Emula en memoria la consulta que arma _findKeyset, interpretando la condición SQL generada
+const fakeFindAll = async ({ where, order, limit }) => {
+  let rows = MESSAGES.filter(row =>
+    row.conversation_id === where.conversation_id &&
+    row.is_deleted === where.is_deleted &&
+    (where.id === undefined || row.id === where.id)
+  );
+
+  for (const condition of where[Op.and] || []) {
+    const [, operator, anchorId] = condition.val.match(ANCHOR_PATTERN);
+    const anchor = MESSAGES.find(row => row.id === anchorId);
+    const matches = {
+      '<': (diff) => diff < 0,
+      '<=': (diff) => diff <= 0,
+      '>': (diff) => diff > 0,
+      '>=': (diff) => diff >= 0
+    }[operator];
+    rows = rows.filter(row => matches(compareTuples(row, anchor)));
+  }
+
+  const direction = order[0][1] === 'DESC' ? -1 : 1;
+  return rows
+    .sort((a, b) => direction * compareTuples(a, b))
+    .slice(0, limit)
+    .map(toModel);
+};
+
+const ids = (page) => page.data.map(message => message.id);
+
+describe('MessageRepository - paginación por cursor', () => {
+  const repository = new MessageRepository();
+  const scope = { conversation_id: CONVERSATION_ID };
+
+  beforeEach(() => {
+    jest.spyOn(MessageModel, 'findAll').mockImplementation(fakeFindAll);
+    jest.spyOn(MessageModel, 'findOne').mockImplementation(async ({ where }) =>
+      MESSAGES.find(row => row.id === where.id && row.conversation_id === where.conversation_id) || null
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('compara la tupla (created_at, id) contra el ancla directamente en SQL', async () => {
+    await repository._findCursorPage(scope, { before: 'm4', limit: 2 });
+
+    const { where, order } = MessageModel.findAll.mock.calls[0][0];
+    expect(where[Op.and][0].val).toBe(
+      '("Message"."created_at", "Message"."id") < (SELECT created_at, id FROM messages WHERE id = \'m4\')'
+    );
+    expect(order).toEqual([['created_at', 'DESC'], ['id', 'DESC']]);
+  });
+
+  it('escapa el ID del ancla', async () => {
+    MessageModel.findAll.mockResolvedValueOnce([]);
+    await repository._findKeyset(scope, { id: "x' OR '1'='1", direction: 'newer' }, 'ASC', 1);
+
+    const { where } = MessageModel.findAll.mock.calls[0][0];
+    expect(where[Op.and][0].val).toContain("WHERE id = 'x'' OR ''1''=''1'");
+  });
+
+  it('sin ancla devuelve los más recientes primero', async () => {
+    const page = await repository._findCursorPage(scope, { limit: 3 });
+
+    expect(ids(page)).toEqual(['m8', 'm7', 'm6']);
+    expect(page.pagination).toMatchObject({
+      hasOlder: true,
+      hasNewer: false,
+      newestCursor: 'm8',
+      oldestCursor: 'm6'
+    });
+  });
+
+  it('before no salta ni repite mensajes con el mismo created_at', async () => {
+    const page = await repository._findCursorPage(scope, { before: 'm5', limit: 2 });
+
+    expect(ids(page)).toEqual(['m4', 'm3']);
+    expect(page.pagination).toMatchObject({ hasOlder: true, hasNewer: true });
+  });
+
+  it('after devuelve los más nuevos que el ancla, también en el mismo instante', async () => {
+    const page = await repository._findCursorPage(scope, { after: 'm3', limit: 3 });
+
+    expect(ids(page)).toEqual(['m6', 'm5', 'm4']);
+    expect(page.pagination).toMatchObject({ hasOlder: true, hasNewer: true });
+  });
+
+  it('after sobre el primer mensaje informa hasOlder según el propio ancla', async () => {
+    expect((await repository._findCursorPage(scope, { after: 'm1', limit: 3 })).pagination.hasOlder).toBe(true);
+
+    MESSAGES[0].is_deleted = true;
+    try {
+      const page = await repository._findCursorPage(scope, { after: 'm1', limit: 3 });
+
+      expect(ids(page)).toEqual(['m4', 'm3', 'm2']);
+      expect(page.pagination).toMatchObject({ hasOlder: false, hasNewer: true });
+    } finally {
+      MESSAGES[0].is_deleted = false;
+    }
+  });
+
+  it('around centra la página en el ancla aunque sus vecinos tengan el mismo created_at', async () => {
+    const page = await repository._findCursorPage(scope, { around: 'm4', limit: 3 });
+
+    expect(ids(page)).toEqual(['m5', 'm4', 'm3']);
+    expect(page.pagination).toMatchObject({ hasOlder: true, hasNewer: true });
+  });
+
+  it('recorrer todas las páginas con before devuelve cada mensaje una sola vez', async () => {
+    const seen = [];
+    let page = await repository._findCursorPage(scope, { limit: 2 });
+    seen.push(...ids(page));
+
+    while (page.pagination.hasOlder) {
+      page = await repository._findCursorPage(scope, { before: page.pagination.oldestCursor, limit: 2 });
+      seen.push(...ids(page));
+    }
+
+    expect(seen).toEqual(['m8', 'm7', 'm6', 'm5', 'm4', 'm3', 'm2', 'm1']);
+  });
+
+  it('devuelve null si el ancla no pertenece al chat', async () => {
+    const page = await repository._findCursorPage(scope, { before: 'otro', limit: 2 });
+
+    expect(page).toBeNull();
+    expect(MessageModel.findAll).not.toHaveBeenCalled();
+  });
+});
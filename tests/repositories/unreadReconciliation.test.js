@@ -0,0 +1,150 @@
+/**
+ * Recálculo de los contadores de no leídos desde `messages` (db:reconcile y eliminación de mensajes).
+ */
+
+const { sequelize, MessageModel } = require('../../src/infrastructure/database/models');
+const ConversationRepository = require('../../src/infrastructure/repositories/ConversationRepository');
+const GroupMemberRepository = require('../../src/infrastructure/repositories/GroupMemberRepository');
+const MessageRepository = require('../../src/infrastructure/repositories/MessageRepository');
+const { MEMBER_STATUS } = require('../../src/domain/entities');
+
+const GROUP_ID = '00000000-0000-4000-8000-000000000002';
+const CONVERSATION_ID = '00000000-0000-4000-8000-000000000001';
+
+const normalize = (sql) => sql.replace(/\s+/g, ' ').trim();
+
+// Consulta y opciones de la última llamada a sequelize.query
+const lastQuery = () => {
+  const [sql, options] = sequelize.query.mock.calls[sequelize.query.mock.calls.length - 1];
+  return { sql: normalize(sql), options };
+};
+
+describe('Recálculo de no leídos', () => {
+  beforeEach(() => {
+    jest.spyOn(sequelize, 'query').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GroupMemberRepository.reconcileUnread', () => {
+    const repository = new GroupMemberRepository();
+
+    it('cuenta solo mensajes de otros, visibles y posteriores al último leído y al ingreso', async () => {
+      await repository.reconcileUnread({ groupId: GROUP_ID });
+      const { sql, options } = lastQuery();
+
+      expect(sql).toContain('m.group_id = gm.group_id AND m.sender_profile_id <> gm.profile_id');
+      expect(sql).toContain("m.is_deleted = false AND m.message_type <> 'system'");
+      expect(sql).toContain('m.created_at > GREATEST(lr.created_at, COALESCE(gm.joined_at, gm.created_at))');
+      expect(sql).toContain('LEFT JOIN messages lr ON lr.id = gm.last_read_message_id');
+      expect(options.replacements).toEqual({
+        groupId: GROUP_ID,
+        statuses: [MEMBER_STATUS.ACTIVE, MEMBER_STATUS.MUTED]
+      });
+    });
+
+    it('solo escribe los miembros cuyo contador no coincide y devuelve cuántos corrigió', async () => {
+      sequelize.query.mockResolvedValueOnce([{ id: 'member-1' }, { id: 'member-2' }]);
+
+      const count = await repository.reconcileUnread({ groupId: GROUP_ID });
+      const { sql, options } = lastQuery();
+
+      expect(count).toBe(2);
+      expect(sql).toContain('WHERE gm.id = e.id AND gm.unread_count <> e.unread_count');
+      expect(options.type).toBe(sequelize.QueryTypes.SELECT);
+    });
+
+    it('sin groupId recorre todos los grupos', async () => {
+      await repository.reconcileUnread();
+      const { sql } = lastQuery();
+
+      expect(sql).not.toContain(':groupId');
+      expect(sql).toContain('WHERE gm.status IN (:statuses)');
+    });
+
+    it('usa la transacción recibida', async () => {
+      const transaction = {};
+      await repository.reconcileUnread({ groupId: GROUP_ID, transaction });
+
+      expect(lastQuery().options.transaction).toBe(transaction);
+    });
+  });
+
+  describe('ConversationRepository.reconcileSummaries', () => {
+    const repository = new ConversationRepository();
+
+    it('cuenta para cada participante los mensajes del otro sin leer, sin eliminados ni de sistema', async () => {
+      await repository.reconcileSummaries({ conversationId: CONVERSATION_ID });
+      const { sql, options } = lastQuery();
+
+      for (const column of ['participant1_profile_id', 'participant2_profile_id']) {
+        expect(sql).toContain(
+          `m.conversation_id = c.id AND m.sender_profile_id <> c.${column} ` +
+          "AND m.status <> 'read' AND m.is_deleted = false AND m.message_type <> 'system'"
+        );
+      }
+      expect(sql).toContain('WHERE c.id = :conversationId');
+      expect(sql).toContain('c.unread_count_1 <> e.unread_count_1 OR c.unread_count_2 <> e.unread_count_2');
+      expect(options.replacements).toEqual({ conversationId: CONVERSATION_ID });
+    });
+
+    it('sin conversationId recorre todas las conversaciones', async () => {
+      sequelize.query.mockResolvedValueOnce([{ id: CONVERSATION_ID }]);
+
+      const count = await repository.reconcileSummaries();
+
+      expect(count).toBe(1);
+      expect(lastQuery().sql).not.toContain(':conversationId');
+    });
+  });
+
+  describe('MessageRepository.softDelete', () => {
+    const repository = new MessageRepository();
+    const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+    const mockMessage = (data) => ({ is_deleted: false, ...data, update: jest.fn().mockResolvedValue() });
+
+    beforeEach(() => {
+      jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback(transaction));
+      jest.spyOn(repository.conversationRepository, 'reconcileSummaries').mockResolvedValue(0);
+      jest.spyOn(repository.groupRepository, 'reconcileLastMessage').mockResolvedValue(0);
+      jest.spyOn(repository.groupMemberRepository, 'reconcileUnread').mockResolvedValue(0);
+    });
+
+    it('recalcula los no leídos del grupo en la misma transacción', async () => {
+      const message = mockMessage({ id: 'message-1', group_id: GROUP_ID, conversation_id: null });
+      jest.spyOn(MessageModel, 'findByPk').mockResolvedValue(message);
+
+      expect(await repository.softDelete('message-1')).toBe(true);
+
+      expect(MessageModel.findByPk).toHaveBeenCalledWith('message-1', { transaction, lock: 'UPDATE' });
+      expect(message.update).toHaveBeenCalledWith(expect.objectContaining({ is_deleted: true }), { transaction });
+      expect(repository.groupRepository.reconcileLastMessage).toHaveBeenCalledWith({ id: GROUP_ID, transaction });
+      expect(repository.groupMemberRepository.reconcileUnread).toHaveBeenCalledWith({ groupId: GROUP_ID, transaction });
+      expect(repository.conversationRepository.reconcileSummaries).not.toHaveBeenCalled();
+    });
+
+    it('recalcula el resumen de la conversación en la misma transacción', async () => {
+      const message = mockMessage({ id: 'message-1', group_id: null, conversation_id: CONVERSATION_ID });
+      jest.spyOn(MessageModel, 'findByPk').mockResolvedValue(message);
+
+      expect(await repository.softDelete('message-1')).toBe(true);
+
+      expect(repository.conversationRepository.reconcileSummaries)
+        .toHaveBeenCalledWith({ conversationId: CONVERSATION_ID, transaction });
+      expect(repository.groupMemberRepository.reconcileUnread).not.toHaveBeenCalled();
+    });
+
+    it('no vuelve a recalcular si el mensaje ya estaba eliminado', async () => {
+      const message = mockMessage({ id: 'message-1', group_id: GROUP_ID, is_deleted: true });
+      jest.spyOn(MessageModel, 'findByPk').mockResolvedValue(message);
+
+      expect(await repository.softDelete('message-1')).toBe(false);
+
+      expect(message.update).not.toHaveBeenCalled();
+      expect(repository.groupMemberRepository.reconcileUnread).not.toHaveBeenCalled();
+    });
+  });
+});
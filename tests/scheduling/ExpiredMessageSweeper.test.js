@@ -0,0 +1,255 @@
+/**
+ * Mensajes temporales: contenido oculto al vencer, `expiresAt` según el TTL del chat, barrido de vencidos
+ * y PATCH /conversations/:id/message-ttl.
+ */
+
+const { startApi, silenceConsole } = require('../helpers/api');
+const sweeper = require('../../src/infrastructure/scheduling/ExpiredMessageSweeper');
+const messageService = require('../../src/infrastructure/services/MessageService');
+const accessPolicy = require('../../src/infrastructure/services/AccessPolicy');
+const chatEventService = require('../../src/infrastructure/services/ChatEventService');
+const groupResolver = require('../../src/infrastructure/services/GroupResolver');
+const inboxService = require('../../src/infrastructure/services/InboxService');
+const rabbitMQPublisher = require('../../src/infrastructure/messaging/RabbitMQPublisher');
+const ConversationController = require('../../src/infrastructure/http/controllers/ConversationController');
+const { Message } = require('../../src/domain/entities/Message');
+const { Conversation } = require('../../src/domain/entities/Conversation');
+
+const SENDER_ID = '00000000-0000-4000-8000-0000000000aa';
+const OTHER_ID = '00000000-0000-4000-8000-0000000000bb';
+const CONVERSATION_ID = '00000000-0000-4000-8000-000000000001';
+const GROUP_ID = '00000000-0000-4000-8000-000000000002';
+
+const conversation = (data = {}) => new Conversation({
+  id: CONVERSATION_ID,
+  participant1ProfileId: SENDER_ID,
+  participant2ProfileId: OTHER_ID,
+  ...data
+});
+
+describe('Message.fromDatabase', () => {
+  const row = (data) => ({
+    id: 'm1',
+    conversation_id: CONVERSATION_ID,
+    sender_profile_id: SENDER_ID,
+    content: 'Secreto',
+    media_url: 'https://cdn/foto.jpg',
+    ...data
+  });
+
+  it('un mensaje vencido oculta el contenido aunque el barrido no haya pasado', () => {
+    const message = Message.fromDatabase(row({ expires_at: new Date(Date.now() - 1000) }));
+
+    expect(message.isExpired).toBe(true);
+    expect(message.content).toBe('');
+    expect(message.mediaUrl).toBeNull();
+  });
+
+  it('antes de vencer conserva el contenido', () => {
+    const message = Message.fromDatabase(row({ expires_at: new Date(Date.now() + 60000) }));
+
+    expect(message.isExpired).toBe(false);
+    expect(message.content).toBe('Secreto');
+  });
+
+  it('un mensaje ya barrido sigue vencido', () => {
+    expect(Message.isExpiredData({ is_expired: true, expires_at: null })).toBe(true);
+  });
+});
+
+describe('MessageService.send con TTL', () => {
+  const repository = messageService.messageRepository;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(accessPolicy, 'assertRequestAllows').mockResolvedValue();
+    jest.spyOn(repository, 'create').mockImplementation(async (data) => new Message({ id: 'm1', ...data }));
+    jest.spyOn(chatEventService, 'publish').mockResolvedValue({ seq: 1, cursor: '1' });
+    jest.spyOn(inboxService, 'notifyChat').mockResolvedValue();
+    jest.spyOn(rabbitMQPublisher, 'publishEvent').mockImplementation(() => {});
+    jest.spyOn(messageService, '_getSenderProfile').mockResolvedValue({ displayName: 'Ana', avatarUrl: '' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const send = () => messageService.send({ conversationId: CONVERSATION_ID, senderProfileId: SENDER_ID, content: 'Hola' });
+
+  it('calcula expiresAt con el TTL de la conversación', async () => {
+    jest.spyOn(accessPolicy, 'assertConversationParticipant').mockResolvedValue(conversation({ messageTtlSeconds: 3600 }));
+    const before = Date.now();
+
+    await send();
+
+    const { expiresAt } = repository.create.mock.calls[0][0];
+    expect(expiresAt.getTime()).toBeGreaterThanOrEqual(before + 3600 * 1000);
+    expect(expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 3600 * 1000);
+  });
+
+  it('sin TTL el mensaje no vence', async () => {
+    jest.spyOn(accessPolicy, 'assertConversationParticipant').mockResolvedValue(conversation());
+
+    await send();
+
+    expect(repository.create.mock.calls[0][0].expiresAt).toBeNull();
+  });
+});
+
+describe('ExpiredMessageSweeper', () => {
+  const repository = sweeper.messageRepository;
+
+  beforeEach(() => {
+    silenceConsole();
+    jest.spyOn(sweeper.messageRevisionRepository, 'deleteByMessages').mockResolvedValue();
+    jest.spyOn(sweeper.pinnedMessageRepository, 'removeByMessages').mockResolvedValue();
+    jest.spyOn(chatEventService, 'redactMessages').mockResolvedValue();
+    jest.spyOn(chatEventService, 'publish').mockResolvedValue({ seq: 1, cursor: '1' });
+    jest.spyOn(groupResolver, 'getPublicIdsFor').mockResolvedValue(new Map([[GROUP_ID, 'external-1']]));
+  });
+
+  afterEach(() => {
+    sweeper.stop();
+    jest.restoreAllMocks();
+  });
+
+  describe('cleanup', () => {
+    it('borra revisiones, fijados y contenido de /sync, y avisa una vez por chat', async () => {
+      await sweeper.cleanup([
+        new Message({ id: 'm1', conversationId: CONVERSATION_ID }),
+        new Message({ id: 'm2', conversationId: CONVERSATION_ID }),
+        new Message({ id: 'm3', groupId: GROUP_ID })
+      ]);
+
+      expect(sweeper.messageRevisionRepository.deleteByMessages).toHaveBeenCalledWith(['m1', 'm2', 'm3']);
+      expect(sweeper.pinnedMessageRepository.removeByMessages).toHaveBeenCalledWith(['m1', 'm2', 'm3']);
+      expect(chatEventService.redactMessages).toHaveBeenCalledWith(['m1', 'm2', 'm3']);
+      expect(chatEventService.publish).toHaveBeenCalledTimes(2);
+      expect(chatEventService.publish).toHaveBeenCalledWith(
+        { conversationId: CONVERSATION_ID, groupId: null },
+        'messages_expired',
+        { conversationId: CONVERSATION_ID, groupId: null, messageIds: ['m1', 'm2'] }
+      );
+    });
+
+    it('los grupos se avisan con el ID público', async () => {
+      await sweeper.cleanup([new Message({ id: 'm3', groupId: GROUP_ID })]);
+
+      expect(groupResolver.getPublicIdsFor).toHaveBeenCalledWith([GROUP_ID]);
+      expect(chatEventService.publish).toHaveBeenCalledWith(
+        { conversationId: null, groupId: 'external-1' },
+        'messages_expired',
+        { conversationId: null, groupId: 'external-1', messageIds: ['m3'] }
+      );
+    });
+  });
+
+  describe('sweep', () => {
+    beforeEach(() => {
+      jest.spyOn(sweeper, 'cleanup').mockResolvedValue();
+    });
+
+    it('procesa lotes completos hasta vaciar los vencidos', async () => {
+      const batch = Array.from({ length: 100 }, (_, index) => new Message({ id: `m${index}`, conversationId: CONVERSATION_ID }));
+      jest.spyOn(repository, 'expireDue')
+        .mockResolvedValueOnce(batch)
+        .mockResolvedValueOnce([]);
+      sweeper.isRunning = true;
+
+      await sweeper.sweep();
+
+      expect(repository.expireDue).toHaveBeenCalledTimes(2);
+      expect(sweeper.cleanup).toHaveBeenCalledTimes(1);
+    });
+
+    it('un error no detiene el barrido', async () => {
+      jest.spyOn(repository, 'expireDue').mockRejectedValue(new Error('connection terminated'));
+      jest.spyOn(sweeper, 'scheduleNext').mockImplementation(() => {});
+
+      await sweeper.sweep();
+
+      expect(sweeper.scheduleNext).toHaveBeenCalled();
+      expect(sweeper.isSweeping).toBe(false);
+    });
+  });
+});
+
+describe('PATCH /conversations/:id/message-ttl', () => {
+  const repository = ConversationController.conversationRepository;
+  let api;
+
+  beforeAll(async () => {
+    api = await startApi();
+  });
+
+  afterAll(async () => {
+    await api.close();
+  });
+
+  beforeEach(() => {
+    silenceConsole();
+    jest.spyOn(repository, 'update').mockImplementation(async (id, data) => conversation(data));
+    jest.spyOn(messageService, 'createSystemMessage').mockResolvedValue(new Message({ id: 'system-1' }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const setTtl = (ttlSeconds, profileId = SENDER_ID) => api.request('PATCH', `/conversations/${CONVERSATION_ID}/message-ttl`, {
+    profileId,
+    body: { ttlSeconds }
+  });
+
+  it('guarda el TTL y lo anuncia con un mensaje de sistema', async () => {
+    jest.spyOn(repository, 'findById').mockResolvedValue(conversation());
+
+    const response = await setTtl(86400);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.messageTtlSeconds).toBe(86400);
+    expect(repository.update).toHaveBeenCalledWith(CONVERSATION_ID, { messageTtlSeconds: 86400 });
+    expect(messageService.createSystemMessage).toHaveBeenCalledWith(
+      { conversationId: CONVERSATION_ID, groupId: null },
+      expect.objectContaining({
+        content: '⏳ tester activó los mensajes temporales: desaparecen 1 día después de enviarse',
+        metadata: { action: 'message_ttl_changed', ttlSeconds: 86400 }
+      })
+    );
+  });
+
+  it('0 los desactiva', async () => {
+    jest.spyOn(repository, 'findById').mockResolvedValue(conversation({ messageTtlSeconds: 3600 }));
+
+    await setTtl(0);
+
+    expect(repository.update).toHaveBeenCalledWith(CONVERSATION_ID, { messageTtlSeconds: null });
+    expect(messageService.createSystemMessage.mock.calls[0][1].content).toBe('⏳ tester desactivó los mensajes temporales');
+  });
+
+  it('el mismo TTL no genera mensaje de sistema', async () => {
+    jest.spyOn(repository, 'findById').mockResolvedValue(conversation({ messageTtlSeconds: 3600 }));
+
+    const response = await setTtl(3600);
+
+    expect(response.body.message).toBe('Sin cambios');
+    expect(repository.update).not.toHaveBeenCalled();
+    expect(messageService.createSystemMessage).not.toHaveBeenCalled();
+  });
+
+  it('rechaza un TTL menor a un minuto', async () => {
+    jest.spyOn(repository, 'findById');
+
+    expect((await setTtl(30)).status).toBe(400);
+    expect(repository.findById).not.toHaveBeenCalled();
+  });
+
+  it('quien no participa no puede cambiarlo', async () => {
+    jest.spyOn(repository, 'findById').mockResolvedValue(conversation());
+
+    const response = await setTtl(3600, '00000000-0000-4000-8000-0000000000cc');
+
+    expect(response.status).toBe(403);
+    expect(repository.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Mensajes programados: despacho de los vencidos por lotes, reintentos y alta por POST /messages con sendAt.
+ */
+
+const { startApi, silenceConsole } = require('../helpers/api');
+const dispatcher = require('../../src/infrastructure/scheduling/ScheduledMessageDispatcher');
+const messageService = require('../../src/infrastructure/services/MessageService');
+const MessageController = require('../../src/infrastructure/http/controllers/MessageController');
+const { AppError } = require('../../src/infrastructure/http/middlewares');
+const { ScheduledMessage } = require('../../src/domain/entities/ScheduledMessage');
+const { Message } = require('../../src/domain/entities/Message');
+const { Group } = require('../../src/domain/entities/Group');
+
+const SENDER_ID = '00000000-0000-4000-8000-0000000000aa';
+const CONVERSATION_ID = '00000000-0000-4000-8000-000000000001';
+const GROUP_ID = '00000000-0000-4000-8000-000000000002';
+const SCHEDULED_ID = '00000000-0000-4000-8000-000000000004';
+const EXTERNAL_GROUP_ID = '00000000-0000-4000-8000-000000000005';
+
+const scheduledMessage = (data = {}) => new ScheduledMessage({
+  id: SCHEDULED_ID,
+  senderProfileId: SENDER_ID,
+  conversationId: CONVERSATION_ID,
+  content: 'Más tarde',
+  sendAt: new Date(),
+  attempts: 1,
+  ...data
+});
+
+describe('ScheduledMessageDispatcher', () => {
+  const repository = dispatcher.scheduledMessageRepository;
+
+  beforeEach(() => {
+    silenceConsole();
+    jest.spyOn(repository, 'markSent').mockResolvedValue();
+    jest.spyOn(repository, 'markFailed').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    dispatcher.stop();
+    jest.restoreAllMocks();
+  });
+
+  describe('dispatch', () => {
+    it('envía con el mismo flujo que la API y un clientMessageId fijo por programado', async () => {
+      jest.spyOn(messageService, 'send').mockResolvedValue(new Message({ id: 'message-1' }));
+
+      await dispatcher.dispatch(scheduledMessage());
+
+      expect(messageService.send).toHaveBeenCalledWith(expect.objectContaining({
+        conversationId: CONVERSATION_ID,
+        senderProfileId: SENDER_ID,
+        content: 'Más tarde',
+        clientMessageId: `scheduled:${SCHEDULED_ID}`
+      }));
+      expect(repository.markSent).toHaveBeenCalledWith(SCHEDULED_ID, 'message-1');
+    });
+
+    it('un error de negocio no se reintenta', async () => {
+      jest.spyOn(messageService, 'send').mockRejectedValue(new AppError('No eres miembro del grupo', 403, 'NOT_A_MEMBER'));
+
+      await dispatcher.dispatch(scheduledMessage());
+
+      expect(repository.markFailed).toHaveBeenCalledWith(SCHEDULED_ID, 'No eres miembro del grupo', false);
+      expect(repository.markSent).not.toHaveBeenCalled();
+    });
+
+    it('un error inesperado se reintenta hasta agotar los intentos', async () => {
+      jest.spyOn(messageService, 'send').mockRejectedValue(new Error('connection terminated'));
+
+      await dispatcher.dispatch(scheduledMessage({ attempts: 2 }));
+      await dispatcher.dispatch(scheduledMessage({ attempts: 3 }));
+
+      expect(repository.markFailed.mock.calls.map(([, , retry]) => retry)).toEqual([true, false]);
+    });
+  });
+
+  describe('tick', () => {
+    beforeEach(() => {
+      jest.spyOn(repository, 'releaseStale').mockResolvedValue(0);
+      jest.spyOn(dispatcher, 'dispatch').mockResolvedValue();
+    });
+
+    it('procesa lotes completos hasta vaciar los vencidos', async () => {
+      const batch = Array.from({ length: 20 }, (_, index) => scheduledMessage({ id: `s${index}` }));
+      jest.spyOn(repository, 'claimDue')
+        .mockResolvedValueOnce(batch)
+        .mockResolvedValueOnce([scheduledMessage()]);
+      dispatcher.isRunning = true;
+
+      await dispatcher.tick();
+
+      expect(repository.claimDue).toHaveBeenCalledTimes(2);
+      expect(dispatcher.dispatch).toHaveBeenCalledTimes(21);
+    });
+
+    it('no se superpone con un tick en curso', async () => {
+      jest.spyOn(repository, 'claimDue').mockResolvedValue([]);
+      dispatcher.isTicking = true;
+
+      await dispatcher.tick();
+
+      expect(repository.claimDue).not.toHaveBeenCalled();
+      dispatcher.isTicking = false;
+    });
+
+    it('un error al leer la cola no detiene el despachador', async () => {
+      repository.releaseStale.mockRejectedValue(new Error('connection terminated'));
+      jest.spyOn(dispatcher, 'scheduleNext').mockImplementation(() => {});
+
+      await dispatcher.tick();
+
+      expect(dispatcher.scheduleNext).toHaveBeenCalled();
+      expect(dispatcher.isTicking).toBe(false);
+    });
+  });
+});
+
+describe('POST /messages con sendAt', () => {
+  const repository = MessageController.scheduledMessageRepository;
+  let api;
+
+  beforeAll(async () => {
+    api = await startApi();
+  });
+
+  afterAll(async () => {
+    await api.close();
+  });
+
+  beforeEach(() => {
+    silenceConsole();
+    jest.spyOn(repository, 'create').mockImplementation(async (data) => scheduledMessage({ ...data, id: SCHEDULED_ID }));
+    jest.spyOn(messageService, 'send');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const schedule = (body) => api.request('POST', '/messages', {
+    profileId: SENDER_ID,
+    body: { content: 'Más tarde', ...body }
+  });
+
+  it('guarda el mensaje con el ID interno del grupo sin enviarlo', async () => {
+    const sendAt = new Date(Date.now() + 60 * 60 * 1000);
+    jest.spyOn(messageService, 'resolveTarget').mockResolvedValue({
+      conversation: null,
+      group: new Group({ id: GROUP_ID, name: 'Grupo', creatorProfileId: SENDER_ID, externalId: EXTERNAL_GROUP_ID })
+    });
+
+    const response = await schedule({ groupId: EXTERNAL_GROUP_ID, sendAt: sendAt.toISOString() });
+
+    expect(response.status).toBe(201);
+    expect(response.body.message).toBe('Mensaje programado');
+    expect(repository.create).toHaveBeenCalledWith(expect.objectContaining({ groupId: GROUP_ID, sendAt }));
+    expect(messageService.send).not.toHaveBeenCalled();
+  });
+
+  it('rechaza una fecha pasada', async () => {
+    const response = await schedule({ conversationId: CONVERSATION_ID, sendAt: new Date(Date.now() - 1000).toISOString() });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('INVALID_SEND_AT');
+    expect(repository.create).not.toHaveBeenCalled();
+  });
+
+  it('verifica el destino al programar, igual que un envío inmediato', async () => {
+    jest.spyOn(messageService, 'resolveTarget').mockRejectedValue(new AppError('No eres miembro del grupo', 403, 'NOT_A_MEMBER'));
+
+    const response = await schedule({ groupId: GROUP_ID, sendAt: new Date(Date.now() + 60000).toISOString() });
+
+    expect(response.status).toBe(403);
+    expect(repository.create).not.toHaveBeenCalled();
+  });
+});
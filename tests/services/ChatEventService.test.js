@@ -0,0 +1,97 @@
+/**
+ * Sincronización: páginas de GET /sync y formato de los eventos devueltos.
+ */
+
+const ChatEvent = require('../../src/domain/entities/ChatEvent');
+const chatEventService = require('../../src/infrastructure/services/ChatEventService');
+const groupResolver = require('../../src/infrastructure/services/GroupResolver');
+const { Message } = require('../../src/domain/entities/Message');
+
+const PROFILE_ID = '00000000-0000-4000-8000-0000000000aa';
+const CONVERSATION_ID = '00000000-0000-4000-8000-000000000001';
+const GROUP_ID = '00000000-0000-4000-8000-000000000002';
+
+const event = (id, data = {}) => new ChatEvent({
+  id,
+  conversationId: CONVERSATION_ID,
+  seq: id,
+  type: 'message_read',
+  payload: { conversationId: CONVERSATION_ID },
+  ...data
+});
+
+describe('ChatEventService.getChangesSince', () => {
+  const repository = chatEventService.chatEventRepository;
+
+  beforeEach(() => {
+    jest.spyOn(repository, 'getOldestCursor').mockResolvedValue('5');
+    jest.spyOn(chatEventService.messageRepository, 'findByIds').mockResolvedValue([]);
+    jest.spyOn(groupResolver, 'getPublicIdsFor').mockResolvedValue(new Map());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sin since devuelve solo el cursor actual', async () => {
+    jest.spyOn(repository, 'getLatestCursor').mockResolvedValue('42');
+    jest.spyOn(repository, 'findSince');
+
+    expect(await chatEventService.getChangesSince(PROFILE_ID, undefined)).toEqual({
+      events: [],
+      cursor: '42',
+      hasMore: false
+    });
+    expect(repository.findSince).not.toHaveBeenCalled();
+  });
+
+  it('rechaza un cursor que no es numérico', async () => {
+    await expect(chatEventService.getChangesSince(PROFILE_ID, 'abc'))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_CURSOR' });
+  });
+
+  it('responde 410 si el cursor es anterior a los eventos conservados', async () => {
+    await expect(chatEventService.getChangesSince(PROFILE_ID, '3'))
+      .rejects.toMatchObject({ statusCode: 410, code: 'CURSOR_EXPIRED' });
+  });
+
+  it('pagina pidiendo un evento de más y avanza el cursor hasta el último devuelto', async () => {
+    jest.spyOn(repository, 'findSince').mockResolvedValue([event(11), event(12), event(13)]);
+
+    const result = await chatEventService.getChangesSince(PROFILE_ID, '10', 2);
+
+    expect(repository.findSince).toHaveBeenCalledWith(PROFILE_ID, '10', 3);
+    expect(result.events.map(item => item.cursor)).toEqual(['11', '12']);
+    expect(result).toMatchObject({ cursor: '12', hasMore: true });
+    expect(result.events[0].payload).toMatchObject({ seq: 11, cursor: '11' });
+  });
+
+  it('sin eventos nuevos mantiene el cursor recibido', async () => {
+    jest.spyOn(repository, 'findSince').mockResolvedValue([]);
+
+    expect(await chatEventService.getChangesSince(PROFILE_ID, '20')).toEqual({
+      events: [],
+      cursor: '20',
+      hasMore: false
+    });
+  });
+
+  it('devuelve los mensajes nuevos con su estado actual, sin los borrados, y el ID público del grupo', async () => {
+    const messageId = '00000000-0000-4000-8000-000000000003';
+    jest.spyOn(repository, 'findSince').mockResolvedValue([
+      event(11, { conversationId: null, groupId: GROUP_ID, type: 'new_group_message', messageId, payload: {} }),
+      event(12, { conversationId: null, groupId: GROUP_ID, type: 'new_group_message', messageId: '00000000-0000-4000-8000-000000000004', payload: {} })
+    ]);
+    groupResolver.getPublicIdsFor.mockResolvedValue(new Map([[GROUP_ID, 'external-1']]));
+    chatEventService.messageRepository.findByIds.mockResolvedValue([
+      new Message({ id: messageId, groupId: GROUP_ID, senderProfileId: PROFILE_ID, content: 'editado', isEdited: true })
+    ]);
+
+    const result = await chatEventService.getChangesSince(PROFILE_ID, '10');
+
+    expect(result.events).toHaveLength(1);
+    expect(result.events[0]).toMatchObject({ groupId: 'external-1', cursor: '11' });
+    expect(result.events[0].payload).toMatchObject({ id: messageId, content: 'editado', groupId: 'external-1', cursor: '11' });
+    expect(result.cursor).toBe('12');
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Bandeja unificada (GET /inbox): cursor opaco, paginación y vista previa del último mensaje.
+ */
+
+const { InboxEntry, INBOX_ENTRY_TYPES } = require('../../src/domain/entities/InboxEntry');
+const inboxService = require('../../src/infrastructure/services/InboxService');
+
+const PROFILE_ID = '00000000-0000-4000-8000-0000000000aa';
+const CONVERSATION_ID = '00000000-0000-4000-8000-000000000001';
+const SORT_KEY = '2024-05-01T12:30:00.123456Z';
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const row = (data = {}) => ({
+  type: INBOX_ENTRY_TYPES.CONVERSATION,
+  chat_id: CONVERSATION_ID,
+  profile_id: PROFILE_ID,
+  activity_at: new Date(SORT_KEY),
+  sort_key: SORT_KEY,
+  last_message_id: '00000000-0000-4000-8000-000000000003',
+  last_message_content: 'Hola',
+  last_message_type: 'text',
+  last_message_sender_profile_id: PROFILE_ID,
+  last_message_is_expired: false,
+  last_message_expires_at: null,
+  last_message_created_at: new Date(SORT_KEY),
+  ...data
+});
+
+describe('InboxEntry', () => {
+  it('el cursor de una entrada se puede volver a leer', () => {
+    const entry = InboxEntry.fromDatabase(row({ pinned_at: new Date(SORT_KEY) }));
+
+    expect(InboxEntry.parseCursor(entry.cursor)).toEqual({ isPinned: true, sortKey: SORT_KEY, chatId: CONVERSATION_ID });
+  });
+
+  it.each([
+    ['que no es JSON', 'no-es-un-cursor'],
+    ['con otra forma', encode({ sortKey: SORT_KEY })],
+    ['con una fecha que no es fecha', encode([false, 'ayer', CONVERSATION_ID])],
+    ['con un día que no existe', encode([false, '2024-02-31T00:00:00.000000Z', CONVERSATION_ID])],
+    ['con una hora fuera de rango', encode([false, '2024-01-01T25:00:00.000000Z', CONVERSATION_ID])],
+    ['con un ID que no es UUID', encode([false, SORT_KEY, "1' OR '1'='1"])]
+  ])('rechaza un cursor %s', (description, cursor) => {
+    expect(InboxEntry.parseCursor(cursor)).toBeNull();
+  });
+
+  it('oculta el contenido del último mensaje si ya venció aunque el barrido no lo haya marcado', () => {
+    const entry = InboxEntry.fromDatabase(row({ last_message_expires_at: new Date(Date.now() - 1000) }));
+
+    expect(entry.lastMessage).toMatchObject({ content: '', isExpired: true });
+  });
+
+  it('muestra el último mensaje que todavía no vence', () => {
+    const entry = InboxEntry.fromDatabase(row({ last_message_expires_at: new Date(Date.now() + 60 * 1000) }));
+
+    expect(entry.lastMessage).toMatchObject({ content: 'Hola', isExpired: false });
+  });
+});
+
+describe('InboxService.getInbox', () => {
+  const repository = inboxService.inboxRepository;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('responde 400 INVALID_CURSOR sin consultar la base de datos si el cursor no es válido', async () => {
+    jest.spyOn(repository, 'findByProfileId');
+
+    await expect(inboxService.getInbox(PROFILE_ID, { cursor: encode([false, 'ayer', CONVERSATION_ID]) }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_CURSOR' });
+    expect(repository.findByProfileId).not.toHaveBeenCalled();
+  });
+
+  it('pide una entrada de más y devuelve el cursor de la última entregada', async () => {
+    const entries = ['1', '2', '3'].map(n => InboxEntry.fromDatabase(row({ chat_id: `00000000-0000-4000-8000-00000000000${n}` })));
+    jest.spyOn(repository, 'findByProfileId').mockResolvedValue(entries);
+
+    const result = await inboxService.getInbox(PROFILE_ID, { limit: '2' });
+
+    expect(repository.findByProfileId).toHaveBeenCalledWith(PROFILE_ID, { after: null, limit: 3 });
+    expect(result.entries).toHaveLength(2);
+    expect(result).toMatchObject({ nextCursor: entries[1].cursor, hasMore: true });
+  });
+
+  it('pasa el cursor leído al repositorio', async () => {
+    jest.spyOn(repository, 'findByProfileId').mockResolvedValue([]);
+
+    const result = await inboxService.getInbox(PROFILE_ID, { cursor: encode([false, SORT_KEY, CONVERSATION_ID]) });
+
+    expect(repository.findByProfileId).toHaveBeenCalledWith(PROFILE_ID, {
+      after: { isPinned: false, sortKey: SORT_KEY, chatId: CONVERSATION_ID },
+      limit: 21
+    });
+    expect(result).toEqual({ entries: [], nextCursor: null, hasMore: false });
+  });
+});
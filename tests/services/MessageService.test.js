@@ -0,0 +1,132 @@
+/**
+ * Envío de mensajes: reintentos con clientMessageId (mismo chat, otro chat y reintentos simultáneos).
+ */
+
+const messageService = require('../../src/infrastructure/services/MessageService');
+const accessPolicy = require('../../src/infrastructure/services/AccessPolicy');
+const chatEventService = require('../../src/infrastructure/services/ChatEventService');
+const inboxService = require('../../src/infrastructure/services/InboxService');
+const rabbitMQPublisher = require('../../src/infrastructure/messaging/RabbitMQPublisher');
+const { Message } = require('../../src/domain/entities/Message');
+const { Conversation } = require('../../src/domain/entities/Conversation');
+const { Group } = require('../../src/domain/entities/Group');
+
+const SENDER_ID = '00000000-0000-4000-8000-0000000000aa';
+const OTHER_ID = '00000000-0000-4000-8000-0000000000bb';
+const CONVERSATION_ID = '00000000-0000-4000-8000-000000000001';
+const OTHER_CONVERSATION_ID = '00000000-0000-4000-8000-000000000002';
+const GROUP_ID = '00000000-0000-4000-8000-000000000010';
+const CLIENT_MESSAGE_ID = 'cliente-1';
+
+const conversation = new Conversation({
+  id: CONVERSATION_ID,
+  participant1ProfileId: SENDER_ID,
+  participant2ProfileId: OTHER_ID
+});
+
+const group = new Group({ id: GROUP_ID, name: 'Grupo', creatorProfileId: SENDER_ID, externalId: 'external-1' });
+
+const storedMessage = (data = {}) => new Message({
+  id: '00000000-0000-4000-8000-000000000003',
+  conversationId: CONVERSATION_ID,
+  senderProfileId: SENDER_ID,
+  content: 'Hola',
+  clientMessageId: CLIENT_MESSAGE_ID,
+  ...data
+});
+
+const uniqueConstraintError = () => Object.assign(new Error('llave duplicada'), { name: 'SequelizeUniqueConstraintError' });
+
+describe('MessageService.send con clientMessageId', () => {
+  const repository = messageService.messageRepository;
+
+  const send = (target = { conversationId: CONVERSATION_ID }) => messageService.send({
+    ...target,
+    senderProfileId: SENDER_ID,
+    content: 'Hola',
+    clientMessageId: CLIENT_MESSAGE_ID
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(accessPolicy, 'assertConversationParticipant').mockResolvedValue(conversation);
+    jest.spyOn(accessPolicy, 'assertRequestAllows').mockResolvedValue();
+    jest.spyOn(accessPolicy, 'getGroupForMember').mockResolvedValue(group);
+    jest.spyOn(repository, 'findByClientMessageId').mockResolvedValue(null);
+    jest.spyOn(repository, 'create').mockResolvedValue(storedMessage());
+    jest.spyOn(chatEventService, 'publish').mockResolvedValue({ seq: 1, cursor: '1' });
+    jest.spyOn(inboxService, 'notifyChat').mockResolvedValue();
+    jest.spyOn(rabbitMQPublisher, 'publishEvent').mockImplementation(() => {});
+    jest.spyOn(messageService, '_getSenderProfile').mockResolvedValue({ displayName: 'Ana', avatarUrl: '' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('un reintento al mismo chat devuelve el mensaje ya creado sin volver a avisar', async () => {
+    const existing = storedMessage();
+    repository.findByClientMessageId.mockResolvedValue(existing);
+
+    expect(await send()).toBe(existing);
+    expect(repository.create).not.toHaveBeenCalled();
+    expect(chatEventService.publish).not.toHaveBeenCalled();
+    expect(rabbitMQPublisher.publishEvent).not.toHaveBeenCalled();
+  });
+
+  it('rechaza el mismo clientMessageId en otra conversación', async () => {
+    repository.findByClientMessageId.mockResolvedValue(storedMessage({ conversationId: OTHER_CONVERSATION_ID }));
+
+    await expect(send()).rejects.toMatchObject({ statusCode: 422, code: 'CLIENT_MESSAGE_ID_REUSED' });
+    expect(repository.create).not.toHaveBeenCalled();
+  });
+
+  it('rechaza en un grupo el clientMessageId ya usado en una conversación', async () => {
+    repository.findByClientMessageId.mockResolvedValue(storedMessage());
+
+    await expect(send({ groupId: 'external-1' })).rejects.toMatchObject({ code: 'CLIENT_MESSAGE_ID_REUSED' });
+  });
+
+  it('si un reintento simultáneo lo creó primero, devuelve ese mensaje sin volver a avisar', async () => {
+    const existing = storedMessage();
+    repository.create.mockRejectedValue(uniqueConstraintError());
+    repository.findByClientMessageId.mockResolvedValueOnce(null).mockResolvedValueOnce(existing);
+
+    expect(await send()).toBe(existing);
+    expect(chatEventService.publish).not.toHaveBeenCalled();
+    expect(rabbitMQPublisher.publishEvent).not.toHaveBeenCalled();
+  });
+
+  it('en un grupo, el reintento simultáneo tampoco crea recibos ni avisos', async () => {
+    const existing = storedMessage({ conversationId: null, groupId: GROUP_ID });
+    repository.create.mockRejectedValue(uniqueConstraintError());
+    repository.findByClientMessageId.mockResolvedValueOnce(null).mockResolvedValueOnce(existing);
+    jest.spyOn(messageService.messageReceiptRepository, 'createForRecipients');
+
+    expect(await send({ groupId: 'external-1' })).toBe(existing);
+    expect(messageService.messageReceiptRepository.createForRecipients).not.toHaveBeenCalled();
+    expect(chatEventService.publish).not.toHaveBeenCalled();
+  });
+
+  it('otros errores al crear se propagan', async () => {
+    const error = new Error('connection terminated');
+    repository.create.mockRejectedValue(error);
+
+    await expect(send()).rejects.toBe(error);
+    expect(repository.findByClientMessageId).toHaveBeenCalledTimes(1);
+  });
+
+  it('un mensaje nuevo se guarda con su clientMessageId y se emite', async () => {
+    expect(await send()).toMatchObject({ clientMessageId: CLIENT_MESSAGE_ID });
+    expect(repository.create).toHaveBeenCalledWith(expect.objectContaining({
+      conversationId: CONVERSATION_ID,
+      clientMessageId: CLIENT_MESSAGE_ID
+    }));
+    expect(chatEventService.publish).toHaveBeenCalledWith(
+      { conversationId: CONVERSATION_ID, groupId: null },
+      'new_message',
+      expect.objectContaining({ clientMessageId: CLIENT_MESSAGE_ID }),
+      expect.any(Object)
+    );
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Privacidad de la presencia: qué ve cada usuario del estado en línea y la última conexión de los demás,
+ * a quién se avisa de los cambios y PATCH /users/me/privacy.
+ */
+
+const { startApi, silenceConsole } = require('../helpers/api');
+const presencePolicy = require('../../src/infrastructure/services/PresencePolicy');
+const UserController = require('../../src/infrastructure/http/controllers/UserController');
+const { User, PRESENCE_VISIBILITY } = require('../../src/domain/entities/User');
+const { Conversation, CONVERSATION_STATUS, REQUEST_STATUS } = require('../../src/domain/entities/Conversation');
+
+const USER_ID = '00000000-0000-4000-8000-0000000000aa';
+const CONTACT_ID = '00000000-0000-4000-8000-0000000000bb';
+const PEER_ID = '00000000-0000-4000-8000-0000000000cc';
+const BLOCKED_ID = '00000000-0000-4000-8000-0000000000dd';
+const CONVERSATION_ID = '00000000-0000-4000-8000-000000000001';
+
+const lastSeenAt = new Date('2024-11-01T10:00:00.000Z');
+
+const user = (data = {}) => new User({
+  id: 'user-1',
+  profileId: USER_ID,
+  username: 'ana',
+  isOnline: true,
+  lastSeenAt,
+  ...data
+});
+
+describe('User.getPresenceFor', () => {
+  it('con visibilidad "contacts" solo los contactos ven el estado', () => {
+    const contactsOnly = user({ onlineStatusVisibility: PRESENCE_VISIBILITY.CONTACTS });
+
+    expect(contactsOnly.getPresenceFor({ isContact: true })).toEqual({ isOnline: true, lastSeenAt });
+    expect(contactsOnly.getPresenceFor({ isContact: false })).toEqual({ isOnline: false, lastSeenAt });
+  });
+
+  it('la última conexión se oculta por separado del estado', () => {
+    const hidden = user({ lastSeenVisibility: PRESENCE_VISIBILITY.NOBODY });
+
+    expect(hidden.getPresenceFor({ isContact: true })).toEqual({ isOnline: true, lastSeenAt: null });
+  });
+
+  it('con un bloqueo no se ve nada', () => {
+    expect(user().getPresenceFor({ isContact: true, isBlocked: true })).toEqual({ isOnline: false, lastSeenAt: null });
+  });
+
+  it('el propio usuario ve su presencia y su configuración', () => {
+    const hidden = user({ onlineStatusVisibility: PRESENCE_VISIBILITY.NOBODY, lastSeenVisibility: PRESENCE_VISIBILITY.NOBODY });
+
+    expect(hidden.toJSONFor({ isSelf: true })).toMatchObject({ isOnline: true, lastSeenAt, privacy: expect.any(Object) });
+    expect(hidden.toJSONFor({ isContact: true })).not.toHaveProperty('privacy');
+  });
+});
+
+describe('PresencePolicy', () => {
+  const conversationRepository = presencePolicy.conversationRepository;
+
+  beforeEach(() => {
+    jest.spyOn(conversationRepository, 'findPartnerProfileIds').mockResolvedValue([CONTACT_ID, BLOCKED_ID]);
+    jest.spyOn(conversationRepository, 'findBlockRelations').mockResolvedValue([
+      { conversationId: CONVERSATION_ID, profileId: BLOCKED_ID, blockedByMe: true, blockedMe: false }
+    ]);
+    jest.spyOn(presencePolicy.groupMemberRepository, 'findPeerProfileIds').mockResolvedValue([PEER_ID, CONTACT_ID]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getRelation', () => {
+    const conversation = (data = {}) => new Conversation({
+      id: CONVERSATION_ID,
+      participant1ProfileId: CONTACT_ID,
+      participant2ProfileId: USER_ID,
+      ...data
+    });
+
+    it('una conversación aceptada hace contactos', async () => {
+      jest.spyOn(conversationRepository, 'findByParticipants').mockResolvedValue(conversation());
+
+      expect(await presencePolicy.getRelation(CONTACT_ID, user())).toEqual({ isSelf: false, isContact: true, isBlocked: false });
+    });
+
+    it('una solicitud pendiente todavía no hace contactos', async () => {
+      jest.spyOn(conversationRepository, 'findByParticipants').mockResolvedValue(
+        conversation({ requestStatus: REQUEST_STATUS.PENDING, requestedByProfileId: USER_ID })
+      );
+
+      expect((await presencePolicy.getRelation(CONTACT_ID, user())).isContact).toBe(false);
+    });
+
+    it('un bloqueo de cualquiera de los dos se informa como bloqueo', async () => {
+      jest.spyOn(conversationRepository, 'findByParticipants').mockResolvedValue(
+        conversation({ participant2Status: CONVERSATION_STATUS.BLOCKED })
+      );
+
+      expect(await presencePolicy.getRelation(CONTACT_ID, user())).toEqual({ isSelf: false, isContact: false, isBlocked: true });
+    });
+  });
+
+  describe('getStatusAudience', () => {
+    it('visible para todos: contactos y miembros de grupos, sin los bloqueados', async () => {
+      const audience = await presencePolicy.getStatusAudience(user());
+
+      expect(audience.withLastSeen.sort()).toEqual([CONTACT_ID, PEER_ID].sort());
+      expect(audience.withoutLastSeen).toEqual([]);
+    });
+
+    it('visible para contactos: no consulta los grupos', async () => {
+      const audience = await presencePolicy.getStatusAudience(user({ onlineStatusVisibility: PRESENCE_VISIBILITY.CONTACTS }));
+
+      expect(audience.withLastSeen).toEqual([CONTACT_ID]);
+      expect(presencePolicy.groupMemberRepository.findPeerProfileIds).not.toHaveBeenCalled();
+    });
+
+    it('separa a quienes no pueden ver la última conexión', async () => {
+      const audience = await presencePolicy.getStatusAudience(user({ lastSeenVisibility: PRESENCE_VISIBILITY.CONTACTS }));
+
+      expect(audience).toEqual({ withLastSeen: [CONTACT_ID], withoutLastSeen: [PEER_ID] });
+    });
+
+    it('visible para nadie: no se avisa a nadie', async () => {
+      const audience = await presencePolicy.getStatusAudience(user({ onlineStatusVisibility: PRESENCE_VISIBILITY.NOBODY }));
+
+      expect(audience).toEqual({ withLastSeen: [], withoutLastSeen: [] });
+      expect(conversationRepository.findPartnerProfileIds).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Privacidad por la API', () => {
+  const repository = UserController.userRepository;
+  let api;
+
+  beforeAll(async () => {
+    api = await startApi();
+  });
+
+  afterAll(async () => {
+    await api.close();
+  });
+
+  beforeEach(() => {
+    silenceConsole();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('PATCH /users/me/privacy', () => {
+    it('actualiza la privacidad del usuario autenticado', async () => {
+      jest.spyOn(repository, 'updatePrivacy').mockImplementation(async (profileId, settings) => user(settings));
+
+      const response = await api.request('PATCH', '/users/me/privacy', {
+        profileId: USER_ID,
+        body: { lastSeenVisibility: 'contacts' }
+      });
+
+      expect(response.status).toBe(200);
+      expect(repository.updatePrivacy).toHaveBeenCalledWith(USER_ID, { onlineStatusVisibility: undefined, lastSeenVisibility: 'contacts' });
+      expect(response.body.data.privacy.lastSeenVisibility).toBe('contacts');
+    });
+
+    it('rechaza un valor desconocido', async () => {
+      jest.spyOn(repository, 'updatePrivacy');
+
+      const response = await api.request('PATCH', '/users/me/privacy', {
+        profileId: USER_ID,
+        body: { onlineStatusVisibility: 'friends' }
+      });
+
+      expect(response.status).toBe(400);
+      expect(repository.updatePrivacy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /users/profile/:profileId', () => {
+    it('otro usuario ve la presencia filtrada y sin la configuración', async () => {
+      jest.spyOn(repository, 'findByProfileId').mockResolvedValue(user({ lastSeenVisibility: PRESENCE_VISIBILITY.NOBODY }));
+      jest.spyOn(presencePolicy.conversationRepository, 'findByParticipants').mockResolvedValue(null);
+
+      const response = await api.request('GET', `/users/profile/${USER_ID}`, { profileId: PEER_ID });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ profileId: USER_ID, isOnline: true, lastSeenAt: null });
+      expect(response.body.data).not.toHaveProperty('privacy');
+    });
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * Adaptador WebSocket Postgres con dos instancias sobre una base de datos simulada en memoria:
+ * reenvío de eventos por NOTIFY, presencia compartida y baja de las instancias que dejan de latir.
+ */
+
+// Estado compartido de la base de datos simulada (tablas ws_nodes, ws_connections, ws_broadcasts y LISTEN)
+const mockDb = {
+  nodes: new Map(), // nodeId → último latido (ms)
+  connections: new Map(), // socketId → { nodeId, profileId }
+  broadcasts: new Map(), // id → payload
+  listeners: new Set(),
+  failNextQueries: 0,
+  failConnects: 0
+};
+
+jest.mock('pg', () => {
+  const { EventEmitter: Emitter } = require('events');
+
+  class Client extends Emitter {
+    async connect() {
+      if (mockDb.failConnects > 0) {
+        mockDb.failConnects--;
+        throw new Error('connect ECONNREFUSED');
+      }
+    }
+
+    async query(sql) {
+      if (sql.startsWith('LISTEN')) mockDb.listeners.add(this);
+    }
+
+    async end() {
+      mockDb.listeners.delete(this);
+    }
+  }
+
+  return { Client };
+});
+
+const { sequelize } = require('../../src/infrastructure/database/connection');
+const PostgresAdapter = require('../../src/infrastructure/websocket/adapters/PostgresAdapter');
+
+const countFor = (profileId) =>
+  [...mockDb.connections.values()].filter(connection => connection.profileId === profileId).length;
+
+// Interpreta las consultas del adaptador sobre el estado en memoria
+const runQuery = async (sql, { replacements: r = {} } = {}) => {
+  if (mockDb.failNextQueries > 0) {
+    mockDb.failNextQueries--;
+    throw new Error('connection terminated');
+  }
+
+  if (sql.startsWith('INSERT INTO ws_nodes')) {
+    const inserted = !mockDb.nodes.has(r.nodeId);
+    mockDb.nodes.set(r.nodeId, Date.now());
+    return [{ inserted }];
+  }
+
+  if (sql.includes('FROM unnest(')) {
+    r.socketIds.forEach((socketId, index) => {
+      if (!mockDb.connections.has(socketId)) {
+        mockDb.connections.set(socketId, { nodeId: r.nodeId, profileId: r.profileIds[index] });
+      }
+    });
+    return [];
+  }
+
+  if (sql.includes('INSERT INTO ws_connections')) {
+    if (!mockDb.connections.has(r.socketId)) {
+      mockDb.connections.set(r.socketId, { nodeId: r.nodeId, profileId: r.profileId });
+    }
+    return [{ count: String(countFor(r.profileId)) }];
+  }
+
+  if (sql.includes('DELETE FROM ws_connections WHERE socket_id')) {
+    mockDb.connections.delete(r.socketId);
+    return [{ count: String(countFor(r.profileId)) }];
+  }
+
+  if (sql.startsWith('SELECT EXISTS')) {
+    return [{ online: countFor(r.profileId) > 0 }];
+  }
+
+  if (sql.includes('DELETE FROM ws_nodes')) {
+    const removed = [...mockDb.nodes.keys()].filter(nodeId => r.nodeId
+      ? nodeId === r.nodeId
+      : mockDb.nodes.get(nodeId) < Date.now() - r.timeout * 1000);
+    removed.forEach(nodeId => mockDb.nodes.delete(nodeId));
+
+    const gone = new Set();
+    for (const [socketId, connection] of mockDb.connections) {
+      if (removed.includes(connection.nodeId)) {
+        mockDb.connections.delete(socketId);
+        gone.add(connection.profileId);
+      }
+    }
+    return [...gone].filter(profileId => countFor(profileId) === 0).map(profileId => ({ profile_id: profileId }));
+  }
+
+  if (sql.startsWith('DELETE FROM ws_broadcasts')) return [];
+
+  if (sql.startsWith('INSERT INTO ws_broadcasts')) {
+    const id = mockDb.broadcasts.size + 1;
+    mockDb.broadcasts.set(id, JSON.parse(r.payload));
+    return [{ id }];
+  }
+
+  if (sql.startsWith('SELECT payload FROM ws_broadcasts')) {
+    const payload = mockDb.broadcasts.get(Number(r.id));
+    return payload ? [{ payload }] : [];
+  }
+
+  if (sql.startsWith('SELECT pg_notify')) {
+    for (const client of mockDb.listeners) {
+      setImmediate(() => client.emit('notification', { channel: r.channel, payload: r.payload }));
+    }
+    return [{}];
+  }
+
+  throw new Error(`Consulta no simulada: ${sql}`);
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const createHandlers = () => ({ onBroadcast: jest.fn(), onProfilesOffline: jest.fn() });
+
+describe('PostgresAdapter', () => {
+  let nodeA;
+  let nodeB;
+  let handlersA;
+  let handlersB;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(sequelize, 'query').mockImplementation(runQuery);
+
+    mockDb.nodes.clear();
+    mockDb.connections.clear();
+    mockDb.broadcasts.clear();
+    mockDb.listeners.clear();
+    mockDb.failNextQueries = 0;
+    mockDb.failConnects = 0;
+
+    nodeA = new PostgresAdapter();
+    nodeB = new PostgresAdapter();
+    handlersA = createHandlers();
+    handlersB = createHandlers();
+    await nodeA.start(handlersA);
+    await nodeB.start(handlersB);
+  });
+
+  afterEach(async () => {
+    await nodeA.stop();
+    await nodeB.stop();
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  it('reenvía los eventos a las demás instancias y no a la que los emitió', async () => {
+    const message = { room: 'group:g1', event: 'new_message', data: { id: 'm1' }, except: 'socket-1' };
+
+    await nodeA.broadcast(message);
+    await flush();
+    await flush();
+
+    expect(handlersB.onBroadcast).toHaveBeenCalledWith(message);
+    expect(handlersA.onBroadcast).not.toHaveBeenCalled();
+  });
+
+  it('los eventos que no caben en un NOTIFY pasan por ws_broadcasts', async () => {
+    const message = { room: 'group:g1', event: 'new_message', data: { content: 'x'.repeat(10000) }, except: null };
+
+    await nodeA.broadcast(message);
+    await flush();
+    await flush();
+
+    expect(mockDb.broadcasts.size).toBe(1);
+    expect(handlersB.onBroadcast).toHaveBeenCalledWith(message);
+  });
+
+  it('entrega los eventos recibidos en el orden en que se emitieron', async () => {
+    await nodeA.broadcast({ room: 'r', event: 'grande', data: { content: 'x'.repeat(10000) } });
+    await nodeA.broadcast({ room: 'r', event: 'chico', data: {} });
+    for (let i = 0; i < 5; i++) await flush();
+
+    expect(handlersB.onBroadcast.mock.calls.map(([message]) => message.event)).toEqual(['grande', 'chico']);
+  });
+
+  it('cuenta los sockets de un perfil en todas las instancias', async () => {
+    expect(await nodeA.addConnection('perfil-1', 'socket-a')).toBe(1);
+    expect(await nodeB.addConnection('perfil-1', 'socket-b')).toBe(2);
+    expect(await nodeB.isOnline('perfil-1')).toBe(true);
+
+    expect(await nodeA.removeConnection('perfil-1', 'socket-a')).toBe(1);
+    expect(await nodeB.removeConnection('perfil-1', 'socket-b')).toBe(0);
+    expect(await nodeA.isOnline('perfil-1')).toBe(false);
+  });
+
+  it('da de baja una instancia que dejó de latir y avisa de los perfiles que quedaron offline', async () => {
+    await nodeA.addConnection('solo-en-a', 'socket-a1');
+    await nodeA.addConnection('en-ambas', 'socket-a2');
+    await nodeB.addConnection('en-ambas', 'socket-b1');
+
+    mockDb.nodes.set(nodeA.nodeId, Date.now() - 60 * 1000);
+    await nodeB._tick();
+
+    expect(mockDb.nodes.has(nodeA.nodeId)).toBe(false);
+    expect(handlersB.onProfilesOffline).toHaveBeenCalledWith(['solo-en-a']);
+    expect(await nodeB.isOnline('solo-en-a')).toBe(false);
+    expect(await nodeB.isOnline('en-ambas')).toBe(true);
+  });
+
+  it('una instancia dada por caída vuelve a registrar sus sockets en el siguiente latido', async () => {
+    await nodeA.addConnection('perfil-1', 'socket-a');
+    mockDb.nodes.set(nodeA.nodeId, Date.now() - 60 * 1000);
+    await nodeB._tick();
+    expect(await nodeB.isOnline('perfil-1')).toBe(false);
+
+    await nodeA._tick();
+
+    expect(mockDb.nodes.has(nodeA.nodeId)).toBe(true);
+    expect(await nodeB.isOnline('perfil-1')).toBe(true);
+  });
+
+  it('al detenerse borra sus sockets y avisa de los perfiles que quedaron offline', async () => {
+    await nodeA.addConnection('perfil-1', 'socket-a');
+
+    await nodeA.stop();
+
+    expect(mockDb.nodes.has(nodeA.nodeId)).toBe(false);
+    expect(handlersA.onProfilesOffline).toHaveBeenCalledWith(['perfil-1']);
+    expect(await nodeB.isOnline('perfil-1')).toBe(false);
+  });
+
+  it('arranca aunque la base de datos no responda y reintenta el latido y el LISTEN', async () => {
+    jest.useFakeTimers();
+    mockDb.failNextQueries = 1;
+    mockDb.failConnects = 1;
+    const nodeC = new PostgresAdapter();
+    const handlersC = createHandlers();
+
+    await nodeC.start(handlersC);
+    expect(mockDb.nodes.has(nodeC.nodeId)).toBe(false);
+    expect(nodeC.listener).toBeNull();
+
+    await jest.advanceTimersByTimeAsync(10000);
+
+    expect(mockDb.nodes.has(nodeC.nodeId)).toBe(true);
+    expect(nodeC.listener).not.toBeNull();
+
+    jest.useRealTimers();
+    await nodeA.broadcast({ room: 'r', event: 'e', data: {} });
+    await flush();
+    await flush();
+    expect(handlersC.onBroadcast).toHaveBeenCalled();
+
+    await nodeC.stop();
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Indicadores de escritura: vencimiento sin renovación, límite por socket, resumen de grupo
+ * y ocultamiento entre perfiles con un bloqueo.
+ */
+
+const http = require('http');
+const TypingManager = require('../../src/infrastructure/websocket/TypingManager');
+const { WebSocketServer } = require('../../src/infrastructure/websocket/socketServer');
+const accessPolicy = require('../../src/infrastructure/services/AccessPolicy');
+const presencePolicy = require('../../src/infrastructure/services/PresencePolicy');
+const groupResolver = require('../../src/infrastructure/services/GroupResolver');
+const { Conversation } = require('../../src/domain/entities/Conversation');
+
+const PROFILE_ID = '00000000-0000-4000-8000-0000000000aa';
+const OTHER_ID = '00000000-0000-4000-8000-0000000000bb';
+const BLOCKED_ID = '00000000-0000-4000-8000-0000000000cc';
+const CONVERSATION_ID = '00000000-0000-4000-8000-000000000001';
+const GROUP_ROOM = 'group:external-1';
+
+const typer = (profileId, username = 'ana') => ({ profileId, username });
+
+describe('TypingManager', () => {
+  let manager;
+  let onChange;
+  let onSummary;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    onChange = jest.fn();
+    onSummary = jest.fn();
+    manager = new TypingManager({ onChange, onSummary });
+  });
+
+  afterEach(() => {
+    manager.clear();
+    jest.useRealTimers();
+  });
+
+  it('solo el inicio se avisa; las renovaciones no', () => {
+    manager.start(GROUP_ROOM, typer(PROFILE_ID), 'socket-1');
+    manager.start(GROUP_ROOM, typer(PROFILE_ID), 'socket-1');
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledWith(GROUP_ROOM, typer(PROFILE_ID), true, 'socket-1', []);
+    expect(onSummary).toHaveBeenCalledTimes(1);
+  });
+
+  it('sin renovación el indicador vence solo', () => {
+    manager.start(`conversation:${CONVERSATION_ID}`, typer(PROFILE_ID), 'socket-1');
+
+    jest.advanceTimersByTime(5999);
+    expect(manager.isTyping(`conversation:${CONVERSATION_ID}`, PROFILE_ID)).toBe(true);
+
+    jest.advanceTimersByTime(1);
+    expect(manager.isTyping(`conversation:${CONVERSATION_ID}`, PROFILE_ID)).toBe(false);
+    expect(onChange).toHaveBeenLastCalledWith(`conversation:${CONVERSATION_ID}`, typer(PROFILE_ID), false, 'socket-1', []);
+    // Las conversaciones no tienen resumen
+    expect(onSummary).not.toHaveBeenCalled();
+  });
+
+  it('una renovación reinicia el vencimiento', () => {
+    manager.start(GROUP_ROOM, typer(PROFILE_ID), 'socket-1');
+    jest.advanceTimersByTime(4000);
+    manager.start(GROUP_ROOM, typer(PROFILE_ID), 'socket-1');
+    jest.advanceTimersByTime(4000);
+
+    expect(manager.isTyping(GROUP_ROOM, PROFILE_ID)).toBe(true);
+  });
+
+  it('los indicadores de otra instancia vencen con margen y no se reenvían', () => {
+    manager.applyRemote(GROUP_ROOM, typer(OTHER_ID), true);
+
+    jest.advanceTimersByTime(6000);
+    expect(manager.isTyping(GROUP_ROOM, OTHER_ID)).toBe(true);
+
+    jest.advanceTimersByTime(2000);
+    expect(manager.isTyping(GROUP_ROOM, OTHER_ID)).toBe(false);
+    expect(onChange).toHaveBeenCalledWith(GROUP_ROOM, typer(OTHER_ID), false, null, []);
+  });
+
+  it('al desconectarse el socket terminan sus indicadores', () => {
+    manager.start(GROUP_ROOM, typer(PROFILE_ID), 'socket-1');
+    manager.start(`conversation:${CONVERSATION_ID}`, typer(PROFILE_ID), 'socket-1');
+    manager.start(GROUP_ROOM, typer(OTHER_ID, 'bea'), 'socket-2');
+
+    manager.stopSocket('socket-1');
+
+    expect(manager.isTyping(GROUP_ROOM, PROFILE_ID)).toBe(false);
+    expect(manager.isTyping(`conversation:${CONVERSATION_ID}`, PROFILE_ID)).toBe(false);
+    expect(manager.isTyping(GROUP_ROOM, OTHER_ID)).toBe(true);
+  });
+
+  it('descarta los eventos por encima del límite hasta que se renueva la ventana', () => {
+    const results = Array.from({ length: 21 }, () => manager.isRateLimited('socket-1'));
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(results[20]).toBe(true);
+    expect(manager.isRateLimited('socket-2')).toBe(false);
+
+    jest.advanceTimersByTime(10000);
+    expect(manager.isRateLimited('socket-1')).toBe(false);
+  });
+
+  describe('summarize', () => {
+    it('nombra a los tres primeros y cuenta a todos', () => {
+      ['a', 'b', 'c', 'd'].forEach((name, index) => manager.start(GROUP_ROOM, typer(`profile-${index}`, name), 'socket-1'));
+
+      const summary = manager.summarize(GROUP_ROOM);
+
+      expect(summary.count).toBe(4);
+      expect(summary.typers.map(entry => entry.username)).toEqual(['a', 'b', 'c']);
+    });
+
+    it('quien tiene un bloqueo con el que escribe no lo ve', () => {
+      manager.start(GROUP_ROOM, typer(PROFILE_ID), 'socket-1', [BLOCKED_ID]);
+      manager.start(GROUP_ROOM, typer(OTHER_ID, 'bea'), 'socket-2');
+
+      expect(manager.getHiddenViewers(GROUP_ROOM)).toEqual(new Set([BLOCKED_ID]));
+      expect(manager.summarize(GROUP_ROOM, BLOCKED_ID)).toEqual({ typers: [typer(OTHER_ID, 'bea')], count: 1 });
+      expect(manager.summarize(GROUP_ROOM, OTHER_ID).count).toBe(2);
+    });
+
+    it('una renovación conserva a quienes se ocultó al iniciar', () => {
+      manager.start(GROUP_ROOM, typer(PROFILE_ID), 'socket-1', [BLOCKED_ID]);
+      manager.start(GROUP_ROOM, typer(PROFILE_ID), 'socket-1');
+
+      expect(manager.summarize(GROUP_ROOM, BLOCKED_ID).count).toBe(0);
+    });
+  });
+});
+
+describe('WebSocketServer.handleTyping', () => {
+  let server;
+
+  const createSocket = (rooms) => ({
+    id: 'socket-1',
+    user: { profileId: PROFILE_ID, username: 'ana' },
+    rooms: new Set(rooms)
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    server = new WebSocketServer(http.createServer(), {
+      start: jest.fn().mockResolvedValue(),
+      broadcast: jest.fn().mockResolvedValue(),
+      stop: jest.fn().mockResolvedValue()
+    });
+    jest.spyOn(server, 'getTyper').mockResolvedValue(typer(PROFILE_ID));
+    jest.spyOn(server.typingManager, 'start');
+  });
+
+  afterEach(async () => {
+    await server.shutdown();
+    server.io.close();
+    jest.restoreAllMocks();
+  });
+
+  it('ignora salas a las que el socket no se unió', async () => {
+    await server.handleTyping(createSocket([]), { conversationId: CONVERSATION_ID }, true);
+
+    expect(server.typingManager.start).not.toHaveBeenCalled();
+  });
+
+  it('en una conversación aceptada inicia el indicador', async () => {
+    jest.spyOn(accessPolicy, 'assertConversationParticipant').mockResolvedValue(
+      new Conversation({ id: CONVERSATION_ID, participant1ProfileId: OTHER_ID, participant2ProfileId: PROFILE_ID })
+    );
+
+    await server.handleTyping(createSocket([`conversation:${CONVERSATION_ID}`]), { conversationId: CONVERSATION_ID }, true);
+
+    expect(server.typingManager.start).toHaveBeenCalledWith(`conversation:${CONVERSATION_ID}`, typer(PROFILE_ID), 'socket-1', null);
+  });
+
+  it('en un grupo oculta el indicador a los perfiles con un bloqueo', async () => {
+    jest.spyOn(groupResolver, 'getPublicIdFor').mockResolvedValue('external-1');
+    jest.spyOn(accessPolicy, 'getGroupForMember').mockResolvedValue({});
+    jest.spyOn(presencePolicy, 'getBlockedProfileIds').mockResolvedValue([BLOCKED_ID]);
+
+    await server.handleTyping(createSocket([GROUP_ROOM]), { groupId: 'external-1' }, true);
+
+    expect(server.typingManager.start).toHaveBeenCalledWith(GROUP_ROOM, typer(PROFILE_ID), 'socket-1', [BLOCKED_ID]);
+  });
+});
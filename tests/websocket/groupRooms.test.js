@@ -0,0 +1,124 @@
+/**
+ * Salas de grupo al entrar o salir por la API: los sockets ya conectados del miembro se unen a la sala
+ * `group:<ID público>` (o salen de ella) en todas las instancias.
+ */
+
+const http = require('http');
+const { WebSocketServer, initializeWebSocket } = require('../../src/infrastructure/websocket/socketServer');
+const chatEventService = require('../../src/infrastructure/services/ChatEventService');
+const groupResolver = require('../../src/infrastructure/services/GroupResolver');
+const { GroupMember, MEMBER_STATUS } = require('../../src/domain/entities/GroupMember');
+
+const PROFILE_ID = '00000000-0000-4000-8000-0000000000aa';
+const GROUP_ID = '00000000-0000-4000-8000-000000000002';
+const ROOM = 'group:external-1';
+
+// Adaptador que guarda los manejadores para simular eventos de otras instancias
+const createFakeAdapter = () => {
+  const adapter = {
+    handlers: null,
+    start: jest.fn(async (handlers) => { adapter.handlers = handlers; }),
+    broadcast: jest.fn().mockResolvedValue(),
+    stop: jest.fn().mockResolvedValue()
+  };
+  return adapter;
+};
+
+// Sockets del perfil en esta instancia (io.in(`user:<id>`))
+const mockUserSockets = (server) => {
+  const sockets = { socketsJoin: jest.fn(), socketsLeave: jest.fn() };
+  jest.spyOn(server.io, 'in').mockReturnValue(sockets);
+  return sockets;
+};
+
+describe('WebSocketServer.addToRoom', () => {
+  let server;
+  let adapter;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    adapter = createFakeAdapter();
+    server = new WebSocketServer(http.createServer(), adapter);
+  });
+
+  afterEach(async () => {
+    await server.shutdown();
+    server.io.close();
+    jest.restoreAllMocks();
+  });
+
+  it('une los sockets del perfil en esta instancia y avisa a las demás', () => {
+    const sockets = mockUserSockets(server);
+
+    server.addToRoom(PROFILE_ID, ROOM);
+
+    expect(server.io.in).toHaveBeenCalledWith(`user:${PROFILE_ID}`);
+    expect(sockets.socketsJoin).toHaveBeenCalledWith(ROOM);
+    expect(adapter.broadcast).toHaveBeenCalledWith({
+      room: `user:${PROFILE_ID}`,
+      event: 'internal:join_room',
+      data: { profileId: PROFILE_ID, room: ROOM }
+    });
+  });
+
+  it('el aviso de otra instancia une los sockets locales sin emitirse a los clientes', () => {
+    const sockets = mockUserSockets(server);
+    jest.spyOn(server, 'emitLocally');
+
+    adapter.handlers.onBroadcast({
+      room: `user:${PROFILE_ID}`,
+      event: 'internal:join_room',
+      data: { profileId: PROFILE_ID, room: ROOM }
+    });
+
+    expect(sockets.socketsJoin).toHaveBeenCalledWith(ROOM);
+    expect(server.emitLocally).not.toHaveBeenCalled();
+  });
+});
+
+describe('ChatEventService.publishMemberEvent', () => {
+  let wsServer;
+
+  beforeAll(() => {
+    wsServer = initializeWebSocket(http.createServer());
+  });
+
+  afterAll(async () => {
+    await wsServer.shutdown();
+    wsServer.io.close();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(groupResolver, 'getPublicIdFor').mockResolvedValue('external-1');
+    jest.spyOn(chatEventService, 'publish').mockResolvedValue({ seq: 1, cursor: '1' });
+    jest.spyOn(wsServer, 'addToRoom').mockImplementation(() => {});
+    jest.spyOn(wsServer, 'removeFromRoom').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const member = (status = MEMBER_STATUS.ACTIVE) => new GroupMember({ id: 'member-1', groupId: GROUP_ID, profileId: PROFILE_ID, status });
+
+  it('member_joined une al nuevo miembro a la sala del grupo con el ID público', async () => {
+    await chatEventService.publishMemberEvent('member_joined', GROUP_ID, member());
+
+    expect(wsServer.addToRoom).toHaveBeenCalledWith(PROFILE_ID, ROOM);
+    expect(wsServer.removeFromRoom).not.toHaveBeenCalled();
+  });
+
+  it('una membresía pendiente no se une a la sala', async () => {
+    await chatEventService.publishMemberEvent('member_joined', GROUP_ID, member(MEMBER_STATUS.PENDING));
+
+    expect(wsServer.addToRoom).not.toHaveBeenCalled();
+  });
+
+  it('member_left saca al miembro de la sala', async () => {
+    await chatEventService.publishMemberEvent('member_left', GROUP_ID, member(MEMBER_STATUS.LEFT), { reason: 'left' });
+
+    expect(wsServer.removeFromRoom).toHaveBeenCalledWith(PROFILE_ID, ROOM);
+    expect(wsServer.addToRoom).not.toHaveBeenCalled();
+  });
+});
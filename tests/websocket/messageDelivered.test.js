@@ -0,0 +1,85 @@
+/**
+ * Confirmaciones de entrega (`messages_delivered`): estado del mensaje en conversaciones,
+ * recibo por destinatario en grupos y `message_delivered` a la sala de cada chat.
+ */
+
+const http = require('http');
+const { WebSocketServer } = require('../../src/infrastructure/websocket/socketServer');
+const groupResolver = require('../../src/infrastructure/services/GroupResolver');
+
+const PROFILE_ID = '00000000-0000-4000-8000-0000000000aa';
+const CONVERSATION_ID = '00000000-0000-4000-8000-000000000001';
+const GROUP_ID = '00000000-0000-4000-8000-000000000002';
+
+const createFakeAdapter = () => ({
+  start: jest.fn().mockResolvedValue(),
+  broadcast: jest.fn().mockResolvedValue(),
+  stop: jest.fn().mockResolvedValue()
+});
+
+describe('WebSocketServer.handleMessagesDelivered', () => {
+  let server;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    server = new WebSocketServer(http.createServer(), createFakeAdapter());
+    jest.spyOn(server, 'broadcast').mockImplementation(() => {});
+    jest.spyOn(server.messageRepository, 'markConversationMessagesDelivered').mockResolvedValue([]);
+    jest.spyOn(server.messageReceiptRepository, 'markDelivered').mockResolvedValue([]);
+    jest.spyOn(groupResolver, 'getPublicIdsFor').mockResolvedValue(new Map([[GROUP_ID, 'external-1']]));
+  });
+
+  afterEach(async () => {
+    await server.shutdown();
+    server.io.close();
+    jest.restoreAllMocks();
+  });
+
+  it('sin mensajes no consulta la base de datos', async () => {
+    await server.handleMessagesDelivered(PROFILE_ID, []);
+
+    expect(server.messageRepository.markConversationMessagesDelivered).not.toHaveBeenCalled();
+    expect(server.broadcast).not.toHaveBeenCalled();
+  });
+
+  it('agrupa las entregas de conversaciones por conversación', async () => {
+    server.messageRepository.markConversationMessagesDelivered.mockResolvedValue([
+      { messageId: 'm1', conversationId: CONVERSATION_ID },
+      { messageId: 'm2', conversationId: CONVERSATION_ID }
+    ]);
+
+    await server.handleMessagesDelivered(PROFILE_ID, ['m1', 'm2']);
+
+    expect(server.broadcast).toHaveBeenCalledTimes(1);
+    expect(server.broadcast).toHaveBeenCalledWith(`conversation:${CONVERSATION_ID}`, 'message_delivered', expect.objectContaining({
+      conversationId: CONVERSATION_ID,
+      groupId: null,
+      profileId: PROFILE_ID,
+      messageIds: ['m1', 'm2']
+    }));
+  });
+
+  it('emite las entregas de grupo a la sala del ID público', async () => {
+    const deliveredAt = new Date();
+    server.messageReceiptRepository.markDelivered.mockResolvedValue([
+      { messageId: 'm3', groupId: GROUP_ID, deliveredAt }
+    ]);
+
+    await server.handleMessagesDelivered(PROFILE_ID, ['m3']);
+
+    expect(server.messageReceiptRepository.markDelivered).toHaveBeenCalledWith(['m3'], PROFILE_ID);
+    expect(server.broadcast).toHaveBeenCalledWith('group:external-1', 'message_delivered', {
+      conversationId: null,
+      groupId: 'external-1',
+      profileId: PROFILE_ID,
+      messageIds: ['m3'],
+      deliveredAt
+    });
+  });
+
+  it('los mensajes ya entregados no vuelven a emitirse', async () => {
+    await server.handleMessagesDelivered(PROFILE_ID, ['m1']);
+
+    expect(server.broadcast).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Presencia por WebSocket: período de gracia antes de marcar offline, última conexión por actividad,
+ * avisos de estado según la privacidad y POST /users/presence.
+ */
+
+const http = require('http');
+const { startApi, silenceConsole } = require('../helpers/api');
+const { WebSocketServer } = require('../../src/infrastructure/websocket/socketServer');
+const presencePolicy = require('../../src/infrastructure/services/PresencePolicy');
+const { User, PRESENCE_VISIBILITY } = require('../../src/domain/entities/User');
+
+const PROFILE_ID = '00000000-0000-4000-8000-0000000000aa';
+const CONTACT_ID = '00000000-0000-4000-8000-0000000000bb';
+const PEER_ID = '00000000-0000-4000-8000-0000000000cc';
+
+const createFakeAdapter = () => ({
+  start: jest.fn().mockResolvedValue(),
+  broadcast: jest.fn().mockResolvedValue(),
+  isOnline: jest.fn().mockResolvedValue(false),
+  stop: jest.fn().mockResolvedValue()
+});
+
+describe('WebSocketServer: presencia', () => {
+  let server;
+  let adapter;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    adapter = createFakeAdapter();
+    server = new WebSocketServer(http.createServer(), adapter);
+    jest.spyOn(server.userRepository, 'setOnlineStatus').mockResolvedValue();
+    jest.spyOn(server.userRepository, 'touchLastSeen').mockResolvedValue();
+    jest.spyOn(server, 'broadcastUserStatus').mockResolvedValue();
+  });
+
+  afterEach(async () => {
+    await server.shutdown();
+    server.io.close();
+    jest.restoreAllMocks();
+  });
+
+  describe('período de gracia', () => {
+    it('una reconexión dentro del período cancela la desconexión pendiente', () => {
+      server.scheduleOffline(PROFILE_ID);
+
+      expect(server.cancelPendingOffline(PROFILE_ID)).toBe(true);
+      expect(server.cancelPendingOffline(PROFILE_ID)).toBe(false);
+      expect(server.pendingOffline.size).toBe(0);
+    });
+
+    it('al vencer marca offline con la hora de la desconexión', async () => {
+      const disconnectedAt = new Date(Date.now() - 5000);
+
+      await server.completeOffline(PROFILE_ID, disconnectedAt);
+
+      expect(server.userRepository.setOnlineStatus).toHaveBeenCalledWith(PROFILE_ID, false, disconnectedAt);
+      expect(server.broadcastUserStatus).toHaveBeenCalledWith(PROFILE_ID, false, disconnectedAt);
+    });
+
+    it('si se reconectó en otra instancia sigue en línea', async () => {
+      adapter.isOnline.mockResolvedValue(true);
+
+      await server.completeOffline(PROFILE_ID, new Date());
+
+      expect(server.userRepository.setOnlineStatus).not.toHaveBeenCalled();
+      expect(server.broadcastUserStatus).not.toHaveBeenCalled();
+    });
+
+    it('al apagar la instancia aplica las desconexiones pendientes', async () => {
+      server.scheduleOffline(PROFILE_ID);
+      const { disconnectedAt } = server.pendingOffline.get(PROFILE_ID);
+
+      await server.shutdown();
+
+      expect(server.userRepository.setOnlineStatus).toHaveBeenCalledWith(PROFILE_ID, false, disconnectedAt);
+      expect(server.pendingOffline.size).toBe(0);
+    });
+  });
+
+  describe('touchLastSeen', () => {
+    it('escribe la actividad como mucho una vez por intervalo', () => {
+      server.touchLastSeen(PROFILE_ID);
+      server.touchLastSeen(PROFILE_ID);
+
+      expect(server.userRepository.touchLastSeen).toHaveBeenCalledTimes(1);
+    });
+
+    it('al marcar offline el intervalo vuelve a empezar', async () => {
+      server.touchLastSeen(PROFILE_ID);
+      await server.markOffline(PROFILE_ID);
+      server.touchLastSeen(PROFILE_ID);
+
+      expect(server.userRepository.touchLastSeen).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('broadcastUserStatus', () => {
+    beforeEach(() => {
+      server.broadcastUserStatus.mockRestore();
+      jest.spyOn(server, 'broadcast').mockImplementation(() => {});
+      jest.spyOn(server.userRepository, 'findByProfileId').mockResolvedValue(new User({
+        id: 'user-1',
+        profileId: PROFILE_ID,
+        username: 'ana',
+        lastSeenVisibility: PRESENCE_VISIBILITY.CONTACTS
+      }));
+    });
+
+    it('solo quienes pueden ver la última conexión la reciben', async () => {
+      jest.spyOn(presencePolicy, 'getStatusAudience').mockResolvedValue({ withLastSeen: [CONTACT_ID], withoutLastSeen: [PEER_ID] });
+      const lastSeenAt = new Date();
+
+      await server.broadcastUserStatus(PROFILE_ID, false, lastSeenAt);
+
+      expect(server.broadcast).toHaveBeenCalledWith([`user:${CONTACT_ID}`], 'user_status_changed', { profileId: PROFILE_ID, isOnline: false, lastSeenAt });
+      expect(server.broadcast).toHaveBeenCalledWith([`user:${PEER_ID}`], 'user_status_changed', { profileId: PROFILE_ID, isOnline: false, lastSeenAt: null });
+    });
+
+    it('sin destinatarios no emite (io.to([]) llegaría a todos)', async () => {
+      jest.spyOn(presencePolicy, 'getStatusAudience').mockResolvedValue({ withLastSeen: [], withoutLastSeen: [] });
+
+      await server.broadcastUserStatus(PROFILE_ID, true);
+
+      expect(server.broadcast).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('POST /users/presence', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await startApi();
+  });
+
+  afterAll(async () => {
+    await api.close();
+  });
+
+  beforeEach(() => {
+    silenceConsole();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const getPresence = (profileIds) => api.request('POST', '/users/presence', { profileId: PROFILE_ID, body: { profileIds } });
+
+  it('devuelve la presencia de cada perfil según su privacidad', async () => {
+    const lastSeenAt = new Date('2024-11-01T10:00:00.000Z');
+    jest.spyOn(presencePolicy.userRepository, 'findByProfileIds').mockResolvedValue([
+      new User({ id: 'user-2', profileId: CONTACT_ID, username: 'bea', isOnline: true, lastSeenAt }),
+      new User({ id: 'user-3', profileId: PEER_ID, username: 'carla', isOnline: true, lastSeenAt, onlineStatusVisibility: PRESENCE_VISIBILITY.CONTACTS })
+    ]);
+    jest.spyOn(presencePolicy.conversationRepository, 'findPartnerProfileIds').mockResolvedValue([CONTACT_ID]);
+    jest.spyOn(presencePolicy.conversationRepository, 'findBlockRelations').mockResolvedValue([]);
+
+    const response = await getPresence([CONTACT_ID, PEER_ID, CONTACT_ID]);
+
+    expect(response.status).toBe(200);
+    expect(presencePolicy.userRepository.findByProfileIds).toHaveBeenCalledWith([CONTACT_ID, PEER_ID]);
+    expect(response.body.data).toEqual([
+      { profileId: CONTACT_ID, isOnline: true, lastSeenAt: lastSeenAt.toISOString() },
+      { profileId: PEER_ID, isOnline: false, lastSeenAt: lastSeenAt.toISOString() }
+    ]);
+  });
+
+  it('rechaza más de 100 perfiles', async () => {
+    jest.spyOn(presencePolicy, 'getPresence');
+
+    const response = await getPresence(Array.from({ length: 101 }, () => CONTACT_ID));
+
+    expect(response.status).toBe(400);
+    expect(presencePolicy.getPresence).not.toHaveBeenCalled();
+  });
+});